@@ -125,6 +125,24 @@ app.use("/api/invites", invitesRoutes);
 const notificationsRoutes = require("./routes/notifications");
 app.use("/api/notifications", notificationsRoutes);
 
+// correspondence (daily) games
+const correspondenceRoutes = require("./routes/correspondence");
+app.use("/api/correspondence", correspondenceRoutes);
+
+// analysis boards (move trees edited live over sockets)
+const analysisBoardsRoutes = require("./routes/analysisBoards");
+app.use("/api/analysis-boards", analysisBoardsRoutes);
+const studiesRoutes = require("./routes/studies");
+app.use("/api/studies", studiesRoutes);
+
+// puzzles mined from analysed games
+const puzzlesRoutes = require("./routes/puzzles");
+app.use("/api/puzzles", puzzlesRoutes);
+
+// admin: engine registry & analysis queue
+const adminRoutes = require("./routes/admin");
+app.use("/api/admin", adminRoutes);
+
 // connect mongoose
 mongoose
   .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/chessapp")
@@ -0,0 +1,245 @@
+// backend/lib/analysis.js
+// Post-game analysis from engine evaluations: per-ply eval and best move,
+// move classification, accuracy % per side and the critical moments.
+//
+// Evaluations are turned into White's winning chances (0..100, the logistic
+// curve lichess uses) and every move is judged by how much of the mover's
+// winning chances it gave away: 10+ points is an inaccuracy, 20+ a mistake,
+// 30+ a blunder. A "brilliant" move is the engine's best move that leaves a
+// minor or major piece en prise without the position being already won.
+// The engine side lives in ratingUtils.evaluatePositions and the job side in
+// services/analysisService.js.
+
+const { Chess } = require("chess.js");
+const { createChess, applyMove, toMoveInput } = require("./startPosition");
+
+const MATE_CP = 1000; // mates count as a 10-pawn advantage for winning chances
+const INACCURACY = 10;
+const MISTAKE = 20;
+const BLUNDER = 30;
+const CRITICAL_SWING = 15;
+const MAX_CRITICAL = 5;
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+/**
+ * scoreToCp(score)
+ * Centipawns (White's view) for a { cp } / { mate } score, mates capped at ±MATE_CP.
+ */
+function scoreToCp(score) {
+  if (!score) return 0;
+  if (typeof score.cp === "number")
+    return Math.max(-MATE_CP, Math.min(MATE_CP, score.cp));
+  if (score.mate === 0) return score.loser === "w" ? -MATE_CP : MATE_CP;
+  return score.mate > 0 ? MATE_CP : -MATE_CP;
+}
+
+/**
+ * winChance(score)
+ * White's winning chances (0..100) for an engine score.
+ */
+function winChance(score) {
+  const cp = scoreToCp(score);
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+/**
+ * moveAccuracy(before, after)
+ * Accuracy (0..100) of a move that took the mover's winning chances from
+ * `before` to `after`.
+ */
+function moveAccuracy(before, after) {
+  const drop = Math.max(0, before - after);
+  const acc = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+  return Math.max(0, Math.min(100, acc));
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// the moved piece (knight or better) now stands attacked and is worth more
+// than what it took, i.e. it was offered rather than traded
+function looksLikeSacrifice(chess, move) {
+  const value = PIECE_VALUES[move.promotion || move.piece] || 0;
+  if (value < 3) return false;
+  const taken = move.captured ? PIECE_VALUES[move.captured] : 0;
+  if (taken >= value) return false;
+  const enemy = move.color === "w" ? "b" : "w";
+  try {
+    return chess.isAttacked(move.to, enemy);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * classify({ drop, best, sacrifice, moverBefore, moverAfter })
+ * "brilliant" | "blunder" | "mistake" | "inaccuracy" | null
+ */
+function classify({ drop, best, sacrifice, moverBefore, moverAfter }) {
+  if (drop >= BLUNDER) return "blunder";
+  if (drop >= MISTAKE) return "mistake";
+  if (drop >= INACCURACY) return "inaccuracy";
+  if (best && sacrifice && moverBefore < 90 && moverAfter >= 50)
+    return "brilliant";
+  return null;
+}
+
+function uciOf(move) {
+  return `${move.from}${move.to}${move.promotion || ""}`;
+}
+
+/**
+ * positionsOf(settings, moves)
+ * FENs of the start position and of the position after every stored move
+ * record (stops at the first illegal record).
+ */
+function positionsOf(settings, moves) {
+  const chess = createChess(settings);
+  const fens = [chess.fen()];
+  for (const record of moves || []) {
+    const input = toMoveInput(record);
+    if (!input || !applyMove(chess, input)) break;
+    fens.push(chess.fen());
+  }
+  return fens;
+}
+
+/**
+ * buildAnalysis({ settings, moves, evals })
+ * settings: { startFen, chess960, variant } of the game; moves: its stored
+ * move records; evals: one evaluatePositions entry per positionsOf FEN.
+ * Returns { plies, accuracy: { w, b }, acpl: { w, b }, counts, critical }.
+ */
+function buildAnalysis({ settings, moves, evals }) {
+  const chess = createChess(settings);
+  const plies = [];
+  const lossByColor = { w: [], b: [] };
+  const accByColor = { w: [], b: [] };
+  const counts = {
+    w: { brilliant: 0, inaccuracy: 0, mistake: 0, blunder: 0 },
+    b: { brilliant: 0, inaccuracy: 0, mistake: 0, blunder: 0 },
+  };
+
+  for (let i = 0; i < moves.length; i++) {
+    const beforeEval = evals[i] || null;
+    const afterEval = evals[i + 1] || null;
+    const fenBefore = chess.fen();
+    const input = toMoveInput(moves[i]);
+    const move = input ? applyMove(chess, input) : null;
+    if (!move) break;
+
+    let bestSan = null;
+    const bestMove = (beforeEval && beforeEval.bestMove) || null;
+    if (bestMove) {
+      try {
+        const probe = new Chess(fenBefore);
+        const m = probe.move({
+          from: bestMove.slice(0, 2),
+          to: bestMove.slice(2, 4),
+          promotion: bestMove[4] || undefined,
+        });
+        bestSan = m ? m.san : null;
+      } catch (e) {
+        bestSan = null;
+      }
+    }
+
+    const entry = {
+      ply: i + 1,
+      moveNumber: Math.floor(i / 2) + 1,
+      color: move.color,
+      san: move.san,
+      uci: uciOf(move),
+      fen: chess.fen(),
+      eval: afterEval ? afterEval.score : null,
+      bestMove,
+      bestSan,
+      winChance: null,
+      cpLoss: null,
+      accuracy: null,
+      classification: null,
+    };
+
+    if (beforeEval && afterEval && beforeEval.score && afterEval.score) {
+      const sign = move.color === "w" ? 1 : -1;
+      const wBefore = winChance(beforeEval.score);
+      const wAfter = winChance(afterEval.score);
+      const moverBefore = move.color === "w" ? wBefore : 100 - wBefore;
+      const moverAfter = move.color === "w" ? wAfter : 100 - wAfter;
+      const cpLoss = Math.max(
+        0,
+        sign * (scoreToCp(beforeEval.score) - scoreToCp(afterEval.score))
+      );
+      const accuracy = moveAccuracy(moverBefore, moverAfter);
+      const classification = classify({
+        drop: moverBefore - moverAfter,
+        best: bestMove === entry.uci,
+        sacrifice: looksLikeSacrifice(chess, move),
+        moverBefore,
+        moverAfter,
+      });
+      entry.winChance = round1(wAfter);
+      entry.cpLoss = cpLoss;
+      entry.accuracy = round1(accuracy);
+      entry.classification = classification;
+      lossByColor[move.color].push(cpLoss);
+      accByColor[move.color].push(accuracy);
+      if (classification) counts[move.color][classification]++;
+    }
+    plies.push(entry);
+  }
+
+  const avg = (arr) =>
+    arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+  const side = (arr, fn) => (arr.length ? fn(avg(arr)) : null);
+
+  // the biggest swings in White's winning chances, in game order
+  const critical = [];
+  let prev = evals[0] && evals[0].score ? winChance(evals[0].score) : 50;
+  for (const p of plies) {
+    if (p.winChance === null) continue;
+    const swing = p.winChance - prev;
+    prev = p.winChance;
+    if (Math.abs(swing) < CRITICAL_SWING) continue;
+    critical.push({
+      ply: p.ply,
+      moveNumber: p.moveNumber,
+      color: p.color,
+      san: p.san,
+      bestSan: p.bestSan,
+      classification: p.classification,
+      swing: round1(swing),
+      winChance: p.winChance,
+    });
+  }
+  critical.sort((a, b) => Math.abs(b.swing) - Math.abs(a.swing));
+
+  return {
+    plies,
+    accuracy: {
+      w: side(accByColor.w, round1),
+      b: side(accByColor.b, round1),
+    },
+    acpl: {
+      w: side(lossByColor.w, Math.round),
+      b: side(lossByColor.b, Math.round),
+    },
+    counts,
+    critical: critical.slice(0, MAX_CRITICAL).sort((a, b) => a.ply - b.ply),
+  };
+}
+
+module.exports = {
+  INACCURACY,
+  MISTAKE,
+  BLUNDER,
+  scoreToCp,
+  winChance,
+  moveAccuracy,
+  classify,
+  looksLikeSacrifice,
+  uciOf,
+  positionsOf,
+  buildAnalysis,
+};
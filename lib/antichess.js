@@ -0,0 +1,82 @@
+// backend/lib/antichess.js
+// Antichess (losing chess): captures are compulsory, there is no check or
+// castling, the king is an ordinary piece that can be captured, and a player
+// wins by losing every piece or by having no move left.
+//
+// Like fog of war, the moves are generated and played through
+// lib/pseudoLegal.js (chess.antichess = { ep } holds the en-passant square).
+// chess.js holds at most one king per side, so pawns promote to q/r/b/n only.
+
+const {
+  pieceMap,
+  pseudoMoves,
+  findMove,
+  epAfter,
+  play,
+  opposite,
+} = require("./pseudoLegal");
+
+function isAntichess(settings) {
+  return (
+    !!settings && String(settings.variant || "").toLowerCase() === "antichess"
+  );
+}
+
+function attachState(chess) {
+  const ep = chess.fen().split(" ")[3] || "-";
+  chess.antichess = { ep };
+  return chess;
+}
+
+/**
+ * legalMoves(chess)
+ * Moves for the side to move; only the captures when any capture exists.
+ */
+function legalMoves(chess) {
+  const ep = (chess.antichess && chess.antichess.ep) || "-";
+  const all = pseudoMoves(chess, null, { ep, castling: false });
+  const captures = all.filter((m) => m.captured);
+  return captures.length ? captures : all;
+}
+
+/**
+ * move(chess, input)
+ * Plays an antichess move ({ from, to, promotion? }, "e2e4" or SAN).
+ * Returns a chess.js-like move object or null.
+ */
+function move(chess, input) {
+  const all = legalMoves(chess);
+  const m = findMove(all, input);
+  if (!m) return null;
+  const result = play(chess, m, all);
+  chess.antichess.ep = epAfter(m);
+  return result;
+}
+
+/**
+ * detectFinished(chess)
+ * The side to move wins when it has no pieces left or no move to play.
+ */
+function detectFinished(chess) {
+  const us = chess.turn();
+  const ours = Object.values(pieceMap(chess)).filter((p) => p.color === us);
+  let how = null;
+  if (ours.length === 0) how = "losing every piece";
+  else if (legalMoves(chess).length === 0) how = "having no moves left";
+  if (!how) return null;
+  return {
+    reason: "antichess",
+    winner: us,
+    loser: opposite(us),
+    message: `${us.toUpperCase()} wins by ${how}`,
+    finishedAt: Date.now(),
+  };
+}
+
+module.exports = {
+  isAntichess,
+  attachState,
+  legalMoves,
+  move,
+  detectFinished,
+};
@@ -0,0 +1,166 @@
+// backend/lib/botLevels.js
+// Calibrated bot strengths. A room's bot level is either a level 0..8 or a
+// rating (e.g. 1200, what the client sends); ratings pick the closest level.
+// Each level carries the UCI settings used when a Stockfish-type engine plays
+// the bot role (services/engineRegistry.js) — Skill Level below Stockfish's
+// UCI_Elo floor, UCI_LimitStrength + UCI_Elo above it — plus the 0..4 level
+// the built-in JS engines fall back to.
+//
+// Think time is the level's base movetime scaled by how complex the position
+// is (legal moves, captures and checks on offer): forced moves come at once,
+// sharp middlegames take longest. In timed games the base is a share of the
+// bot's own clock instead (remaining time over the moves still to play, plus
+// most of the increment), so it paces itself like a human and can still flag.
+
+const UCI_ELO_MIN = 1320; // Stockfish's lowest UCI_Elo
+
+// movetime: base think time in ms for a position of average complexity
+const LEVELS = [
+  { level: 0, elo: 800, skill: 0, depth: 1, movetime: 100, jsLevel: 0 },
+  { level: 1, elo: 1000, skill: 2, depth: 2, movetime: 150, jsLevel: 1 },
+  { level: 2, elo: 1200, skill: 4, depth: 3, movetime: 200, jsLevel: 1 },
+  { level: 3, elo: 1400, skill: 7, depth: 5, movetime: 300, jsLevel: 2 },
+  { level: 4, elo: 1600, skill: 10, depth: 7, movetime: 400, jsLevel: 2 },
+  { level: 5, elo: 1800, skill: 13, depth: 9, movetime: 600, jsLevel: 3 },
+  { level: 6, elo: 2000, skill: 16, depth: 12, movetime: 800, jsLevel: 3 },
+  { level: 7, elo: 2300, skill: 18, depth: 16, movetime: 1200, jsLevel: 4 },
+  { level: 8, elo: 2800, skill: 20, depth: 22, movetime: 2000, jsLevel: 4 },
+];
+const DEFAULT_LEVEL = 2;
+const MIN_THINK_MS = 50;
+const MAX_CLOCK_SHARE = 0.25; // never spend more than this share of the clock on one move
+
+/**
+ * strengthFor(level)
+ * The LEVELS entry for a level (0..8) or a rating, plus the UCI `options` to
+ * send for it.
+ */
+function strengthFor(level) {
+  const n = Number(level);
+  let entry = LEVELS[DEFAULT_LEVEL];
+  if (Number.isFinite(n) && n >= 0) {
+    if (n <= LEVELS.length - 1) {
+      entry = LEVELS[Math.floor(n)];
+    } else {
+      entry = LEVELS.reduce((best, l) =>
+        Math.abs(l.elo - n) < Math.abs(best.elo - n) ? l : best
+      );
+    }
+  }
+  const limited = entry.elo >= UCI_ELO_MIN && entry.skill < 20;
+  const options = limited
+    ? { "Skill Level": 20, UCI_LimitStrength: true, UCI_Elo: entry.elo }
+    : { "Skill Level": entry.skill, UCI_LimitStrength: false };
+  return { ...entry, options };
+}
+
+function fullmoveOf(chess) {
+  try {
+    return Number(String(chess.fen()).split(" ")[5]) || 1;
+  } catch (e) {
+    return 1;
+  }
+}
+
+/**
+ * complexityOf(chess)
+ * ~1 for an ordinary middlegame position; lower for forced or quiet positions,
+ * up to 2 for wide, tactical ones.
+ */
+function complexityOf(chess) {
+  let moves = [];
+  try {
+    moves = chess.moves({ verbose: true }) || [];
+  } catch (e) {
+    return 1;
+  }
+  if (moves.length <= 1) return 0;
+  const tactical = moves.filter(
+    (m) => m.captured || /[+#]/.test(m.san || "")
+  ).length;
+  let c = Math.min(moves.length, 50) / 30 + Math.min(tactical, 8) * 0.08;
+  // opening moves come quickly
+  if (fullmoveOf(chess) <= 6) c *= 0.5;
+  return Math.max(0.3, Math.min(2, c));
+}
+
+/**
+ * clockFor(clocks, color, tc, now = Date.now())
+ * { remainingMs, incrementMs } for `color` (its running time charged up to
+ * now), or null for untimed games. Bronstein delay counts as increment.
+ */
+function clockFor(clocks, color, tc, now = Date.now()) {
+  if (!clocks || typeof clocks[color] !== "number") return null;
+  let remainingMs = clocks[color];
+  if (clocks.running === color && typeof clocks.lastTick === "number")
+    remainingMs -= Math.max(0, now - clocks.lastTick);
+  const control = tc || {};
+  return {
+    remainingMs: Math.max(0, remainingMs),
+    incrementMs: (control.incrementMs || 0) + (control.delayMs || 0),
+  };
+}
+
+/**
+ * clockBudgetMs(clock, fullmove)
+ * Time for one move of average complexity: the remaining time spread over
+ * the moves still expected, plus most of the increment.
+ */
+function clockBudgetMs({ remainingMs, incrementMs = 0 }, fullmove = 1) {
+  const movesToGo = Math.max(15, 45 - fullmove);
+  const budget = remainingMs / movesToGo + incrementMs * 0.8;
+  return Math.min(budget, remainingMs * MAX_CLOCK_SHARE);
+}
+
+/**
+ * planBotMove(level, chess, clock = null)
+ * { strength, thinkMs, search } where `search` is the opts object for
+ * engineRegistry.bestMove("bot", fen, search). `clock` (see clockFor) makes
+ * the think time follow the bot's clock instead of the level.
+ */
+function planBotMove(level, chess, clock = null) {
+  const strength = strengthFor(level);
+  const complexity = complexityOf(chess);
+  const jitter = 0.85 + Math.random() * 0.3;
+  let base = strength.movetime;
+  if (clock) base = clockBudgetMs(clock, fullmoveOf(chess));
+  let thinkMs = Math.max(MIN_THINK_MS, Math.round(base * complexity * jitter));
+  if (clock)
+    thinkMs = Math.min(
+      thinkMs,
+      Math.round(clock.remainingMs * MAX_CLOCK_SHARE)
+    );
+  return {
+    strength,
+    thinkMs,
+    search: {
+      level: strength.jsLevel,
+      depth: strength.depth,
+      movetime: thinkMs,
+      options: strength.options,
+      timeoutMs: thinkMs + 5000,
+    },
+  };
+}
+
+/**
+ * waitForThinkTime(startedAt, thinkMs)
+ * Resolves once thinkMs has passed since startedAt, so engines that answer
+ * instantly (the JS ones) still take the planned time.
+ */
+function waitForThinkTime(startedAt, thinkMs) {
+  const rest = thinkMs - (Date.now() - startedAt);
+  if (rest <= 0) return Promise.resolve();
+  return new Promise((resolve) => setTimeout(resolve, rest));
+}
+
+module.exports = {
+  LEVELS,
+  UCI_ELO_MIN,
+  strengthFor,
+  complexityOf,
+  clockFor,
+  clockBudgetMs,
+  planBotMove,
+  waitForThinkTime,
+};
@@ -0,0 +1,134 @@
+// backend/lib/bughouse.js
+// Bughouse matches: two linked crazyhouse boards played by two teams of two.
+//
+// Board A and board B are ordinary rooms (settings.variant "bughouse",
+// settings.bughouse = { matchId, board, partnerRoomId }). Team 0 is white on
+// A and black on B, team 1 the reverse, so a capture by `color` on one board
+// lands in the pocket of the opposite color on the other board. The pockets of
+// both boards live on the match record below; each board's chess instance
+// holds a reference to its own half.
+
+const crypto = require("crypto");
+const { emptyPockets } = require("./crazyhouse");
+
+const matches = {}; // matchId -> match
+
+function otherBoard(board) {
+  return board === "A" ? "B" : "A";
+}
+
+function opposite(color) {
+  return color === "w" ? "b" : "w";
+}
+
+/**
+ * teamOf(board, color)
+ * 0 for white on A / black on B, 1 for black on A / white on B.
+ */
+function teamOf(board, color) {
+  const whiteOnA = board === "A" ? color === "w" : color === "b";
+  return whiteOnA ? 0 : 1;
+}
+
+/**
+ * createMatch({ boards: { A, B }, teams, timeControl })
+ * teams: [[playerA, playerB], [playerA, playerB]] where playerA sits on board A.
+ */
+function createMatch({ boards, teams, timeControl = null }) {
+  const id = crypto.randomBytes(6).toString("hex");
+  const match = {
+    id,
+    boards: { A: boards.A, B: boards.B },
+    teams: teams.map((team, t) =>
+      team.map((p, i) => {
+        const board = i === 0 ? "A" : "B";
+        return {
+          userId: p && p.id ? String(p.id) : null,
+          username: (p && p.username) || null,
+          board,
+          color: board === "A" ? (t === 0 ? "w" : "b") : t === 0 ? "b" : "w",
+        };
+      })
+    ),
+    pockets: { A: emptyPockets(), B: emptyPockets() },
+    timeControl,
+    finished: null,
+    createdAt: Date.now(),
+  };
+  matches[id] = match;
+  return match;
+}
+
+function getMatch(matchId) {
+  return (matchId && matches[matchId]) || null;
+}
+
+function removeMatch(matchId) {
+  delete matches[matchId];
+}
+
+/**
+ * pocketsFor(settings)
+ * The live pocket object for a bughouse board, or null when the match is gone.
+ */
+function pocketsFor(settings) {
+  const bh = settings && settings.bughouse;
+  const match = bh ? getMatch(bh.matchId) : null;
+  return match ? match.pockets[bh.board] : null;
+}
+
+/**
+ * transferCapture(match, board, capturerColor, pieceType)
+ * Hands a piece captured on `board` to the capturer's partner.
+ */
+function transferCapture(match, board, capturerColor, pieceType) {
+  if (!match || !pieceType) return null;
+  const target = otherBoard(board);
+  const color = opposite(capturerColor);
+  match.pockets[target][color][pieceType] += 1;
+  return { board: target, color, piece: pieceType };
+}
+
+/**
+ * partnerResult(finished)
+ * What a result on one board means for the other: the winning team's partner
+ * (who plays the opposite color there) wins too; draws stay draws.
+ */
+function partnerResult(finished, board) {
+  const base = {
+    reason: "partner-board",
+    decidedOn: board,
+    decidedBy: finished.reason || null,
+    finishedAt: Date.now(),
+  };
+  if (finished.winner === "w" || finished.winner === "b") {
+    const winner = opposite(finished.winner);
+    return {
+      ...base,
+      winner,
+      loser: opposite(winner),
+      message: `Board ${board} decided the match: ${
+        finished.message || finished.reason
+      }`,
+    };
+  }
+  return {
+    ...base,
+    result: "draw",
+    message: `Board ${board} ended drawn: ${
+      finished.message || finished.reason
+    }`,
+  };
+}
+
+module.exports = {
+  matches,
+  otherBoard,
+  teamOf,
+  createMatch,
+  getMatch,
+  removeMatch,
+  pocketsFor,
+  transferCapture,
+  partnerResult,
+};
@@ -0,0 +1,280 @@
+// backend/lib/crazyhouse.js
+// Crazyhouse rules on top of chess.js: captured pieces go into the capturer's
+// pocket and may be dropped back onto any empty square instead of moving.
+//
+// chess.js knows nothing about drops, so the variant state lives on the chess
+// instance (chess.crazyhouse = { pockets, promoted, seen }) like Chess960
+// castling rights do in lib/startPosition.js. Drops are entered as
+// { drop: "n", to: "e4" } or the string "N@e4" ("@e4" / "P@e4" for pawns).
+//
+// Bughouse boards use the same state with `linked: true`: captures are not
+// pocketed locally but reported on the move result (result.transfer) for the
+// partner board, and the pockets object is shared with the match record in
+// lib/bughouse.js.
+
+const DROP_PIECES = ["p", "n", "b", "r", "q"];
+const FILES = "abcdefgh";
+
+function emptyPockets() {
+  const side = () => ({ p: 0, n: 0, b: 0, r: 0, q: 0 });
+  return { w: side(), b: side() };
+}
+
+function isCrazyhouse(settings) {
+  return (
+    !!settings && String(settings.variant || "").toLowerCase() === "crazyhouse"
+  );
+}
+
+function isBughouse(settings) {
+  return (
+    !!settings && String(settings.variant || "").toLowerCase() === "bughouse"
+  );
+}
+
+// variants whose rooms carry pockets
+function hasPockets(settings) {
+  return isCrazyhouse(settings) || isBughouse(settings);
+}
+
+/**
+ * attachState(chess, { pockets, linked })
+ * Start tracking pockets on a fresh chess instance.
+ */
+function attachState(chess, { pockets = null, linked = false } = {}) {
+  chess.crazyhouse = {
+    pockets: pockets || emptyPockets(),
+    promoted: [], // squares holding promoted pieces; they return to the pocket as pawns
+    seen: {},
+    linked,
+    replaying: false,
+  };
+  remember(chess);
+  return chess;
+}
+
+function positionKey(chess) {
+  const parts = chess.fen().split(" ");
+  const pockets = chess.crazyhouse.pockets;
+  const pocketStr = ["w", "b"]
+    .map((c) => DROP_PIECES.map((t) => pockets[c][t]).join(""))
+    .join("/");
+  return `${parts.slice(0, 4).join(" ")} [${pocketStr}]`;
+}
+
+function remember(chess) {
+  if (chess.crazyhouse.linked) return;
+  const key = positionKey(chess);
+  const seen = chess.crazyhouse.seen;
+  seen[key] = (seen[key] || 0) + 1;
+}
+
+function pocketsOf(chess) {
+  if (!chess || !chess.crazyhouse) return null;
+  const p = chess.crazyhouse.pockets;
+  return { w: { ...p.w }, b: { ...p.b } };
+}
+
+/**
+ * parseDrop(move)
+ * { piece, to } when `move` is a drop, otherwise null.
+ */
+function parseDrop(move) {
+  if (!move) return null;
+  if (typeof move === "string") {
+    const m = move.trim().match(/^([PNBRQpnbrq]?)@([a-h][1-8])[+#]?$/);
+    if (!m) return null;
+    return { piece: (m[1] || "p").toLowerCase(), to: m[2] };
+  }
+  if (typeof move !== "object") return null;
+  const piece = move.drop || (move.type === "drop" ? move.piece : null);
+  if (!piece || !move.to) return null;
+  return { piece: String(piece).toLowerCase(), to: String(move.to) };
+}
+
+/**
+ * legalDrops(chess)
+ * Every legal drop for the side to move, as { piece, to }.
+ */
+function legalDrops(chess) {
+  if (!chess || !chess.crazyhouse) return [];
+  const color = chess.turn();
+  const pocket = chess.crazyhouse.pockets[color];
+  const types = DROP_PIECES.filter((t) => pocket[t] > 0);
+  if (!types.length) return [];
+
+  const inCheck = chess.inCheck();
+  const out = [];
+  for (let r = 1; r <= 8; r++) {
+    for (const f of FILES) {
+      const sq = f + r;
+      if (chess.get(sq)) continue;
+      for (const type of types) {
+        if (type === "p" && (r === 1 || r === 8)) continue;
+        // a drop can never expose the dropper's king, so only check evasions need testing
+        if (inCheck) {
+          chess.put({ type, color }, sq);
+          const stillInCheck = chess.inCheck();
+          chess.remove(sq);
+          if (stillInCheck) continue;
+        }
+        out.push({ piece: type, to: sq });
+      }
+    }
+  }
+  return out;
+}
+
+function hasLegalMove(chess) {
+  try {
+    if (chess.moves().length > 0) return true;
+  } catch (e) {}
+  return legalDrops(chess).length > 0;
+}
+
+// bughouse: a check that some drop could block is not mate, as the partner may still send a piece
+function blockableByDrop(chess) {
+  const color = chess.turn();
+  for (let r = 1; r <= 8; r++) {
+    for (const f of FILES) {
+      const sq = f + r;
+      if (chess.get(sq)) continue;
+      chess.put({ type: "n", color }, sq);
+      const stillInCheck = chess.inCheck();
+      chess.remove(sq);
+      if (!stillInCheck) return true;
+    }
+  }
+  return false;
+}
+
+function isMate(chess) {
+  if (!chess.inCheck() || hasLegalMove(chess)) return false;
+  return !(chess.crazyhouse.linked && blockableByDrop(chess));
+}
+
+/**
+ * drop(chess, piece, to)
+ * Validates and plays a drop. Returns a chess.js-like move object or null.
+ */
+function drop(chess, piece, to) {
+  const state = chess.crazyhouse;
+  const type = String(piece || "").toLowerCase();
+  if (!DROP_PIECES.includes(type) || !/^[a-h][1-8]$/.test(String(to)))
+    return null;
+  const color = chess.turn();
+  // a bughouse replay can't know when partner pieces arrived; the live pockets are kept as they are
+  const counted = !(state.linked && state.replaying);
+  if (counted && !(state.pockets[color][type] > 0)) return null;
+  if (chess.get(to)) return null;
+  if (type === "p" && (to[1] === "1" || to[1] === "8")) return null;
+
+  const before = chess.fen().split(" ");
+  chess.put({ type, color }, to);
+  if (chess.inCheck()) {
+    chess.remove(to);
+    return null;
+  }
+
+  const them = color === "w" ? "b" : "w";
+  const placement = chess.fen().split(" ")[0];
+  const fullmove = Number(before[5] || 1) + (color === "b" ? 1 : 0);
+  chess.load(`${placement} ${them} ${before[2]} - 0 ${fullmove}`);
+  if (counted) state.pockets[color][type] -= 1;
+  remember(chess);
+
+  const suffix = isMate(chess) ? "#" : chess.inCheck() ? "+" : "";
+  return {
+    color,
+    from: null,
+    to,
+    piece: type,
+    drop: type,
+    flags: "d",
+    san: `${type.toUpperCase()}@${to}${suffix}`,
+    lan: `${type.toUpperCase()}@${to}`,
+    before: before.join(" "),
+    after: chess.fen(),
+  };
+}
+
+/**
+ * recordMove(chess, result)
+ * Pocket bookkeeping after a normal (non-drop) move has been played.
+ */
+function recordMove(chess, result) {
+  const state = chess && chess.crazyhouse;
+  if (!state || !result) return;
+  let promoted = state.promoted.filter((sq) => sq !== result.to);
+  if (result.captured) {
+    const capturedPromoted = state.promoted.includes(result.to);
+    const type = capturedPromoted ? "p" : result.captured;
+    if (state.linked) result.transfer = type;
+    else state.pockets[result.color][type] += 1;
+  }
+  if (promoted.includes(result.from)) {
+    promoted = promoted.filter((sq) => sq !== result.from);
+    promoted.push(result.to);
+  }
+  if (result.promotion) promoted.push(result.to);
+  state.promoted = promoted;
+  remember(chess);
+}
+
+/**
+ * detectFinished(chess, lastMoveResult)
+ * Crazyhouse game end: mate and stalemate count drops as legal replies,
+ * repetitions include the pockets, and there is no material or fifty-move draw.
+ */
+function detectFinished(chess, lastMoveResult = null) {
+  const now = Date.now();
+  const linked = chess.crazyhouse.linked;
+  if (!hasLegalMove(chess)) {
+    // bughouse: with no move the player waits for a piece from the partner (or flags)
+    if (linked && !isMate(chess)) return null;
+    if (chess.inCheck()) {
+      const winner =
+        (lastMoveResult && lastMoveResult.color) ||
+        (chess.turn() === "w" ? "b" : "w");
+      const loser = winner === "w" ? "b" : "w";
+      return {
+        reason: "checkmate",
+        winner,
+        loser,
+        message: `${winner.toUpperCase()} wins by checkmate`,
+        finishedAt: now,
+      };
+    }
+    return {
+      reason: "stalemate",
+      result: "draw",
+      message: "Draw by stalemate",
+      finishedAt: now,
+    };
+  }
+  if (!linked && (chess.crazyhouse.seen[positionKey(chess)] || 0) >= 3) {
+    return {
+      reason: "threefold-repetition",
+      result: "draw",
+      message: "Draw by threefold repetition",
+      finishedAt: now,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  DROP_PIECES,
+  emptyPockets,
+  isCrazyhouse,
+  isBughouse,
+  hasPockets,
+  attachState,
+  pocketsOf,
+  parseDrop,
+  legalDrops,
+  isMate,
+  drop,
+  recordMove,
+  detectFinished,
+};
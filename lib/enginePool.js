@@ -0,0 +1,146 @@
+// backend/lib/enginePool.js
+// Bounded pool of long-lived UCI engine sessions. Sessions are created lazily
+// (up to `size`), initialised once ("uci" / "isready") and handed out one
+// caller at a time; callers beyond `size` wait in FIFO order. A session whose
+// job failed or ran out of time is quit and replaced on the next acquire,
+// since it may still be searching.
+//
+// A session is what `create()` resolves to: { send(cmd), readUntil(marker,
+// timeout), quit() } (see lib/uciEngine.js); `init(session)` runs after
+// "uciok", e.g. to send the engine's options.
+
+/**
+ * createEnginePool({ create, init, size })
+ * Returns { acquire, release, withEngine, stats, shutdown }.
+ */
+function createEnginePool({ create, init = null, size = 2 } = {}) {
+  const max = Math.max(1, Math.floor(Number(size)) || 1);
+  const idle = [];
+  const busy = new Set();
+  const waiting = []; // resolve callbacks
+  let creating = 0;
+  let closed = false;
+
+  async function spawnSession() {
+    creating++;
+    try {
+      const session = await create();
+      if (!session) return null;
+      session.send("uci");
+      await session.readUntil("uciok", 3000);
+      if (init) await init(session);
+      session.send("isready");
+      await session.readUntil("readyok", 3000);
+      session.dead = false;
+      return session;
+    } catch (e) {
+      return null;
+    } finally {
+      creating--;
+    }
+  }
+
+  function destroy(session) {
+    session.dead = true;
+    busy.delete(session);
+    try {
+      session.quit();
+    } catch (e) {}
+  }
+
+  /**
+   * acquire(timeoutMs = 30000)
+   * A ready session, or null when no engine can be started or none frees up in time.
+   */
+  async function acquire(timeoutMs = 30000) {
+    if (closed) return null;
+    const ready = idle.pop();
+    if (ready) {
+      busy.add(ready);
+      return ready;
+    }
+    if (busy.size + creating < max) {
+      const session = await spawnSession();
+      if (session) busy.add(session);
+      return session;
+    }
+    return new Promise((resolve) => {
+      const entry = (session) => {
+        clearTimeout(timer);
+        resolve(session);
+      };
+      const timer = setTimeout(() => {
+        const i = waiting.indexOf(entry);
+        if (i !== -1) waiting.splice(i, 1);
+        resolve(null);
+      }, timeoutMs);
+      waiting.push(entry);
+    });
+  }
+
+  /**
+   * release(session, { broken })
+   * Return a session to the pool; broken sessions are quit (and a waiting
+   * caller gets a fresh one).
+   */
+  function release(session, { broken = false } = {}) {
+    if (!session) return;
+    if (broken || session.dead || closed) {
+      destroy(session);
+      const next = waiting.shift();
+      if (next) {
+        spawnSession().then((fresh) => {
+          if (fresh) busy.add(fresh);
+          next(fresh);
+        });
+      }
+      return;
+    }
+    try {
+      session.send("ucinewgame");
+    } catch (e) {}
+    const next = waiting.shift();
+    if (next) return next(session);
+    busy.delete(session);
+    idle.push(session);
+  }
+
+  /**
+   * withEngine(fn, { acquireTimeoutMs })
+   * Runs fn(session) on a pooled session; a throwing fn discards the session.
+   * Resolves to null (without calling fn) when no engine is available.
+   */
+  async function withEngine(fn, { acquireTimeoutMs } = {}) {
+    const session = await acquire(acquireTimeoutMs);
+    if (!session) return null;
+    try {
+      const out = await fn(session);
+      release(session);
+      return out;
+    } catch (err) {
+      release(session, { broken: true });
+      throw err;
+    }
+  }
+
+  function stats() {
+    return {
+      size: max,
+      idle: idle.length,
+      busy: busy.size,
+      starting: creating,
+      waiting: waiting.length,
+    };
+  }
+
+  function shutdown() {
+    closed = true;
+    for (const s of idle.splice(0)) destroy(s);
+    for (const s of Array.from(busy)) destroy(s);
+    for (const w of waiting.splice(0)) w(null);
+  }
+
+  return { acquire, release, withEngine, stats, shutdown };
+}
+
+module.exports = { createEnginePool };
@@ -0,0 +1,200 @@
+// backend/lib/fogOfWar.js
+// Fog-of-war (dark chess): each player only sees the squares their own pieces
+// can move to. There is no check: kings may move into attack, and the game is
+// won by capturing the opponent's king.
+//
+// chess.js only plays legal moves, so fog rooms generate and play pseudo-legal
+// moves through lib/pseudoLegal.js (chess.fogOfWar = { ep } holds the
+// en-passant square, which chess.js drops from fen() whenever the capture
+// would be illegal in normal chess).
+// Per-viewer state for emits comes from viewFor(room, color); a bot's engine
+// searches botViewFen(chess, color), the same view with the enemy king put
+// where the bot last saw it.
+
+const {
+  opposite,
+  pieceMap,
+  pseudoMoves: generate,
+  findMove,
+  placementOf,
+  epAfter,
+  play,
+} = require("./pseudoLegal");
+
+function isFogOfWar(settings) {
+  const v = String((settings && settings.variant) || "").toLowerCase();
+  return v === "fogofwar" || v === "fog-of-war" || v === "dark";
+}
+
+function attachState(chess) {
+  const ep = chess.fen().split(" ")[3] || "-";
+  // where each side last saw the enemy king (the start position is public)
+  const seenKing = { w: null, b: null };
+  for (const [square, p] of Object.entries(pieceMap(chess)))
+    if (p.type === "k") seenKing[opposite(p.color)] = square;
+  chess.fogOfWar = { ep, seenKing };
+  return chess;
+}
+
+/**
+ * pseudoMoves(chess, color = side to move)
+ * Every move ignoring check, in chess.js verbose-move shape.
+ */
+function pseudoMoves(chess, color) {
+  const ep = (chess.fogOfWar && chess.fogOfWar.ep) || "-";
+  return generate(chess, color, { ep });
+}
+
+/**
+ * move(chess, input)
+ * Plays a pseudo-legal move ({ from, to, promotion? }, "e2e4" or SAN).
+ * Returns a chess.js-like move object or null.
+ */
+function move(chess, input) {
+  const all = pseudoMoves(chess);
+  const m = findMove(all, input);
+  if (!m) return null;
+  const result = play(chess, m, all);
+  chess.fogOfWar.ep = epAfter(m);
+  if (m.captured === "k") result.san += "#";
+  return result;
+}
+
+/**
+ * visibleSquares(chess, color)
+ * Squares `color` can see: its own pieces and everywhere they could move.
+ */
+function visibleSquares(chess, color) {
+  const out = new Set();
+  const board = pieceMap(chess);
+  for (const [square, p] of Object.entries(board))
+    if (p.color === color) out.add(square);
+  for (const m of pseudoMoves(chess, color)) {
+    out.add(m.to);
+    if (m.flags.includes("e")) out.add(m.to[0] + m.from[1]);
+  }
+  return out;
+}
+
+/**
+ * viewFen(chess, color)
+ * FEN with every enemy piece outside `color`'s sight removed; a null color
+ * (spectator during play) sees no pieces at all.
+ */
+function viewFen(chess, color) {
+  return fenOf(chess, color, viewBoard(chess, color));
+}
+
+function viewBoard(chess, color) {
+  const board = pieceMap(chess);
+  const visible = color ? visibleSquares(chess, color) : new Set();
+  for (const [square, p] of Object.entries(board)) {
+    if (p.color === color) continue;
+    if (!visible.has(square)) delete board[square];
+  }
+  return board;
+}
+
+function fenOf(chess, color, board) {
+  const parts = chess.fen().split(" ");
+  const ep = chess.fogOfWar ? chess.fogOfWar.ep : parts[3];
+  return [
+    placementOf(board),
+    parts[1],
+    parts[2],
+    color && parts[1] === color ? ep : "-",
+    parts[4],
+    parts[5],
+  ].join(" ");
+}
+
+/**
+ * botViewFen(chess, color)
+ * viewFen for a bot playing `color`, with an enemy king out of sight put back
+ * on the square the bot last saw it on, so an engine can search it. Null when
+ * that square now shows another piece.
+ */
+function botViewFen(chess, color) {
+  const board = viewBoard(chess, color);
+  const seen = (chess.fogOfWar && chess.fogOfWar.seenKing) || {};
+  const king = Object.keys(board).find(
+    (square) => board[square].type === "k" && board[square].color !== color
+  );
+  if (king) seen[color] = king;
+  else if (!seen[color] || board[seen[color]]) return null;
+  else board[seen[color]] = { type: "k", color: opposite(color) };
+  return fenOf(chess, color, board);
+}
+
+/**
+ * viewMoves(moves, color, startTurn)
+ * Move list as `color` may see it: its own moves, and only the index of the
+ * opponent's.
+ */
+function viewMoves(moves, color, startTurn = "w") {
+  return (moves || []).map((m, i) => {
+    const mover = i % 2 === 0 ? startTurn : opposite(startTurn);
+    if (color && mover === color) return m;
+    return { index: m.index, hidden: true };
+  });
+}
+
+/**
+ * viewFor(room, color)
+ * { fen, moves, visible } for one viewer of a fog room still in play, or
+ * null when everything may be shown (other variants, finished games).
+ */
+function viewFor(room, color) {
+  if (!room || !isFogOfWar(room.settings) || room.finished) return null;
+  const chess = room.chess;
+  if (!chess || !chess.fogOfWar) return null;
+  const startTurn =
+    String((room.settings && room.settings.startFen) || "").split(" ")[1] ||
+    "w";
+  return {
+    fen: viewFen(chess, color),
+    moves: viewMoves(room.moves, color, startTurn),
+    visible: color ? Array.from(visibleSquares(chess, color)) : [],
+  };
+}
+
+/**
+ * detectFinished(chess, lastMoveResult)
+ * King capture wins; a side with no moves at all is stalemated.
+ */
+function detectFinished(chess, lastMoveResult = null) {
+  const now = Date.now();
+  if (lastMoveResult && lastMoveResult.captured === "k") {
+    const winner = lastMoveResult.color;
+    const loser = opposite(winner);
+    return {
+      reason: "king-captured",
+      winner,
+      loser,
+      message: `${winner.toUpperCase()} wins by capturing the king`,
+      finishedAt: now,
+    };
+  }
+  if (pseudoMoves(chess).length === 0) {
+    return {
+      reason: "stalemate",
+      result: "draw",
+      message: "Draw by stalemate",
+      finishedAt: now,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  isFogOfWar,
+  attachState,
+  pseudoMoves,
+  move,
+  visibleSquares,
+  viewFen,
+  botViewFen,
+  viewMoves,
+  viewFor,
+  detectFinished,
+};
@@ -0,0 +1,193 @@
+// backend/lib/glicko2.js
+// Glicko-2 ratings (Glickman, "Example of the Glicko-2 system"). Every rated
+// game is its own rating period, so a player is updated against exactly one
+// opponent with score 1 (win), 0.5 (draw) or 0 (loss).
+//
+// A rating entry is { rating, rd, vol, games, wins, losses, draws,
+// provisional, updatedAt }; users keep one per rating category under
+// `ratings.<category>` (lib/ratingCategories.js) and the public cups number
+// is derived from the rounded rating (displayCups).
+
+const SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOL = 0.06;
+const MIN_RD = 45;
+const MAX_VOL = 0.1;
+const TAU = Number(process.env.GLICKO_TAU || 0.5); // volatility constraint
+const PROVISIONAL_RD = Number(process.env.GLICKO_PROVISIONAL_RD || 110);
+const SEED_RD = 250; // entries seeded from pre-Glicko cups
+const EPSILON = 0.000001;
+
+function defaultEntry() {
+  return {
+    rating: DEFAULT_RATING,
+    rd: DEFAULT_RD,
+    vol: DEFAULT_VOL,
+    games: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    provisional: true,
+    updatedAt: null,
+  };
+}
+
+/**
+ * entryOf(user, key)
+ * The user's rating entry on ladder `key`, or a fresh default one.
+ */
+function entryOf(user, key) {
+  const stored = user && user.ratings && user.ratings[key];
+  if (!stored || !Number.isFinite(Number(stored.rating))) return defaultEntry();
+  return { ...defaultEntry(), ...stored };
+}
+
+/**
+ * seededEntry(legacyCups)
+ * First entry for a player who had cups before Glicko-2: the old cups started
+ * at 0 and moved by Elo-like deltas, so they count as points above the
+ * default rating, with a wide deviation so the first games correct it.
+ */
+function seededEntry(legacyCups) {
+  const cups = Number(legacyCups);
+  if (!Number.isFinite(cups) || cups <= 0) return defaultEntry();
+  return { ...defaultEntry(), rating: DEFAULT_RATING + cups, rd: SEED_RD };
+}
+
+function isProvisional(entry) {
+  return !entry || Number(entry.rd) > PROVISIONAL_RD;
+}
+
+function displayCups(entry) {
+  return Math.round(Number(entry && entry.rating) || DEFAULT_RATING);
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expectedScore(mu, muJ, phiJ) {
+  return 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+}
+
+// step 5: new volatility by the Illinois root-finding iteration
+function newVolatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  for (let i = 0; i < 100 && Math.abs(B - A) > EPSILON; i++) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * rate(player, opponent, score)
+ * { rating, rd, vol } of `player` after one game against `opponent`.
+ */
+function rate(player, opponent, score) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+  const muJ = (opponent.rating - DEFAULT_RATING) / SCALE;
+  const phiJ = opponent.rd / SCALE;
+
+  const gJ = g(phiJ);
+  const E = expectedScore(mu, muJ, phiJ);
+  const v = 1 / (gJ * gJ * E * (1 - E));
+  const delta = v * gJ * (score - E);
+
+  const sigma = Math.min(MAX_VOL, newVolatility(phi, player.vol, v, delta));
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * gJ * (score - E);
+
+  return {
+    rating: muNew * SCALE + DEFAULT_RATING,
+    rd: Math.max(MIN_RD, Math.min(DEFAULT_RD, phiNew * SCALE)),
+    vol: sigma,
+  };
+}
+
+/**
+ * applyResult(entry, opponentEntry, score)
+ * The updated rating entry (rating, deviation, volatility and W/L/D counts)
+ * after a game scored `score` against `opponentEntry`.
+ */
+function applyResult(entry, opponentEntry, score) {
+  const next = rate(entry, opponentEntry, score);
+  const out = {
+    ...entry,
+    rating: Math.round(next.rating * 100) / 100,
+    rd: Math.round(next.rd * 100) / 100,
+    vol: Math.round(next.vol * 1e6) / 1e6,
+    games: (entry.games || 0) + 1,
+    wins: (entry.wins || 0) + (score === 1 ? 1 : 0),
+    losses: (entry.losses || 0) + (score === 0 ? 1 : 0),
+    draws: (entry.draws || 0) + (score === 0.5 ? 1 : 0),
+    updatedAt: new Date(),
+  };
+  out.provisional = isProvisional(out);
+  return out;
+}
+
+/**
+ * expectedFor(entry, opponentEntry)
+ * Expected score of `entry` against `opponentEntry` (0..1).
+ */
+function expectedFor(entry, opponentEntry) {
+  return expectedScore(
+    (entry.rating - DEFAULT_RATING) / SCALE,
+    (opponentEntry.rating - DEFAULT_RATING) / SCALE,
+    opponentEntry.rd / SCALE
+  );
+}
+
+// the { rating, rd, vol } part of an entry, as stored on Game before/after
+function snapshot(entry) {
+  return {
+    rating: entry.rating,
+    rd: entry.rd,
+    vol: entry.vol,
+    provisional: isProvisional(entry),
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_RD,
+  DEFAULT_VOL,
+  PROVISIONAL_RD,
+  defaultEntry,
+  entryOf,
+  seededEntry,
+  isProvisional,
+  displayCups,
+  expectedFor,
+  rate,
+  applyResult,
+  snapshot,
+};
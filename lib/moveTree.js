@@ -0,0 +1,288 @@
+// backend/lib/moveTree.js
+// Move trees for analysis boards (services/analysisBoardService.js) and study
+// chapters (services/studyService.js). The root
+// node is the start position and every other node one move; a node's first
+// child continues its line, the others are variations. Trees are plain
+// objects so they persist as they are:
+//
+//   { rootId, nextId, nodes: { [id]: { id, parentId, children, ply, fen,
+//                                      move, comment, nags } } }
+//
+// move is { from, to, promotion?, san }. Orthodox chess only (standard start
+// or a custom FEN).
+
+const {
+  STANDARD_FEN,
+  createChess,
+  applyMove,
+  toMoveInput,
+} = require("./startPosition");
+
+const MAX_NODES = 3000;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_NAGS = 4;
+
+function makeNode(id, parentId, ply, fen, move = null) {
+  return {
+    id,
+    parentId,
+    children: [],
+    ply,
+    fen,
+    move,
+    comment: null,
+    nags: [],
+  };
+}
+
+/**
+ * createTree(startFen)
+ * A tree holding only the start position.
+ */
+function createTree(startFen = STANDARD_FEN) {
+  const root = makeNode("0", null, 0, startFen || STANDARD_FEN);
+  return { rootId: root.id, nextId: 1, nodes: { [root.id]: root } };
+}
+
+/**
+ * getNode(tree, id)
+ * The node with that id, or null (ids are checked as own keys only).
+ */
+function getNode(tree, id) {
+  const key = String(id);
+  return Object.prototype.hasOwnProperty.call(tree.nodes, key)
+    ? tree.nodes[key]
+    : null;
+}
+
+function nodeCount(tree) {
+  return Object.keys(tree.nodes).length;
+}
+
+/**
+ * addMove(tree, parentId, move)
+ * Play `move` (SAN or { from, to, promotion }) after `parentId`. A move that
+ * is already there is reused instead of added twice.
+ * Returns { ok, node, created } or { ok: false, error }.
+ */
+function addMove(tree, parentId, move) {
+  const parent = getNode(tree, parentId);
+  if (!parent) return { ok: false, error: "Unknown node" };
+  const chess = createChess({ startFen: parent.fen });
+  const result = move ? applyMove(chess, move) : null;
+  if (!result) return { ok: false, error: "Illegal move" };
+
+  const existing = parent.children
+    .map((id) => tree.nodes[id])
+    .find((n) => n && n.move && n.move.san === result.san);
+  if (existing) return { ok: true, node: existing, created: false };
+  if (nodeCount(tree) >= MAX_NODES)
+    return { ok: false, error: "Analysis is too large" };
+
+  const stored = { from: result.from, to: result.to, san: result.san };
+  if (result.promotion) stored.promotion = result.promotion;
+  const id = String(tree.nextId++);
+  const node = makeNode(id, parent.id, parent.ply + 1, chess.fen(), stored);
+  tree.nodes[id] = node;
+  parent.children.push(id);
+  return { ok: true, node, created: true };
+}
+
+/**
+ * deleteNode(tree, nodeId)
+ * Remove a node and everything after it. Returns { ok, parentId, removed }.
+ */
+function deleteNode(tree, nodeId) {
+  const node = getNode(tree, nodeId);
+  if (!node) return { ok: false, error: "Unknown node" };
+  if (node.id === tree.rootId)
+    return { ok: false, error: "Cannot delete the start position" };
+  const parent = tree.nodes[node.parentId];
+  parent.children = parent.children.filter((id) => id !== node.id);
+  const removed = [];
+  const stack = [node.id];
+  while (stack.length) {
+    const id = stack.pop();
+    const n = tree.nodes[id];
+    if (!n) continue;
+    removed.push(id);
+    stack.push(...n.children);
+    delete tree.nodes[id];
+  }
+  return { ok: true, parentId: parent.id, removed };
+}
+
+/**
+ * promoteNode(tree, nodeId, toMainline = false)
+ * Move a variation up to be its parent's first child; with toMainline the
+ * same is done at every branch point above it, so its line becomes the main one.
+ */
+function promoteNode(tree, nodeId, toMainline = false) {
+  let node = getNode(tree, nodeId);
+  if (!node) return { ok: false, error: "Unknown node" };
+  if (node.id === tree.rootId)
+    return { ok: false, error: "Cannot promote the start position" };
+  while (node && node.parentId !== null) {
+    const parent = tree.nodes[node.parentId];
+    parent.children = [
+      node.id,
+      ...parent.children.filter((id) => id !== node.id),
+    ];
+    if (!toMainline) break;
+    node = parent;
+  }
+  return { ok: true };
+}
+
+/**
+ * setComment(tree, nodeId, text)
+ * Empty text removes the comment.
+ */
+function setComment(tree, nodeId, text) {
+  const node = getNode(tree, nodeId);
+  if (!node) return { ok: false, error: "Unknown node" };
+  const comment = String(text || "").trim();
+  if (comment.length > MAX_COMMENT_LENGTH)
+    return { ok: false, error: "Comment is too long" };
+  node.comment = comment || null;
+  return { ok: true, comment: node.comment };
+}
+
+/**
+ * setNags(tree, nodeId, nags)
+ * Replace a move's NAGs ($1 good move, $2 mistake, ... $255).
+ */
+function setNags(tree, nodeId, nags) {
+  const node = getNode(tree, nodeId);
+  if (!node) return { ok: false, error: "Unknown node" };
+  if (node.id === tree.rootId)
+    return { ok: false, error: "The start position has no move" };
+  const list = Array.isArray(nags) ? nags.map(Number) : [];
+  if (list.some((n) => !Number.isInteger(n) || n < 1 || n > 255))
+    return { ok: false, error: "Invalid NAG" };
+  node.nags = Array.from(new Set(list)).slice(0, MAX_NAGS);
+  return { ok: true, nags: node.nags };
+}
+
+/**
+ * pathTo(tree, nodeId)
+ * Nodes from the root down to nodeId (inclusive), or [] if it is unknown.
+ */
+function pathTo(tree, nodeId) {
+  const path = [];
+  let node = getNode(tree, nodeId);
+  while (node) {
+    path.unshift(node);
+    node = node.parentId !== null ? tree.nodes[node.parentId] : null;
+  }
+  return path;
+}
+
+/**
+ * mainlineOf(tree, fromId = rootId)
+ * The line of first children starting at fromId.
+ */
+function mainlineOf(tree, fromId = tree.rootId) {
+  const line = [];
+  let node = getNode(tree, fromId);
+  while (node) {
+    line.push(node);
+    node = node.children.length ? tree.nodes[node.children[0]] : null;
+  }
+  return line;
+}
+
+/**
+ * applyOp(tree, op, currentNodeId)
+ * One edit from a client:
+ *   { type: "move", parentId, move }       add a move (or reuse it)
+ *   { type: "delete", nodeId }             drop a node and its subtree
+ *   { type: "promote", nodeId, mainline }  raise a variation
+ *   { type: "comment", nodeId, text }
+ *   { type: "nags", nodeId, nags }
+ *   { type: "select", nodeId }             move the shared cursor
+ * Returns { ok, update, currentNodeId } — update describes the change for
+ * the other viewers — or { ok: false, error }.
+ */
+function applyOp(tree, op, currentNodeId = tree.rootId) {
+  const type = op && op.type;
+  const nodeId = op && op.nodeId !== undefined ? String(op.nodeId) : null;
+  let current = currentNodeId;
+  let result = null;
+  let update = null;
+  switch (type) {
+    case "move":
+      result = addMove(tree, op.parentId, op.move);
+      if (result.ok) {
+        current = result.node.id;
+        update = { node: result.node, created: result.created };
+      }
+      break;
+    case "delete":
+      result = deleteNode(tree, nodeId);
+      if (result.ok) {
+        if (!getNode(tree, current)) current = result.parentId;
+        update = { nodeId, parentId: result.parentId, removed: result.removed };
+      }
+      break;
+    case "promote":
+      result = promoteNode(tree, nodeId, !!op.mainline);
+      if (result.ok) update = { nodeId, mainline: !!op.mainline };
+      break;
+    case "comment":
+      result = setComment(tree, nodeId, op.text);
+      if (result.ok) update = { nodeId, comment: result.comment };
+      break;
+    case "nags":
+      result = setNags(tree, nodeId, op.nags);
+      if (result.ok) update = { nodeId, nags: result.nags };
+      break;
+    case "select":
+      result = getNode(tree, nodeId)
+        ? { ok: true }
+        : { ok: false, error: "Unknown node" };
+      if (result.ok) {
+        current = nodeId;
+        update = { nodeId };
+      }
+      break;
+    default:
+      return { ok: false, error: "Unknown op" };
+  }
+  if (!result.ok) return { ok: false, error: result.error };
+  return { ok: true, update: { type, ...update }, currentNodeId: current };
+}
+
+/**
+ * fromMoves(startFen, records)
+ * A tree whose main line is a game's move records (see toMoveInput),
+ * keeping their comments and NAGs. Stops at the first record that doesn't apply.
+ */
+function fromMoves(startFen, records = []) {
+  const tree = createTree(startFen);
+  let parentId = tree.rootId;
+  for (const record of records) {
+    const input = toMoveInput(record);
+    const added = input ? addMove(tree, parentId, input) : null;
+    if (!added || !added.ok) break;
+    if (record.comment) added.node.comment = record.comment;
+    if (Array.isArray(record.nags)) added.node.nags = record.nags.slice();
+    parentId = added.node.id;
+  }
+  return tree;
+}
+
+module.exports = {
+  MAX_NODES,
+  createTree,
+  getNode,
+  addMove,
+  deleteNode,
+  promoteNode,
+  setComment,
+  setNags,
+  pathTo,
+  mainlineOf,
+  applyOp,
+  fromMoves,
+};
@@ -0,0 +1,127 @@
+// backend/lib/negamaxEngine.js
+// Built-in JS engine: negamax with alpha-beta over chess.js, material plus a
+// small mobility term at the leaves. Weak and slow but dependency-free; it is
+// registered as the "negamax" engine in services/engineRegistry.js.
+
+const { Chess } = require("chess.js");
+
+function mapLevelToDepth(level) {
+  // safe mapping; allow surprisingly shallow depths to keep CPU usage reasonable
+  const lvl = Number(level) || 2;
+  if (lvl <= 1) return 1;
+  if (lvl === 2) return 2;
+  if (lvl === 3) return 3;
+  return 4;
+}
+
+function evaluateChessMaterialAndMobility(chessInstance) {
+  // returns score from White's perspective (higher => better for white)
+  const MAT = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 200 };
+  let s = 0;
+  try {
+    const board = chessInstance.board(); // 8x8 array
+    for (let r = 0; r < 8; r++) {
+      for (let c = 0; c < 8; c++) {
+        const cell = board[r][c];
+        if (!cell) continue;
+        const v = MAT[cell.type] || 0;
+        s += cell.color === "w" ? v : -v;
+      }
+    }
+    // mobility: small bonus
+    const wMoves = chessInstance.moves({
+      verbose: false,
+      legal: true,
+      color: "w",
+    }).length;
+    const bMoves = chessInstance.moves({
+      verbose: false,
+      legal: true,
+      color: "b",
+    }).length;
+    s += 0.08 * (wMoves - bMoves);
+  } catch (e) {}
+  return s;
+}
+
+// negamax with alpha-beta using chess.js instance
+function negamaxSearch(chessInstance, depth, alpha, beta, colorSign) {
+  // colorSign = 1 if evaluating from White perspective for current side; easier to treat like
+  // We'll evaluate position at leaf by using evaluateChessMaterialAndMobility and flipping sign as needed.
+  const moves = chessInstance.moves({ verbose: true });
+  if (depth === 0 || moves.length === 0) {
+    const evalv = evaluateChessMaterialAndMobility(chessInstance);
+    // return value from side-to-move perspective
+    return (chessInstance.turn() === "w" ? 1 : -1) * evalv;
+  }
+
+  // move ordering: captures first
+  moves.sort((a, b) => {
+    const va = a.captured
+      ? a.captured in { p: 1, n: 3, b: 3, r: 5, q: 9 }
+        ? { p: 1, n: 3, b: 3, r: 5, q: 9 }[a.captured]
+        : 0
+      : 0;
+    const vb = b.captured
+      ? b.captured in { p: 1, n: 3, b: 3, r: 5, q: 9 }
+        ? { p: 1, n: 3, b: 3, r: 5, q: 9 }[b.captured]
+        : 0
+      : 0;
+    return vb - va;
+  });
+
+  let best = -Infinity;
+  for (let i = 0; i < moves.length; i++) {
+    const mv = moves[i];
+    try {
+      chessInstance.move({
+        from: mv.from,
+        to: mv.to,
+        promotion: mv.promotion || "q",
+      });
+    } catch (e) {
+      continue;
+    }
+    const score = -negamaxSearch(
+      chessInstance,
+      depth - 1,
+      -beta,
+      -alpha,
+      -colorSign
+    );
+    chessInstance.undo();
+    if (score > best) best = score;
+    if (score > alpha) alpha = score;
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+/**
+ * bestMove(fen, level = 2)
+ * { from, to, promotion? } chosen by a depth-limited negamax search
+ * (level 0..4, see mapLevelToDepth), or null when there is no legal move.
+ */
+function bestMove(fen, level = 2) {
+  const chess = new Chess(fen);
+  const depth = mapLevelToDepth(level);
+  const moves = chess.moves({ verbose: true });
+  if (!moves.length) return null;
+  let best = null;
+  let bestScore = -Infinity;
+  for (const mv of moves) {
+    chess.move({ from: mv.from, to: mv.to, promotion: mv.promotion || "q" });
+    const score = -negamaxSearch(chess, depth - 1, -Infinity, Infinity, -1);
+    chess.undo();
+    // random tie-break keeps the bot from always playing the same line
+    if (score > bestScore || (score === bestScore && Math.random() < 0.3)) {
+      bestScore = score;
+      best = mv;
+    }
+  }
+  const out = { from: best.from, to: best.to };
+  if (best.promotion) out.promotion = best.promotion;
+  return out;
+}
+
+module.exports = { bestMove, negamaxSearch, mapLevelToDepth };
@@ -0,0 +1,452 @@
+// backend/lib/pgn.js
+// PGN export of saved games (models/Game.js). Moves are replayed from the
+// game's start position to get SAN; the Seven Tag Roster comes first, then
+// the optional tags (ratings, time control, termination, variant / FEN).
+// Remaining clock times are written as `{ [%clk h:mm:ss.s] }` comments when
+// the move records carry them; imported games (services/pgnImport.js) keep
+// their own tags, comments and NAGs.
+//
+// treeToPgn writes an analysis / study move tree (lib/moveTree.js) with its
+// variations.
+//
+// parsePgn reads PGN text (one or more games) into headers, main-line SAN
+// moves with their comments / NAGs, and the result. Variations are skipped.
+
+const {
+  STANDARD_FEN,
+  createChess,
+  applyMove,
+  toMoveInput,
+} = require("./startPosition");
+const { normalizeVariant } = require("./variants");
+const { categoryFor } = require("./ratingCategories");
+
+// PGN "Variant" tag values, as other chess servers write them
+const VARIANT_TAGS = {
+  chess960: "Chess960",
+  crazyhouse: "Crazyhouse",
+  bughouse: "Bughouse",
+  fogofwar: "Fog of War",
+  threecheck: "Three-check",
+  kingofthehill: "King of the Hill",
+  antichess: "Antichess",
+};
+
+const DRAW_REASONS = new Set([
+  "draw",
+  "stalemate",
+  "threefold-repetition",
+  "insufficient-material",
+  "draw-agreed",
+]);
+
+function tagValue(v) {
+  return String(v === null || v === undefined ? "?" : v).replace(
+    /[\\"]/g,
+    (c) => `\\${c}`
+  );
+}
+
+function pgnDate(d) {
+  const date = d ? new Date(d) : null;
+  if (!date || isNaN(date.getTime())) return "????.??.??";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(
+    date.getUTCDate()
+  )}`;
+}
+
+/**
+ * formatClock(ms)
+ * "h:mm:ss" (tenths added under a minute), as used by %clk.
+ */
+function formatClock(ms) {
+  const total = Math.max(0, Number(ms) || 0);
+  const h = Math.floor(total / 3600000);
+  const m = Math.floor((total % 3600000) / 60000);
+  const s = Math.floor((total % 60000) / 1000);
+  const base = `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(
+    2,
+    "0"
+  )}`;
+  return total < 60000 ? `${base}.${Math.floor((total % 1000) / 100)}` : base;
+}
+
+/**
+ * resultOf(finished)
+ * "1-0", "0-1", "1/2-1/2" or "*" for a room/game `finished` object.
+ */
+function resultOf(finished) {
+  if (!finished) return "*";
+  const winner = finished.winner || finished.winnerColor || null;
+  if (winner === "w" || winner === "white") return "1-0";
+  if (winner === "b" || winner === "black") return "0-1";
+  if (
+    String(finished.result || "").toLowerCase() === "draw" ||
+    DRAW_REASONS.has(String(finished.reason || "").toLowerCase())
+  )
+    return "1/2-1/2";
+  return "*";
+}
+
+/**
+ * terminationOf(finished)
+ * PGN Termination tag: "normal", "time forfeit", "abandoned" or "unterminated".
+ */
+function terminationOf(finished) {
+  if (!finished) return "unterminated";
+  const reason = String(finished.reason || "").toLowerCase();
+  if (reason === "timeout") return "time forfeit";
+  if (
+    reason === "abandoned" ||
+    reason === "opponent-disconnected" ||
+    reason === "first-move-timeout"
+  )
+    return "abandoned";
+  return "normal";
+}
+
+// "300+2" (seconds); Bronstein delay has no PGN form and is written as no bonus
+function timeControlTag(tc) {
+  if (!tc || typeof tc.baseMs !== "number") return "-";
+  return `${Math.round(tc.baseMs / 1000)}+${Math.round(
+    (tc.incrementMs || 0) / 1000
+  )}`;
+}
+
+function commentToken(text) {
+  return `{ ${String(text).replace(/}/g, ")")} }`;
+}
+
+function playerName(p) {
+  const u = (p && p.user) || {};
+  return u.username || u.displayName || (p && p.id) || "?";
+}
+
+/**
+ * gameToPgn(game, { site })
+ * PGN text of a saved game (a Game document or plain object).
+ */
+function gameToPgn(game, { site = "?" } = {}) {
+  const players = game.players || [];
+  const white = players.find((p) => p.color === "w");
+  const black = players.find((p) => p.color === "b");
+  const finished = game.finished || null;
+  const result = resultOf(finished);
+  const variant = normalizeVariant(game.variant) || "standard";
+  const startFen = game.startFen || STANDARD_FEN;
+
+  const timed = !!game.timeControl;
+  const kind = timed ? categoryFor(variant, game.timeControl) : "untimed";
+  const tags = [
+    ["Event", `${game.rated === false ? "Casual" : "Rated"} ${kind} game`],
+    ["Site", site],
+    ["Date", pgnDate(game.createdAt)],
+    ["Round", "-"],
+    ["White", playerName(white)],
+    ["Black", playerName(black)],
+    ["Result", result],
+  ];
+  const changes = game.ratingChanges || {};
+  if (changes.w && typeof changes.w.before === "number")
+    tags.push(["WhiteElo", Math.round(changes.w.before)]);
+  if (changes.b && typeof changes.b.before === "number")
+    tags.push(["BlackElo", Math.round(changes.b.before)]);
+  tags.push(["TimeControl", timeControlTag(game.timeControl)]);
+  tags.push(["Termination", terminationOf(finished)]);
+  const variantTag = game.chess960 ? "Chess960" : VARIANT_TAGS[variant];
+  if (variantTag) tags.push(["Variant", variantTag]);
+  if (startFen !== STANDARD_FEN || game.chess960) {
+    tags.push(["SetUp", "1"]);
+    tags.push(["FEN", startFen]);
+  }
+
+  // imported games keep their own tags (Result always follows the stored
+  // finish); event, site and date we don't know are left unknown
+  const imported = game.imported || null;
+  const headers = (imported && imported.headers) || {};
+  const UNKNOWN = { Event: "?", Site: "?", Date: "????.??.??", Round: "?" };
+  for (const tag of tags) {
+    if (tag[0] === "Result") continue;
+    if (headers[tag[0]] !== undefined) tag[1] = headers[tag[0]];
+    else if (imported && UNKNOWN[tag[0]]) tag[1] = UNKNOWN[tag[0]];
+  }
+  for (const [k, v] of Object.entries(headers)) {
+    if (!tags.some((t) => t[0] === k)) tags.push([k, v]);
+  }
+
+  // movetext: replay to get SAN, stop at the first record that doesn't apply
+  const chess = createChess({
+    startFen,
+    chess960: !!game.chess960,
+    variant,
+  });
+  const tokens = [];
+  if (imported && imported.comment) tokens.push(commentToken(imported.comment));
+  const [, turn = "w", , , , full = "1"] = startFen.split(" ");
+  let moveNumber = Number(full) || 1;
+  let color = turn;
+  let aside = true; // black moves need "n..." at the start and after comments
+  const records = game.moves || [];
+  for (let i = 0; i < records.length; i++) {
+    if (!records[i]) break;
+    const input = toMoveInput(records[i]);
+    const move = input ? applyMove(chess, input) : null;
+    if (!move) break;
+    if (color === "w") tokens.push(`${moveNumber}.`);
+    else if (aside) tokens.push(`${moveNumber}...`);
+    tokens.push(move.san || `${move.from}${move.to}`);
+    for (const nag of records[i].nags || []) tokens.push(`$${nag}`);
+    aside = false;
+    const clocks = records[i].clocks;
+    if (clocks && typeof clocks[color] === "number") {
+      tokens.push(`{ [%clk ${formatClock(clocks[color])}] }`);
+      aside = true;
+    }
+    if (records[i].comment) {
+      tokens.push(commentToken(records[i].comment));
+      aside = true;
+    }
+    if (color === "b") moveNumber++;
+    color = color === "w" ? "b" : "w";
+  }
+  tokens.push(result);
+
+  return renderPgn(tags, tokens);
+}
+
+// tag section, blank line, movetext wrapped at 80 columns
+function renderPgn(tags, tokens) {
+  const lines = [];
+  let line = "";
+  for (const t of tokens) {
+    if (line && line.length + 1 + t.length > 80) {
+      lines.push(line);
+      line = t;
+    } else {
+      line = line ? `${line} ${t}` : t;
+    }
+  }
+  if (line) lines.push(line);
+
+  return (
+    tags.map(([k, v]) => `[${k} "${tagValue(v)}"]`).join("\n") +
+    "\n\n" +
+    lines.join("\n") +
+    "\n"
+  );
+}
+
+/**
+ * treeToPgn(tree, { tags, result })
+ * PGN of a move tree (lib/moveTree.js) with its variations, comments and
+ * NAGs. `tags` are [name, value] pairs; roster tags replace the "?" defaults.
+ */
+function treeToPgn(tree, { tags = [], result = "*" } = {}) {
+  const all = [
+    ["Event", "?"],
+    ["Site", "?"],
+    ["Date", "????.??.??"],
+    ["Round", "?"],
+    ["White", "?"],
+    ["Black", "?"],
+    ["Result", result],
+  ];
+  for (const [k, v] of tags) {
+    const existing = all.find((t) => t[0] === k);
+    if (!existing) all.push([k, v]);
+    else if (k !== "Result") existing[1] = v;
+  }
+  const root = tree.nodes[tree.rootId];
+  if (root.fen !== STANDARD_FEN && !all.some((t) => t[0] === "FEN")) {
+    all.push(["SetUp", "1"]);
+    all.push(["FEN", root.fen]);
+  }
+
+  // one line from `first` on; variations follow the main move they replace
+  const lineTokens = (first) => {
+    const out = [];
+    let node = first;
+    let force = true; // black moves need "n..." at the start and after asides
+    while (node) {
+      const parent = tree.nodes[node.parentId];
+      const [, turn = "w", , , , full = "1"] = parent.fen.split(" ");
+      if (turn === "w") out.push(`${full}.`);
+      else if (force) out.push(`${full}...`);
+      out.push(node.move.san);
+      for (const nag of node.nags || []) out.push(`$${nag}`);
+      force = false;
+      if (node.comment) {
+        out.push(commentToken(node.comment));
+        force = true;
+      }
+      if (parent.children[0] === node.id && parent.children.length > 1) {
+        for (const altId of parent.children.slice(1)) {
+          const alt = lineTokens(tree.nodes[altId]);
+          alt[0] = `(${alt[0]}`;
+          alt[alt.length - 1] = `${alt[alt.length - 1]})`;
+          out.push(...alt);
+        }
+        force = true;
+      }
+      node = node.children.length ? tree.nodes[node.children[0]] : null;
+    }
+    return out;
+  };
+
+  const tokens = [];
+  if (root.comment) tokens.push(commentToken(root.comment));
+  if (root.children.length)
+    tokens.push(...lineTokens(tree.nodes[root.children[0]]));
+  tokens.push(result);
+  return renderPgn(all, tokens);
+}
+
+const TAG_RE = /\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y;
+const RESULT_RE = /^(1-0|0-1|1\/2-1\/2|\*)$/;
+// move suffix annotations and their NAG numbers
+const SUFFIX_NAGS = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+
+// PGN text -> tokens: tag, comment, nag, san, result, "(" and ")"
+function tokenize(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const tokens = [];
+  let i = 0;
+  let lineStart = true;
+  while (i < s.length) {
+    const ch = s[i];
+    if (ch === "\n") {
+      lineStart = true;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const atLineStart = lineStart;
+    lineStart = false;
+
+    if (ch === "%" && atLineStart) {
+      // escape line
+      const end = s.indexOf("\n", i);
+      i = end === -1 ? s.length : end;
+    } else if (ch === ";") {
+      const end = s.indexOf("\n", i);
+      const stop = end === -1 ? s.length : end;
+      tokens.push({ type: "comment", text: s.slice(i + 1, stop).trim() });
+      i = stop;
+    } else if (ch === "{") {
+      const end = s.indexOf("}", i + 1);
+      const stop = end === -1 ? s.length : end;
+      tokens.push({
+        type: "comment",
+        text: s
+          .slice(i + 1, stop)
+          .replace(/\s+/g, " ")
+          .trim(),
+      });
+      i = stop + 1;
+    } else if (ch === "[") {
+      TAG_RE.lastIndex = i;
+      const m = TAG_RE.exec(s);
+      if (m) {
+        tokens.push({
+          type: "tag",
+          name: m[1],
+          value: m[2].replace(/\\(.)/g, "$1"),
+        });
+        i = TAG_RE.lastIndex;
+      } else {
+        i++;
+      }
+    } else if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === "$") {
+      const m = /^\$(\d+)/.exec(s.slice(i, i + 5));
+      if (m) tokens.push({ type: "nag", nag: Number(m[1]) });
+      i += m ? m[0].length : 1;
+    } else {
+      let j = i;
+      while (j < s.length && !/[\s{}()[\];$]/.test(s[j])) j++;
+      let word = s.slice(i, j);
+      i = j;
+      if (RESULT_RE.test(word)) {
+        tokens.push({ type: "result", result: word });
+        continue;
+      }
+      word = word.replace(/^\d+\.+/, ""); // move number
+      if (!word || /^(\.+|\d+)$/.test(word)) continue;
+      if (/^0-0(-0)?[+#]?/.test(word)) word = word.replace(/0/g, "O");
+      const m = /^(.*?)([!?]{1,2})$/.exec(word);
+      if (m && m[1]) tokens.push({ type: "san", san: m[1] });
+      else if (!m) tokens.push({ type: "san", san: word });
+      if (m && SUFFIX_NAGS[m[2]])
+        tokens.push({ type: "nag", nag: SUFFIX_NAGS[m[2]] });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * parsePgn(text)
+ * Every game in `text` as { headers, comment, moves: [{ san, comment, nags }],
+ * result }. Only the main line is kept; `comment` is the one before the
+ * first move. No legality check here — see services/pgnImport.js.
+ */
+function parsePgn(text) {
+  const games = [];
+  let game = null;
+  let depth = 0; // inside a variation while > 0
+
+  const finish = () => {
+    if (
+      game &&
+      (Object.keys(game.headers).length || game.moves.length || game.result)
+    ) {
+      if (!game.result) game.result = game.headers.Result || "*";
+      games.push(game);
+    }
+    game = null;
+    depth = 0;
+  };
+
+  for (const t of tokenize(text)) {
+    if (t.type === "tag") {
+      if (game && (game.moves.length || game.result)) finish();
+      if (!game) game = { headers: {}, comment: null, moves: [], result: null };
+      game.headers[t.name] = t.value;
+      continue;
+    }
+    if (!game) game = { headers: {}, comment: null, moves: [], result: null };
+    if (t.type === "(") depth++;
+    else if (t.type === ")") depth = Math.max(0, depth - 1);
+    if (depth > 0 || t.type === ")") continue;
+
+    const last = game.moves[game.moves.length - 1] || null;
+    if (t.type === "san") {
+      game.moves.push({ san: t.san, comment: null, nags: [] });
+    } else if (t.type === "nag") {
+      if (last) last.nags.push(t.nag);
+    } else if (t.type === "comment" && t.text) {
+      const target = last || game;
+      target.comment = target.comment ? `${target.comment} ${t.text}` : t.text;
+    } else if (t.type === "result") {
+      game.result = t.result;
+      finish();
+    }
+  }
+  finish();
+  return games;
+}
+
+module.exports = {
+  VARIANT_TAGS,
+  formatClock,
+  resultOf,
+  terminationOf,
+  gameToPgn,
+  treeToPgn,
+  parsePgn,
+};
@@ -0,0 +1,171 @@
+// backend/lib/polyglot.js
+// Polyglot opening books (.bin): Zobrist keys for positions, and lookup of
+// the book entries for a key. A book is a sorted array of 16-byte big-endian
+// entries { key: u64, move: u16, weight: u16, learn: u32 }.
+//
+// Move bits: 0-2 to file, 3-5 to rank, 6-8 from file, 9-11 from rank,
+// 12-14 promotion (1 n, 2 b, 3 r, 4 q). Castling is stored as king takes
+// own rook (e1h1) and converted to the usual king move here.
+
+const RANDOM64 = require("./polyglotRandom");
+
+const ENTRY_SIZE = 16;
+const MASK64 = (1n << 64n) - 1n;
+// piece kind order of the Random64 table
+const PIECE_KIND = {
+  p: 0,
+  P: 1,
+  n: 2,
+  N: 3,
+  b: 4,
+  B: 5,
+  r: 6,
+  R: 7,
+  q: 8,
+  Q: 9,
+  k: 10,
+  K: 11,
+};
+const CASTLE_OFFSET = 768; // K, Q, k, q
+const EP_OFFSET = 772;
+const TURN_OFFSET = 780;
+const PROMOTIONS = [null, "n", "b", "r", "q"];
+const FILES = "abcdefgh";
+
+/**
+ * polyglotKey(fen)
+ * Zobrist key (BigInt) of a position as Polyglot computes it. The en-passant
+ * file only counts when a pawn of the side to move can actually capture.
+ */
+function polyglotKey(fen) {
+  const [placement, turn, castling = "-", ep = "-"] = String(fen)
+    .trim()
+    .split(/\s+/);
+  const rows = placement.split("/");
+  const board = {}; // "e4" -> piece char
+  let key = 0n;
+
+  for (let r = 0; r < 8; r++) {
+    const rank = 7 - r; // FEN lists rank 8 first
+    let file = 0;
+    for (const ch of rows[r] || "") {
+      if (/\d/.test(ch)) {
+        file += Number(ch);
+        continue;
+      }
+      const kind = PIECE_KIND[ch];
+      if (kind === undefined) {
+        file++;
+        continue;
+      }
+      key ^= RANDOM64[64 * kind + 8 * rank + file];
+      board[`${FILES[file]}${rank + 1}`] = ch;
+      file++;
+    }
+  }
+
+  if (castling.includes("K")) key ^= RANDOM64[CASTLE_OFFSET];
+  if (castling.includes("Q")) key ^= RANDOM64[CASTLE_OFFSET + 1];
+  if (castling.includes("k")) key ^= RANDOM64[CASTLE_OFFSET + 2];
+  if (castling.includes("q")) key ^= RANDOM64[CASTLE_OFFSET + 3];
+
+  if (ep && ep !== "-") {
+    const file = FILES.indexOf(ep[0]);
+    // the capturing pawn stands next to the pushed pawn, on the rank it passed to
+    const pawnRank = turn === "w" ? 5 : 4;
+    const pawn = turn === "w" ? "P" : "p";
+    const adjacent = [file - 1, file + 1].some(
+      (f) => f >= 0 && f < 8 && board[`${FILES[f]}${pawnRank}`] === pawn
+    );
+    if (file >= 0 && adjacent) key ^= RANDOM64[EP_OFFSET + file];
+  }
+
+  if (turn === "w") key ^= RANDOM64[TURN_OFFSET];
+  return key & MASK64;
+}
+
+/**
+ * decodeMove(raw, fen)
+ * { from, to, promotion? } for a Polyglot move; `fen` is used to turn
+ * king-takes-rook castling into the king's two-square move.
+ */
+function decodeMove(raw, fen = null) {
+  const toFile = raw & 7;
+  const toRank = (raw >> 3) & 7;
+  const fromFile = (raw >> 6) & 7;
+  const fromRank = (raw >> 9) & 7;
+  const promo = PROMOTIONS[(raw >> 12) & 7] || null;
+  const from = `${FILES[fromFile]}${fromRank + 1}`;
+  let to = `${FILES[toFile]}${toRank + 1}`;
+
+  if (fen && (from === "e1" || from === "e8")) {
+    const placement = String(fen).split(" ")[0];
+    const backRank = placement.split("/")[from === "e1" ? 7 : 0] || "";
+    const expanded = backRank.replace(/\d/g, (n) => ".".repeat(Number(n)));
+    const king = from === "e1" ? "K" : "k";
+    if (expanded[4] === king) {
+      if (to === `h${from[1]}`) to = `g${from[1]}`;
+      else if (to === `a${from[1]}`) to = `c${from[1]}`;
+    }
+  }
+
+  const move = { from, to };
+  if (promo) move.promotion = promo;
+  return move;
+}
+
+/**
+ * findEntries(buffer, key)
+ * All { move, weight, learn } entries for `key` in a book buffer (binary search).
+ */
+function findEntries(buffer, key) {
+  const count = Math.floor(buffer.length / ENTRY_SIZE);
+  let lo = 0;
+  let hi = count;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (buffer.readBigUInt64BE(mid * ENTRY_SIZE) < key) lo = mid + 1;
+    else hi = mid;
+  }
+  const out = [];
+  for (let i = lo; i < count; i++) {
+    const off = i * ENTRY_SIZE;
+    if (buffer.readBigUInt64BE(off) !== key) break;
+    out.push({
+      move: buffer.readUInt16BE(off + 8),
+      weight: buffer.readUInt16BE(off + 10),
+      learn: buffer.readUInt32BE(off + 12),
+    });
+  }
+  return out;
+}
+
+/**
+ * pickWeighted(entries, variety = 1, random = Math.random)
+ * Choose an entry by weight. variety 1 picks in proportion to the weights,
+ * lower values favour the top moves more and more, 0 always plays the
+ * heaviest one. Zero-weight entries are never played.
+ */
+function pickWeighted(entries, variety = 1, random = Math.random) {
+  const playable = (entries || []).filter((e) => e.weight > 0);
+  if (!playable.length) return null;
+  const v = Math.max(0, Math.min(1, Number(variety)));
+  if (v === 0 || playable.length === 1)
+    return playable.reduce((best, e) => (e.weight > best.weight ? e : best));
+  const scaled = playable.map((e) => Math.pow(e.weight, 1 / v));
+  const total = scaled.reduce((a, b) => a + b, 0);
+  let r = random() * total;
+  for (let i = 0; i < playable.length; i++) {
+    r -= scaled[i];
+    if (r <= 0) return playable[i];
+  }
+  return playable[playable.length - 1];
+}
+
+module.exports = {
+  ENTRY_SIZE,
+  polyglotKey,
+  decodeMove,
+  findEntries,
+  pickWeighted,
+};
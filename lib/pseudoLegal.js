@@ -0,0 +1,327 @@
+// backend/lib/pseudoLegal.js
+// Move generation that ignores check, shared by the variants chess.js can't
+// play itself (fog of war, antichess). Kings are ordinary pieces here: they may
+// move into attack and be captured.
+//
+// The variant keeps the en-passant square in its own state (chess.js drops it
+// from fen() whenever the capture would be illegal in normal chess) and passes
+// it in; play() keeps the chess instance in sync by loading the resulting FEN.
+
+const FILES = "abcdefgh";
+const KNIGHT_STEPS = [
+  [1, 2],
+  [2, 1],
+  [2, -1],
+  [1, -2],
+  [-1, -2],
+  [-2, -1],
+  [-2, 1],
+  [-1, 2],
+];
+const KING_STEPS = [
+  [1, 0],
+  [1, 1],
+  [0, 1],
+  [-1, 1],
+  [-1, 0],
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+];
+const ROOK_DIRS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+];
+const BISHOP_DIRS = [
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+const PROMOTIONS = ["q", "r", "b", "n"];
+
+function opposite(color) {
+  return color === "w" ? "b" : "w";
+}
+
+function sq(f, r) {
+  return FILES[f] + (r + 1);
+}
+
+function onBoard(f, r) {
+  return f >= 0 && f < 8 && r >= 0 && r < 8;
+}
+
+// board as { "e4": { type, color }, ... }
+function pieceMap(chess) {
+  const out = {};
+  chess.board().forEach((row) =>
+    row.forEach((p) => {
+      if (p) out[p.square] = { type: p.type, color: p.color };
+    })
+  );
+  return out;
+}
+
+/**
+ * pseudoMoves(chess, color = side to move, { ep, castling })
+ * Every move ignoring check, in chess.js verbose-move shape. `ep` is the
+ * en-passant square ("-" for none); castling: false leaves castles out.
+ */
+function pseudoMoves(chess, color, { ep = "-", castling = true } = {}) {
+  const us = color || chess.turn();
+  const them = opposite(us);
+  const board = pieceMap(chess);
+  const rights = castling ? chess.fen().split(" ")[2] || "-" : "-";
+  const moves = [];
+  const add = (from, to, piece, extra = {}) => {
+    const target = board[to];
+    const captured = extra.captured || (target ? target.type : undefined);
+    const base = { color: us, from, to, piece, captured, flags: "n" };
+    if (captured) base.flags = extra.flags || "c";
+    else if (extra.flags) base.flags = extra.flags;
+    if (piece === "p" && (to[1] === "8" || to[1] === "1")) {
+      for (const promotion of PROMOTIONS)
+        moves.push({ ...base, promotion, flags: base.flags + "p" });
+    } else {
+      moves.push(base);
+    }
+  };
+
+  for (const [from, p] of Object.entries(board)) {
+    if (p.color !== us) continue;
+    const f = FILES.indexOf(from[0]);
+    const r = Number(from[1]) - 1;
+    if (p.type === "p") {
+      const dir = us === "w" ? 1 : -1;
+      const startRank = us === "w" ? 1 : 6;
+      if (onBoard(f, r + dir) && !board[sq(f, r + dir)]) {
+        add(from, sq(f, r + dir), "p");
+        if (r === startRank && !board[sq(f, r + 2 * dir)])
+          add(from, sq(f, r + 2 * dir), "p", { flags: "b" });
+      }
+      for (const df of [-1, 1]) {
+        if (!onBoard(f + df, r + dir)) continue;
+        const to = sq(f + df, r + dir);
+        if (board[to] && board[to].color === them) add(from, to, "p");
+        else if (to === ep) add(from, to, "p", { captured: "p", flags: "e" });
+      }
+      continue;
+    }
+    const steps =
+      p.type === "n" ? KNIGHT_STEPS : p.type === "k" ? KING_STEPS : null;
+    if (steps) {
+      for (const [df, dr] of steps) {
+        if (!onBoard(f + df, r + dr)) continue;
+        const to = sq(f + df, r + dr);
+        if (!board[to] || board[to].color === them) add(from, to, p.type);
+      }
+    } else {
+      const dirs =
+        p.type === "r"
+          ? ROOK_DIRS
+          : p.type === "b"
+          ? BISHOP_DIRS
+          : ROOK_DIRS.concat(BISHOP_DIRS);
+      for (const [df, dr] of dirs) {
+        let nf = f + df;
+        let nr = r + dr;
+        while (onBoard(nf, nr)) {
+          const to = sq(nf, nr);
+          if (board[to]) {
+            if (board[to].color === them) add(from, to, p.type);
+            break;
+          }
+          add(from, to, p.type);
+          nf += df;
+          nr += dr;
+        }
+      }
+    }
+  }
+
+  // castling only needs empty squares between king and rook (there is no check)
+  const rank = us === "w" ? "1" : "8";
+  const king = board["e" + rank];
+  if (king && king.type === "k" && king.color === us) {
+    const k = us === "w" ? "K" : "k";
+    const q = us === "w" ? "Q" : "q";
+    const rookOn = (file) =>
+      board[file + rank] &&
+      board[file + rank].type === "r" &&
+      board[file + rank].color === us;
+    if (
+      rights.includes(k) &&
+      rookOn("h") &&
+      !board["f" + rank] &&
+      !board["g" + rank]
+    )
+      moves.push({
+        color: us,
+        from: "e" + rank,
+        to: "g" + rank,
+        piece: "k",
+        flags: "k",
+      });
+    if (
+      rights.includes(q) &&
+      rookOn("a") &&
+      !board["b" + rank] &&
+      !board["c" + rank] &&
+      !board["d" + rank]
+    )
+      moves.push({
+        color: us,
+        from: "e" + rank,
+        to: "c" + rank,
+        piece: "k",
+        flags: "q",
+      });
+  }
+  return moves;
+}
+
+function sanFor(m, all) {
+  if (m.flags === "k") return "O-O";
+  if (m.flags === "q") return "O-O-O";
+  const capture = m.captured ? "x" : "";
+  const promo = m.promotion ? "=" + m.promotion.toUpperCase() : "";
+  if (m.piece === "p")
+    return (capture ? m.from[0] : "") + capture + m.to + promo;
+  const rivals = all.filter(
+    (o) =>
+      o.piece === m.piece && o.to === m.to && o.from !== m.from && !o.promotion
+  );
+  let dis = "";
+  if (rivals.length) {
+    if (!rivals.some((o) => o.from[0] === m.from[0])) dis = m.from[0];
+    else if (!rivals.some((o) => o.from[1] === m.from[1])) dis = m.from[1];
+    else dis = m.from;
+  }
+  return m.piece.toUpperCase() + dis + capture + m.to;
+}
+
+/**
+ * findMove(all, input)
+ * The entry of `all` matching { from, to, promotion? }, "e2e4" or SAN.
+ */
+function findMove(all, input) {
+  if (!input) return null;
+  if (typeof input === "string") {
+    const s = input.trim();
+    const uci = s.match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/);
+    if (uci) input = { from: uci[1], to: uci[2], promotion: uci[3] };
+    else {
+      const clean = s.replace(/[+#!?]/g, "").replace(/0/g, "O");
+      return all.find((m) => sanFor(m, all) === clean) || null;
+    }
+  }
+  const promotion = input.promotion
+    ? String(input.promotion).toLowerCase()
+    : null;
+  return (
+    all.find(
+      (m) =>
+        m.from === input.from &&
+        m.to === input.to &&
+        (!m.promotion || m.promotion === (promotion || "q"))
+    ) || null
+  );
+}
+
+function placementOf(board) {
+  const rows = [];
+  for (let r = 7; r >= 0; r--) {
+    let row = "";
+    let empty = 0;
+    for (let f = 0; f < 8; f++) {
+      const p = board[sq(f, r)];
+      if (!p) {
+        empty++;
+        continue;
+      }
+      if (empty) row += empty;
+      empty = 0;
+      row += p.color === "w" ? p.type.toUpperCase() : p.type;
+    }
+    if (empty) row += empty;
+    rows.push(row);
+  }
+  return rows.join("/");
+}
+
+// en-passant square left behind by `m` ("-" unless a double pawn push)
+function epAfter(m) {
+  return m.flags === "b" ? m.from[0] + (m.color === "w" ? "3" : "6") : "-";
+}
+
+/**
+ * play(chess, m, all)
+ * Plays generated move `m` (one of `all`) and returns a chess.js-like move
+ * object. The new position is loaded without validation, so a side may be
+ * left without its king.
+ */
+function play(chess, m, all) {
+  const before = chess.fen();
+  const parts = before.split(" ");
+  const board = pieceMap(chess);
+  const us = m.color;
+  const rank = us === "w" ? "1" : "8";
+
+  delete board[m.from];
+  if (m.flags.includes("e")) delete board[m.to[0] + m.from[1]];
+  board[m.to] = { type: m.promotion || m.piece, color: us };
+  if (m.flags === "k") {
+    delete board["h" + rank];
+    board["f" + rank] = { type: "r", color: us };
+  } else if (m.flags === "q") {
+    delete board["a" + rank];
+    board["d" + rank] = { type: "r", color: us };
+  }
+
+  let castling = parts[2] === "-" ? "" : parts[2];
+  const drop = (chars) => {
+    for (const c of chars) castling = castling.replace(c, "");
+  };
+  if (m.piece === "k") drop(us === "w" ? "KQ" : "kq");
+  for (const [square, right] of [
+    ["h1", "K"],
+    ["a1", "Q"],
+    ["h8", "k"],
+    ["a8", "q"],
+  ]) {
+    if (m.from === square || m.to === square) drop(right);
+  }
+
+  const ep = epAfter(m);
+  const halfmove =
+    m.piece === "p" || m.captured ? 0 : Number(parts[4] || 0) + 1;
+  const fullmove = Number(parts[5] || 1) + (us === "b" ? 1 : 0);
+  chess.load(
+    `${placementOf(board)} ${opposite(us)} ${
+      castling || "-"
+    } ${ep} ${halfmove} ${fullmove}`,
+    { skipValidation: true }
+  );
+
+  return {
+    ...m,
+    san: sanFor(m, all),
+    lan: m.from + m.to + (m.promotion || ""),
+    before,
+    after: chess.fen(),
+  };
+}
+
+module.exports = {
+  opposite,
+  pieceMap,
+  pseudoMoves,
+  sanFor,
+  findMove,
+  placementOf,
+  epAfter,
+  play,
+};
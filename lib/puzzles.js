@@ -0,0 +1,217 @@
+// backend/lib/puzzles.js
+// Puzzles from our own games (services/puzzleService.js). A puzzle is a
+// position from a finished, analysed game where the opponent had just erred
+// and the player to move, now clearly winning, missed the engine's move. The
+// solver plays that side; the solution alternates solver moves and replies
+// and always ends on a solver move.
+//
+// Everything here is pure: finding the positions in a GameAnalysis, tagging a
+// solution with themes, seeding a rating and checking an attempt. The engine
+// work that extends a first move into a solution line is the service's.
+
+const { Chess } = require("chess.js");
+const { createChess, applyMove, toMoveInput } = require("./startPosition");
+const { parseBestMove } = require("./uciEngine");
+const glicko2 = require("./glicko2");
+const { winChance, looksLikeSacrifice, uciOf } = require("./analysis");
+
+const WINNING = 70; // mover's winning chances (0..100) that make it a puzzle
+const CRUSHING = 90;
+const MAX_PER_GAME = 2;
+const MAX_SOLVER_MOVES = 4;
+const MIN_RATING = 600;
+const MAX_RATING = 2800;
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 100 };
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function isError(ply) {
+  return (
+    !!ply &&
+    (ply.classification === "mistake" || ply.classification === "blunder")
+  );
+}
+
+/**
+ * findCandidates(plies, { max })
+ * Puzzle positions in a GameAnalysis `plies` list, biggest misses first
+ * (at most `max`), returned in game order:
+ * { ply, color, fen, lastMove, firstMove, played, winChance, drop }.
+ */
+function findCandidates(plies = [], { max = MAX_PER_GAME } = {}) {
+  const out = [];
+  for (let i = 1; i < plies.length; i++) {
+    const p = plies[i];
+    const prev = plies[i - 1];
+    if (!p || !prev || !prev.eval || !prev.fen) continue;
+    if (!p.bestMove || p.bestMove === p.uci || !isError(p)) continue;
+    // the opponent had just erred: a fresh chance, not a slow conversion
+    if (!isError(prev)) continue;
+    const white = winChance(prev.eval);
+    const before = p.color === "w" ? white : 100 - white;
+    if (before < WINNING) continue;
+    const after =
+      p.winChance === null || p.winChance === undefined
+        ? before
+        : p.color === "w"
+        ? p.winChance
+        : 100 - p.winChance;
+    out.push({
+      ply: p.ply,
+      color: p.color,
+      fen: prev.fen,
+      lastMove: prev.uci || null,
+      firstMove: p.bestMove,
+      played: p.san,
+      winChance: round1(before),
+      drop: round1(before - after),
+    });
+  }
+  return out
+    .sort((a, b) => b.drop - a.drop)
+    .slice(0, max)
+    .sort((a, b) => a.ply - b.ply);
+}
+
+/**
+ * isForcing(chess, move)
+ * A capture, promotion or check (chess is the position after `move`).
+ */
+function isForcing(chess, move) {
+  return !!(move.captured || move.promotion || chess.inCheck());
+}
+
+// the moved piece now attacks two enemy pieces worth more than itself (or the king)
+function isFork(chess, move) {
+  const value = PIECE_VALUES[move.promotion || move.piece] || 0;
+  const enemy = move.color === "w" ? "b" : "w";
+  let targets = 0;
+  for (const row of chess.board()) {
+    for (const sq of row) {
+      if (!sq || sq.color !== enemy) continue;
+      if (PIECE_VALUES[sq.type] <= value && sq.type !== "k") continue;
+      if (chess.attackers(sq.square, move.color).includes(move.to)) targets++;
+    }
+  }
+  return targets >= 2;
+}
+
+function phaseOf(fen) {
+  const [placement, , , , , fullmove] = String(fen).split(" ");
+  const pieces = (placement.match(/[nbrqNBRQ]/g) || []).length;
+  if (pieces <= 6) return "endgame";
+  return Number(fullmove) <= 10 ? "opening" : "middlegame";
+}
+
+/**
+ * themesOf(fen, solution, { winChance })
+ * Theme tags for a solution (UCI moves from `fen`): mate / mateInN,
+ * fork, hangingPiece, sacrifice, promotion, crushing / advantage,
+ * oneMove / short / long and opening / middlegame / endgame.
+ */
+function themesOf(fen, solution = [], { winChance: chance = null } = {}) {
+  const chess = createChess({ startFen: fen });
+  const themes = new Set();
+  let solverMoves = 0;
+  for (let i = 0; i < solution.length; i++) {
+    const before = new Chess(chess.fen());
+    const move = applyMove(chess, parseBestMove(solution[i]));
+    if (!move) break;
+    if (i % 2) continue; // the opponent's reply
+    solverMoves++;
+    if (move.promotion) themes.add("promotion");
+    const enemy = move.color === "w" ? "b" : "w";
+    if (
+      i === 0 &&
+      move.captured &&
+      PIECE_VALUES[move.captured] >= 3 &&
+      !before.isAttacked(move.to, enemy)
+    )
+      themes.add("hangingPiece");
+    if (!chess.isCheckmate() && looksLikeSacrifice(chess, move))
+      themes.add("sacrifice");
+    if (isFork(chess, move)) themes.add("fork");
+  }
+  if (chess.isCheckmate()) {
+    themes.add("mate");
+    themes.add(`mateIn${solverMoves}`);
+  } else if (chance !== null) {
+    themes.add(chance >= CRUSHING ? "crushing" : "advantage");
+  }
+  themes.add(
+    solverMoves <= 1 ? "oneMove" : solverMoves === 2 ? "short" : "long"
+  );
+  themes.add(phaseOf(fen));
+  return Array.from(themes);
+}
+
+/**
+ * initialRating(solverRating, solverMoves)
+ * Starting puzzle rating: the rating of the player who missed it (they
+ * failed it, so it is at least that hard), plus 150 per extra solver move.
+ */
+function initialRating(solverRating, solverMoves = 1) {
+  const base =
+    solverRating !== null && Number.isFinite(Number(solverRating))
+      ? Number(solverRating)
+      : glicko2.DEFAULT_RATING;
+  const rating = Math.round(base + 150 * Math.max(0, solverMoves - 1));
+  return Math.max(MIN_RATING, Math.min(MAX_RATING, rating));
+}
+
+// a submitted move: UCI string ("e7e8q"), SAN or { from, to, promotion }
+function moveInputOf(m) {
+  if (typeof m === "string" && /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(m))
+    return parseBestMove(m);
+  return toMoveInput(m);
+}
+
+/**
+ * checkAttempt(fen, solution, moves)
+ * Replay the solver's `moves` (their side only) against the solution. A
+ * different move that mates also solves it. Returns
+ * { win, correct, pending, reply } — correct is how many solver moves
+ * matched; pending means every move so far was right but the line goes on,
+ * and reply is the opponent's answer to the last of them (UCI, null before
+ * the first move). A pending attempt is not yet a win.
+ */
+function checkAttempt(fen, solution = [], moves = []) {
+  const chess = createChess({ startFen: fen });
+  let correct = 0;
+  for (let i = 0; i < solution.length; i += 2) {
+    if (i / 2 >= moves.length)
+      return {
+        win: false,
+        correct,
+        pending: true,
+        reply: i > 0 ? solution[i - 1] : null,
+      };
+    const input = moveInputOf(moves[i / 2]);
+    const move = input ? applyMove(chess, input) : null;
+    if (!move) return { win: false, correct, pending: false, reply: null };
+    if (uciOf(move) !== solution[i])
+      return {
+        win: chess.isCheckmate(),
+        correct,
+        pending: false,
+        reply: null,
+      };
+    correct++;
+    if (i + 1 < solution.length)
+      applyMove(chess, parseBestMove(solution[i + 1]));
+  }
+  return { win: true, correct, pending: false, reply: null };
+}
+
+module.exports = {
+  WINNING,
+  MAX_PER_GAME,
+  MAX_SOLVER_MOVES,
+  findCandidates,
+  isForcing,
+  themesOf,
+  initialRating,
+  checkAttempt,
+};
@@ -0,0 +1,123 @@
+// backend/lib/ratingCategories.js
+// Rating categories. Standard games are rated by speed — bullet, blitz, rapid
+// or classical from the estimated duration (base + 40 × bonus seconds) — and
+// every other variant is a category of its own. Each category has its own
+// Glicko-2 entry (and games-played count) under User.ratings.<category>.
+
+const glicko2 = require("./glicko2");
+const { VARIANTS, normalizeVariant, ladderCups } = require("./variants");
+const { parseTimeControl } = require("./timeControl");
+
+const SPEEDS = ["bullet", "blitz", "rapid", "classical"];
+const CATEGORIES = SPEEDS.concat(VARIANTS.filter((v) => v !== "standard"));
+
+/**
+ * speedOf(timeControl)
+ * "bullet" (< 3 min), "blitz" (< 8 min), "rapid" (< 25 min) or "classical".
+ */
+function speedOf(timeControl) {
+  const tc = parseTimeControl(timeControl) || parseTimeControl(null);
+  const bonusMs = tc.incrementMs || tc.delayMs || 0;
+  const seconds = (tc.baseMs + 40 * bonusMs) / 1000;
+  if (seconds < 180) return "bullet";
+  if (seconds < 480) return "blitz";
+  if (seconds < 1500) return "rapid";
+  return "classical";
+}
+
+/**
+ * categoryFor(variant, timeControl)
+ * The rating category of a game.
+ */
+function categoryFor(variant, timeControl) {
+  const v = normalizeVariant(variant) || "standard";
+  return v === "standard" ? speedOf(timeControl) : v;
+}
+
+/**
+ * normalizeCategory(input)
+ * A category name (variant aliases allowed), or null when unknown.
+ */
+function normalizeCategory(input) {
+  const s = String(input || "")
+    .trim()
+    .toLowerCase();
+  if (SPEEDS.includes(s)) return s;
+  const v = normalizeVariant(s);
+  return v && v !== "standard" ? v : null;
+}
+
+/**
+ * entryFor(user, category)
+ * The user's Glicko-2 entry in `category`. Until they have one anywhere on
+ * that category's cups ladder (the four speeds share `cups`), it is seeded
+ * from the cups they had there before Glicko-2 (glicko2.seededEntry).
+ */
+function entryFor(user, category) {
+  const ratings = (user && user.ratings) || {};
+  const ladder = SPEEDS.includes(category) ? SPEEDS : [category];
+  if (
+    ladder.some((k) => ratings[k] && Number.isFinite(Number(ratings[k].rating)))
+  )
+    return glicko2.entryOf(user, category);
+  return glicko2.seededEntry(
+    ladderCups(user, SPEEDS.includes(category) ? "standard" : category)
+  );
+}
+
+/**
+ * categoryRating(user, category)
+ * The user's rounded rating in `category` (the default for unrated users).
+ */
+function categoryRating(user, category) {
+  return glicko2.displayCups(entryFor(user, category));
+}
+
+/**
+ * displayCups(ratings, category)
+ * The cups shown for the ladder `category` belongs to: a variant's cups are
+ * its rating; standard cups are the rating of the speed played most.
+ */
+function displayCups(ratings, category) {
+  const user = { ratings: ratings || {} };
+  if (!SPEEDS.includes(category))
+    return glicko2.displayCups(glicko2.entryOf(user, category));
+  const main = SPEEDS.map((s) => glicko2.entryOf(user, s)).reduce((a, b) =>
+    (b.games || 0) > (a.games || 0) ? b : a
+  );
+  return glicko2.displayCups(main);
+}
+
+/**
+ * profileOf(user)
+ * { <category>: { rating, rd, provisional, games, wins, losses, draws } }
+ * for every category, unplayed ones included.
+ */
+function profileOf(user) {
+  const out = {};
+  for (const category of CATEGORIES) {
+    const e = entryFor(user, category);
+    out[category] = {
+      rating: glicko2.displayCups(e),
+      rd: Math.round(e.rd),
+      provisional: glicko2.isProvisional(e),
+      games: e.games || 0,
+      wins: e.wins || 0,
+      losses: e.losses || 0,
+      draws: e.draws || 0,
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  SPEEDS,
+  CATEGORIES,
+  speedOf,
+  categoryFor,
+  normalizeCategory,
+  entryFor,
+  categoryRating,
+  displayCups,
+  profileOf,
+};
@@ -0,0 +1,461 @@
+// backend/lib/startPosition.js
+// Start positions (standard, Chess960, custom FEN) and the move/replay helpers
+// that have to know about them.
+//
+// chess.js only understands classical castling, so Chess960 games are loaded
+// with castling "-" and the castling rights are tracked here instead, on the
+// chess instance itself (chess.castling960 = { w: { k, q }, b: { k, q } } where
+// k/q are the files of the castling rooks, or null once the right is lost).
+// Castling is entered as king-takes-own-rook ("e1h1"), as the king's target
+// square ("e1g1"), or as SAN "O-O" / "O-O-O". A Chess960 castle is played by
+// reloading the position, which clears chess.js's own history (history(),
+// undo(), pgn()): the game record is the room's `moves` list, and replayMoves
+// rebuilds a position from it. Repetition counting is unaffected, since no
+// position from before a castle can occur again after it.
+//
+// Crazyhouse pockets and drops are handled by lib/crazyhouse.js; applyMove and
+// replayMoves route through it when settings.variant is "crazyhouse" or
+// "bughouse" (whose pockets come from the match in lib/bughouse.js), and
+// through lib/fogOfWar.js / lib/antichess.js for fog-of-war and antichess
+// rooms. Three-check and King of the Hill play normal moves; lib/variants.js
+// only counts checks and decides their extra wins.
+
+const { Chess, validateFen } = require("chess.js");
+const crazyhouse = require("./crazyhouse");
+const bughouse = require("./bughouse");
+const fogOfWar = require("./fogOfWar");
+const antichess = require("./antichess");
+const variants = require("./variants");
+
+const STANDARD_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+const FILES = "abcdefgh";
+const KNIGHT_PLACEMENTS = [
+  [0, 1],
+  [0, 2],
+  [0, 3],
+  [0, 4],
+  [1, 2],
+  [1, 3],
+  [1, 4],
+  [2, 3],
+  [2, 4],
+  [3, 4],
+];
+
+/**
+ * chess960BackRank(n)
+ * White's back rank (e.g. "RNBQKBNR") for Scharnagl position number n (0..959; 518 is classical).
+ */
+function chess960BackRank(n) {
+  let q = ((Math.floor(Number(n)) % 960) + 960) % 960;
+  const rank = new Array(8).fill(null);
+  rank[(q % 4) * 2 + 1] = "B";
+  q = Math.floor(q / 4);
+  rank[(q % 4) * 2] = "B";
+  q = Math.floor(q / 4);
+  const emptyIdx = () =>
+    rank.map((p, i) => (p ? -1 : i)).filter((i) => i !== -1);
+  rank[emptyIdx()[q % 6]] = "Q";
+  q = Math.floor(q / 6);
+  const free = emptyIdx();
+  for (const k of KNIGHT_PLACEMENTS[q]) rank[free[k]] = "N";
+  const rest = emptyIdx();
+  rank[rest[0]] = "R";
+  rank[rest[1]] = "K";
+  rank[rest[2]] = "R";
+  return rank.join("");
+}
+
+function chess960Fen(n) {
+  const white = chess960BackRank(n);
+  return `${white.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${white} w - - 0 1`;
+}
+
+function randomChess960Index() {
+  return Math.floor(Math.random() * 960);
+}
+
+/**
+ * initialCastlingRights(fen)
+ * Rook files a Chess960 side may castle with: the outermost rook on each side
+ * of a king standing on its back rank.
+ */
+function initialCastlingRights(fen) {
+  const rows = String(fen).split(" ")[0].split("/");
+  const out = {};
+  for (const [color, row] of [
+    ["w", rows[7]],
+    ["b", rows[0]],
+  ]) {
+    const squares = [];
+    for (const ch of row || "") {
+      if (/\d/.test(ch)) for (let i = 0; i < Number(ch); i++) squares.push("");
+      else squares.push(ch);
+    }
+    const king = color === "w" ? "K" : "k";
+    const rook = color === "w" ? "R" : "r";
+    const kf = squares.indexOf(king);
+    const rights = { k: null, q: null };
+    if (kf !== -1) {
+      for (let f = 0; f < kf; f++)
+        if (squares[f] === rook && !rights.q) rights.q = FILES[f];
+      for (let f = 7; f > kf; f--)
+        if (squares[f] === rook && !rights.k) rights.k = FILES[f];
+    }
+    out[color] = rights;
+  }
+  return out;
+}
+
+/**
+ * castlingRightsString(rights)
+ * Shredder-FEN style field ("HAha"), for display.
+ */
+function castlingRightsString(rights) {
+  if (!rights) return "-";
+  const s =
+    (rights.w.k || "").toUpperCase() +
+    (rights.w.q || "").toUpperCase() +
+    (rights.b.k || "") +
+    (rights.b.q || "");
+  return s || "-";
+}
+
+/**
+ * resolveStartPosition(options)
+ * Reads { chess960 | variant: "chess960", chess960Index } or { fen | startFen }
+ * and { variant } (see lib/variants.js) from create-room style options.
+ * Returns { startFen, chess960, chess960Index?, variant } or { error }.
+ */
+function resolveStartPosition(options = {}) {
+  const opts = options || {};
+  const variant = variants.normalizeVariant(opts.variant);
+  if (!variant) return { error: `Unknown variant: ${opts.variant}` };
+  if (variant === "fogofwar" || variant === "antichess") {
+    const pos = resolveStartPosition({ ...opts, variant: null });
+    if (!pos.error && pos.chess960)
+      return {
+        error: `${
+          variant === "antichess" ? "Antichess" : "Fog of war"
+        } is played from a standard or FEN start`,
+      };
+    if (pos.error) return pos;
+    // antichess has no castling
+    const startFen =
+      variant === "antichess"
+        ? pos.startFen.replace(/^(\S+ \S+) \S+/, "$1 -")
+        : pos.startFen;
+    return { ...pos, startFen, variant };
+  }
+  if (variant !== "standard" && variant !== "chess960") {
+    const pos = resolveStartPosition({ ...opts, variant: null });
+    return pos.error ? pos : { ...pos, variant };
+  }
+  const wants960 = opts.chess960 === true || variant === "chess960";
+  if (wants960) {
+    const idx = Number.isInteger(Number(opts.chess960Index))
+      ? Number(opts.chess960Index)
+      : randomChess960Index();
+    const index = ((idx % 960) + 960) % 960;
+    return {
+      startFen: chess960Fen(index),
+      chess960: true,
+      chess960Index: index,
+    };
+  }
+
+  const raw = opts.startFen || opts.fen || null;
+  if (!raw) return { startFen: STANDARD_FEN, chess960: false };
+  const fen = String(raw).trim();
+  const check = validateFen(fen);
+  if (!check.ok) return { error: `Invalid FEN: ${check.error}` };
+  try {
+    const c = new Chess(fen);
+    if (c.isGameOver()) return { error: "Start position is already finished" };
+  } catch (e) {
+    return { error: "Invalid FEN" };
+  }
+  return { startFen: fen, chess960: false };
+}
+
+/**
+ * createChess(settings)
+ * Fresh chess instance at the room's start position (settings.startFen /
+ * settings.chess960), with empty pockets for crazyhouse and the match's
+ * pockets for a bughouse board.
+ */
+function createChess(settings = {}) {
+  const startFen = (settings && settings.startFen) || STANDARD_FEN;
+  const chess = new Chess(startFen);
+  if (settings && settings.chess960) {
+    chess.castling960 = initialCastlingRights(startFen);
+  }
+  if (crazyhouse.isCrazyhouse(settings)) crazyhouse.attachState(chess);
+  if (crazyhouse.isBughouse(settings)) {
+    crazyhouse.attachState(chess, {
+      pockets: bughouse.pocketsFor(settings),
+      linked: true,
+    });
+  }
+  if (fogOfWar.isFogOfWar(settings)) fogOfWar.attachState(chess);
+  if (antichess.isAntichess(settings)) antichess.attachState(chess);
+  variants.attachState(chess, settings);
+  return chess;
+}
+
+function opposite(color) {
+  return color === "w" ? "b" : "w";
+}
+
+/**
+ * detectCastle(chess, move)
+ * For Chess960 instances: which side (k|q) `move` castles to, or null.
+ */
+function detectCastle(chess, move) {
+  const color = chess.turn();
+  const rights = chess.castling960 && chess.castling960[color];
+  if (!rights) return null;
+  const rank = color === "w" ? "1" : "8";
+
+  if (typeof move === "string") {
+    const san = move.replace(/[+#!?]/g, "").replace(/0/g, "O");
+    if (san === "O-O") return "k";
+    if (san === "O-O-O") return "q";
+    const m = move.match(/^([a-h][1-8])([a-h][1-8])$/);
+    if (!m) return null;
+    move = { from: m[1], to: m[2] };
+  }
+  if (!move || typeof move !== "object") return null;
+  if (move.castle === "k" || move.castle === "O-O") return "k";
+  if (move.castle === "q" || move.castle === "O-O-O") return "q";
+
+  const piece = move.from ? chess.get(move.from) : null;
+  if (!piece || piece.type !== "k" || piece.color !== color) return null;
+  if (!move.to || move.to[1] !== rank) return null;
+
+  const target = chess.get(move.to);
+  // king onto its own castling rook
+  if (target && target.type === "r" && target.color === color) {
+    if (rights.k && move.to === rights.k + rank) return "k";
+    if (rights.q && move.to === rights.q + rank) return "q";
+    return null;
+  }
+  // king two or more files towards g/c
+  const df = FILES.indexOf(move.to[0]) - FILES.indexOf(move.from[0]);
+  if (Math.abs(df) < 2) return null;
+  if (move.to[0] === "g" && rights.k) return "k";
+  if (move.to[0] === "c" && rights.q) return "q";
+  return null;
+}
+
+/**
+ * castle960(chess, side)
+ * Validates and plays a Chess960 castle. Returns a chess.js-like move object or null.
+ * The position is reloaded, so chess.js history starts again from here.
+ */
+function castle960(chess, side) {
+  const color = chess.turn();
+  const them = opposite(color);
+  const rights = chess.castling960[color];
+  const rookFile = rights && rights[side];
+  if (!rookFile) return null;
+  const rank = color === "w" ? "1" : "8";
+
+  const kingFrom = chess
+    .board()
+    [color === "w" ? 7 : 0].map((sq, f) =>
+      sq && sq.type === "k" && sq.color === color ? FILES[f] + rank : null
+    )
+    .find(Boolean);
+  const rookFrom = rookFile + rank;
+  const rook = chess.get(rookFrom);
+  if (!kingFrom || !rook || rook.type !== "r" || rook.color !== color)
+    return null;
+  if (chess.inCheck()) return null;
+
+  const kingTo = (side === "k" ? "g" : "c") + rank;
+  const rookTo = (side === "k" ? "f" : "d") + rank;
+  const fileIdx = (sq) => FILES.indexOf(sq[0]);
+
+  // every square either piece crosses or lands on must be empty (bar the two castling pieces)
+  const lo = Math.min(...[kingFrom, kingTo, rookFrom, rookTo].map(fileIdx));
+  const hi = Math.max(...[kingFrom, kingTo, rookFrom, rookTo].map(fileIdx));
+  for (let f = lo; f <= hi; f++) {
+    const sq = FILES[f] + rank;
+    if (sq === kingFrom || sq === rookFrom) continue;
+    if (chess.get(sq)) return null;
+  }
+
+  const before = chess.fen().split(" ");
+  const kingPiece = chess.remove(kingFrom);
+  const rookPiece = chess.remove(rookFrom);
+
+  // the king may not pass through or land on an attacked square
+  const kf = fileIdx(kingFrom);
+  const kt = fileIdx(kingTo);
+  let safe = true;
+  for (let f = Math.min(kf, kt); f <= Math.max(kf, kt); f++) {
+    if (chess.isAttacked(FILES[f] + rank, them)) {
+      safe = false;
+      break;
+    }
+  }
+  if (!safe) {
+    chess.put(kingPiece, kingFrom);
+    chess.put(rookPiece, rookFrom);
+    return null;
+  }
+
+  chess.put(kingPiece, kingTo);
+  chess.put(rookPiece, rookTo);
+  const placement = chess.fen().split(" ")[0];
+  const halfmove = Number(before[4] || 0) + 1;
+  const fullmove = Number(before[5] || 1) + (color === "b" ? 1 : 0);
+  chess.load(`${placement} ${them} - - ${halfmove} ${fullmove}`);
+
+  chess.castling960[color] = { k: null, q: null };
+  const suffix = chess.isCheckmate() ? "#" : chess.inCheck() ? "+" : "";
+  return {
+    color,
+    from: kingFrom,
+    to: rookFrom,
+    piece: "k",
+    flags: side,
+    castle: side,
+    san: (side === "k" ? "O-O" : "O-O-O") + suffix,
+    lan: kingFrom + rookFrom,
+    before: before.join(" "),
+    after: chess.fen(),
+  };
+}
+
+function updateRightsAfterMove(chess, result) {
+  const rights = chess.castling960;
+  if (!rights || !result) return;
+  const mine = rights[result.color];
+  const rank = result.color === "w" ? "1" : "8";
+  if (result.piece === "k") {
+    rights[result.color] = { k: null, q: null };
+  } else if (result.piece === "r") {
+    if (mine.k && result.from === mine.k + rank) mine.k = null;
+    if (mine.q && result.from === mine.q + rank) mine.q = null;
+  }
+  if (result.captured === "r") {
+    const theirs = rights[opposite(result.color)];
+    const theirRank = result.color === "w" ? "8" : "1";
+    if (theirs.k && result.to === theirs.k + theirRank) theirs.k = null;
+    if (theirs.q && result.to === theirs.q + theirRank) theirs.q = null;
+  }
+}
+
+/**
+ * applyMove(chess, move)
+ * chess.move() that also understands Chess960 castling, crazyhouse drops and
+ * fog-of-war / antichess moves, and counts three-check checks.
+ * Returns the move object, or null when the move is illegal (never throws).
+ */
+function applyMove(chess, move) {
+  try {
+    if (chess && chess.fogOfWar) return fogOfWar.move(chess, move);
+    if (chess && chess.antichess) return antichess.move(chess, move);
+    if (chess && chess.crazyhouse) {
+      const d = crazyhouse.parseDrop(move);
+      if (d) return crazyhouse.drop(chess, d.piece, d.to);
+      const result = playMove(chess, move);
+      if (!result) return null;
+      crazyhouse.recordMove(chess, result);
+      // chess.js calls it mate even when a drop could still block
+      if (result.san && result.san.endsWith("#") && !crazyhouse.isMate(chess))
+        result.san = result.san.slice(0, -1) + "+";
+      return result;
+    }
+    const result = playMove(chess, move);
+    variants.recordMove(chess, result);
+    return result;
+  } catch (e) {
+    return null;
+  }
+}
+
+function playMove(chess, move) {
+  if (chess && chess.castling960) {
+    const side = detectCastle(chess, move);
+    if (side) return castle960(chess, side);
+    const result = chess.move(move);
+    updateRightsAfterMove(chess, result);
+    return result || null;
+  }
+  return chess.move(move) || null;
+}
+
+/**
+ * toMoveInput(record)
+ * A stored move record ({ index, move }, SAN string, { from, to } or
+ * { drop, to }) as applyMove input.
+ */
+function toMoveInput(m) {
+  if (!m) return null;
+  if (typeof m === "string") return m;
+  const mv = m.move || m;
+  if (typeof mv === "string") return mv;
+  if (mv && mv.drop && mv.to) return { drop: mv.drop, to: mv.to };
+  if (!mv || !mv.from || !mv.to) return null;
+  const out = {
+    from: mv.from,
+    to: mv.to,
+    promotion: mv.promotion || undefined,
+  };
+  if (mv.castle) out.castle = mv.castle;
+  return out;
+}
+
+/**
+ * replayMoves(settings, moves, uptoIndex = moves.length - 1)
+ * Rebuild a chess instance from the room's start position; illegal records are skipped.
+ */
+function replayMoves(settings, moves, uptoIndex) {
+  const chess = createChess(settings);
+  const list = Array.isArray(moves) ? moves : [];
+  const last =
+    typeof uptoIndex === "number"
+      ? Math.min(uptoIndex, list.length - 1)
+      : list.length - 1;
+  if (chess.crazyhouse) chess.crazyhouse.replaying = true;
+  for (let i = 0; i <= last; i++) {
+    const input = toMoveInput(list[i]);
+    if (input) applyMove(chess, input);
+  }
+  if (chess.crazyhouse) chess.crazyhouse.replaying = false;
+  return chess;
+}
+
+/**
+ * startSettings(pos)
+ * The room.settings fields for a resolved start position.
+ */
+function startSettings(pos) {
+  const out = {
+    startFen: (pos && pos.startFen) || STANDARD_FEN,
+    chess960: !!(pos && pos.chess960),
+    variant:
+      (pos && pos.variant) || (pos && pos.chess960 ? "chess960" : "standard"),
+  };
+  if (pos && typeof pos.chess960Index === "number")
+    out.chess960Index = pos.chess960Index;
+  return out;
+}
+
+module.exports = {
+  STANDARD_FEN,
+  chess960BackRank,
+  chess960Fen,
+  randomChess960Index,
+  initialCastlingRights,
+  castlingRightsString,
+  resolveStartPosition,
+  startSettings,
+  createChess,
+  applyMove,
+  toMoveInput,
+  replayMoves,
+};
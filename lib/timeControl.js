@@ -0,0 +1,270 @@
+// backend/lib/timeControl.js
+// Time control parsing + clock engine helpers.
+// A normalized time control looks like:
+//   { baseMs, incrementMs, delayMs, mode: "increment"|"delay"|"none", label }
+// where label is the canonical string ("3+2", "5|3 delay", "10+0") used for display
+// and for pairing players in matchmaking.
+
+const DEFAULT_MINUTES = 5;
+const MAX_MINUTES = 180;
+const MAX_BONUS_SECONDS = 180;
+// "3+2", "3|2", "5|3 delay", "5+3d", "5 d3", "10", "10 min"
+const TC_PATTERN =
+  /^(\d{1,3})\s*(?:([+|]|\s)\s*(?:d\s*)?(\d{1,3})\s*(d|delay|bronstein|inc|increment)?)?\s*(?:min)?$/;
+
+function clampInt(v, min, max, fallback) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function buildTimeControl(minutes, bonusSeconds = 0, mode = "increment") {
+  const m = clampInt(minutes, 1, MAX_MINUTES, DEFAULT_MINUTES);
+  const bonus = clampInt(bonusSeconds, 0, MAX_BONUS_SECONDS, 0);
+  const effectiveMode =
+    bonus > 0 ? (mode === "delay" ? "delay" : "increment") : "none";
+  return {
+    baseMs: m * 60 * 1000,
+    incrementMs: effectiveMode === "increment" ? bonus * 1000 : 0,
+    delayMs: effectiveMode === "delay" ? bonus * 1000 : 0,
+    mode: effectiveMode,
+    label: effectiveMode === "delay" ? `${m}|${bonus} delay` : `${m}+${bonus}`,
+  };
+}
+
+/**
+ * parseTimeControl(input, fallbackMinutes = 5)
+ * Accepts:
+ *  - strings: "3+2" / "3|2" (increment), "5|3 delay" / "5+3d" / "5 d3" (Bronstein delay), "10"
+ *  - numbers: base minutes, no bonus
+ *  - objects: { minutes|baseMs, increment|incrementMs, delay|delayMs } or an already-normalized control
+ * Returns a normalized time control, or null when the input cannot be understood.
+ */
+function parseTimeControl(input, fallbackMinutes = DEFAULT_MINUTES) {
+  try {
+    if (input === null || typeof input === "undefined" || input === "") {
+      return buildTimeControl(fallbackMinutes, 0);
+    }
+
+    if (typeof input === "number") return buildTimeControl(input, 0);
+
+    if (typeof input === "object") {
+      const minutes =
+        typeof input.baseMs === "number"
+          ? input.baseMs / 60000
+          : input.minutes ?? input.base ?? fallbackMinutes;
+      const delaySec =
+        typeof input.delayMs === "number"
+          ? input.delayMs / 1000
+          : Number(input.delay) || 0;
+      const incSec =
+        typeof input.incrementMs === "number"
+          ? input.incrementMs / 1000
+          : Number(input.increment ?? input.inc) || 0;
+      if (delaySec > 0 || input.mode === "delay")
+        return buildTimeControl(minutes, delaySec, "delay");
+      return buildTimeControl(minutes, incSec, "increment");
+    }
+
+    const s = String(input).trim().toLowerCase();
+    const m = s.match(TC_PATTERN);
+    if (!m) return null;
+    const minutes = Number(m[1]);
+    const bonus = m[3] ? Number(m[3]) : 0;
+    const isDelay =
+      /\bd\s*\d/.test(s) ||
+      m[4] === "d" ||
+      m[4] === "delay" ||
+      m[4] === "bronstein";
+    return buildTimeControl(minutes, bonus, isDelay ? "delay" : "increment");
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * resolveTimeControl(payload, fallbackMinutes)
+ * Reads the time control from a request/socket payload, preferring an explicit
+ * `timeControl` (or `tc`) and falling back to the legacy `minutes` field.
+ */
+function resolveTimeControl(payload = {}, fallbackMinutes = DEFAULT_MINUTES) {
+  const raw = payload ? payload.timeControl ?? payload.tc ?? null : null;
+  const minutes =
+    payload && Number.isFinite(Number(payload.minutes ?? payload.m))
+      ? Number(payload.minutes ?? payload.m)
+      : fallbackMinutes;
+  return parseTimeControl(raw, minutes) || parseTimeControl(null, minutes);
+}
+
+function rangeError(minutes, bonus) {
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > MAX_MINUTES)
+    return `Base time must be between 1 and ${MAX_MINUTES} minutes`;
+  if (!Number.isFinite(bonus) || bonus < 0 || bonus > MAX_BONUS_SECONDS)
+    return `Increment or delay must be between 0 and ${MAX_BONUS_SECONDS} seconds`;
+  return null;
+}
+
+/**
+ * timeControlError(input)
+ * Why a client-supplied time control (any parseTimeControl input) is not
+ * acceptable, or null when it is. parseTimeControl clamps out-of-range values;
+ * this is the check to run on user input first.
+ */
+function timeControlError(input) {
+  if (input === null || typeof input === "undefined" || input === "")
+    return null;
+  if (typeof input === "number") return rangeError(input, 0);
+  if (typeof input === "object") {
+    const minutes =
+      typeof input.baseMs === "number"
+        ? input.baseMs / 60000
+        : Number(input.minutes ?? input.base ?? DEFAULT_MINUTES);
+    const bonus =
+      typeof input.delayMs === "number" && input.delayMs > 0
+        ? input.delayMs / 1000
+        : typeof input.incrementMs === "number"
+        ? input.incrementMs / 1000
+        : Number(input.delay || input.increment || input.inc || 0);
+    return rangeError(minutes, bonus);
+  }
+  const s = String(input).trim().toLowerCase();
+  const m = s.match(TC_PATTERN);
+  if (!m) return `Invalid time control: ${String(input).slice(0, 32)}`;
+  return rangeError(Number(m[1]), m[3] ? Number(m[3]) : 0);
+}
+
+/**
+ * readTimeControl(payload, fallbackMinutes)
+ * resolveTimeControl for client input: { timeControl } or { error } when the
+ * requested time control (or legacy `minutes`) is malformed or out of range.
+ */
+function readTimeControl(payload = {}, fallbackMinutes = DEFAULT_MINUTES) {
+  const raw = payload ? payload.timeControl ?? payload.tc ?? null : null;
+  const minutes = payload ? payload.minutes ?? payload.m ?? null : null;
+  const error =
+    raw !== null && raw !== undefined && raw !== ""
+      ? timeControlError(raw)
+      : minutes !== null && minutes !== undefined && minutes !== ""
+      ? timeControlError(Number(minutes))
+      : null;
+  if (error) return { error };
+  return { timeControl: resolveTimeControl(payload, fallbackMinutes) };
+}
+
+/**
+ * timeControlFromSettings(settings)
+ * Returns the room's time control; rooms created before time controls existed
+ * only carry minutes/minutesMs, so derive a no-bonus control from those.
+ */
+function timeControlFromSettings(settings = {}) {
+  if (settings && settings.timeControl && settings.timeControl.label)
+    return settings.timeControl;
+  const minutes =
+    (settings && settings.minutes) ||
+    (settings && settings.minutesMs ? settings.minutesMs / 60000 : null) ||
+    DEFAULT_MINUTES;
+  return buildTimeControl(minutes, 0);
+}
+
+/**
+ * settingsForTimeControl(tc)
+ * The subset of room.settings derived from a time control (keeps legacy minutes fields).
+ */
+function settingsForTimeControl(tc) {
+  const control = tc || buildTimeControl(DEFAULT_MINUTES, 0);
+  return {
+    minutes: Math.round(control.baseMs / 60000),
+    minutesMs: control.baseMs,
+    timeControl: control,
+  };
+}
+
+/**
+ * botClockRequested(payload)
+ * Bot games are untimed unless the creator asks for a clock with `timed: true`
+ * (or `bot: { timed: true }`); the game then uses the payload's time control.
+ */
+function botClockRequested(payload = {}) {
+  if (!payload) return false;
+  return (
+    payload.timed === true || !!(payload.bot && payload.bot.timed === true)
+  );
+}
+
+/**
+ * initialClocks(tc, running = "w", now = Date.now())
+ * Fresh clocks for a new game.
+ */
+function initialClocks(tc, running = "w", now = Date.now()) {
+  const control = tc || buildTimeControl(DEFAULT_MINUTES, 0);
+  return {
+    w: control.baseMs,
+    b: control.baseMs,
+    running,
+    lastTick: now,
+    turnStartMs: control.baseMs,
+  };
+}
+
+/**
+ * startTurn(clocks, color, now = Date.now())
+ * Hand the move to `color`: start its clock and remember the time it had left,
+ * so Bronstein delay can refund what was spent on this move.
+ */
+function startTurn(clocks, color, now = Date.now()) {
+  if (!clocks) return clocks;
+  clocks.running = color || null;
+  clocks.lastTick = color ? now : null;
+  clocks.turnStartMs =
+    color && typeof clocks[color] === "number" ? clocks[color] : null;
+  return clocks;
+}
+
+/**
+ * settleClock(clocks, now = Date.now())
+ * Charge the running side for the time elapsed since lastTick.
+ */
+function settleClock(clocks, now = Date.now()) {
+  if (!clocks || !clocks.running || typeof clocks.lastTick !== "number")
+    return clocks;
+  const running = clocks.running;
+  if (typeof clocks[running] !== "number") return clocks;
+  const elapsed = Math.max(0, now - clocks.lastTick);
+  clocks[running] = Math.max(0, clocks[running] - elapsed);
+  clocks.lastTick = now;
+  return clocks;
+}
+
+/**
+ * applyMoveToClocks(clocks, moverColor, tc)
+ * Credit the side that just moved:
+ *  - delay: refund the time spent on the move, up to delayMs (Bronstein)
+ *  - increment: add incrementMs (Fischer)
+ * Does not switch the running side; call startTurn() for that.
+ */
+function applyMoveToClocks(clocks, moverColor, tc) {
+  if (!clocks || (moverColor !== "w" && moverColor !== "b")) return clocks;
+  if (typeof clocks[moverColor] !== "number") return clocks;
+  const control = tc || {};
+  if (control.delayMs > 0 && typeof clocks.turnStartMs === "number") {
+    const spent = Math.max(0, clocks.turnStartMs - clocks[moverColor]);
+    clocks[moverColor] += Math.min(spent, control.delayMs);
+  }
+  if (control.incrementMs > 0) clocks[moverColor] += control.incrementMs;
+  return clocks;
+}
+
+module.exports = {
+  DEFAULT_MINUTES,
+  parseTimeControl,
+  resolveTimeControl,
+  timeControlError,
+  readTimeControl,
+  timeControlFromSettings,
+  settingsForTimeControl,
+  botClockRequested,
+  initialClocks,
+  startTurn,
+  settleClock,
+  applyMoveToClocks,
+};
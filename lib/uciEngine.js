@@ -0,0 +1,257 @@
+// backend/lib/uciEngine.js
+// UCI engine sessions: a native binary spawned as a child process or the npm
+// 'stockfish' package (WASM), both exposed as
+// { type, send(cmd), readUntil(marker, timeout), quit() }, plus parsing of
+// the engine's "info" / "bestmove" output. Sessions are pooled and configured
+// by services/engineRegistry.js.
+
+const { spawn } = require("child_process");
+
+async function tryRequireStockfishPkg() {
+  try {
+    return require("stockfish");
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * spawnUciEngine(command, args)
+ * Spawns a native UCI binary. Returns a session
+ * { type: "spawn", send(cmd), readUntil(marker, timeout), quit() } or null.
+ */
+async function spawnUciEngine(command, args = []) {
+  // Attempt to spawn native binary but attach an 'error' handler immediately
+  try {
+    return await new Promise((resolve) => {
+      let settled = false;
+      try {
+        const e = spawn(command, args, { stdio: "pipe" });
+        e.stdin.setDefaultEncoding("utf-8");
+
+        const onError = (err) => {
+          // spawn failed (ENOENT etc). cleanup and resolve null
+          try {
+            e.removeListener("error", onError);
+          } catch (er) {}
+          settled = true;
+          // ensure child is killed if somehow exists
+          try {
+            e.kill();
+          } catch (er) {}
+          resolve(null);
+        };
+
+        // Attach early error handler (prevents unhandled 'error')
+        e.once("error", onError);
+
+        // If no immediate error occurs within a short tick window, assume spawn is ok.
+        // This doesn't guarantee the engine fully started, but prevents ENOENT crash.
+        setTimeout(() => {
+          if (settled) return;
+          try {
+            e.removeListener("error", onError);
+          } catch (er) {}
+          // Prepare send/read/quit helpers
+          const send = (cmd) => {
+            try {
+              e.stdin.write(cmd + "\n");
+            } catch (err) {}
+          };
+          const readUntil = (marker = "bestmove", timeout = 4000) =>
+            new Promise((resolveRead) => {
+              let out = "";
+              const onData = (b) => {
+                out += String(b.toString());
+                if (out.includes(marker)) {
+                  cleanup();
+                  resolveRead(out);
+                }
+              };
+              const onErrData = () => {};
+              const cleanup = () => {
+                try {
+                  e.stdout.off("data", onData);
+                  e.stderr.off("data", onErrData);
+                } catch (er) {}
+              };
+              try {
+                e.stdout.on("data", onData);
+                e.stderr.on("data", onErrData);
+              } catch (er) {}
+              setTimeout(() => {
+                cleanup();
+                resolveRead(out);
+              }, timeout);
+            });
+          const quit = () => {
+            try {
+              send("quit");
+            } catch (er) {}
+            try {
+              e.kill();
+            } catch (er) {}
+          };
+          resolve({
+            type: "spawn",
+            engine: e,
+            send,
+            readUntil,
+            quit,
+          });
+        }, 50); // tiny window to catch immediate spawn errors like ENOENT
+      } catch (err) {
+        // spawn threw synchronously (rare) -> resolve null
+        resolve(null);
+      }
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * createWasmEngine()
+ * Session on the npm 'stockfish' package (WASM):
+ * { type: "wasm", send(cmd), readUntil(marker, timeout), quit() } or null.
+ */
+async function createWasmEngine() {
+  const stockfishPkg = await tryRequireStockfishPkg();
+  if (!stockfishPkg) return null;
+
+  try {
+    const wasmEngine =
+      typeof stockfishPkg === "function" ? stockfishPkg() : stockfishPkg;
+    let listeners = [];
+    const onMessage = (ev) => {
+      let data = ev;
+      if (Array.isArray(ev) && ev.length) data = ev.join(" ");
+      if (ev && typeof ev === "object" && typeof ev.data === "string")
+        data = ev.data;
+      try {
+        listeners.forEach((fn) => {
+          try {
+            fn(String(data));
+          } catch (e) {}
+        });
+      } catch (e) {}
+    };
+
+    try {
+      // attach common event hooks if available
+      if (typeof wasmEngine.onmessage === "undefined") {
+        wasmEngine.onmessage = (m) => onMessage(m);
+      } else {
+        // overwrite safe handler
+        wasmEngine.onmessage = (m) => onMessage(m);
+      }
+    } catch (e) {
+      // ignore
+    }
+
+    const send = (cmd) => {
+      try {
+        if (typeof wasmEngine.postMessage === "function")
+          wasmEngine.postMessage(cmd);
+        else if (typeof wasmEngine.send === "function") wasmEngine.send(cmd);
+        else if (typeof wasmEngine === "function") wasmEngine(cmd);
+      } catch (e) {}
+    };
+
+    const readUntil = (marker = "bestmove", timeout = 4000) =>
+      new Promise((resolve) => {
+        let out = "";
+        const onData = (text) => {
+          const s = String(text || "");
+          out += s + "\n";
+          if (out.includes(marker)) {
+            cleanup();
+            resolve(out);
+          }
+        };
+        listeners.push(onData);
+        const cleanup = () => {
+          listeners = listeners.filter((l) => l !== onData);
+        };
+        setTimeout(() => {
+          cleanup();
+          resolve(out);
+        }, timeout);
+      });
+
+    const quit = () => {
+      try {
+        if (typeof wasmEngine.postMessage === "function")
+          wasmEngine.postMessage("quit");
+        if (typeof wasmEngine.terminate === "function") wasmEngine.terminate();
+      } catch (e) {}
+    };
+
+    return { type: "wasm", engine: wasmEngine, send, readUntil, quit };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * applyOptions(session, options)
+ * Sends "setoption" for every { name: value } pair (e.g. Threads, Hash, Skill Level).
+ */
+function applyOptions(session, options = {}) {
+  for (const [name, value] of Object.entries(options || {})) {
+    if (value === undefined || value === null) continue;
+    session.send(`setoption name ${name} value ${value}`);
+  }
+}
+
+/**
+ * parseInfo(raw, whiteToMove)
+ * Score of the deepest "info ... score" line and the bestmove, from White's
+ * point of view: { cp } or { mate } (mate 0: the side to move is mated).
+ */
+function parseInfo(raw, whiteToMove) {
+  const lines = String(raw || "").split("\n");
+  let score = null;
+  let depth = 0;
+  let bestMove = null;
+  for (const L of lines) {
+    const d = L.match(/\bdepth (\d+)/);
+    const mCp = L.match(/score cp (-?\d+)/);
+    const mMate = L.match(/score mate (-?\d+)/);
+    if ((mCp || mMate) && !/\bupperbound\b|\blowerbound\b/.test(L)) {
+      score = mCp
+        ? { cp: parseInt(mCp[1], 10) }
+        : { mate: parseInt(mMate[1], 10) };
+      if (d) depth = Math.max(depth, parseInt(d[1], 10));
+    }
+    const mBest = L.match(/^bestmove (\S+)/);
+    if (mBest) bestMove = mBest[1] === "(none)" ? null : mBest[1];
+  }
+  if (!score) return null;
+  const sign = whiteToMove ? 1 : -1;
+  if (typeof score.cp === "number") score = { cp: sign * score.cp };
+  else if (score.mate === 0)
+    score = { mate: 0, loser: whiteToMove ? "w" : "b" };
+  else score = { mate: sign * score.mate };
+  return { score, bestMove, depth };
+}
+
+/**
+ * parseBestMove(uci)
+ * { from, to, promotion? } for a UCI move string ("e7e8q"), or null.
+ */
+function parseBestMove(uci) {
+  const m = String(uci || "").match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/);
+  if (!m) return null;
+  const out = { from: m[1], to: m[2] };
+  if (m[3]) out.promotion = m[3];
+  return out;
+}
+
+module.exports = {
+  spawnUciEngine,
+  createWasmEngine,
+  applyOptions,
+  parseInfo,
+  parseBestMove,
+};
@@ -0,0 +1,150 @@
+// backend/lib/variants.js
+// Variant names as stored in room.settings.variant / Game.variant / Invite,
+// their cups ladders, and the extra win conditions of three-check and
+// King of the Hill (which otherwise play by the normal rules).
+//
+// Three-check counts the checks each side has given on the chess instance
+// (chess.threeCheck = { w, b }); King of the Hill only needs a marker
+// (chess.kingOfTheHill) since the win is read off the board.
+
+const VARIANTS = [
+  "standard",
+  "chess960",
+  "crazyhouse",
+  "bughouse",
+  "fogofwar",
+  "threecheck",
+  "kingofthehill",
+  "antichess",
+];
+
+const ALIASES = {
+  "fog-of-war": "fogofwar",
+  dark: "fogofwar",
+  "3check": "threecheck",
+  "three-check": "threecheck",
+  koth: "kingofthehill",
+  "king-of-the-hill": "kingofthehill",
+  losers: "antichess",
+  giveaway: "antichess",
+};
+
+const CHECKS_TO_WIN = 3;
+const HILL = ["d4", "e4", "d5", "e5"];
+
+/**
+ * normalizeVariant(v)
+ * Canonical variant name; "standard" for empty input, null when unknown.
+ */
+function normalizeVariant(v) {
+  const s = String(v || "")
+    .trim()
+    .toLowerCase();
+  if (!s) return "standard";
+  const name = ALIASES[s] || s;
+  return VARIANTS.includes(name) ? name : null;
+}
+
+/**
+ * ladderField(variant)
+ * User path holding the cups for games of `variant`: standard games use
+ * `cups`, every other variant has its own ladder under `variantCups`.
+ */
+function ladderField(variant) {
+  const v = normalizeVariant(variant);
+  if (!v || v === "standard") return "cups";
+  return `variantCups.${v}`;
+}
+
+/**
+ * ladderCups(user, variant)
+ * A user's cups on the ladder for `variant` (null when unknown).
+ */
+function ladderCups(user, variant) {
+  if (!user) return null;
+  const field = ladderField(variant);
+  const value =
+    field === "cups"
+      ? user.cups
+      : user.variantCups && user.variantCups[field.split(".")[1]];
+  if (value === null || value === undefined) return null;
+  return Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+function isThreeCheck(settings) {
+  return normalizeVariant(settings && settings.variant) === "threecheck";
+}
+
+function isKingOfTheHill(settings) {
+  return normalizeVariant(settings && settings.variant) === "kingofthehill";
+}
+
+function attachState(chess, settings) {
+  if (isThreeCheck(settings)) chess.threeCheck = { w: 0, b: 0 };
+  if (isKingOfTheHill(settings)) chess.kingOfTheHill = true;
+  return chess;
+}
+
+/**
+ * recordMove(chess, result)
+ * Counts the check `result` just gave (three-check rooms only).
+ */
+function recordMove(chess, result) {
+  if (!chess || !chess.threeCheck || !result) return;
+  if (chess.inCheck()) chess.threeCheck[result.color] += 1;
+}
+
+function checksOf(chess) {
+  return chess && chess.threeCheck ? { ...chess.threeCheck } : null;
+}
+
+function kingSquare(chess, color) {
+  for (const row of chess.board())
+    for (const p of row)
+      if (p && p.type === "k" && p.color === color) return p.square;
+  return null;
+}
+
+/**
+ * detectFinished(chess)
+ * The variant win for the side that just moved (third check given, king on
+ * a center square), or null to fall through to the normal game-end checks.
+ */
+function detectFinished(chess) {
+  if (!chess || !(chess.threeCheck || chess.kingOfTheHill)) return null;
+  const winner = chess.turn() === "w" ? "b" : "w";
+  const loser = winner === "w" ? "b" : "w";
+  const now = Date.now();
+  if (chess.threeCheck && chess.threeCheck[winner] >= CHECKS_TO_WIN) {
+    return {
+      reason: "three-check",
+      winner,
+      loser,
+      message: `${winner.toUpperCase()} wins by giving three checks`,
+      finishedAt: now,
+    };
+  }
+  if (chess.kingOfTheHill && HILL.includes(kingSquare(chess, winner))) {
+    return {
+      reason: "king-of-the-hill",
+      winner,
+      loser,
+      message: `${winner.toUpperCase()} wins by reaching the center`,
+      finishedAt: now,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  VARIANTS,
+  normalizeVariant,
+  ladderField,
+  ladderCups,
+  isThreeCheck,
+  isKingOfTheHill,
+  attachState,
+  recordMove,
+  checksOf,
+  detectFinished,
+};
@@ -144,6 +144,25 @@ async function restAuthMiddleware(req, res, next) {
   }
 }
 
+// admin-only routes: run after restAuthMiddleware. Admins are the user ids in
+// ADMIN_USER_IDS (comma separated) or users with isAdmin set.
+async function requireAdmin(req, res, next) {
+  const id = req.user && req.user.id ? String(req.user.id) : null;
+  if (!id) return res.status(401).json({ error: "Missing auth" });
+  const allow = String(process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (allow.includes(id)) return next();
+  try {
+    const user = await User.findById(id).select("isAdmin").lean().exec();
+    if (user && user.isAdmin) return next();
+  } catch (err) {
+    console.error("requireAdmin lookup error", err);
+  }
+  return res.status(403).json({ error: "Forbidden" });
+}
+
 function verifyToken(token) {
   if (!token) return null;
   try {
@@ -154,9 +173,18 @@ function verifyToken(token) {
   }
 }
 
+// current user id when a valid token came along, for routes that work
+// without auth but show more to the signed-in user
+function optionalUserId(req) {
+  const decoded = verifyToken(getTokenFromReq(req));
+  return decoded && decoded.id ? String(decoded.id) : null;
+}
+
 module.exports = {
   detectClientIpFromReq,
   updateUserIpIfChangedFromReq,
   restAuthMiddleware,
+  requireAdmin,
   verifyToken,
+  optionalUserId,
 };
@@ -0,0 +1,28 @@
+// backend/models/AnalysisBoard.js
+// Free analysis boards: a move tree with variations, comments and NAGs (see
+// lib/moveTree.js), shared live by everyone viewing it and editable by the
+// owner and the editors they add. Written by services/analysisBoardService.js.
+const mongoose = require("mongoose");
+
+const AnalysisBoardSchema = new mongoose.Schema(
+  {
+    boardId: { type: String, required: true, unique: true },
+    ownerId: { type: String, required: true, index: true },
+    ownerUsername: { type: String, default: null },
+    title: { type: String, default: "" },
+    startFen: { type: String, required: true },
+    tree: { type: Object, required: true }, // { rootId, nextId, nodes }
+    currentNodeId: { type: String, default: "0" }, // the node everyone is looking at
+    editors: { type: [String], default: [] }, // user ids besides the owner
+    sourceRoomId: { type: String, default: null }, // Game it was opened from
+    // count of applied ops; clients order "analysis-update" events by it
+    version: { type: Number, default: 0 },
+  },
+  { timestamps: true, minimize: false }
+);
+
+AnalysisBoardSchema.index({ editors: 1, updatedAt: -1 });
+
+module.exports =
+  mongoose.models.AnalysisBoard ||
+  mongoose.model("AnalysisBoard", AnalysisBoardSchema);
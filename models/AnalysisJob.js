@@ -0,0 +1,32 @@
+// backend/models/AnalysisJob.js
+// Persistent queue of engine jobs (services/analysisQueue.js). Jobs survive
+// restarts: anything left "running" by a crashed process is queued again on boot.
+const mongoose = require("mongoose");
+
+const AnalysisJobSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true }, // e.g. "game-analysis"
+    status: { type: String, default: "queued" }, // queued | running | done | failed
+    priority: { type: Number, default: 0 }, // higher runs first
+    gameId: { type: String, default: null },
+    roomId: { type: String, default: null },
+    depth: { type: Number, default: null },
+    payload: { type: Object, default: {} },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    timeoutMs: { type: Number, default: 5 * 60 * 1000 },
+    runAfter: { type: Date, default: () => new Date() }, // retry backoff
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// claim order: queued jobs by priority, oldest first
+AnalysisJobSchema.index({ status: 1, priority: -1, createdAt: 1 });
+AnalysisJobSchema.index({ gameId: 1, status: 1 });
+
+module.exports =
+  mongoose.models.AnalysisJob ||
+  mongoose.model("AnalysisJob", AnalysisJobSchema);
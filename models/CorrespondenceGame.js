@@ -0,0 +1,40 @@
+// backend/models/CorrespondenceGame.js
+// Correspondence (daily) games live here instead of the in-memory rooms map,
+// so they survive restarts and a player can have many of them open at once.
+const mongoose = require("mongoose");
+
+const CorrespondencePlayerSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    username: String,
+    displayName: String,
+    color: String, // 'w' | 'b'
+  },
+  { _id: false }
+);
+
+const CorrespondenceGameSchema = new mongoose.Schema(
+  {
+    players: { type: [CorrespondencePlayerSchema], default: [] },
+    createdBy: { type: String, required: true },
+    daysPerMove: { type: Number, default: 3 },
+    colorPreference: { type: String, default: "random" },
+    status: { type: String, default: "pending" }, // pending | active | finished | declined
+    fen: String,
+    moves: [{ index: Number, move: Object, san: String, ts: Number }],
+    lastIndex: { type: Number, default: -1 },
+    turn: { type: String, default: "w" },
+    // when the side to move runs out of days; the deadline scheduler reads this
+    deadlineAt: { type: Date, default: null },
+    finished: { type: Object, default: null },
+    gameRecordId: { type: String, default: null }, // Game doc saved on finish
+  },
+  { timestamps: true }
+);
+
+CorrespondenceGameSchema.index({ status: 1, deadlineAt: 1 });
+CorrespondenceGameSchema.index({ "players.userId": 1, status: 1 });
+
+module.exports =
+  mongoose.models.CorrespondenceGame ||
+  mongoose.model("CorrespondenceGame", CorrespondenceGameSchema);
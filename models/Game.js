@@ -16,7 +16,16 @@ const MessageSchema = new mongoose.Schema({
 const GameSchema = new mongoose.Schema({
   roomId: { type: String, unique: true, required: true },
   fen: String,
-  moves: [{ index: Number, move: Object }],
+  // clocks: { w, b } ms left after the move; comment / nags: imported games
+  moves: [
+    {
+      index: Number,
+      move: Object,
+      clocks: Object,
+      comment: String,
+      nags: { type: [Number], default: undefined },
+    },
+  ],
   players: [
     {
       id: String,
@@ -30,7 +39,28 @@ const GameSchema = new mongoose.Schema({
     b: Number,
     running: String,
   },
+  timeControl: { type: Object, default: null },
+  startFen: { type: String, default: null },
+  chess960: { type: Boolean, default: false },
+  variant: { type: String, default: "standard" },
+  // crazyhouse only: { w: { p, n, b, r, q }, b: { ... } } piece counts
+  pockets: { type: Object, default: null },
+  // three-check only: { w, b } checks given so far
+  checks: { type: Object, default: null },
+  // casual games (rated: false) never change cups
+  rated: { type: Boolean, default: true },
+  cupsProcessed: { type: Boolean, default: false },
+  cupsDelta: { type: Number, default: null }, // winner's cups change
+  // Glicko-2 before/after per color (bughouse: per user id):
+  // { w: { userId, username, color, before, after, cupsBefore, cupsAfter }, b: {...} }
+  ratingChanges: { type: Object, default: null },
+  // bughouse: { matchId, board, partnerRoomId, teams, winnerTeam, decidedOn }
+  bughouse: { type: Object, default: null },
   messages: [MessageSchema],
+  // { reason, winner, loser, winnerId, loserId, winnerColor, message, finishedAt }
+  finished: { type: Object, default: null },
+  // PGN imports: { userId, username, headers, comment, importedAt }
+  imported: { type: Object, default: null },
   createdAt: { type: Date, default: Date.now },
 });
 
@@ -0,0 +1,30 @@
+// backend/models/GameAnalysis.js
+// Engine analysis of a finished Game (one document per game). Written by
+// services/analysisService.js; a deeper re-run replaces the previous result.
+const mongoose = require("mongoose");
+
+const GameAnalysisSchema = new mongoose.Schema(
+  {
+    gameId: { type: String, required: true, unique: true }, // Game _id
+    roomId: { type: String, required: true, index: true },
+    variant: { type: String, default: "standard" },
+    status: { type: String, default: "pending" }, // pending | running | done | failed | unsupported
+    depth: { type: Number, default: null }, // depth of the stored result
+    requestedDepth: { type: Number, default: null }, // depth of the queued/running job
+    // one entry per ply: { ply, moveNumber, color, san, uci, fen, eval,
+    // bestMove, bestSan, winChance, cpLoss, accuracy, classification }
+    plies: { type: [Object], default: [] },
+    accuracy: { type: Object, default: null }, // { w, b } percent
+    acpl: { type: Object, default: null }, // { w, b } average centipawn loss
+    counts: { type: Object, default: null }, // { w: { brilliant, inaccuracy, mistake, blunder }, b }
+    critical: { type: [Object], default: [] }, // biggest swings, in game order
+    error: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports =
+  mongoose.models.GameAnalysis ||
+  mongoose.model("GameAnalysis", GameAnalysisSchema);
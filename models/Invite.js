@@ -7,7 +7,10 @@ const InviteSchema = new mongoose.Schema(
     toUserId: { type: String, required: true },
     toUsername: { type: String },
     minutes: { type: Number, default: 5 },
+    timeControl: { type: Object, default: null }, // see lib/timeControl.js
     colorPreference: { type: String, default: "random" },
+    variant: { type: String, default: "standard" }, // see lib/variants.js
+    rated: { type: Boolean, default: true }, // false = casual game (no cups)
     status: { type: String, default: "pending" }, // pending | accepted | declined
     roomId: { type: String, default: null }, // filled if a room was created on accept
     createdAt: { type: Number, default: () => Date.now() },
@@ -0,0 +1,32 @@
+// backend/models/Puzzle.js
+// Puzzles mined from analysed games (services/puzzleService.js): the position
+// before a missed winning move, the solution line and a Glicko-2 rating that
+// moves with every rated attempt.
+const mongoose = require("mongoose");
+
+const PuzzleSchema = new mongoose.Schema(
+  {
+    puzzleId: { type: String, required: true, unique: true },
+    gameId: { type: String, required: true }, // Game _id
+    roomId: { type: String, default: null },
+    ply: { type: Number, required: true }, // the missed move's ply in the game
+    fen: { type: String, required: true }, // solver to move
+    lastMove: { type: String, default: null }, // opponent's move into fen (UCI)
+    color: { type: String, required: true }, // solver's side
+    solution: { type: [String], default: [] }, // UCI, solver moves and replies
+    solutionSan: { type: [String], default: [] },
+    themes: { type: [String], default: [], index: true },
+    // { rating, rd, vol, games, wins, losses, draws, provisional, updatedAt }
+    rating: { type: Object, required: true },
+    plays: { type: Number, default: 0 }, // rated attempts
+    solved: { type: Number, default: 0 },
+    playerIds: { type: [String], default: [] }, // the game's players never get it
+  },
+  { timestamps: true }
+);
+
+PuzzleSchema.index({ gameId: 1, ply: 1 }, { unique: true });
+PuzzleSchema.index({ "rating.rating": 1 });
+
+module.exports =
+  mongoose.models.Puzzle || mongoose.model("Puzzle", PuzzleSchema);
@@ -0,0 +1,32 @@
+// backend/models/PuzzleAttempt.js
+// One row per puzzle attempt (services/puzzleService.js). Only a user's first
+// attempt at a puzzle is rated; later ones are kept for history only.
+const mongoose = require("mongoose");
+
+const PuzzleAttemptSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    puzzleId: { type: String, required: true },
+    win: { type: Boolean, required: true },
+    rated: { type: Boolean, default: false },
+    moves: { type: [String], default: [] }, // as submitted
+    timeMs: { type: Number, default: null },
+    ratingBefore: { type: Number, default: null },
+    ratingAfter: { type: Number, default: null },
+    puzzleRatingBefore: { type: Number, default: null },
+    puzzleRatingAfter: { type: Number, default: null },
+    createdAt: { type: Date, default: () => new Date() },
+  },
+  { timestamps: false }
+);
+
+PuzzleAttemptSchema.index({ userId: 1, createdAt: -1 });
+// at most one rated attempt per user and puzzle
+PuzzleAttemptSchema.index(
+  { userId: 1, puzzleId: 1 },
+  { unique: true, partialFilterExpression: { rated: true } }
+);
+
+module.exports =
+  mongoose.models.PuzzleAttempt ||
+  mongoose.model("PuzzleAttempt", PuzzleAttemptSchema);
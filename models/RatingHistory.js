@@ -0,0 +1,32 @@
+// backend/models/RatingHistory.js
+// Append-only log of rating changes: one row per player per rated game,
+// written by socket/applyCups.js (and scripts/backfillRatingHistory.js for
+// games rated before this collection existed). Rows are never updated.
+const mongoose = require("mongoose");
+
+const RatingHistorySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    gameId: { type: String, required: true }, // Game _id
+    roomId: { type: String, default: null },
+    opponentId: { type: String, default: null }, // bughouse: null (team game)
+    opponentUsername: { type: String, default: null },
+    category: { type: String, required: true }, // see lib/ratingCategories.js
+    result: { type: String, default: null }, // "win" | "loss" | "draw"
+    before: { type: Number, required: true },
+    after: { type: Number, required: true },
+    delta: { type: Number, default: 0 },
+    rd: { type: Number, default: null }, // deviation after the game
+    source: { type: String, default: "game" }, // "game" | "backfill"
+    createdAt: { type: Date, default: () => new Date() },
+  },
+  { timestamps: false }
+);
+
+RatingHistorySchema.index({ userId: 1, category: 1, createdAt: 1 });
+// one row per player per game (keeps retries and the backfill idempotent)
+RatingHistorySchema.index({ userId: 1, gameId: 1 }, { unique: true });
+
+module.exports =
+  mongoose.models.RatingHistory ||
+  mongoose.model("RatingHistory", RatingHistorySchema);
@@ -32,7 +32,7 @@ const RoomSchema = new mongoose.Schema(
   {
     roomId: { type: String, unique: true, required: true },
     fen: String,
-    moves: [{ index: Number, move: Object }],
+    moves: [{ index: Number, move: Object, clocks: Object }], // clocks: { w, b } ms left after the move
     lastIndex: { type: Number, default: -1 },
     players: { type: [PlayerSchema], default: [] },
     clocks: {
@@ -40,7 +40,20 @@ const RoomSchema = new mongoose.Schema(
       b: Number,
       running: String,
       lastTick: Number,
+      turnStartMs: Number,
     },
+    // normalized time control ({ baseMs, incrementMs, delayMs, mode, label })
+    timeControl: { type: Object, default: null },
+    // start position; null means the standard initial position
+    startFen: { type: String, default: null },
+    chess960: { type: Boolean, default: false },
+    variant: { type: String, default: "standard" },
+    // crazyhouse only: { w: { p, n, b, r, q }, b: { ... } } piece counts
+    pockets: { type: Object, default: null },
+    // three-check only: { w, b } checks given so far
+    checks: { type: Object, default: null },
+    // casual games (rated: false) never change cups
+    rated: { type: Boolean, default: true },
     settings: { type: Object, default: {} },
     messages: { type: [MessageSchema], default: [] },
     finished: { type: Object, default: null },
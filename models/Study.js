@@ -0,0 +1,47 @@
+// backend/models/Study.js
+// Studies: a named collection of chapters, each an annotated move tree
+// (lib/moveTree.js) from its own start position. The owner invites friends
+// as viewers or contributors. Written by services/studyService.js.
+const mongoose = require("mongoose");
+
+const StudyMemberSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    username: String,
+    role: { type: String, default: "viewer" }, // viewer | contributor
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const StudyChapterSchema = new mongoose.Schema(
+  {
+    chapterId: { type: String, required: true },
+    name: { type: String, default: "" },
+    startFen: { type: String, required: true },
+    tree: { type: Object, required: true }, // { rootId, nextId, nodes }
+    currentNodeId: { type: String, default: "0" },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false, minimize: false }
+);
+
+const StudySchema = new mongoose.Schema(
+  {
+    studyId: { type: String, required: true, unique: true },
+    ownerId: { type: String, required: true, index: true },
+    ownerUsername: { type: String, default: null },
+    name: { type: String, default: "" },
+    description: { type: String, default: "" },
+    members: { type: [StudyMemberSchema], default: [] },
+    chapters: { type: [StudyChapterSchema], default: [] },
+    nextChapterId: { type: Number, default: 1 },
+    // count of applied edits; clients order "study-update" events by it
+    version: { type: Number, default: 0 },
+  },
+  { timestamps: true, minimize: false }
+);
+
+StudySchema.index({ "members.userId": 1, updatedAt: -1 });
+
+module.exports = mongoose.models.Study || mongoose.model("Study", StudySchema);
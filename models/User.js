@@ -32,7 +32,25 @@ const UserSchema = new mongoose.Schema({
 
   bio: { type: String },
   country: { type: String },
+  // display number: the rounded Glicko-2 rating of the ladder (see `ratings`);
+  // 0 until the first rated game there. Cups from before Glicko-2 seed the
+  // first rating entry (lib/ratingCategories.js entryFor).
   cups: { type: Number, default: 0 },
+  // separate cups ladder per variant (standard games use `cups`)
+  variantCups: {
+    chess960: { type: Number, default: 0 },
+    crazyhouse: { type: Number, default: 0 },
+    bughouse: { type: Number, default: 0 },
+    fogofwar: { type: Number, default: 0 },
+    threecheck: { type: Number, default: 0 },
+    kingofthehill: { type: Number, default: 0 },
+    antichess: { type: Number, default: 0 },
+  },
+  // Glicko-2 entry per ladder ("standard", "chess960", ...):
+  // { rating, rd, vol, games, wins, losses, draws, provisional, updatedAt }
+  ratings: { type: Object, default: {} },
+  // Glicko-2 entry for puzzles (services/puzzleService.js), null until the first one
+  puzzleRating: { type: Object, default: null },
 
   dob: { type: Date, default: null },
 
@@ -44,6 +62,9 @@ const UserSchema = new mongoose.Schema({
   // NEW: user's current session id (string). Used to invalidate old JWTs when user logs in again.
   currentSession: { type: String, default: null },
 
+  // admin routes (/api/admin); ADMIN_USER_IDS grants the same without a DB flag
+  isAdmin: { type: Boolean, default: false },
+
   // NEW: simple status: 'idle' | 'playing' | other states you may add later
 
   createdAt: { type: Date, default: Date.now },
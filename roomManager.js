@@ -1,19 +1,46 @@
 // roomManager.js
-const { Chess } = require("chess.js");
+const { Chess, validateFen } = require("chess.js");
 const Game = require("./models/Game");
 const User = require("./models/User");
 const RoomModel = require("./models/Room");
-const jsChessAdapter = require("./lib/jsChessEngineAdapter");
-
+const engineRegistry = require("./services/engineRegistry");
+const botLevels = require("./lib/botLevels");
+const openingBook = require("./services/openingBook");
+const {
+  resolveTimeControl,
+  timeControlFromSettings,
+  settingsForTimeControl,
+  botClockRequested,
+  initialClocks,
+  startTurn,
+  settleClock,
+  applyMoveToClocks,
+} = require("./lib/timeControl");
 const {
-  runStockfishAnalysis,
-  computeDeltaForWinner,
-} = require("./ratingUtils");
+  resolveStartPosition,
+  startSettings,
+  createChess,
+  applyMove,
+  replayMoves,
+  castlingRightsString,
+} = require("./lib/startPosition");
+const crazyhouse = require("./lib/crazyhouse");
+const bughouse = require("./lib/bughouse");
+const fogOfWar = require("./lib/fogOfWar");
+const antichess = require("./lib/antichess");
+const variants = require("./lib/variants");
+
+const analysisService = require("./services/analysisService");
 
 const DEFAULT_MS = 5 * 60 * 1000;
 const DISCONNECT_GRACE_MS = 10 * 1000;
 const FIRST_MOVE_TIMEOUT_MS = 30 * 1000;
 const MAX_CHAT_MESSAGES = 500;
+const TAKEBACK_LIMIT = Number(process.env.TAKEBACK_LIMIT || 2); // per player per game
+// replay rooms of saved games are dropped after this long with nobody in them
+const REPLAY_ROOM_TTL_MS = Number(
+  process.env.REPLAY_ROOM_TTL_MS || 2 * 60 * 60 * 1000
+);
 
 const rooms = {};
 let io = null;
@@ -242,102 +269,18 @@ async function finishRoom(roomId, finishedObj) {
   }
 }
 
-// fallback apply: atomic increment/decrement if applyCups is not available
-// safe fallback apply: atomic increment/decrement with clamp to prevent negative cups
-async function applyFallbackDelta(winnerId, loserId, delta = 12) {
-  try {
-    if (!winnerId || !loserId) {
-      console.warn("applyFallbackDelta: missing ids", winnerId, loserId);
-      return { ok: false, reason: "missing-ids" };
-    }
-    const d = Math.max(1, Math.round(Number(delta) || 12));
-
-    // 1) Increment winner (simple $inc is fine)
-    try {
-      await User.updateOne(
-        { _id: winnerId },
-        { $inc: { cups: Math.abs(d) } }
-      ).exec();
-    } catch (e) {
-      console.warn("[applyFallbackDelta] winner $inc failed, continuing:", e);
-    }
-
-    // 2) Decrement loser but ensure cups never go below 0.
-    // Try aggregation-pipeline update first (Mongo 4.2+): cups = max(0, cups - d)
-    let pipelineWorked = false;
-    try {
-      await User.updateOne({ _id: loserId }, [
-        {
-          $set: {
-            cups: {
-              $max: [0, { $subtract: ["$cups", Number(d)] }],
-            },
-          },
-        },
-      ]).exec();
-      pipelineWorked = true;
-    } catch (e) {
-      pipelineWorked = false;
-    }
-
-    // Fallback if aggregation pipeline not supported: do $inc then clamp negatives to 0.
-    if (!pipelineWorked) {
-      try {
-        await User.updateOne(
-          { _id: loserId },
-          { $inc: { cups: -Math.abs(d) } }
-        ).exec();
-      } catch (e) {
-        console.warn("[applyFallbackDelta] loser $inc failed:", e);
-      }
-      try {
-        // atomic conditional clamp: set cups to 0 only if it's currently < 0
-        await User.updateOne(
-          { _id: loserId, cups: { $lt: 0 } },
-          { $set: { cups: 0 } }
-        ).exec();
-      } catch (e) {
-        console.warn("[applyFallbackDelta] loser clamp failed:", e);
-      }
-    }
-
-    // Read back accurate documents to return
-    const winnerUpdate = await User.findById(winnerId)
-      .select("cups username")
-      .lean()
-      .exec();
-    const loserUpdate = await User.findById(loserId)
-      .select("cups username")
-      .lean()
-      .exec();
-
-    console.log("[applyFallbackDelta] applied fallback cups delta:", {
-      delta: d,
-      winner: {
-        id: winnerId,
-        username: winnerUpdate?.username,
-        after: winnerUpdate?.cups,
-      },
-      loser: {
-        id: loserId,
-        username: loserUpdate?.username,
-        after: loserUpdate?.cups,
-      },
-    });
-
-    return { ok: true, delta: d, winner: winnerUpdate, loser: loserUpdate };
-  } catch (e) {
-    console.error("[applyFallbackDelta] error:", e);
-    return { ok: false, error: e.message || String(e) };
-  }
-}
-
 async function saveFinishedGame(roomId) {
   try {
     const room = rooms[roomId];
     if (!room || !room.finished) return;
+    // replay rooms show a game that is already stored
+    if (room.settings && room.settings.replayOnly) return;
     const savedId = `${roomId}-${Date.now()}`;
 
+    // every finish path ends up here, so this is where a bughouse result
+    // carries over to the partner board
+    await finishBughousePartner(roomId);
+
     // build players payload (store whatever client sent so we can debug)
     const playersPayload = (room.players || []).map((p) => {
       const userObj = p.user || {};
@@ -523,6 +466,14 @@ async function saveFinishedGame(roomId) {
       clocks: room.clocks
         ? { w: room.clocks.w, b: room.clocks.b, running: room.clocks.running }
         : null,
+      timeControl: room.clocks ? timeControlFromSettings(room.settings) : null,
+      startFen: (room.settings && room.settings.startFen) || null,
+      chess960: !!(room.settings && room.settings.chess960),
+      variant: (room.settings && room.settings.variant) || "standard",
+      pockets: roomPockets(room),
+      checks: variants.checksOf(room.chess),
+      bughouse: bughouseRecordFor(room),
+      rated: isRatedRoom(room),
       messages: room.messages || [],
       finished: finishedToSave || null,
       createdAt:
@@ -533,6 +484,17 @@ async function saveFinishedGame(roomId) {
     await doc.save();
     console.log("Saved finished game to Mongo:", savedId);
 
+    // post-game engine analysis (queued; set AUTO_ANALYSIS=0 to turn off)
+    if (process.env.AUTO_ANALYSIS !== "0" && (doc.moves || []).length) {
+      analysisService
+        .requestAnalysis(doc.toObject(), {
+          priority: analysisService.PRIORITY.low,
+        })
+        .catch((e) =>
+          console.error("[saveFinishedGame] analysis queue error", e)
+        );
+    }
+
     // If we still don't have winner/loser ids, log full debug payload and leave for retry
     if (!doc.finished || (!doc.finished.winnerId && !doc.finished.loserId)) {
       console.warn(
@@ -551,8 +513,9 @@ async function saveFinishedGame(roomId) {
       });
     }
 
-    // ----------------- IMPORTANT: Only apply cups for clear wins -----------------
-    // If the finish is a draw or a reason that implies a draw/ambiguous, DO NOT apply cups.
+    // ----------------- IMPORTANT: Only rate real results -----------------
+    // Wins, losses and draws are all rated (Glicko-2, see socket/applyCups.js);
+    // abandoned games, games without a move and drawn bughouse boards are not.
     const drawReasons = new Set([
       "draw",
       "stalemate",
@@ -567,15 +530,34 @@ async function saveFinishedGame(roomId) {
       String(finishedResult).toLowerCase() === "draw" ||
       (finishedReason && drawReasons.has(String(finishedReason)));
 
-    if (isDraw) {
+    // the deciding bughouse board's Game carries the cups for all four players
+    if (finishedReason === "partner-board") {
+      console.log(
+        "[saveFinishedGame] bughouse partner board — cups applied from the deciding board.",
+        finishedToSave
+      );
+      return;
+    }
+    const isBughouse = !!(room.settings && room.settings.bughouse);
+
+    if (!doc.rated) {
+      console.log(
+        "[saveFinishedGame] casual game — skipping applyCups/fallback.",
+        { gameId: String(doc._id) }
+      );
+      return;
+    }
+
+    const noMoves =
+      finishedReason === "first-move-timeout" || !(room.moves || []).length;
+    if (finishedReason === "abandoned" || noMoves || (isDraw && isBughouse)) {
       console.log(
-        "[saveFinishedGame] detected draw/ambiguous finish — skipping applyCups/fallback.",
+        "[saveFinishedGame] abandoned/unrated finish — skipping applyCups.",
         finishedToSave
       );
       return;
     }
 
-    // Now we only attempt applyCups/fallback when we have a non-draw finish.
     try {
       // Ensure 'path' is defined (fix ReferenceError when requiring by path)
       const path = require("path");
@@ -583,7 +565,7 @@ async function saveFinishedGame(roomId) {
       // Only attempt to call a project's applyCups if winnerId & loserId have been resolved.
       if (!(finishedToSave.winnerId && finishedToSave.loserId)) {
         console.log(
-          "[saveFinishedGame] cannot apply cups: winner/loser not resolved for non-draw finish. finished:",
+          "[saveFinishedGame] cannot apply cups: players not resolved. finished:",
           finishedToSave
         );
       } else {
@@ -661,7 +643,8 @@ async function saveFinishedGame(roomId) {
                 "[saveFinishedGame] applyCups returned falsy result"
               );
             }
-            // proceed — if applyCups did the work, good; if not, fallback below handles it
+            // done once applyCups rated the game; otherwise it stays for retry
+            if (calledRes && calledRes.ok) return;
           }
         } else {
           console.warn("[saveFinishedGame] could not locate applyCups module");
@@ -674,38 +657,9 @@ async function saveFinishedGame(roomId) {
       );
     }
 
-    // FINAL fallback: if we have resolved winnerId & loserId, apply a deterministic delta (ensures winner ++, loser --)
-    if (finishedToSave.winnerId && finishedToSave.loserId) {
-      try {
-        // You wanted Stockfish rating alternative earlier — if you have ratingUtils ready you can compute delta:
-        // const delta = typeof computeDeltaForWinner === "function" ? computeDeltaForWinner(...) : 12;
-        // For now, use fixed 12 to guarantee deterministic behavior (always increase winner, decrease loser)
-        const fallbackDelta = 12;
-        const res = await applyFallbackDelta(
-          finishedToSave.winnerId,
-          finishedToSave.loserId,
-          fallbackDelta
-        );
-        if (res && res.ok) {
-          console.log("[saveFinishedGame] applied fallback cups update:", res);
-        } else {
-          console.warn(
-            "[saveFinishedGame] fallback cups update reported non-ok:",
-            res
-          );
-        }
-      } catch (e) {
-        console.error(
-          "[saveFinishedGame] fallback delta application failed:",
-          e
-        );
-      }
-      return;
-    }
-
-    // if we reach here, we could not resolve both users — leave the saved game for async/cron retry/inspection
+    // if we reach here, the game was not rated — leave the saved game for async/cron retry/inspection
     console.warn(
-      "[saveFinishedGame] could not resolve both users — leaving unprocessed for retry",
+      "[saveFinishedGame] game not rated — leaving unprocessed for retry",
       {
         gameId: String(doc._id),
         winnerEntry: finishedToSave.winnerId || null,
@@ -893,9 +847,9 @@ function notifyUser(userId, event, payload) {
 }
 
 /* --------------------
-    Bot helpers (server-side AI using chess.js and negamax)
+    Bot helpers (server-side; moves come from the "bot" engine in services/engineRegistry.js)
     - schedules bot moves when room contains a bot player (id starting with 'bot:' or username 'Bot')
-    - supports simple levels (1..4) mapped to search depth
+    - supports simple levels (0..4)
     -------------------- */
 
 function clearBotTimer(roomId) {
@@ -941,100 +895,31 @@ function isBotRoom(roomOrId) {
   }
 }
 
-function mapLevelToDepth(level) {
-  // safe mapping; allow surprisingly shallow depths to keep CPU usage reasonable
-  const lvl = Number(level) || 2;
-  if (lvl <= 1) return 1;
-  if (lvl === 2) return 2;
-  if (lvl === 3) return 3;
-  return 4;
-}
-
-function evaluateChessMaterialAndMobility(chessInstance) {
-  // returns score from White's perspective (higher => better for white)
-  const MAT = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 200 };
-  let s = 0;
-  try {
-    const board = chessInstance.board(); // 8x8 array
-    for (let r = 0; r < 8; r++) {
-      for (let c = 0; c < 8; c++) {
-        const cell = board[r][c];
-        if (!cell) continue;
-        const v = MAT[cell.type] || 0;
-        s += cell.color === "w" ? v : -v;
-      }
-    }
-    // mobility: small bonus
-    const wMoves = chessInstance.moves({
-      verbose: false,
-      legal: true,
-      color: "w",
-    }).length;
-    const bMoves = chessInstance.moves({
-      verbose: false,
-      legal: true,
-      color: "b",
-    }).length;
-    s += 0.08 * (wMoves - bMoves);
-  } catch (e) {}
-  return s;
+/**
+ * roomUsesClocks(room)
+ * Human games always run clocks; bot games only when created with one
+ * (settings.bot.timed, see botClockRequested in lib/timeControl.js).
+ */
+function roomUsesClocks(roomOrId) {
+  const room = typeof roomOrId === "string" ? rooms[roomOrId] : roomOrId;
+  if (!room) return false;
+  if (!isBotRoom(room)) return true;
+  return !!(room.settings && room.settings.bot && room.settings.bot.timed);
 }
 
-// negamax with alpha-beta using chess.js instance
-function negamaxSearch(chessInstance, depth, alpha, beta, colorSign) {
-  // colorSign = 1 if evaluating from White perspective for current side; easier to treat like
-  // We'll evaluate position at leaf by using evaluateChessMaterialAndMobility and flipping sign as needed.
-  const moves = chessInstance.moves({ verbose: true });
-  if (depth === 0 || moves.length === 0) {
-    const evalv = evaluateChessMaterialAndMobility(chessInstance);
-    // return value from side-to-move perspective
-    return (chessInstance.turn() === "w" ? 1 : -1) * evalv;
-  }
-
-  // move ordering: captures first
-  moves.sort((a, b) => {
-    const va = a.captured
-      ? a.captured in { p: 1, n: 3, b: 3, r: 5, q: 9 }
-        ? { p: 1, n: 3, b: 3, r: 5, q: 9 }[a.captured]
-        : 0
-      : 0;
-    const vb = b.captured
-      ? b.captured in { p: 1, n: 3, b: 3, r: 5, q: 9 }
-        ? { p: 1, n: 3, b: 3, r: 5, q: 9 }[b.captured]
-        : 0
-      : 0;
-    return vb - va;
-  });
-
-  let best = -Infinity;
-  for (let i = 0; i < moves.length; i++) {
-    const mv = moves[i];
-    try {
-      chessInstance.move({
-        from: mv.from,
-        to: mv.to,
-        promotion: mv.promotion || "q",
-      });
-    } catch (e) {
-      continue;
-    }
-    const score = -negamaxSearch(
-      chessInstance,
-      depth - 1,
-      -beta,
-      -alpha,
-      -colorSign
-    );
-    chessInstance.undo();
-    if (score > best) best = score;
-    if (score > alpha) alpha = score;
-    if (alpha >= beta) break;
-  }
-  return best;
+/**
+ * isRatedRoom(room)
+ * Whether the room's result moves cups: games are rated unless created with
+ * { rated: false }, and bot games never are.
+ */
+function isRatedRoom(roomOrId) {
+  const room = typeof roomOrId === "string" ? rooms[roomOrId] : roomOrId;
+  if (!room || isBotRoom(room)) return false;
+  return !(room.settings && room.settings.rated === false);
 }
 
 // ---------- paste/replace into roomManager.js ----------
-// Requires at top of file: const jsChessAdapter = require("../lib/jsChessEngineAdapter");
+// Requires at top of file: const engineRegistry = require("./services/engineRegistry");
 
 // Robust detectGameFinished helper for roomManager (same logic as gameHandlers)
 function _safeCallRM(chess, ...names) {
@@ -1052,6 +937,12 @@ function _safeCallRM(chess, ...names) {
 function detectGameFinishedForRoom(chess, lastMoveResult = null) {
   try {
     if (!chess) return null;
+    if (chess.crazyhouse)
+      return crazyhouse.detectFinished(chess, lastMoveResult);
+    if (chess.fogOfWar) return fogOfWar.detectFinished(chess, lastMoveResult);
+    if (chess.antichess) return antichess.detectFinished(chess);
+    const variantWin = variants.detectFinished(chess);
+    if (variantWin) return variantWin;
     const now = Date.now();
 
     if (_safeCallRM(chess, "in_checkmate", "inCheckmate", "isCheckmate")) {
@@ -1087,7 +978,7 @@ function detectGameFinishedForRoom(chess, lastMoveResult = null) {
         chess,
         "in_threefold_repetition",
         "inThreefoldRepetition",
-        "isThreefold"
+        "isThreefoldRepetition"
       )
     ) {
       return {
@@ -1172,37 +1063,189 @@ function detectGameFinishedForRoom(chess, lastMoveResult = null) {
   }
 }
 
-// chooseBotMoveForRoom(roomId, botLevel)
-// returns normalized { from, to } or null
+/**
+ * hasMatingMaterial(chess, color)
+ * False when `color` could never deliver mate: bare king, a single minor piece,
+ * or only bishops that all stand on the same square colour. Crazyhouse and
+ * bughouse pocket pieces count (a pocket bishop may go on either colour).
+ * King of the hill, three-check and antichess are won without mating, so
+ * there it is always true.
+ */
+function hasMatingMaterial(chess, color) {
+  try {
+    if (!chess || typeof chess.board !== "function") return true;
+    if (chess.kingOfTheHill || chess.threeCheck || chess.antichess) return true;
+    const pieces = [];
+    chess.board().forEach((row, r) =>
+      row.forEach((sq, f) => {
+        if (sq && sq.color === color && sq.type !== "k")
+          pieces.push({ type: sq.type, squareColor: (r + f) % 2 });
+      })
+    );
+    const pockets = crazyhouse.pocketsOf(chess);
+    if (pockets)
+      Object.entries(pockets[color]).forEach(([type, count]) => {
+        for (let i = 0; i < count; i++)
+          pieces.push({ type, squareColor: null });
+      });
+    if (pieces.some((p) => p.type === "p" || p.type === "r" || p.type === "q"))
+      return true;
+    if (pieces.length <= 1) return false;
+    if (
+      pieces.every((p) => p.type === "b") &&
+      pieces.every(
+        (p) => p.squareColor !== null && p.squareColor === pieces[0].squareColor
+      )
+    )
+      return false;
+    return true;
+  } catch (e) {
+    return true;
+  }
+}
+
+/**
+ * timeoutFinishFor(room, flaggedColor)
+ * Finished object for a fallen flag: a win for the opponent, or a draw when
+ * the opponent has no mating material left.
+ */
+function timeoutFinishFor(room, flaggedColor) {
+  const winner = flaggedColor === "w" ? "b" : "w";
+  const chess =
+    (room && room.chess) || new Chess((room && room.fen) || undefined);
+  if (!hasMatingMaterial(chess, winner)) {
+    return {
+      reason: "timeout",
+      result: "draw",
+      flagged: flaggedColor,
+      message: "Draw: time out vs insufficient material",
+      finishedAt: Date.now(),
+    };
+  }
+  return {
+    reason: "timeout",
+    winner,
+    loser: flaggedColor,
+    message: `${winner.toUpperCase()} wins by timeout`,
+    finishedAt: Date.now(),
+  };
+}
+
+/**
+ * checkClockFlag(roomId, now = Date.now())
+ * Server-authoritative flag detection: charge the running side for the time
+ * elapsed since clocks.lastTick and finish the game on time when it hits zero.
+ * Runs whether or not any client is still connected. Returns true if the flag fell.
+ */
+async function checkClockFlag(roomId, now = Date.now()) {
+  const room = rooms[roomId];
+  if (!room || room.finished || room.paused) return false;
+  if (!room.clocks || !room.clocks.running) return false;
+
+  settleClock(room.clocks, now);
+  const running = room.clocks.running;
+  if (room.clocks[running] > 0) return false;
+
+  room.clocks[running] = 0;
+  startTurn(room.clocks, null);
+  Object.keys(room.disconnectTimers || {}).forEach((sid) =>
+    clearDisconnectTimer(room, sid)
+  );
+  await finishRoom(roomId, timeoutFinishFor(room, running));
+  return true;
+}
+
+// chooseBotMoveForRoom(roomId)
+// returns normalized { from, to } or null (also when the game moved on while
+// the bot was thinking)
 async function chooseBotMoveForRoom(roomId) {
   try {
     const room = rooms[roomId];
     if (!room) return null;
     // ensure room.chess exists and we have FEN
     try {
-      if (!room.chess)
-        room.chess = room.fen ? new Chess(room.fen) : new Chess();
+      if (!room.chess) room.chess = rebuildChessFromMoves(room);
     } catch (e) {
       room.chess = new Chess(room.fen || undefined);
     }
     const fen = room.chess ? room.chess.fen() : room.fen || null;
     if (!fen) return null;
 
-    // map your bot level (if stored) to js-chess-engine level range (0..4)
-    // if you stored bot levels 1..4 map to 0..4: level-1 but clamp
-    let configuredLevel = 2;
-    try {
-      configuredLevel = Number.isFinite(+room.settings?.botLevel)
-        ? Math.max(0, Math.min(4, +room.settings.botLevel))
-        : 2;
-    } catch (e) {
-      configuredLevel = 2;
-    }
+    // the engine plays normal chess; antichess needs the forced captures
+    if (room.chess.antichess) {
+      const all = antichess.legalMoves(room.chess);
+      if (!all.length) return null;
+      const m = all[Math.floor(Math.random() * all.length)];
+      return { from: m.from, to: m.to, promotion: m.promotion };
+    }
+
+    // fog of war: the engine only gets the board the bot's pieces can see
+    // (lib/fogOfWar.js botViewFen), like a human player; a king it can reach
+    // is taken
+    let searchFen = fen;
+    if (room.chess.fogOfWar) {
+      const kill = fogOfWar
+        .pseudoMoves(room.chess)
+        .find((m) => m.captured === "k");
+      if (kill)
+        return { from: kill.from, to: kill.to, promotion: kill.promotion };
+      const view = fogOfWar.botViewFen(room.chess, room.chess.turn());
+      searchFen = view && validateFen(view).ok ? view : null;
+    }
+
+    // calibrated strength and a think time that follows the position (and
+    // the bot's own clock in timed games)
+    const clock = roomUsesClocks(room)
+      ? botLevels.clockFor(
+          room.clocks,
+          room.chess.turn(),
+          timeControlFromSettings(room.settings)
+        )
+      : null;
+    const plan = botLevels.planBotMove(
+      room.settings?.bot?.level ?? room.settings?.botLevel,
+      room.chess,
+      clock
+    );
 
-    // use adapter
-    const move = await jsChessAdapter.aiMoveFromFen(fen, configuredLevel);
+    // book move while in the level's book depth (services/openingBook.js),
+    // else the first bot engine that answers (services/engineRegistry.js)
+    const startedAt = Date.now();
+    let move = null;
+    if (openingBook.appliesTo(room.settings))
+      move = await openingBook.bookMove({
+        level: room.settings?.bot?.level ?? room.settings?.botLevel,
+        fen,
+        ply: (room.moves || []).length,
+      });
+    if (!move && searchFen)
+      move = await engineRegistry.bestMove("bot", searchFen, plan.search);
+    await botLevels.waitForThinkTime(startedAt, plan.thinkMs);
+    if (room.finished || fen !== room.chess.fen()) return null;
+    // a move planned on the fogged board may run into a hidden piece
+    if (
+      move &&
+      room.chess.fogOfWar &&
+      !fogOfWar
+        .pseudoMoves(room.chess)
+        .some((m) => m.from === move.from && m.to === move.to)
+    )
+      move = null;
     // move is { from, to } lower-case squares (e2, e4)
-    if (!move || !move.from || !move.to) return null;
+    if (!move || !move.from || !move.to) {
+      // fog of war has no check: any pseudo-legal move will do
+      if (room.chess.fogOfWar) {
+        const all = fogOfWar.pseudoMoves(room.chess);
+        if (!all.length) return null;
+        const m = all[Math.floor(Math.random() * all.length)];
+        return { from: m.from, to: m.to, promotion: m.promotion };
+      }
+      // the engine can't see pockets; when only a drop answers the check, pick one
+      const drops = crazyhouse.legalDrops(room.chess);
+      if (!drops.length) return null;
+      const d = drops[Math.floor(Math.random() * drops.length)];
+      return { drop: d.piece, to: d.to };
+    }
     return move;
   } catch (err) {
     console.error("chooseBotMoveForRoom error:", err);
@@ -1218,7 +1261,7 @@ async function performBotMove(roomId, opts = {}) {
     if (!room) return false;
 
     // recompute chess object
-    if (!room.chess) room.chess = room.fen ? new Chess(room.fen) : new Chess();
+    if (!room.chess) room.chess = rebuildChessFromMoves(room);
 
     // find bot player entry in room.players
     const botPlayer = (room.players || []).find((p) => {
@@ -1250,11 +1293,15 @@ async function performBotMove(roomId, opts = {}) {
       // no move found — possibly game over
       return false;
     }
+    // timed bot games: the bot's flag may have fallen while it was thinking
+    if (await checkClockFlag(roomId)) return false;
 
     // Convert chosen move to the format used in make-move handler: { from: 'e2', to: 'e4' }
-    const move = { from: chosen.from, to: chosen.to };
+    const move = chosen.drop
+      ? { drop: chosen.drop, to: chosen.to }
+      : { from: chosen.from, to: chosen.to, promotion: chosen.promotion };
     // apply move to server chess (this mirrors make-move flow)
-    const result = room.chess.move(move);
+    const result = applyMove(room.chess, move);
     if (!result) {
       // Something illegal or mismatch, abort
       console.warn(
@@ -1270,11 +1317,14 @@ async function performBotMove(roomId, opts = {}) {
     room.lastIndex = (room.lastIndex ?? -1) + 1;
     const record = {
       index: room.lastIndex,
-      move: {
-        from: move.from,
-        to: move.to,
-        promotion: result.promotion || undefined,
-      },
+      move: result.drop
+        ? { drop: result.drop, to: result.to }
+        : {
+            from: result.from,
+            to: result.to,
+            promotion: result.promotion || undefined,
+            castle: result.castle || undefined,
+          },
     };
     room.moves = room.moves || [];
     room.moves.push(record);
@@ -1289,37 +1339,35 @@ async function performBotMove(roomId, opts = {}) {
     const finishedObj = detectGameFinishedForRoom(room.chess, result);
 
     // ----------------------------
-    // IMPORTANT: Do NOT create or update clocks for bot rooms.
+    // Clocks: untimed bot rooms never have them; timed ones run like human games.
     // ----------------------------
     try {
-      const botPresent = isBotRoom(room);
-      if (botPresent) {
-        // ensure no clocks exist for bot rooms
+      if (!roomUsesClocks(room)) {
+        // ensure no clocks exist for untimed bot rooms
         room.clocks = null;
       } else {
-        // existing behavior for non-bot rooms
         if (!room.clocks) {
-          const minutes =
-            (room.settings && room.settings.minutes) ||
-            Math.floor(DEFAULT_MS / 60000);
-          const ms =
-            (room.settings && room.settings.minutesMs) || minutes * 60 * 1000;
-          room.clocks = {
-            w: ms,
-            b: ms,
-            running: room.chess.turn(),
-            lastTick: Date.now(),
-          };
+          room.clocks = initialClocks(
+            timeControlFromSettings(room.settings),
+            room.chess.turn()
+          );
         } else {
+          // charge the bot for its thinking, then credit increment / delay
+          settleClock(room.clocks);
+          applyMoveToClocks(
+            room.clocks,
+            botPlayer.color,
+            timeControlFromSettings(room.settings)
+          );
           if (finishedObj) {
             room.paused = true;
-            room.clocks.running = null;
-            room.clocks.lastTick = null;
+            startTurn(room.clocks, null);
           } else {
-            room.clocks.running = room.chess.turn();
-            room.clocks.lastTick = Date.now();
+            startTurn(room.clocks, room.chess.turn());
           }
         }
+        // remaining times after this move, restored when it is taken back
+        record.clocks = { w: room.clocks.w, b: room.clocks.b };
       }
     } catch (e) {
       // never let clock handling break the bot move
@@ -1339,9 +1387,11 @@ async function performBotMove(roomId, opts = {}) {
 
     // notify opponent via socket emit (match existing behavior)
     try {
-      io.to(roomId).emit("opponent-move", {
-        ...record,
+      emitRoomView(roomId, "opponent-move", {
+        ...(fogOfWar.viewFor(room, null) ? { index: record.index } : record),
         fen: room.fen,
+        pockets: roomPockets(room),
+        checks: variants.checksOf(room.chess),
         clocks: room.clocks
           ? { w: room.clocks.w, b: room.clocks.b, running: room.clocks.running }
           : null,
@@ -1437,6 +1487,7 @@ function broadcastRoomState(roomId) {
   if (!room || !io) return;
 
   const isBot = isBotRoom(room);
+  const timed = roomUsesClocks(room);
 
   let pending = null;
   if (room.pendingDrawOffer) {
@@ -1479,15 +1530,15 @@ function broadcastRoomState(roomId) {
   const msgsArr = Array.isArray(room.messages) ? room.messages : [];
   const msgs = msgsArr.slice(-Math.min(MAX_CHAT_MESSAGES, msgsArr.length));
 
-  // For bot rooms enforce no chat and no clocks in the emitted state
+  // For bot rooms enforce no chat (and no clocks unless the game is timed)
   const emitClocks =
-    isBot || !room.clocks
+    !timed || !room.clocks
       ? null
       : { w: room.clocks.w, b: room.clocks.b, running: room.clocks.running };
 
   const emitMessages = isBot ? [] : msgs;
 
-  io.to(roomId).emit("room-update", {
+  emitRoomView(roomId, "room-update", {
     players: room.players.map((p) => ({
       id: p.id,
       user: p.user,
@@ -1501,7 +1552,25 @@ function broadcastRoomState(roomId) {
     clocks: emitClocks,
     finished: room.finished || null,
     pendingDrawOffer: pending,
+    pendingTakeback: room.pendingTakeback
+      ? {
+          color: room.pendingTakeback.color,
+          fromUserId: room.pendingTakeback.fromUserId,
+        }
+      : null,
+    takebacksUsed: room.takebacksUsed || { w: 0, b: 0 },
+    rated: isRatedRoom(room),
     settings: room.settings || null,
+    timeControl: timed ? timeControlFromSettings(room.settings) : null,
+    startFen: (room.settings && room.settings.startFen) || null,
+    chess960: !!(room.settings && room.settings.chess960),
+    castling960:
+      room.chess && room.chess.castling960
+        ? castlingRightsString(room.chess.castling960)
+        : null,
+    variant: (room.settings && room.settings.variant) || "standard",
+    pockets: roomPockets(room),
+    checks: variants.checksOf(room.chess),
     messages: emitMessages,
     pendingRematch: rematch,
     // replay support: include replay index and fen if present
@@ -1546,6 +1615,13 @@ function broadcastRoomState(roomId) {
         })),
         clocks: room.clocks || null,
         settings: room.settings || null,
+        timeControl: timed ? timeControlFromSettings(room.settings) : null,
+        startFen: (room.settings && room.settings.startFen) || null,
+        chess960: !!(room.settings && room.settings.chess960),
+        variant: (room.settings && room.settings.variant) || "standard",
+        pockets: roomPockets(room),
+        checks: variants.checksOf(room.chess),
+        rated: isRatedRoom(room),
         messages: isBot ? [] : msgs,
         finished: room.finished || null,
         rematch: room.rematch || null,
@@ -1584,8 +1660,11 @@ function broadcastRoomState(roomId) {
 */
 async function createRoom(options = {}) {
   try {
-    const minutes = Math.max(1, Math.floor(Number(options.minutes) || 5));
-    const minutesMs = minutes * 60 * 1000;
+    // options.timeControl ("3+2", "5|3 delay", {...}) wins over legacy options.minutes
+    const timeControl = resolveTimeControl(options);
+    // options.chess960 / options.variant === "chess960" / options.fen
+    const startPos = resolveStartPosition(options);
+    if (startPos.error) return { ok: false, error: startPos.error };
     let roomId =
       options.roomId && String(options.roomId).trim()
         ? String(options.roomId).trim()
@@ -1782,25 +1861,22 @@ async function createRoom(options = {}) {
     const room = {
       players,
       moves: [],
-      chess: new Chess(),
+      chess: createChess(startSettings(startPos)),
       fen: null,
       lastIndex: -1,
-      clocks: {
-        w: minutesMs,
-        b: minutesMs,
-        running: "w",
-        lastTick: Date.now(),
-      },
+      clocks: initialClocks(timeControl, "w"),
       paused: false,
       disconnectTimers: {},
       firstMoveTimer: null,
       pendingDrawOffer: null,
       finished: null,
       settings: {
-        minutes,
-        minutesMs,
+        ...settingsForTimeControl(timeControl),
+        ...startSettings(startPos),
         creatorId: pAUser.id || pAUser._id || null,
         colorPreference: colorPref || "random",
+        takebacks: options.takebacks !== false,
+        rated: options.rated !== false,
         createdAt: Date.now(),
       },
       messages: [],
@@ -1818,12 +1894,13 @@ async function createRoom(options = {}) {
         level: Number(
           options.botLevel || (options.bot && options.bot.level) || 2
         ),
+        timed: botClockRequested(options),
       };
     }
 
-    // If this is a bot room: disable clocks (no time) and disable chat persistence
+    // If this is a bot room: no clocks unless timed, and no chat persistence
     if (isBotRoom(room)) {
-      room.clocks = null; // no clock for bot games
+      if (!roomUsesClocks(room)) room.clocks = null; // untimed bot game
       // keep room.messages empty and mark in settings to signal UI (no chat)
       room.messages = [];
       if (!room.settings) room.settings = {};
@@ -1896,12 +1973,14 @@ async function createRematchFrom(oldRoomId) {
     if (colored.length === 0)
       return { ok: false, error: "No players to rematch" };
 
-    // use the same minutes setting
-    const minutes =
-      (old.settings && old.settings.minutes) ||
-      Math.max(1, Math.floor(DEFAULT_MS / 60000));
-    const minutesMs =
-      (old.settings && old.settings.minutesMs) || minutes * 60 * 1000;
+    // use the same time control and start position
+    const timeControl = timeControlFromSettings(old.settings);
+    const startPos = {
+      startFen: old.settings && old.settings.startFen,
+      chess960: !!(old.settings && old.settings.chess960),
+      chess960Index: old.settings && old.settings.chess960Index,
+      variant: old.settings && old.settings.variant,
+    };
 
     // generate new unique room id
     let newRoomId = generateRoomCode();
@@ -1948,25 +2027,22 @@ async function createRematchFrom(oldRoomId) {
     const newRoom = {
       players: newPlayers,
       moves: [],
-      chess: new Chess(),
+      chess: createChess(startSettings(startPos)),
       fen: null,
       lastIndex: -1,
-      clocks: {
-        w: minutesMs,
-        b: minutesMs,
-        running: "w",
-        lastTick: Date.now(),
-      },
+      clocks: initialClocks(timeControl, "w"),
       paused: false,
       disconnectTimers: {},
       firstMoveTimer: null,
       pendingDrawOffer: null,
       finished: null,
       settings: {
-        minutes,
-        minutesMs,
+        ...settingsForTimeControl(timeControl),
+        ...startSettings(startPos),
         creatorId: old.settings && old.settings.creatorId,
         colorPreference: old.settings && old.settings.colorPreference,
+        takebacks: !(old.settings && old.settings.takebacks === false),
+        rated: !(old.settings && old.settings.rated === false),
         createdAt: Date.now(),
       },
       messages: [],
@@ -1979,8 +2055,8 @@ async function createRematchFrom(oldRoomId) {
     // preserve bot settings if old had them for rematch
     if (old.settings && old.settings.bot) {
       newRoom.settings.bot = { ...old.settings.bot };
-      // if bot rematch -> disable clocks and chat on new room
-      newRoom.clocks = null;
+      // if bot rematch -> keep the clock setting, disable chat on new room
+      if (!newRoom.settings.bot.timed) newRoom.clocks = null;
       newRoom.messages = [];
       newRoom.settings.noChat = true;
     }
@@ -2024,9 +2100,179 @@ async function createRematchFrom(oldRoomId) {
   }
 }
 
+/* --------------------
+    Bughouse: two linked rooms (boards A and B) forming one team match.
+    See lib/bughouse.js for the team / pocket layout.
+    -------------------- */
+
+// drop a half-created board again (reservations, timers, the room itself)
+async function discardRoom(roomId) {
+  const room = rooms[roomId];
+  if (!room) return;
+  try {
+    clearFirstMoveTimer(room);
+    clearRoomExpiration(roomId);
+  } catch (e) {}
+  try {
+    const ids = (room.players || [])
+      .map((p) => p.user && (p.user.id || p.user._id))
+      .filter((x) => isObjectIdLike(x && String(x)))
+      .map(String);
+    if (ids.length)
+      await User.updateMany(
+        { _id: { $in: ids }, activeRoom: roomId },
+        { $set: { activeRoom: null, status: "idle" } }
+      ).exec();
+  } catch (e) {}
+  delete rooms[roomId];
+}
+
+/**
+ * createBughouseMatch({ teams, timeControl })
+ * teams: [[userA, userB], [userA, userB]] ({ id, username }); the first member
+ * of each team plays board A. Returns { ok, matchId, boards: { A, B } } or { ok: false, error }.
+ */
+async function createBughouseMatch({ teams, timeControl = null } = {}) {
+  try {
+    if (
+      !Array.isArray(teams) ||
+      teams.length !== 2 ||
+      teams.some((t) => !Array.isArray(t) || t.length !== 2)
+    ) {
+      return { ok: false, error: "Bughouse needs two teams of two" };
+    }
+    const tc = resolveTimeControl({ timeControl });
+    const [t0, t1] = teams;
+
+    // team 0 is white on A and black on B
+    const resA = await createRoom({
+      userA: t0[0],
+      userB: t1[0],
+      colorPreference: "white",
+      timeControl: tc,
+      variant: "bughouse",
+    });
+    if (!resA || !resA.roomId)
+      return { ok: false, error: "Could not create board A" };
+    const resB = await createRoom({
+      userA: t0[1],
+      userB: t1[1],
+      colorPreference: "black",
+      timeControl: tc,
+      variant: "bughouse",
+    });
+    if (!resB || !resB.roomId) {
+      await discardRoom(resA.roomId);
+      return { ok: false, error: "Could not create board B" };
+    }
+
+    const match = bughouse.createMatch({
+      boards: { A: resA.roomId, B: resB.roomId },
+      teams,
+      timeControl: tc,
+    });
+
+    // both clocks start from the same instant
+    const now = Date.now();
+    for (const board of ["A", "B"]) {
+      const roomId = match.boards[board];
+      const room = rooms[roomId];
+      room.settings.bughouse = {
+        matchId: match.id,
+        board,
+        partnerRoomId: match.boards[bughouse.otherBoard(board)],
+      };
+      room.chess = createChess(room.settings);
+      room.fen = room.chess.fen();
+      room.clocks = initialClocks(tc, "w", now);
+    }
+    broadcastRoomState(match.boards.A);
+    broadcastRoomState(match.boards.B);
+
+    return { ok: true, matchId: match.id, boards: { ...match.boards } };
+  } catch (err) {
+    console.error("createBughouseMatch error:", err);
+    return { ok: false, error: "Server error" };
+  }
+}
+
+/**
+ * transferBughouseCapture(roomId, result)
+ * After a capture on a bughouse board, pass the piece to the partner and
+ * refresh the partner board (its pocket changed).
+ */
+function transferBughouseCapture(roomId, result) {
+  try {
+    const room = rooms[roomId];
+    const bh = room && room.settings && room.settings.bughouse;
+    if (!bh || !result || !result.transfer) return null;
+    const match = bughouse.getMatch(bh.matchId);
+    if (!match || match.finished) return null;
+    const moved = bughouse.transferCapture(
+      match,
+      bh.board,
+      result.color,
+      result.transfer
+    );
+    if (rooms[bh.partnerRoomId]) broadcastRoomState(bh.partnerRoomId);
+    return moved;
+  } catch (e) {
+    console.error("transferBughouseCapture error:", e);
+    return null;
+  }
+}
+
+// a result on either board ends the match: finish the partner board to match
+async function finishBughousePartner(roomId) {
+  const room = rooms[roomId];
+  const bh = room && room.settings && room.settings.bughouse;
+  if (!bh || !room.finished) return;
+  const match = bughouse.getMatch(bh.matchId);
+  if (!match || match.finished) return;
+
+  const f = room.finished;
+  match.finished = {
+    board: bh.board,
+    reason: f.reason || null,
+    winnerTeam:
+      f.winner === "w" || f.winner === "b"
+        ? bughouse.teamOf(bh.board, f.winner)
+        : null,
+    finishedAt: f.finishedAt || Date.now(),
+  };
+  // keep pockets around for late room-updates, then let the match go
+  const t = setTimeout(() => bughouse.removeMatch(match.id), 30 * 60 * 1000);
+  if (t && typeof t.unref === "function") t.unref();
+
+  const partner = rooms[bh.partnerRoomId];
+  if (!partner || partner.finished) return;
+  if (partner.clocks) {
+    settleClock(partner.clocks);
+    startTurn(partner.clocks, null);
+  }
+  await finishRoom(bh.partnerRoomId, bughouse.partnerResult(f, bh.board));
+}
+
+// bughouse block saved on each board's Game: who played where and which team won
+function bughouseRecordFor(room) {
+  const bh = room && room.settings && room.settings.bughouse;
+  if (!bh) return null;
+  const match = bughouse.getMatch(bh.matchId);
+  return {
+    matchId: bh.matchId,
+    board: bh.board,
+    partnerRoomId: bh.partnerRoomId,
+    teams: match ? match.teams : null,
+    winnerTeam: match && match.finished ? match.finished.winnerTeam : null,
+    decidedOn: match && match.finished ? match.finished.board : null,
+  };
+}
+
 /* --------------------
     MATCHMAKING (simple / kept)
     (You already have fuller matchmaking in another file — kept reasonable support here)
+    `cups` is the player's rating in the requested category (bullet, blitz,
+    rapid, classical or the variant; see lib/ratingCategories.js).
     -------------------- */
 
 const matchmaking = {
@@ -2041,11 +2287,15 @@ async function enqueueMatch({
   username,
   cups = 1200,
   minutes = 5,
+  timeControl = null,
+  variant = "standard",
+  rated = true,
 }) {
   try {
     if (!socketId) return { ok: false, error: "Missing socketId" };
     const cupsNum = Number(cups) || 1200;
     const cupsStr = String(cupsNum);
+    const tc = resolveTimeControl({ timeControl, minutes });
 
     if (matchmaking.socketIndex.has(socketId)) {
       try {
@@ -2055,12 +2305,20 @@ async function enqueueMatch({
       return { ok: true, queued: true };
     }
 
-    const opponentEntry = findAndRemoveOpponentFor({ socketId, cupsNum });
+    const opponentEntry = findAndRemoveOpponentFor({
+      socketId,
+      cupsNum,
+      timeControlLabel: tc.label,
+      variant,
+      rated,
+    });
     if (opponentEntry) {
       const opp = opponentEntry;
       const roomRes = await createRoom({
-        minutes,
+        timeControl: tc,
         colorPreference: "random",
+        variant,
+        rated: rated !== false,
         userA: { id: userId, username: username || "Guest" },
         userB: { id: opp.userId, username: opp.username || "Guest" },
       });
@@ -2127,7 +2385,10 @@ async function enqueueMatch({
       userId: userId ? String(userId) : null,
       username: username || "Guest",
       ts: Date.now(),
-      minutes: Number(minutes) || 5,
+      minutes: Math.round(tc.baseMs / 60000),
+      timeControl: tc,
+      variant: variant || "standard",
+      rated: rated !== false,
     };
     arr.push(entry);
     matchmaking.queueByCups.set(cupsStr, arr);
@@ -2147,7 +2408,13 @@ async function enqueueMatch({
   }
 }
 
-function findAndRemoveOpponentFor({ socketId, cupsNum }) {
+function findAndRemoveOpponentFor({
+  socketId,
+  cupsNum,
+  timeControlLabel,
+  variant = "standard",
+  rated = true,
+}) {
   try {
     const maxDelta = matchmaking.maxExpandDelta || 500;
     const start = Number(cupsNum) || 1200;
@@ -2172,6 +2439,17 @@ function findAndRemoveOpponentFor({ socketId, cupsNum }) {
         for (let i = 0; i < group.list.length; i++) {
           const e = group.list[i];
           if (e.socketId === socketId) continue;
+          // only pair players who asked for the same time control
+          if (
+            timeControlLabel &&
+            e.timeControl &&
+            e.timeControl.label !== timeControlLabel
+          )
+            continue;
+          // and the same variant
+          if ((e.variant || "standard") !== (variant || "standard")) continue;
+          // and rated players never meet casual ones
+          if ((e.rated !== false) !== (rated !== false)) continue;
           group.list.splice(i, 1);
           if (group.list.length === 0)
             matchmaking.queueByCups.delete(group.cupsStr);
@@ -2227,36 +2505,58 @@ function getQueueSizes() {
     - undoLastMoveForBot(roomId, count = 1)
     - redoLastMoveForBot(roomId, count = 1)
     - setReplayIndex(roomId, idx)  (non-destructive navigation)
+    - openReplayRoom(game)  (read-only room for a saved game)
     These are intentionally only enabled for bot rooms.
     -------------------- */
 
+// replays from the room's stored start position (standard, Chess960 or custom FEN)
 function rebuildChessFromMoves(room) {
-  const c = new Chess();
-  const moves = Array.isArray(room.moves) ? room.moves : [];
-  for (let i = 0; i < moves.length; i++) {
-    const m = moves[i];
-    try {
-      if (m && m.move) {
-        const mv = m.move;
-        c.move({
-          from: mv.from,
-          to: mv.to,
-          promotion: mv.promotion || undefined,
-        });
-      } else if (typeof m === "string") {
-        c.move(m);
-      } else if (m && m.from && m.to) {
-        c.move({
-          from: m.from,
-          to: m.to,
-          promotion: m.promotion || undefined,
-        });
-      }
-    } catch (e) {
-      // ignore illegal moves during replay reconstruction
-    }
+  return replayMoves(room && room.settings, room && room.moves);
+}
+
+// which color a socket in the room plays; null for spectators
+function viewerColorFor(room, socket) {
+  const uid = socket && socket.user && socket.user.id;
+  const p = (room.players || []).find(
+    (pp) =>
+      pp.id === socket.id ||
+      (uid && pp.user && String(pp.user.id || pp.user._id) === String(uid))
+  );
+  return p && (p.color === "w" || p.color === "b") ? p.color : null;
+}
+
+/**
+ * emitRoomView(roomId, event, payload, { except })
+ * Emits to everyone in the room. Fog-of-war games in play are sent per
+ * viewer instead, with fen/moves swapped for what that seat may see.
+ */
+function emitRoomView(roomId, event, payload, { except = null } = {}) {
+  const room = rooms[roomId];
+  if (!io || !room) return;
+  if (!fogOfWar.viewFor(room, null)) {
+    if (except) io.to(roomId).except(except).emit(event, payload);
+    else io.to(roomId).emit(event, payload);
+    return;
+  }
+  const sids = io.sockets.adapter.rooms.get(roomId) || new Set();
+  for (const sid of sids) {
+    if (sid === except) continue;
+    const sock = io.sockets.sockets.get(sid);
+    if (!sock) continue;
+    const view = fogOfWar.viewFor(room, viewerColorFor(room, sock));
+    sock.emit(event, { ...payload, ...view });
+  }
+}
+
+// crazyhouse/bughouse pockets for emits/persistence; null for every other variant
+function roomPockets(room) {
+  if (!room || !crazyhouse.hasPockets(room.settings)) return null;
+  try {
+    if (!room.chess) room.chess = rebuildChessFromMoves(room);
+    return crazyhouse.pocketsOf(room.chess);
+  } catch (e) {
+    return null;
   }
-  return c;
 }
 
 /**
@@ -2367,6 +2667,134 @@ function redoLastMoveForBot(roomId, count = 1) {
   }
 }
 
+/* --------------------
+    Takebacks for human games
+    - requestTakeback(roomId, color) / acceptTakeback(roomId, color) / declineTakeback(roomId, color)
+    Each player may take back TAKEBACK_LIMIT times per game; rooms created with
+    settings.takebacks === false (e.g. rated games) refuse them. Bot rooms use
+    undo/redo above instead.
+    -------------------- */
+
+function takebacksAllowed(room) {
+  if (!room || isBotRoom(room)) return false;
+  // bughouse captures have already been handed to the partner board
+  if (room.settings && room.settings.bughouse) return false;
+  return !(room.settings && room.settings.takebacks === false);
+}
+
+// moves made by `color` so far
+function movesPlayedBy(room, color) {
+  const firstMover =
+    String((room.settings && room.settings.startFen) || "").split(" ")[1] ||
+    "w";
+  const n = (room.moves || []).length;
+  return firstMover === color ? Math.ceil(n / 2) : Math.floor(n / 2);
+}
+
+/**
+ * requestTakeback(roomId, color)
+ * Records a pending takeback request from `color`. Any move cancels it.
+ */
+function requestTakeback(roomId, color) {
+  const room = rooms[roomId];
+  if (!room) return { ok: false, error: "No such room" };
+  if (room.finished) return { ok: false, error: "Game is over" };
+  if (color !== "w" && color !== "b")
+    return { ok: false, error: "Only players can request a takeback" };
+  if (!takebacksAllowed(room))
+    return { ok: false, error: "Takebacks are disabled for this game" };
+  if (room.pendingTakeback)
+    return { ok: false, error: "A takeback is already pending" };
+  if (movesPlayedBy(room, color) === 0)
+    return { ok: false, error: "No move to take back" };
+  room.takebacksUsed = room.takebacksUsed || { w: 0, b: 0 };
+  if (room.takebacksUsed[color] >= TAKEBACK_LIMIT)
+    return { ok: false, error: "No takebacks left" };
+
+  const player = (room.players || []).find((p) => p.color === color);
+  room.pendingTakeback = {
+    color,
+    fromSocketId: player ? player.id : null,
+    fromUserId: (player && player.user && player.user.id) || null,
+    requestedAt: Date.now(),
+  };
+  broadcastRoomState(roomId);
+  return { ok: true, pending: room.pendingTakeback };
+}
+
+/**
+ * acceptTakeback(roomId, color)
+ * The opponent (`color`) agrees: the requester's last move is taken back,
+ * together with the opponent's reply when one was made since. Rolls back
+ * moves, lastIndex, FEN and both clocks to the stored snapshot.
+ */
+function acceptTakeback(roomId, color) {
+  const room = rooms[roomId];
+  if (!room) return { ok: false, error: "No such room" };
+  const pending = room.pendingTakeback;
+  if (!pending) return { ok: false, error: "No takeback pending" };
+  if (pending.color === color)
+    return { ok: false, error: "Cannot accept your own takeback" };
+  if (room.finished) {
+    room.pendingTakeback = null;
+    return { ok: false, error: "Game is over" };
+  }
+
+  if (!room.chess) room.chess = rebuildChessFromMoves(room);
+  // requester to move: their opponent already replied, take back both moves
+  const count = room.chess.turn() === pending.color ? 2 : 1;
+  const removed = room.moves.splice(Math.max(0, room.moves.length - count));
+  room.lastIndex =
+    room.moves.length > 0 ? room.moves[room.moves.length - 1].index : -1;
+  room.chess = rebuildChessFromMoves(room);
+  room.fen = room.chess.fen();
+
+  if (room.clocks) {
+    // clocks as they stood after the last remaining move (or at the start)
+    const last = room.moves[room.moves.length - 1];
+    const base = timeControlFromSettings(room.settings).baseMs;
+    room.clocks.w = last && last.clocks ? last.clocks.w : base;
+    room.clocks.b = last && last.clocks ? last.clocks.b : base;
+    startTurn(room.clocks, room.chess.turn());
+  }
+
+  room.takebacksUsed = room.takebacksUsed || { w: 0, b: 0 };
+  room.takebacksUsed[pending.color] += 1;
+  room.pendingTakeback = null;
+  room.pendingDrawOffer = null;
+
+  try {
+    emitRoomView(roomId, "takeback-accepted", {
+      color: pending.color,
+      removed: removed.map((m) => m.index),
+      lastIndex: room.lastIndex,
+      fen: room.fen,
+    });
+  } catch (e) {}
+  broadcastRoomState(roomId);
+  return { ok: true, removed: removed.length };
+}
+
+/**
+ * declineTakeback(roomId, color)
+ * The opponent (`color`) refuses; the requester is told.
+ */
+function declineTakeback(roomId, color) {
+  const room = rooms[roomId];
+  if (!room) return { ok: false, error: "No such room" };
+  const pending = room.pendingTakeback;
+  if (!pending) return { ok: false, error: "No takeback pending" };
+  if (pending.color === color)
+    return { ok: false, error: "Cannot decline your own takeback" };
+  room.pendingTakeback = null;
+  try {
+    if (io && pending.fromSocketId)
+      io.to(pending.fromSocketId).emit("takeback-declined", { roomId });
+  } catch (e) {}
+  broadcastRoomState(roomId);
+  return { ok: true };
+}
+
 /**
  * setReplayIndex(roomId, idx)
  * - Non-destructive navigation through move history.
@@ -2390,32 +2818,8 @@ function setReplayIndex(roomId, idx) {
     const last = moves.length - 1;
     if (target > last) return { ok: false, error: "Index out of range" };
 
-    // build a temp chess and apply moves up to target
-    const c = new Chess();
-    if (target >= 0) {
-      for (let i = 0; i <= target; i++) {
-        const m = moves[i];
-        try {
-          if (m && m.move) {
-            c.move({
-              from: m.move.from,
-              to: m.move.to,
-              promotion: m.move.promotion || undefined,
-            });
-          } else if (typeof m === "string") {
-            c.move(m);
-          } else if (m && m.from && m.to) {
-            c.move({
-              from: m.from,
-              to: m.to,
-              promotion: m.promotion || undefined,
-            });
-          }
-        } catch (e) {
-          // ignore
-        }
-      }
-    }
+    // build a temp chess from the start position and apply moves up to target
+    const c = replayMoves(room.settings, moves, target);
     room.replayIndex = target;
     room.replayFen = c.fen();
     broadcastRoomState(roomId);
@@ -2426,6 +2830,84 @@ function setReplayIndex(roomId, idx) {
   }
 }
 
+/**
+ * openReplayRoom(game)
+ * Read-only room for a saved Game (used for PGN imports) under the game's
+ * roomId, already finished and positioned at the start so it is stepped
+ * through with setReplayIndex. An open room is reused. Returns the room.
+ */
+function openReplayRoom(game) {
+  const roomId = game.roomId;
+  if (rooms[roomId]) return rooms[roomId];
+  const headers = (game.imported && game.imported.headers) || {};
+  const settings = {
+    startFen: game.startFen || null,
+    chess960: !!game.chess960,
+    variant: game.variant || "standard",
+    rated: false,
+    replayOnly: true,
+    imported: !!game.imported,
+    createdAt: Date.now(),
+  };
+  const moves = (game.moves || []).map((m) => ({
+    index: m.index,
+    move: m.move,
+    ...(m.clocks ? { clocks: m.clocks } : {}),
+    ...(m.comment ? { comment: m.comment } : {}),
+    ...(m.nags && m.nags.length ? { nags: m.nags } : {}),
+  }));
+  const chess = replayMoves(settings, moves);
+  // seats carry only the names: nobody can join them or move for them
+  const seat = (color) => {
+    const p = (game.players || []).find((pl) => pl.color === color) || {};
+    const name =
+      headers[color === "w" ? "White" : "Black"] ||
+      (p.user && p.user.username) ||
+      "?";
+    return {
+      id: `replay:${color}`,
+      user: { id: null, username: null, displayName: name },
+      color,
+      online: false,
+      disconnectedAt: null,
+    };
+  };
+  rooms[roomId] = {
+    players: [seat("w"), seat("b")],
+    moves,
+    chess,
+    fen: chess.fen(),
+    lastIndex: moves.length ? moves[moves.length - 1].index : -1,
+    clocks: null,
+    paused: false,
+    disconnectTimers: {},
+    firstMoveTimer: null,
+    pendingDrawOffer: null,
+    finished: game.finished || {
+      reason: "imported",
+      result: "*",
+      message: "Replay of a saved game",
+    },
+    settings,
+    messages: [],
+    rematch: null,
+  };
+  setReplayIndex(roomId, -1);
+  scheduleReplayRoomCleanup(roomId);
+  return rooms[roomId];
+}
+
+function scheduleReplayRoomCleanup(roomId) {
+  const t = setTimeout(() => {
+    const room = rooms[roomId];
+    if (!room || !room.settings || !room.settings.replayOnly) return;
+    const viewers = io ? io.sockets.adapter.rooms.get(roomId) : null;
+    if (viewers && viewers.size > 0) scheduleReplayRoomCleanup(roomId);
+    else delete rooms[roomId];
+  }, REPLAY_ROOM_TTL_MS);
+  if (t.unref) t.unref();
+}
+
 /* --------------------
     Utilities & exports
     -------------------- */
@@ -2486,13 +2968,25 @@ module.exports = {
   createRematchFrom,
   // NEW export:
   finishRoom,
+  checkClockFlag,
+  timeoutFinishFor,
+  detectGameFinishedForRoom,
+  emitRoomView,
+  createBughouseMatch,
+  transferBughouseCapture,
   // matchmaking:
   enqueueMatch,
   dequeueBySocketId,
   getQueueSizes,
   // Bot / replay helpers
   isBotRoom,
+  roomUsesClocks,
+  isRatedRoom,
   undoLastMoveForBot,
   redoLastMoveForBot,
+  requestTakeback,
+  acceptTakeback,
+  declineTakeback,
   setReplayIndex,
+  openReplayRoom,
 };
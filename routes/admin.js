@@ -0,0 +1,54 @@
+// backend/routes/admin.js
+// Admin-only endpoints: the engine registry (services/engineRegistry.js) and
+// the analysis job queue.
+const express = require("express");
+const router = express.Router();
+const { restAuthMiddleware, requireAdmin } = require("../middleware/auth");
+const engineRegistry = require("../services/engineRegistry");
+const analysisQueue = require("../services/analysisQueue");
+
+router.use(restAuthMiddleware, requireAdmin);
+
+/** GET /api/admin/engines — configured engines, their roles/options and queue stats */
+router.get("/engines", async (req, res) => {
+  try {
+    const queue = await analysisQueue.stats().catch(() => null);
+    return res.json({
+      ok: true,
+      roles: engineRegistry.ROLES,
+      engines: engineRegistry.list(),
+      queue,
+    });
+  } catch (err) {
+    console.error("GET /api/admin/engines error", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** GET /api/admin/engines/health — health-check every engine (one at a time) */
+router.get("/engines/health", async (req, res) => {
+  try {
+    const results = await engineRegistry.healthCheckAll();
+    return res.json({
+      ok: results.every((r) => r.ok),
+      results,
+    });
+  } catch (err) {
+    console.error("GET /api/admin/engines/health error", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** GET /api/admin/engines/:name/health */
+router.get("/engines/:name/health", async (req, res) => {
+  try {
+    const result = await engineRegistry.healthCheck(req.params.name);
+    if (!result) return res.status(404).json({ error: "Unknown engine" });
+    return res.json({ ok: result.ok, result });
+  } catch (err) {
+    console.error("GET /api/admin/engines/:name/health error", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
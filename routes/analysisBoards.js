@@ -0,0 +1,159 @@
+// backend/routes/analysisBoards.js
+// REST API for analysis boards: create, list, rename, share with editors and
+// delete. The tree itself is edited live over sockets
+// (socket/handlers/analysisBoardHandlers.js); see services/analysisBoardService.js.
+const express = require("express");
+const router = express.Router();
+const { restAuthMiddleware, optionalUserId } = require("../middleware/auth");
+const analysisBoards = require("../services/analysisBoardService");
+
+function sendError(res, result) {
+  return res
+    .status((result && result.status) || 500)
+    .json({ error: (result && result.error) || "Server error" });
+}
+
+/**
+ * POST /api/analysis-boards
+ * body: { title, startFen } or { title, fromRoomId } to analyse a saved game.
+ */
+router.post("/", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await analysisBoards.createBoard({
+      user: req.user,
+      title: body.title,
+      startFen: body.startFen || body.fen || null,
+      fromRoomId: body.fromRoomId || null,
+    });
+    if (!result.ok) return sendError(res, result);
+    res.status(201).json({
+      ok: true,
+      board: analysisBoards.summarize(result.board, req.user.id),
+    });
+  } catch (err) {
+    console.error("POST /api/analysis-boards error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/analysis-boards/mine
+ * Boards the current user owns or may edit, most recently changed first.
+ */
+router.get("/mine", restAuthMiddleware, async (req, res) => {
+  try {
+    const boards = await analysisBoards.listBoards(req.user.id);
+    res.json({ ok: true, boards });
+  } catch (err) {
+    console.error("GET /api/analysis-boards/mine error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/analysis-boards/:boardId
+ * The whole board; anyone with the link can view it.
+ */
+router.get("/:boardId", async (req, res) => {
+  try {
+    const entry = await analysisBoards.loadBoard(req.params.boardId);
+    if (!entry) return res.status(404).json({ error: "Board not found" });
+    res.json({
+      ok: true,
+      board: analysisBoards.summarize(entry, optionalUserId(req)),
+    });
+  } catch (err) {
+    console.error("GET /api/analysis-boards/:boardId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * PATCH /api/analysis-boards/:boardId
+ * body: { title } (owner only)
+ */
+router.patch("/:boardId", restAuthMiddleware, async (req, res) => {
+  try {
+    const result = await analysisBoards.setTitle(
+      req.params.boardId,
+      req.user.id,
+      (req.body || {}).title
+    );
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true, title: result.board.title });
+  } catch (err) {
+    console.error("PATCH /api/analysis-boards/:boardId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/analysis-boards/:boardId
+ * Owner only.
+ */
+router.delete("/:boardId", restAuthMiddleware, async (req, res) => {
+  try {
+    const result = await analysisBoards.deleteBoard(
+      req.params.boardId,
+      req.user.id
+    );
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/analysis-boards/:boardId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/analysis-boards/:boardId/editors
+ * body: { user } (user id or username); lets them edit the tree. Owner only.
+ */
+router.post("/:boardId/editors", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await analysisBoards.addEditor(
+      req.params.boardId,
+      req.user.id,
+      body.user || body.userId || body.username
+    );
+    if (!result.ok) return sendError(res, result);
+    res.json({
+      ok: true,
+      editor: result.editor,
+      editors: result.board.editors,
+    });
+  } catch (err) {
+    console.error("POST /api/analysis-boards/:boardId/editors error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/analysis-boards/:boardId/editors/:userId
+ * Owner only.
+ */
+router.delete(
+  "/:boardId/editors/:userId",
+  restAuthMiddleware,
+  async (req, res) => {
+    try {
+      const result = await analysisBoards.removeEditor(
+        req.params.boardId,
+        req.user.id,
+        req.params.userId
+      );
+      if (!result.ok) return sendError(res, result);
+      res.json({ ok: true, editors: result.board.editors });
+    } catch (err) {
+      console.error(
+        "DELETE /api/analysis-boards/:boardId/editors/:userId error",
+        err
+      );
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+// backend/routes/correspondence.js
+// REST API for correspondence (daily) games. Game state lives in the
+// CorrespondenceGame collection; see services/correspondenceService.js.
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { restAuthMiddleware } = require("../middleware/auth");
+const correspondence = require("../services/correspondenceService");
+
+function sendResult(res, result, meId) {
+  if (!result || !result.ok) {
+    return res
+      .status((result && result.status) || 500)
+      .json({ error: (result && result.error) || "Server error" });
+  }
+  return res.json({
+    ok: true,
+    game: correspondence.summarize(result.game, meId),
+  });
+}
+
+function validId(id) {
+  return mongoose.Types.ObjectId.isValid(String(id || ""));
+}
+
+/**
+ * GET /api/correspondence/awaiting
+ * Active games where it is the current user's move, most urgent deadline first.
+ */
+router.get("/awaiting", restAuthMiddleware, async (req, res) => {
+  try {
+    const games = await correspondence.listAwaitingMove(req.user.id);
+    res.json({ ok: true, games });
+  } catch (err) {
+    console.error("GET /api/correspondence/awaiting error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/correspondence
+ * The current user's correspondence games. Optional ?status=pending|active|finished|declined
+ */
+router.get("/", restAuthMiddleware, async (req, res) => {
+  try {
+    const games = await correspondence.listGames(
+      req.user.id,
+      req.query.status || null
+    );
+    res.json({ ok: true, games });
+  } catch (err) {
+    console.error("GET /api/correspondence error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/correspondence
+ * body: { toUserId, daysPerMove (1..14, default 3), colorPreference }
+ * Sends a correspondence challenge; the game starts when the opponent accepts.
+ */
+router.post("/", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.toUserId && !validId(body.toUserId))
+      return res.status(400).json({ error: "Invalid toUserId" });
+    const result = await correspondence.createChallenge({
+      fromUserId: req.user.id,
+      toUserId: body.toUserId,
+      daysPerMove: body.daysPerMove ?? body.days,
+      colorPreference: body.colorPreference || "random",
+    });
+    sendResult(res, result, req.user.id);
+  } catch (err) {
+    console.error("POST /api/correspondence error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** GET /api/correspondence/:id */
+router.get("/:id", restAuthMiddleware, async (req, res) => {
+  try {
+    if (!validId(req.params.id))
+      return res.status(400).json({ error: "Invalid id" });
+    const game = await correspondence.getGame(req.params.id, req.user.id);
+    if (!game) return res.status(404).json({ error: "Not found" });
+    res.json({ ok: true, game });
+  } catch (err) {
+    console.error("GET /api/correspondence/:id error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** POST /api/correspondence/:id/accept */
+router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
+  try {
+    if (!validId(req.params.id))
+      return res.status(400).json({ error: "Invalid id" });
+    const result = await correspondence.acceptChallenge(
+      req.params.id,
+      req.user.id
+    );
+    sendResult(res, result, req.user.id);
+  } catch (err) {
+    console.error("POST /api/correspondence/:id/accept error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** POST /api/correspondence/:id/decline */
+router.post("/:id/decline", restAuthMiddleware, async (req, res) => {
+  try {
+    if (!validId(req.params.id))
+      return res.status(400).json({ error: "Invalid id" });
+    const result = await correspondence.declineChallenge(
+      req.params.id,
+      req.user.id
+    );
+    sendResult(res, result, req.user.id);
+  } catch (err) {
+    console.error("POST /api/correspondence/:id/decline error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/correspondence/:id/move
+ * body: { move: { from, to, promotion? } } or { move: "Nf3" }
+ */
+router.post("/:id/move", restAuthMiddleware, async (req, res) => {
+  try {
+    if (!validId(req.params.id))
+      return res.status(400).json({ error: "Invalid id" });
+    const move = req.body && req.body.move;
+    if (!move) return res.status(400).json({ error: "Missing move" });
+    const result = await correspondence.makeMove(
+      req.params.id,
+      req.user.id,
+      move
+    );
+    sendResult(res, result, req.user.id);
+  } catch (err) {
+    console.error("POST /api/correspondence/:id/move error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** POST /api/correspondence/:id/resign */
+router.post("/:id/resign", restAuthMiddleware, async (req, res) => {
+  try {
+    if (!validId(req.params.id))
+      return res.status(400).json({ error: "Invalid id" });
+    const result = await correspondence.resign(req.params.id, req.user.id);
+    sendResult(res, result, req.user.id);
+  } catch (err) {
+    console.error("POST /api/correspondence/:id/resign error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,11 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const Game = require("../models/Game");
+const { restAuthMiddleware } = require("../middleware/auth");
+const analysisService = require("../services/analysisService");
+const pgnImport = require("../services/pgnImport");
+const { upload } = require("../middleware/upload");
+const { gameToPgn } = require("../lib/pgn");
 const router = express.Router();
 
 /**
@@ -50,7 +55,8 @@ function absoluteAvatarUrl(req, avatarUrl) {
 /**
  * GET /api/game
  * - Without query: returns latest games (default limit 20)
- * - With ?userId=<id>: returns games where the given user participated (players.id or players.user.id or players.user.username)
+ * - With ?userId=<id>: returns games where the given user participated (players.id or players.user.id or players.user.username),
+ *   plus the games they imported (POST /api/game/import)
  * - Optional ?limit=<n> to increase/decrease number returned (server caps to 1000)
  *
  * This route enriches returned games by resolving referenced user documents
@@ -72,6 +78,7 @@ router.get("/", async (req, res) => {
           { "players.id": userId },
           { "players.user.id": userId },
           { "players.user.username": userId },
+          { "imported.userId": userId },
         ],
       };
     }
@@ -204,6 +211,122 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/game/import
+ * body: { pgn } or a multipart upload (field "file") holding one or more games.
+ * Every move is checked; the games are stored unrated for the current user
+ * (tags, comments and NAGs kept) and opened as replay rooms.
+ * Returns { ok, games: [{ roomId, gameId, white, black, result, moves }] }.
+ */
+router.post(
+  "/import",
+  restAuthMiddleware,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const text = req.file
+        ? req.file.buffer.toString("utf8")
+        : req.body && req.body.pgn;
+      const result = await pgnImport.importPgn(text, req.user);
+      if (!result.ok)
+        return res.status(result.status || 500).json({ error: result.error });
+      res.status(201).json(result);
+    } catch (err) {
+      console.error("POST /api/game/import error", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * POST /api/game/:roomId/replay
+ * Reopen the replay room of an imported game (rooms don't survive restarts
+ * and idle ones are dropped). Signed-in users only, like the import itself.
+ */
+router.post("/:roomId/replay", restAuthMiddleware, async (req, res) => {
+  try {
+    const result = await pgnImport.openImported(req.params.roomId);
+    if (!result.ok)
+      return res.status(result.status || 500).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/game/:roomId/replay error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/game/:roomId/analysis
+ * Stored engine analysis of a finished game: per-ply eval, best move and
+ * classification, accuracy per side and critical moments. `analysis` is null
+ * when the game was never analysed; status "pending"/"running" while a job
+ * is queued (a deeper re-run keeps the previous result until it finishes).
+ */
+router.get("/:roomId/analysis", async (req, res) => {
+  try {
+    const result = await analysisService.getAnalysis(req.params.roomId);
+    if (!result.ok)
+      return res.status(result.status || 500).json({ error: result.error });
+    res.json({
+      ok: true,
+      roomId: result.game.roomId,
+      analysis: result.analysis,
+    });
+  } catch (err) {
+    console.error("GET /api/game/:roomId/analysis error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/game/:roomId/analysis
+ * body: { depth } (default ANALYSIS_DEPTH, capped at ANALYSIS_MAX_DEPTH)
+ * Queues an analysis, or a re-run when the stored one is shallower than `depth`.
+ */
+router.post("/:roomId/analysis", restAuthMiddleware, async (req, res) => {
+  try {
+    const depth = (req.body && req.body.depth) || undefined;
+    if (depth !== undefined && !Number.isFinite(Number(depth)))
+      return res.status(400).json({ error: "Invalid depth" });
+    // on-demand runs go ahead of the post-game backlog
+    const result = await analysisService.requestAnalysis(req.params.roomId, {
+      depth,
+      priority: analysisService.PRIORITY.high,
+    });
+    if (!result.ok)
+      return res.status(result.status || 500).json({ error: result.error });
+    res.status(202).json({ ok: true, analysis: result.analysis });
+  } catch (err) {
+    console.error("POST /api/game/:roomId/analysis error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/game/:roomId/pgn
+ * The saved game as PGN (Seven Tag Roster, ratings, time control,
+ * termination and %clk comments where clocks were recorded).
+ */
+router.get("/:roomId/pgn", async (req, res) => {
+  try {
+    const g = await Game.findOne({ roomId: req.params.roomId }).lean().exec();
+    if (!g) return res.status(404).json({ error: "Not found" });
+    const base = (
+      process.env.BACKEND_BASE_URL || `${req.protocol}://${req.get("host")}`
+    ).replace(/\/$/, "");
+    res.setHeader("Content-Type", "application/x-chess-pgn; charset=utf-8");
+    if (req.query.download)
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${g.roomId}.pgn"`
+      );
+    res.send(gameToPgn(g, { site: `${base}/game/${g.roomId}` }));
+  } catch (err) {
+    console.error("GET /api/game/:roomId/pgn error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 router.get("/:roomId", async (req, res) => {
   try {
     const g = await Game.findOne({ roomId: req.params.roomId }).lean().exec();
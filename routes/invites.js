@@ -62,6 +62,19 @@ const Invite = tryRequire([
   "../../src/models/Invite",
 ]);
 
+const { readTimeControl, settingsForTimeControl, initialClocks } = tryRequire([
+  "../lib/timeControl",
+  "../../lib/timeControl",
+]);
+const { resolveStartPosition, startSettings, createChess } = tryRequire([
+  "../lib/startPosition",
+  "../../lib/startPosition",
+]);
+const { normalizeVariant } = tryRequire([
+  "../lib/variants",
+  "../../lib/variants",
+]);
+
 // Notification model + service (best-effort)
 let Notification = null;
 try {
@@ -335,7 +348,10 @@ async function joinSocketsForUserIntoRoom(userId, roomId) {
 
 /**
  * POST /api/invites
- * body: { toUserId, minutes, colorPreference }
+ * body: { toUserId, minutes, timeControl, colorPreference, variant, rated }
+ * timeControl: "3+2" (Fischer increment) / "5|3 delay" (Bronstein delay); falls back to minutes
+ * variant: "standard" (default), "threecheck", "kingofthehill", "antichess", ... (lib/variants.js)
+ * rated: true (default) / false for a casual game that leaves cups alone
  * Create/persist an invite and notify recipient.
  */
 router.post("/", restAuthMiddleware, async (req, res) => {
@@ -345,10 +361,16 @@ router.post("/", restAuthMiddleware, async (req, res) => {
     if (!meId) return res.status(401).json({ error: "Missing auth" });
 
     const toUserId = req.body && req.body.toUserId;
-    const minutes = Number(req.body?.minutes || 5);
+    const tcRead = readTimeControl(req.body || {});
+    if (tcRead.error) return res.status(400).json({ error: tcRead.error });
+    const timeControl = tcRead.timeControl;
     const colorPreference = req.body?.colorPreference || "random";
+    const variant = normalizeVariant(req.body?.variant);
+    const rated = req.body?.rated !== false;
 
     if (!toUserId) return res.status(400).json({ error: "Missing toUserId" });
+    if (!variant || variant === "bughouse")
+      return res.status(400).json({ error: "Unknown variant" });
     if (String(toUserId) === String(meId))
       return res.status(400).json({ error: "Cannot invite yourself" });
 
@@ -370,8 +392,11 @@ router.post("/", restAuthMiddleware, async (req, res) => {
       fromUsername: meUsername,
       toUserId: String(toUserId),
       toUsername: target.username,
-      minutes: Math.max(1, Math.floor(minutes)),
+      minutes: Math.round(timeControl.baseMs / 60000),
+      timeControl,
       colorPreference,
+      variant,
+      rated,
       status: "pending",
     });
     await newInv.save();
@@ -393,7 +418,10 @@ router.post("/", restAuthMiddleware, async (req, res) => {
           displayName: req.user.displayName || null,
         },
         minutes: newInv.minutes,
+        timeControl: timeControl.label,
         colorPreference: newInv.colorPreference,
+        variant,
+        rated,
         createdAt: newInv.createdAt,
       });
     } catch (e) {
@@ -407,8 +435,16 @@ router.post("/", restAuthMiddleware, async (req, res) => {
           String(toUserId),
           "invite",
           "Game invite",
-          `${meUsername || "A player"} invited you to a game.`,
-          { inviteId: newInv._id?.toString(), minutes: newInv.minutes }
+          `${meUsername || "A player"} invited you to a ${
+            timeControl.label
+          } game.`,
+          {
+            inviteId: newInv._id?.toString(),
+            minutes: newInv.minutes,
+            timeControl: timeControl.label,
+            variant,
+            rated,
+          }
         );
       } else if (Notification) {
         const doc = new Notification({
@@ -416,7 +452,13 @@ router.post("/", restAuthMiddleware, async (req, res) => {
           type: "invite",
           title: "Game invite",
           body: `${meUsername || "A player"} invited you to a game.`,
-          data: { inviteId: newInv._id?.toString(), minutes: newInv.minutes },
+          data: {
+            inviteId: newInv._id?.toString(),
+            minutes: newInv.minutes,
+            timeControl: timeControl.label,
+            variant,
+            rated,
+          },
           fromUserId: String(meId),
           read: false,
           createdAt: Date.now(),
@@ -472,7 +514,10 @@ router.get("/", restAuthMiddleware, async (req, res) => {
         fromUserId: r.fromUserId,
         fromUsername: r.fromUsername,
         minutes: r.minutes,
+        timeControl: r.timeControl ? r.timeControl.label : `${r.minutes}+0`,
         colorPreference: r.colorPreference,
+        variant: r.variant || "standard",
+        rated: r.rated !== false,
         createdAt: r.createdAt,
         status: r.status,
       }));
@@ -487,7 +532,10 @@ router.get("/", restAuthMiddleware, async (req, res) => {
         toUserId: r.toUserId,
         toUsername: r.toUsername,
         minutes: r.minutes,
+        timeControl: r.timeControl ? r.timeControl.label : `${r.minutes}+0`,
         colorPreference: r.colorPreference,
+        variant: r.variant || "standard",
+        rated: r.rated !== false,
         createdAt: r.createdAt,
         status: r.status,
       }));
@@ -520,6 +568,12 @@ router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
       return res.status(403).json({ error: "Not authorized" });
     if (inv.status !== "pending")
       return res.status(400).json({ error: "Invite already responded" });
+    // invites stored before time controls were checked may be out of range
+    const tcRead = readTimeControl({
+      timeControl: inv.timeControl,
+      minutes: inv.minutes,
+    });
+    if (tcRead.error) return res.status(400).json({ error: tcRead.error });
 
     // clear scheduled expiry
     try {
@@ -545,7 +599,10 @@ router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
           try {
             const roomRes = await createFn({
               minutes: inv.minutes || 5,
+              timeControl: tcRead.timeControl,
               colorPreference: inv.colorPreference || "random",
+              variant: inv.variant || "standard",
+              rated: inv.rated !== false,
               userA: { id: inv.fromUserId, username: inv.fromUsername },
               userB: {
                 id: inv.toUserId,
@@ -606,8 +663,9 @@ router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
             .catch(() => null);
         } catch (e) {}
 
-        const minutes = Math.max(1, Math.floor(Number(inv.minutes || 5)));
-        const minutesMs = minutes * 60 * 1000;
+        const timeControl = tcRead.timeControl;
+        const startPos = resolveStartPosition({ variant: inv.variant });
+        const variantSettings = startPos.error ? {} : startSettings(startPos);
         const newRoom = {
           players: [
             {
@@ -640,25 +698,21 @@ router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
             },
           ],
           moves: [],
-          chess: new (require("chess.js").Chess)(),
+          chess: createChess(variantSettings),
           fen: null,
           lastIndex: -1,
-          clocks: {
-            w: minutesMs,
-            b: minutesMs,
-            running: "w",
-            lastTick: Date.now(),
-          },
+          clocks: initialClocks(timeControl, "w"),
           paused: false,
           disconnectTimers: {},
           firstMoveTimer: null,
           pendingDrawOffer: null,
           finished: null,
           settings: {
-            minutes,
-            minutesMs,
+            ...settingsForTimeControl(timeControl),
+            ...variantSettings,
             creatorId: inv.fromUserId,
             colorPreference: inv.colorPreference || "random",
+            rated: inv.rated !== false,
             createdAt: Date.now(),
           },
           messages: [],
@@ -743,7 +797,10 @@ router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
         roomId: createdRoomId || null,
         byUser: { id: inv.toUserId, username: meUsername || inv.toUsername },
         minutes: inv.minutes,
+        timeControl: inv.timeControl ? inv.timeControl.label : null,
         colorPreference: inv.colorPreference,
+        variant: inv.variant || "standard",
+        rated: inv.rated !== false,
       });
     } catch (e) {}
     try {
@@ -752,7 +809,10 @@ router.post("/:id/accept", restAuthMiddleware, async (req, res) => {
         roomId: createdRoomId || null,
         byUser: { id: inv.toUserId, username: meUsername || inv.toUsername },
         minutes: inv.minutes,
+        timeControl: inv.timeControl ? inv.timeControl.label : null,
         colorPreference: inv.colorPreference,
+        variant: inv.variant || "standard",
+        rated: inv.rated !== false,
       });
     } catch (e) {}
 
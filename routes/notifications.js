@@ -50,6 +50,17 @@ try {
   roomManager = null;
 }
 
+const {
+  readTimeControl,
+  timeControlFromSettings,
+  settingsForTimeControl,
+  initialClocks,
+} = tryRequire(["../lib/timeControl", "../../lib/timeControl"]);
+const { createChess, resolveStartPosition, startSettings } = tryRequire([
+  "../lib/startPosition",
+  "../../lib/startPosition",
+]);
+
 let notificationService = null;
 try {
   notificationService = tryRequire([
@@ -313,7 +324,7 @@ router.post("/mark-all-read", restAuthMiddleware, async (req, res) => {
 
 /**
  * POST /api/notifications/:id/action
- * body: { action: "accept_friend" | "decline_friend" | "accept_rematch" | "decline_rematch" | "accept_draw" | "decline_draw" | "accept_challenge" | "decline_challenge" }
+ * body: { action: "accept_friend" | "decline_friend" | "accept_rematch" | "decline_rematch" | "accept_draw" | "decline_draw" | "accept_takeback" | "decline_takeback" | "accept_challenge" | "decline_challenge" }
  *
  * This endpoint will perform the corresponding server-side action so users can respond via the notification UI.
  */
@@ -665,7 +676,7 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
             if (typeof roomManager.assignColorsForRematch === "function") {
               roomManager.assignColorsForRematch(room);
             }
-            room.chess = new (require("chess.js").Chess)();
+            room.chess = createChess(room.settings);
             room.fen = room.chess.fen();
             room.moves = [];
             room.lastIndex = -1;
@@ -674,13 +685,10 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
             room.paused = false;
 
             if (room.settings && room.settings.minutesMs) {
-              const ms = room.settings.minutesMs;
-              room.clocks = {
-                w: ms,
-                b: ms,
-                running: room.chess.turn(),
-                lastTick: Date.now(),
-              };
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                room.chess.turn()
+              );
             } else {
               room.clocks = room.clocks
                 ? {
@@ -1043,6 +1051,44 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
       }
     }
 
+    // -------------------------------
+    // TAKEBACK ACCEPT / DECLINE
+    // -------------------------------
+    if (action === "accept_takeback" || action === "decline_takeback") {
+      try {
+        const roomId = note.data?.roomId;
+        if (!roomId) return res.status(400).json({ error: "Missing roomId" });
+        const room =
+          roomManager && roomManager.rooms ? roomManager.rooms[roomId] : null;
+        if (!room) return res.status(404).json({ error: "Room not found" });
+        const responder = room.players.find(
+          (p) => p.user && String(p.user.id) === String(me.id)
+        );
+        if (!responder)
+          return res.status(403).json({ error: "You are not a participant" });
+
+        const result =
+          action === "accept_takeback"
+            ? roomManager.acceptTakeback(roomId, responder.color)
+            : roomManager.declineTakeback(roomId, responder.color);
+        if (!result.ok) return res.status(400).json({ error: result.error });
+
+        const status = action === "accept_takeback" ? "accepted" : "declined";
+        const updatedNotification = await markAndEmitNotification(id, me.id, {
+          read: true,
+          status,
+        });
+        return res.json({
+          ok: true,
+          [status]: true,
+          notification: updatedNotification || null,
+        });
+      } catch (e) {
+        console.error("notifications: accept/decline takeback error", e);
+        return res.status(500).json({ error: "Server error" });
+      }
+    }
+
     // -------------------------------
     // CHALLENGE ACCEPT / DECLINE
     // -------------------------------
@@ -1142,6 +1188,11 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
         }
 
         // accept_challenge -> create a room
+        const tcRead = readTimeControl({
+          timeControl: pending.timeControl,
+          minutes: pending.minutes,
+        });
+        if (tcRead.error) return res.status(400).json({ error: tcRead.error });
         try {
           let roomId =
             (roomManager &&
@@ -1154,12 +1205,13 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
                 roomManager.generateRoomCode(8)) ||
               `R${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 
-          const minutes = Math.max(1, Math.floor(Number(pending.minutes) || 5));
-          const minutesMs = minutes * 60 * 1000;
+          const timeControl = tcRead.timeControl;
+          const startPos = resolveStartPosition({ variant: pending.variant });
+          const variantSettings = startPos.error ? {} : startSettings(startPos);
           const room = {
             players: [],
             moves: [],
-            chess: new (require("chess.js").Chess)(),
+            chess: createChess(variantSettings),
             fen: null,
             lastIndex: -1,
             clocks: null,
@@ -1169,8 +1221,8 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
             pendingDrawOffer: null,
             finished: null,
             settings: {
-              minutes,
-              minutesMs,
+              ...settingsForTimeControl(timeControl),
+              ...variantSettings,
               creatorId: pending.fromUserId,
               colorPreference: pending.colorPreference || "random",
             },
@@ -1266,12 +1318,7 @@ router.post("/:id/action", restAuthMiddleware, async (req, res) => {
           room.players.push(initiatorPlayer);
           room.players.push(acceptorPlayer);
 
-          room.clocks = {
-            w: room.settings.minutesMs,
-            b: room.settings.minutesMs,
-            running: room.chess.turn(),
-            lastTick: Date.now(),
-          };
+          room.clocks = initialClocks(timeControl, room.chess.turn());
 
           if (!roomManager.rooms) roomManager.rooms = {};
           roomManager.rooms[roomId] = room;
@@ -4,6 +4,17 @@ const mongoose = require("mongoose");
 const router = express.Router();
 
 const { onlineUsers } = require("../roomManager");
+const {
+  normalizeVariant,
+  ladderField,
+  ladderCups,
+} = require("../lib/variants");
+const {
+  normalizeCategory,
+  categoryRating,
+  profileOf,
+} = require("../lib/ratingCategories");
+const { gameToPgn } = require("../lib/pgn");
 
 /**
  * tryRequire(pathsArray)
@@ -33,6 +44,20 @@ const User = tryRequire([
   "../../src/models/User",
 ]);
 
+const Game = tryRequire([
+  "../models/Game",
+  "../../models/Game",
+  "../src/models/Game",
+  "../../src/models/Game",
+]);
+
+const RatingHistory = tryRequire([
+  "../models/RatingHistory",
+  "../../models/RatingHistory",
+  "../src/models/RatingHistory",
+  "../../src/models/RatingHistory",
+]);
+
 // Try to load verifyToken helper (used to reveal email to owner)
 let verifyToken = null;
 try {
@@ -86,7 +111,10 @@ function getTokenFromReq(req) {
 /**
  * GET /api/players
  * Public list — returns an ARRAY (same shape your frontend expects).
- * Supports optional search/pagination (q, limit, skip).
+ * Supports optional search/pagination (q, limit, skip), `variant` to rank
+ * by that variant's cups ladder instead of the standard one, and `category`
+ * (bullet, blitz, rapid, classical or a variant) to rank by that rating.
+ * Every row carries the full rating profile (`ratings`).
  */
 router.get("/", async (req, res) => {
   try {
@@ -97,6 +125,13 @@ router.get("/", async (req, res) => {
     if (!isFinite(skip)) skip = 0;
     limit = Math.max(1, Math.min(500, limit));
     skip = Math.max(0, skip);
+    const variant = normalizeVariant(req.query.variant);
+    if (!variant) return res.status(400).json({ error: "Unknown variant" });
+    const category = req.query.category
+      ? normalizeCategory(req.query.category)
+      : null;
+    if (req.query.category && !category)
+      return res.status(400).json({ error: "Unknown category" });
 
     const filter = {};
     if (q) {
@@ -106,7 +141,10 @@ router.get("/", async (req, res) => {
     }
 
     const users = await User.find(filter)
-      .sort({ cups: -1, createdAt: -1 })
+      .sort({
+        [category ? `ratings.${category}.rating` : ladderField(variant)]: -1,
+        createdAt: -1,
+      })
       .skip(skip)
       .limit(limit)
       .select("-passwordHash -__v")
@@ -127,6 +165,12 @@ router.get("/", async (req, res) => {
         : null,
       country: u.country || null,
       cups: u.cups || 0,
+      variantCups: u.variantCups || {},
+      // cups on the requested ladder (same as `cups` for standard)
+      ladderCups: ladderCups(u, variant) || 0,
+      ratings: profileOf(u),
+      // rating in the requested category (null without ?category=)
+      categoryRating: category ? categoryRating(u, category) : null,
       createdAt: u.createdAt || null,
       lastIp: u.lastIp || null,
       online: !!onlineUsers[u._id?.toString()],
@@ -151,6 +195,206 @@ router.get("/", async (req, res) => {
   }
 });
 
+// parse ?from= / ?to= (ISO date or ms timestamp); undefined when absent, null when invalid
+function parseDateParam(v) {
+  if (v === undefined || v === null || v === "") return undefined;
+  const d = /^\d+$/.test(String(v)) ? new Date(Number(v)) : new Date(String(v));
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// user by ObjectId or username
+async function findUserByIdOrName(rawId) {
+  let user = null;
+  if (mongoose.Types.ObjectId.isValid(rawId)) {
+    user = await User.findById(rawId).select("_id username").lean();
+  }
+  if (!user) {
+    user = await User.findOne({ username: rawId })
+      .select("_id username")
+      .lean();
+  }
+  return user;
+}
+
+/**
+ * GET /api/players/:id/rating-history
+ * Rating changes of a player (by ObjectId or username), oldest first.
+ * query: category (bullet, blitz, rapid, classical or a variant), from, to
+ * (ISO dates or ms timestamps), limit (raw rows, default 500, max 5000) and
+ * aggregate=daily for one point per category and day:
+ * { day, category, open, close, high, low, games, delta }.
+ */
+router.get("/:id/rating-history", async (req, res) => {
+  try {
+    const user = await findUserByIdOrName(req.params.id);
+    if (!user) return res.status(404).json({ error: "Player not found" });
+
+    const filter = { userId: String(user._id) };
+    if (req.query.category) {
+      const category = normalizeCategory(req.query.category);
+      if (!category) return res.status(400).json({ error: "Unknown category" });
+      filter.category = category;
+    }
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null)
+      return res.status(400).json({ error: "Invalid date" });
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    if (req.query.aggregate === "daily") {
+      const days = await RatingHistory.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: 1, _id: 1 } },
+        {
+          $group: {
+            _id: {
+              category: "$category",
+              day: {
+                $dateToString: { format: "%Y-%m-%d", date: "$createdAt" },
+              },
+            },
+            open: { $first: "$before" },
+            close: { $last: "$after" },
+            high: { $max: "$after" },
+            low: { $min: "$after" },
+            games: { $sum: 1 },
+            delta: { $sum: "$delta" },
+          },
+        },
+        { $sort: { "_id.day": 1, "_id.category": 1 } },
+      ]);
+      return res.json({
+        ok: true,
+        userId: String(user._id),
+        aggregate: "daily",
+        points: days.map((d) => ({
+          day: d._id.day,
+          category: d._id.category,
+          open: d.open,
+          close: d.close,
+          high: d.high,
+          low: d.low,
+          games: d.games,
+          delta: d.delta,
+        })),
+      });
+    }
+
+    let limit = parseInt(req.query.limit || "500", 10);
+    if (!isFinite(limit)) limit = 500;
+    limit = Math.max(1, Math.min(5000, limit));
+    const rows = await RatingHistory.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit)
+      .lean();
+    res.json({
+      ok: true,
+      userId: String(user._id),
+      entries: rows.map((r) => ({
+        gameId: r.gameId,
+        roomId: r.roomId || null,
+        opponentId: r.opponentId || null,
+        opponentUsername: r.opponentUsername || null,
+        category: r.category,
+        result: r.result || null,
+        before: r.before,
+        after: r.after,
+        delta: r.delta,
+        rd: r.rd ?? null,
+        createdAt: r.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error("GET /api/players/:id/rating-history error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Game filter for games the user played in
+function playedBy(user) {
+  const id = String(user._id);
+  return {
+    $or: [
+      { "players.id": id },
+      { "players.user.id": id },
+      { "players.user.username": user.username },
+    ],
+  };
+}
+
+/**
+ * GET /api/players/:id/games.pgn
+ * Every saved game of a player (by ObjectId or username) as one PGN file,
+ * newest first, streamed. query: from, to (ISO dates or ms timestamps) and
+ * opponent (ObjectId or username).
+ */
+router.get("/:id/games.pgn", async (req, res) => {
+  try {
+    const user = await findUserByIdOrName(req.params.id);
+    if (!user) return res.status(404).json({ error: "Player not found" });
+
+    const conditions = [playedBy(user)];
+    if (req.query.opponent) {
+      const opponent = await findUserByIdOrName(String(req.query.opponent));
+      if (!opponent)
+        return res.status(404).json({ error: "Opponent not found" });
+      conditions.push(playedBy(opponent));
+    }
+    const filter = { $and: conditions };
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null)
+      return res.status(400).json({ error: "Invalid date" });
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const base = (
+      process.env.BACKEND_BASE_URL || `${req.protocol}://${req.get("host")}`
+    ).replace(/\/$/, "");
+    res.setHeader("Content-Type", "application/x-chess-pgn; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${user.username || user._id}-games.pgn"`
+    );
+
+    const cursor = Game.find(filter).sort({ createdAt: -1 }).lean().cursor();
+    let first = true;
+    try {
+      for await (const g of cursor) {
+        if (res.destroyed || res.writableEnded) break;
+        const pgn = gameToPgn(g, { site: `${base}/game/${g.roomId}` });
+        const ok = res.write(first ? pgn : `\n${pgn}`);
+        first = false;
+        // a client that disconnects never drains, so stop waiting on close
+        if (!ok)
+          await new Promise((resolve) => {
+            const done = () => {
+              res.off("drain", done);
+              res.off("close", done);
+              resolve();
+            };
+            res.on("drain", done);
+            res.on("close", done);
+          });
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+    if (!res.destroyed && !res.writableEnded) res.end();
+  } catch (err) {
+    console.error("GET /api/players/:id/games.pgn error", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /**
  * GET /api/players/:id
  * Public profile by ObjectId or username.
@@ -205,6 +449,9 @@ router.get("/:id", async (req, res) => {
       bio: user.bio || null,
       country: user.country || null,
       cups: user.cups || 0,
+      variantCups: user.variantCups || {},
+      // { bullet, blitz, rapid, classical, <variant>: { rating, rd, provisional, games, wins, losses, draws } }
+      ratings: profileOf(user),
       createdAt: user.createdAt || null,
       lastIp: user.lastIp || null,
       online: !!onlineUsers[user._id?.toString()],
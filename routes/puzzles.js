@@ -0,0 +1,101 @@
+// backend/routes/puzzles.js
+// Puzzles mined from our own games (services/puzzleService.js): the next
+// puzzle at the user's level, attempts (which rate user and puzzle) and history.
+// Solutions are only sent once the user has finished a puzzle.
+const express = require("express");
+const router = express.Router();
+const { restAuthMiddleware, optionalUserId } = require("../middleware/auth");
+const puzzleService = require("../services/puzzleService");
+
+function sendError(res, result) {
+  return res
+    .status((result && result.status) || 500)
+    .json({ error: (result && result.error) || "Server error" });
+}
+
+/**
+ * GET /api/puzzles/next
+ * A puzzle the user hasn't tried, close to their puzzle rating.
+ * Optional ?theme= (e.g. mate, fork, endgame).
+ */
+router.get("/next", restAuthMiddleware, async (req, res) => {
+  try {
+    const result = await puzzleService.nextPuzzle(req.user.id, {
+      theme: req.query.theme ? String(req.query.theme) : null,
+    });
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true, puzzle: result.puzzle, rating: result.rating });
+  } catch (err) {
+    console.error("GET /api/puzzles/next error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/puzzles/history
+ * The user's attempts, newest first (limit default 50, max 200; skip), with
+ * their puzzle rating and totals.
+ */
+router.get("/history", restAuthMiddleware, async (req, res) => {
+  try {
+    let limit = parseInt(req.query.limit || "50", 10);
+    let skip = parseInt(req.query.skip || "0", 10);
+    if (!isFinite(limit)) limit = 50;
+    if (!isFinite(skip)) skip = 0;
+    limit = Math.max(1, Math.min(200, limit));
+    skip = Math.max(0, skip);
+    const result = await puzzleService.history(req.user.id, { limit, skip });
+    if (!result.ok) return sendError(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error("GET /api/puzzles/history error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/puzzles/:puzzleId
+ * One puzzle (for links to it); with the solution if the signed-in user has
+ * already attempted it.
+ */
+router.get("/:puzzleId", async (req, res) => {
+  try {
+    const result = await puzzleService.getPuzzle(
+      req.params.puzzleId,
+      optionalUserId(req)
+    );
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true, puzzle: result.puzzle });
+  } catch (err) {
+    console.error("GET /api/puzzles/:puzzleId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/puzzles/:puzzleId/attempt
+ * body: { moves, timeMs, resign } — the solver's moves so far (UCI or SAN,
+ * their side only). While they are right and the line goes on the answer is
+ * { done: false, reply, replySan }: play the reply and send the moves again
+ * with the next one. A wrong move, the last move or resign finishes the
+ * attempt ({ done: true, win, solution, ... }); the first finished attempt
+ * at a puzzle updates both ratings.
+ */
+router.post("/:puzzleId/attempt", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await puzzleService.submitAttempt(
+      req.params.puzzleId,
+      req.user.id,
+      body.moves,
+      { timeMs: body.timeMs, resign: body.resign === true }
+    );
+    if (!result.ok) return sendError(res, result);
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/puzzles/:puzzleId/attempt error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+// backend/routes/studies.js
+// REST API for studies: create, list, edit details, manage members, delete and
+// export to PGN. Chapters and their move trees are edited live over sockets
+// (socket/handlers/studyHandlers.js); see services/studyService.js.
+const express = require("express");
+const router = express.Router();
+const { restAuthMiddleware } = require("../middleware/auth");
+const studies = require("../services/studyService");
+
+function sendError(res, result) {
+  return res
+    .status((result && result.status) || 500)
+    .json({ error: (result && result.error) || "Server error" });
+}
+
+function siteUrl(req, studyId) {
+  const base = (
+    process.env.BACKEND_BASE_URL || `${req.protocol}://${req.get("host")}`
+  ).replace(/\/$/, "");
+  return `${base}/study/${studyId}`;
+}
+
+function sendPgn(req, res, filename, pgn) {
+  res.setHeader("Content-Type", "application/x-chess-pgn; charset=utf-8");
+  if (req.query.download)
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(pgn);
+}
+
+/**
+ * POST /api/studies
+ * body: { name, description }; starts with one empty chapter.
+ */
+router.post("/", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await studies.createStudy({
+      user: req.user,
+      name: body.name,
+      description: body.description,
+    });
+    if (!result.ok) return sendError(res, result);
+    res.status(201).json({
+      ok: true,
+      study: studies.summarize(result.study, req.user.id),
+    });
+  } catch (err) {
+    console.error("POST /api/studies error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/studies/mine
+ * Studies the current user owns or was invited to, most recently changed first.
+ */
+router.get("/mine", restAuthMiddleware, async (req, res) => {
+  try {
+    const list = await studies.listStudies(req.user.id);
+    res.json({ ok: true, studies: list });
+  } catch (err) {
+    console.error("GET /api/studies/mine error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/studies/:studyId
+ * The whole study, for its members.
+ */
+router.get("/:studyId", restAuthMiddleware, async (req, res) => {
+  try {
+    const entry = await studies.loadStudy(req.params.studyId);
+    if (!entry) return res.status(404).json({ error: "Study not found" });
+    if (!studies.roleOf(entry.study, req.user.id))
+      return res.status(403).json({ error: "Not a member of this study" });
+    res.json({ ok: true, study: studies.summarize(entry.study, req.user.id) });
+  } catch (err) {
+    console.error("GET /api/studies/:studyId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * PATCH /api/studies/:studyId
+ * body: { name, description } (owner only)
+ */
+router.patch("/:studyId", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await studies.updateInfo(req.params.studyId, req.user.id, {
+      name: body.name,
+      description: body.description,
+    });
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true, update: result.update });
+  } catch (err) {
+    console.error("PATCH /api/studies/:studyId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * DELETE /api/studies/:studyId
+ * Owner only.
+ */
+router.delete("/:studyId", restAuthMiddleware, async (req, res) => {
+  try {
+    const result = await studies.deleteStudy(req.params.studyId, req.user.id);
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("DELETE /api/studies/:studyId error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /api/studies/:studyId/members
+ * body: { user, role } — user id or username of one of the owner's friends,
+ * role "viewer" (default) or "contributor". Owner only.
+ */
+router.post("/:studyId/members", restAuthMiddleware, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const result = await studies.inviteMember(
+      req.params.studyId,
+      req.user.id,
+      body.user || body.userId || body.username,
+      body.role || "viewer"
+    );
+    if (!result.ok) return sendError(res, result);
+    res.json({ ok: true, member: result.update.member });
+  } catch (err) {
+    console.error("POST /api/studies/:studyId/members error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * PATCH /api/studies/:studyId/members/:userId
+ * body: { role }. Owner only.
+ */
+router.patch(
+  "/:studyId/members/:userId",
+  restAuthMiddleware,
+  async (req, res) => {
+    try {
+      const entry = await studies.loadStudy(req.params.studyId);
+      if (!entry) return res.status(404).json({ error: "Study not found" });
+      if (
+        !entry.study.members.some((m) => m.userId === String(req.params.userId))
+      )
+        return res.status(404).json({ error: "Not a member of this study" });
+      const result = await studies.inviteMember(
+        req.params.studyId,
+        req.user.id,
+        req.params.userId,
+        (req.body || {}).role
+      );
+      if (!result.ok) return sendError(res, result);
+      res.json({ ok: true, member: result.update.member });
+    } catch (err) {
+      console.error("PATCH /api/studies/:studyId/members/:userId error", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * DELETE /api/studies/:studyId/members/:userId
+ * The owner removes a member, or a member leaves the study.
+ */
+router.delete(
+  "/:studyId/members/:userId",
+  restAuthMiddleware,
+  async (req, res) => {
+    try {
+      const result = await studies.removeMember(
+        req.params.studyId,
+        req.user.id,
+        req.params.userId
+      );
+      if (!result.ok) return sendError(res, result);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("DELETE /api/studies/:studyId/members/:userId error", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+/**
+ * GET /api/studies/:studyId/pgn
+ * Every chapter as one PGN file. ?download for an attachment.
+ */
+router.get("/:studyId/pgn", restAuthMiddleware, async (req, res) => {
+  try {
+    const result = await studies.exportPgn(req.params.studyId, req.user.id, {
+      site: siteUrl(req, req.params.studyId),
+    });
+    if (!result.ok) return sendError(res, result);
+    sendPgn(req, res, `study-${result.study.studyId}.pgn`, result.pgn);
+  } catch (err) {
+    console.error("GET /api/studies/:studyId/pgn error", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * GET /api/studies/:studyId/chapters/:chapterId/pgn
+ * One chapter with its variations, comments and NAGs. ?download for an attachment.
+ */
+router.get(
+  "/:studyId/chapters/:chapterId/pgn",
+  restAuthMiddleware,
+  async (req, res) => {
+    try {
+      const result = await studies.exportPgn(req.params.studyId, req.user.id, {
+        chapterId: req.params.chapterId,
+        site: siteUrl(req, req.params.studyId),
+      });
+      if (!result.ok) return sendError(res, result);
+      sendPgn(
+        req,
+        res,
+        `study-${result.study.studyId}-${req.params.chapterId}.pgn`,
+        result.pgn
+      );
+    } catch (err) {
+      console.error(
+        "GET /api/studies/:studyId/chapters/:chapterId/pgn error",
+        err
+      );
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+// scripts/backfillRatingHistory.js
+// Fills RatingHistory from Game docs rated before the collection existed.
+// Games with `ratingChanges` (Glicko-2) give exact before/after values; older
+// games only stored the winner's `cupsDelta`, so their before/after values are
+// rebuilt backwards from the next known cups value on the same ladder (or the
+// player's current cups) and mapped onto the rating scale the way
+// glicko2.seededEntry seeds those cups. Games are streamed oldest first and
+// rows inserted in batches. Safe to re-run: existing (userId, gameId) rows are
+// kept.
+const mongoose = require("mongoose");
+const Game = require("../models/Game");
+const User = require("../models/User");
+const RatingHistory = require("../models/RatingHistory");
+const { ladderField, ladderCups } = require("../lib/variants");
+const { categoryFor } = require("../lib/ratingCategories");
+const glicko2 = require("../lib/glicko2");
+
+const BATCH = 500;
+
+function playerName(game, userId) {
+  const p = (game.players || []).find(
+    (pl) => pl.user && String(pl.user.id) === String(userId)
+  );
+  return (p && p.user && p.user.username) || null;
+}
+
+function resultOf(game, delta) {
+  const f = game.finished || {};
+  if (String(f.result || "").toLowerCase() === "draw") return "draw";
+  return delta >= 0 ? "win" : "loss";
+}
+
+async function main() {
+  const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/chessapp";
+  await mongoose.connect(uri);
+
+  let rows = [];
+  let inserted = 0;
+  const flush = async () => {
+    const batch = rows;
+    rows = [];
+    if (!batch.length) return;
+    try {
+      const res = await RatingHistory.insertMany(batch, { ordered: false });
+      inserted += res.length;
+    } catch (e) {
+      // duplicates (already recorded) are expected on re-runs
+      if (e && e.insertedDocs) inserted += e.insertedDocs.length;
+      else if (!(e && e.code === 11000)) throw e;
+    }
+  };
+
+  // `${userId}|${ladder}` -> legacy rows waiting for a known cups value
+  const pending = new Map();
+  const rated = (cups) => glicko2.seededEntry(cups).rating;
+  const settle = (key, anchor) => {
+    let after = Number(anchor) || 0;
+    for (const row of (pending.get(key) || []).reverse()) {
+      const before = after - row.delta;
+      row.before = rated(before);
+      row.after = rated(after);
+      row.delta = row.after - row.before;
+      after = before;
+      rows.push(row);
+    }
+    pending.delete(key);
+  };
+
+  const cursor = Game.find({ cupsDelta: { $ne: null } })
+    .select(
+      "variant timeControl ratingChanges finished cupsDelta roomId players createdAt"
+    )
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+  let scanned = 0;
+  for await (const game of cursor) {
+    scanned++;
+    if (rows.length >= BATCH) await flush();
+    const ladder = ladderField(game.variant);
+    const category = categoryFor(game.variant, game.timeControl);
+    const changes = game.ratingChanges ? Object.values(game.ratingChanges) : [];
+
+    if (changes.length) {
+      for (const c of changes) {
+        if (!c || !c.userId) continue;
+        settle(`${c.userId}|${ladder}`, c.cupsBefore);
+        const opponent =
+          changes.length === 2
+            ? changes.find((o) => o && o.userId !== c.userId)
+            : null;
+        const before = Math.round(c.before.rating);
+        const after = Math.round(c.after.rating);
+        rows.push({
+          userId: String(c.userId),
+          gameId: String(game._id),
+          roomId: game.roomId || null,
+          opponentId: opponent ? String(opponent.userId) : null,
+          opponentUsername: opponent ? opponent.username || null : null,
+          category: c.category || category,
+          result:
+            String((game.finished || {}).result).toLowerCase() === "draw"
+              ? "draw"
+              : after >= before
+              ? "win"
+              : "loss",
+          before,
+          after,
+          delta: after - before,
+          rd: Math.round(c.after.rd),
+          source: "backfill",
+          createdAt: game.createdAt,
+        });
+      }
+      continue;
+    }
+
+    // legacy: the winner gained cupsDelta and the loser lost it
+    const f = game.finished || {};
+    if (!f.winnerId || !f.loserId) continue;
+    const delta = Math.abs(Number(game.cupsDelta) || 0);
+    for (const [userId, opponentId, signed] of [
+      [f.winnerId, f.loserId, delta],
+      [f.loserId, f.winnerId, -delta],
+    ]) {
+      const key = `${userId}|${ladder}`;
+      if (!pending.has(key)) pending.set(key, []);
+      pending.get(key).push({
+        userId: String(userId),
+        gameId: String(game._id),
+        roomId: game.roomId || null,
+        opponentId: String(opponentId),
+        opponentUsername: playerName(game, opponentId),
+        category,
+        result: resultOf(game, signed),
+        delta: signed,
+        rd: null,
+        source: "backfill",
+        createdAt: game.createdAt,
+      });
+    }
+  }
+
+  // whatever is left ends at the player's current cups on that ladder
+  for (const key of Array.from(pending.keys())) {
+    const [userId, ladder] = key.split("|");
+    let current = 0;
+    if (mongoose.Types.ObjectId.isValid(userId)) {
+      const u = await User.findById(userId).select("cups variantCups").lean();
+      const variant = ladder === "cups" ? "standard" : ladder.split(".")[1];
+      current = ladderCups(u, variant) || 0;
+    }
+    settle(key, current);
+    if (rows.length >= BATCH) await flush();
+  }
+  await flush();
+
+  console.log(
+    `Backfilled ${inserted} rating history rows from ${scanned} games`
+  );
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
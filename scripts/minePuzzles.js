@@ -0,0 +1,29 @@
+// scripts/minePuzzles.js
+// Queues puzzle mining (services/puzzleService.js) for every game analysed
+// before puzzles existed. The server's analysis worker does the engine work;
+// safe to re-run: positions that already have a puzzle are skipped.
+const mongoose = require("mongoose");
+const GameAnalysis = require("../models/GameAnalysis");
+const puzzleService = require("../services/puzzleService");
+
+async function main() {
+  const uri = process.env.MONGODB_URI || "mongodb://localhost:27017/chessapp";
+  await mongoose.connect(uri);
+
+  const analyses = await GameAnalysis.find({
+    status: "done",
+    variant: "standard",
+  })
+    .select("gameId roomId")
+    .lean();
+
+  for (const a of analyses) await puzzleService.queueMining(a.gameId, a.roomId);
+
+  console.log(`Queued puzzle mining for ${analyses.length} analysed games`);
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,318 @@
+// backend/services/analysisBoardService.js
+// Analysis boards: untimed boards for trying out lines, stored in the
+// AnalysisBoard collection. Boards being worked on are kept in memory and
+// written back shortly after each change, so edits arrive in the order they
+// were made. Every change is an op (applyOp) that the socket handlers
+// (socket/handlers/analysisBoardHandlers.js) broadcast to the board's viewers
+// as an "analysis-update"; `version` lets a client notice it missed one and
+// resync. The ops themselves are lib/moveTree.js applyOp.
+
+const mongoose = require("mongoose");
+const AnalysisBoard = require("../models/AnalysisBoard");
+const Game = require("../models/Game");
+const User = require("../models/User");
+const moveTree = require("../lib/moveTree");
+const { generateRoomCode } = require("../roomManager");
+const { resolveStartPosition } = require("../lib/startPosition");
+
+const PERSIST_DELAY_MS = 500;
+const IDLE_EVICT_MS = 30 * 60 * 1000;
+const MAX_EDITORS = 20;
+
+const boards = new Map(); // boardId -> { board, version, lastUsed, timer, saving }
+let sweepTimer = null;
+
+/**
+ * summarize(board, meId)
+ * Client-facing view of a board (canEdit for meId).
+ */
+function summarize(entryOrBoard, meId = null) {
+  const board = entryOrBoard.board || entryOrBoard;
+  return {
+    boardId: board.boardId,
+    title: board.title || "",
+    owner: { id: board.ownerId, username: board.ownerUsername || null },
+    startFen: board.startFen,
+    tree: board.tree,
+    currentNodeId: board.currentNodeId,
+    editors: board.editors || [],
+    sourceRoomId: board.sourceRoomId || null,
+    version: entryOrBoard.version || 0,
+    canEdit: canEdit(board, meId),
+    createdAt: board.createdAt,
+    updatedAt: board.updatedAt,
+  };
+}
+
+function canEdit(board, userId) {
+  if (!userId) return false;
+  const id = String(userId);
+  return board.ownerId === id || (board.editors || []).includes(id);
+}
+
+function startSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [boardId, entry] of boards) {
+      if (!entry.timer && now - entry.lastUsed > IDLE_EVICT_MS)
+        boards.delete(boardId);
+    }
+  }, IDLE_EVICT_MS);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+/**
+ * loadBoard(boardId)
+ * The in-memory entry for a board, loading it if needed; null if unknown.
+ */
+async function loadBoard(boardId) {
+  const id = String(boardId || "");
+  let entry = boards.get(id);
+  if (!entry) {
+    const doc = await AnalysisBoard.findOne({ boardId: id }).lean().exec();
+    if (!doc) return null;
+    // another request may have loaded it meanwhile
+    entry = boards.get(id) || {
+      board: doc,
+      version: doc.version || 0,
+      lastUsed: Date.now(),
+      timer: null,
+      saving: Promise.resolve(),
+    };
+    boards.set(id, entry);
+    startSweep();
+  }
+  entry.lastUsed = Date.now();
+  return entry;
+}
+
+function schedulePersist(entry) {
+  if (entry.timer) return;
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    const { boardId, tree, currentNodeId } = entry.board;
+    const version = entry.version;
+    entry.saving = entry.saving
+      .then(() =>
+        AnalysisBoard.updateOne(
+          { boardId },
+          { $set: { tree, currentNodeId, version } }
+        ).exec()
+      )
+      .catch((err) => console.error("analysis board save error", err));
+  }, PERSIST_DELAY_MS);
+}
+
+/**
+ * createBoard({ user, title, startFen, fromRoomId })
+ * New board owned by `user`: from a FEN (default the start position) or with
+ * a saved game's moves as its main line. Returns { ok, board } or { ok: false, status, error }.
+ */
+async function createBoard({
+  user,
+  title = "",
+  startFen = null,
+  fromRoomId = null,
+}) {
+  if (!user || !user.id)
+    return { ok: false, status: 401, error: "Missing auth" };
+
+  let tree = null;
+  let sourceRoomId = null;
+  if (fromRoomId) {
+    const game = await Game.findOne({ roomId: String(fromRoomId) })
+      .lean()
+      .exec();
+    if (!game) return { ok: false, status: 404, error: "Game not found" };
+    if ((game.variant || "standard") !== "standard" || game.chess960)
+      return {
+        ok: false,
+        status: 400,
+        error: "Only standard games can be analysed here",
+      };
+    tree = moveTree.fromMoves(game.startFen, game.moves || []);
+    sourceRoomId = game.roomId;
+  } else {
+    const pos = resolveStartPosition({ startFen });
+    if (pos.error) return { ok: false, status: 400, error: pos.error };
+    tree = moveTree.createTree(pos.startFen);
+  }
+
+  let boardId = null;
+  for (let i = 0; i < 10 && !boardId; i++) {
+    const id = generateRoomCode(8);
+    if (!(await AnalysisBoard.exists({ boardId: id }))) boardId = id;
+  }
+  if (!boardId) return { ok: false, status: 500, error: "Server error" };
+
+  const doc = await AnalysisBoard.create({
+    boardId,
+    ownerId: String(user.id),
+    ownerUsername: user.username || null,
+    title: String(title || "").slice(0, 120),
+    startFen: tree.nodes[tree.rootId].fen,
+    tree,
+    currentNodeId: tree.rootId,
+    sourceRoomId,
+  });
+  return { ok: true, board: doc.toObject() };
+}
+
+/**
+ * applyOp(boardId, userId, op)
+ * Apply one op (see the top of this file) for an editor. Returns
+ * { ok, update } where update is what viewers get as "analysis-update".
+ */
+async function applyOp(boardId, userId, op = {}) {
+  const entry = await loadBoard(boardId);
+  if (!entry) return { ok: false, status: 404, error: "Board not found" };
+  const board = entry.board;
+  if (!canEdit(board, userId))
+    return { ok: false, status: 403, error: "You cannot edit this board" };
+
+  const result = moveTree.applyOp(board.tree, op, board.currentNodeId);
+  if (!result.ok) return { ok: false, status: 400, error: result.error };
+  board.currentNodeId = result.currentNodeId;
+  entry.version += 1;
+  board.updatedAt = new Date();
+  schedulePersist(entry);
+  return {
+    ok: true,
+    update: {
+      boardId: board.boardId,
+      ...result.update,
+      currentNodeId: board.currentNodeId,
+      version: entry.version,
+      by: String(userId),
+    },
+  };
+}
+
+/**
+ * listBoards(userId)
+ * Boards the user owns or may edit, most recently changed first.
+ */
+async function listBoards(userId) {
+  const id = String(userId);
+  const docs = await AnalysisBoard.find({
+    $or: [{ ownerId: id }, { editors: id }],
+  })
+    .select(
+      "boardId title ownerId ownerUsername startFen sourceRoomId editors createdAt updatedAt"
+    )
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .lean()
+    .exec();
+  return docs.map((d) => ({
+    boardId: d.boardId,
+    title: d.title || "",
+    owner: { id: d.ownerId, username: d.ownerUsername || null },
+    startFen: d.startFen,
+    sourceRoomId: d.sourceRoomId || null,
+    canEdit: canEdit(d, id),
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt,
+  }));
+}
+
+async function ownedEntry(boardId, ownerId) {
+  const entry = await loadBoard(boardId);
+  if (!entry) return { ok: false, status: 404, error: "Board not found" };
+  if (entry.board.ownerId !== String(ownerId))
+    return { ok: false, status: 403, error: "Only the owner can do that" };
+  return { ok: true, entry };
+}
+
+/**
+ * setTitle(boardId, ownerId, title)
+ */
+async function setTitle(boardId, ownerId, title) {
+  const owned = await ownedEntry(boardId, ownerId);
+  if (!owned.ok) return owned;
+  const board = owned.entry.board;
+  board.title = String(title || "").slice(0, 120);
+  await AnalysisBoard.updateOne(
+    { boardId: board.boardId },
+    { $set: { title: board.title } }
+  ).exec();
+  return { ok: true, board };
+}
+
+/**
+ * addEditor(boardId, ownerId, who)
+ * `who` is a user id or username.
+ */
+async function addEditor(boardId, ownerId, who) {
+  const owned = await ownedEntry(boardId, ownerId);
+  if (!owned.ok) return owned;
+  const board = owned.entry.board;
+  const raw = String(who || "").trim();
+  if (!raw) return { ok: false, status: 400, error: "Missing user" };
+  let user = null;
+  if (mongoose.Types.ObjectId.isValid(raw))
+    user = await User.findById(raw).select("_id username").lean().exec();
+  if (!user)
+    user = await User.findOne({ username: raw })
+      .select("_id username")
+      .lean()
+      .exec();
+  if (!user) return { ok: false, status: 404, error: "User not found" };
+  const id = String(user._id);
+  if (id === board.ownerId)
+    return { ok: false, status: 400, error: "The owner can already edit" };
+  if (!board.editors.includes(id)) {
+    if (board.editors.length >= MAX_EDITORS)
+      return { ok: false, status: 400, error: "Too many editors" };
+    board.editors.push(id);
+    await AnalysisBoard.updateOne(
+      { boardId: board.boardId },
+      { $addToSet: { editors: id } }
+    ).exec();
+  }
+  return { ok: true, board, editor: { id, username: user.username } };
+}
+
+/**
+ * removeEditor(boardId, ownerId, userId)
+ */
+async function removeEditor(boardId, ownerId, userId) {
+  const owned = await ownedEntry(boardId, ownerId);
+  if (!owned.ok) return owned;
+  const board = owned.entry.board;
+  board.editors = board.editors.filter((e) => e !== String(userId));
+  await AnalysisBoard.updateOne(
+    { boardId: board.boardId },
+    { $pull: { editors: String(userId) } }
+  ).exec();
+  return { ok: true, board };
+}
+
+/**
+ * deleteBoard(boardId, ownerId)
+ */
+async function deleteBoard(boardId, ownerId) {
+  const owned = await ownedEntry(boardId, ownerId);
+  if (!owned.ok) return owned;
+  const entry = owned.entry;
+  if (entry.timer) clearTimeout(entry.timer);
+  entry.timer = null;
+  boards.delete(entry.board.boardId);
+  await entry.saving;
+  await AnalysisBoard.deleteOne({ boardId: entry.board.boardId }).exec();
+  return { ok: true };
+}
+
+module.exports = {
+  summarize,
+  canEdit,
+  loadBoard,
+  createBoard,
+  applyOp,
+  listBoards,
+  setTitle,
+  addEditor,
+  removeEditor,
+  deleteBoard,
+};
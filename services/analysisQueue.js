@@ -0,0 +1,257 @@
+// backend/services/analysisQueue.js
+// Persistent, prioritised job queue for engine work (AnalysisJob collection).
+// A worker loop claims queued jobs atomically — highest priority first, then
+// oldest — running at most as many at once as the analysis engine's pool
+// has sessions (services/engineRegistry.js).
+// Every job has a timeout; failed or timed-out jobs are retried with
+// exponential backoff until maxAttempts, then marked failed. A timed-out
+// job keeps its slot until its handler actually returns, since it may still
+// hold an engine session (it gets `deadline` to stop early). Job types are
+// registered by the services that own them:
+//
+//   registerHandler(type, { run(job), onStatus(job, status) })
+//
+// `onStatus` is called with "queued" | "running" | "retrying" | "done" |
+// "failed" so the owner can push status events to its users.
+
+const AnalysisJob = require("../models/AnalysisJob");
+const engineRegistry = require("./engineRegistry");
+
+const PRIORITY = { low: 0, normal: 5, high: 10 };
+const POLL_MS = Number(process.env.ANALYSIS_QUEUE_POLL_MS || 1000);
+const RETRY_BASE_MS = Number(process.env.ANALYSIS_RETRY_BASE_MS || 5000);
+const DEFAULT_TIMEOUT_MS = Number(
+  process.env.ANALYSIS_JOB_TIMEOUT_MS || 5 * 60 * 1000
+);
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.ANALYSIS_MAX_ATTEMPTS || 3);
+
+const handlers = {};
+let timer = null;
+let running = 0;
+let pumping = false;
+
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function concurrency() {
+  return engineRegistry.poolSize("analysis");
+}
+
+function notifyStatus(job, status) {
+  const h = handlers[job.type];
+  if (!h || typeof h.onStatus !== "function") return;
+  try {
+    h.onStatus(job, status);
+  } catch (e) {
+    console.error("analysis queue onStatus error", e);
+  }
+}
+
+/**
+ * enqueue({ type, gameId, roomId, depth, priority, payload, timeoutMs, maxAttempts })
+ * Queue a job. An unfinished job of the same type for the same game is reused
+ * (raised to the deeper depth / higher priority) instead of adding another.
+ * Returns the job document.
+ */
+async function enqueue({
+  type,
+  gameId = null,
+  roomId = null,
+  depth = null,
+  priority = PRIORITY.normal,
+  payload = {},
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+}) {
+  if (gameId) {
+    const active = await AnalysisJob.findOne({
+      type,
+      gameId,
+      status: { $in: ["queued", "running"] },
+    })
+      .sort({ createdAt: -1 })
+      .lean()
+      .exec();
+    if (active) {
+      const deeper = depth !== null && depth > (active.depth || 0);
+      if (
+        active.status === "queued" &&
+        (deeper || priority > active.priority)
+      ) {
+        const updated = await AnalysisJob.findOneAndUpdate(
+          { _id: active._id, status: "queued" },
+          {
+            $set: {
+              depth: Math.max(depth || 0, active.depth || 0) || null,
+              priority: Math.max(priority, active.priority),
+            },
+          },
+          { new: true }
+        )
+          .lean()
+          .exec();
+        if (updated) return updated;
+      } else if (!deeper) {
+        return active;
+      }
+      // a shallower job is already running: queue the deeper one behind it
+    }
+  }
+
+  const job = await AnalysisJob.create({
+    type,
+    gameId,
+    roomId,
+    depth,
+    priority,
+    payload,
+    timeoutMs,
+    maxAttempts,
+  });
+  const doc = job.toObject();
+  notifyStatus(doc, "queued");
+  setImmediate(pump);
+  return doc;
+}
+
+async function claimNext() {
+  return AnalysisJob.findOneAndUpdate(
+    { status: "queued", runAfter: { $lte: new Date() } },
+    {
+      $set: { status: "running", startedAt: new Date(), lastError: null },
+      $inc: { attempts: 1 },
+    },
+    { sort: { priority: -1, createdAt: 1 }, new: true }
+  )
+    .lean()
+    .exec();
+}
+
+function withTimeout(promise, ms) {
+  let t = null;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => reject(new Error("Job timed out")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  notifyStatus(job, "running");
+  let work = null;
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    const deadline = Date.now() + job.timeoutMs;
+    work = Promise.resolve(handler.run(job, { deadline }));
+    await withTimeout(work, job.timeoutMs);
+    const done = await AnalysisJob.findByIdAndUpdate(
+      job._id,
+      { $set: { status: "done", finishedAt: new Date() } },
+      { new: true }
+    )
+      .lean()
+      .exec();
+    notifyStatus(done || job, "done");
+  } catch (err) {
+    const message = String((err && err.message) || err);
+    const retry = job.attempts < job.maxAttempts;
+    const update = retry
+      ? {
+          status: "queued",
+          lastError: message,
+          runAfter: new Date(
+            Date.now() + RETRY_BASE_MS * Math.pow(2, job.attempts - 1)
+          ),
+        }
+      : { status: "failed", lastError: message, finishedAt: new Date() };
+    const doc = await AnalysisJob.findByIdAndUpdate(
+      job._id,
+      { $set: update },
+      { new: true }
+    )
+      .lean()
+      .exec()
+      .catch(() => null);
+    console.error(
+      `analysis job ${job._id} ${retry ? "will retry" : "failed"}:`,
+      message
+    );
+    notifyStatus(doc || { ...job, ...update }, retry ? "retrying" : "failed");
+  } finally {
+    // the caller frees the slot when this returns: not before the handler does
+    if (work) await work.catch(() => {});
+  }
+}
+
+// claim and start jobs until the pool is saturated or the queue is empty
+async function pump() {
+  if (pumping || !timer) return;
+  pumping = true;
+  try {
+    while (running < concurrency()) {
+      const job = await claimNext();
+      if (!job) break;
+      running++;
+      runJob(job).finally(() => {
+        running--;
+        setImmediate(pump);
+      });
+    }
+  } catch (err) {
+    console.error("analysis queue pump error", err);
+  } finally {
+    pumping = false;
+  }
+}
+
+/**
+ * start()
+ * Requeue jobs a previous process left running, then poll for work.
+ */
+async function start(intervalMs = POLL_MS) {
+  if (timer) return;
+  timer = setInterval(pump, intervalMs);
+  if (timer.unref) timer.unref();
+  try {
+    const res = await AnalysisJob.updateMany(
+      { status: "running" },
+      { $set: { status: "queued", runAfter: new Date() } }
+    ).exec();
+    if (res && res.modifiedCount)
+      console.log(`analysis queue: requeued ${res.modifiedCount} stale jobs`);
+  } catch (err) {
+    console.error("analysis queue recovery error", err);
+  }
+  pump();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * stats()
+ * Job counts by status plus the analysis engines' state.
+ */
+async function stats() {
+  const rows = await AnalysisJob.aggregate([
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]).exec();
+  const jobs = { queued: 0, running: 0, done: 0, failed: 0 };
+  for (const r of rows) jobs[r._id] = r.count;
+  const engines = engineRegistry
+    .list()
+    .filter((e) => e.roles.includes("analysis"));
+  return { jobs, active: running, engines };
+}
+
+module.exports = {
+  PRIORITY,
+  registerHandler,
+  enqueue,
+  start,
+  stop,
+  stats,
+};
@@ -0,0 +1,268 @@
+// backend/services/analysisService.js
+// Post-game engine analysis. Every finished game is queued for analysis when
+// it is saved (roomManager.saveFinishedGame) and the result is stored in the
+// GameAnalysis collection; a player can ask for a deeper re-run later. The
+// work runs as "game-analysis" jobs on the persistent queue
+// (services/analysisQueue.js), and the game's players get an
+// "analysis-status" socket event whenever a job changes state. Finished
+// analyses are then mined for puzzles (services/puzzleService.js).
+
+const mongoose = require("mongoose");
+const Game = require("../models/Game");
+const GameAnalysis = require("../models/GameAnalysis");
+const { evaluatePositions } = require("../ratingUtils");
+const { positionsOf, buildAnalysis } = require("../lib/analysis");
+const analysisQueue = require("./analysisQueue");
+const puzzleService = require("./puzzleService");
+
+const JOB_TYPE = "game-analysis";
+const DEFAULT_DEPTH = Number(process.env.ANALYSIS_DEPTH || 14);
+const MAX_DEPTH = Number(process.env.ANALYSIS_MAX_DEPTH || 24);
+const TIMEOUT_PER_EVAL_MS = Number(
+  process.env.ANALYSIS_EVAL_TIMEOUT_MS || 8000
+);
+// engines only know orthodox chess
+const SUPPORTED_VARIANTS = new Set(["standard", "chess960"]);
+
+function clampDepth(v, fallback = DEFAULT_DEPTH) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(1, Math.min(MAX_DEPTH, n));
+}
+
+function isSupported(game) {
+  return SUPPORTED_VARIANTS.has(game.variant || "standard");
+}
+
+/**
+ * summarize(doc)
+ * Client-facing view of a GameAnalysis document.
+ */
+function summarize(doc) {
+  if (!doc) return null;
+  return {
+    gameId: doc.gameId,
+    roomId: doc.roomId,
+    variant: doc.variant,
+    status: doc.status,
+    depth: doc.depth,
+    requestedDepth: doc.requestedDepth,
+    accuracy: doc.accuracy,
+    acpl: doc.acpl,
+    counts: doc.counts,
+    critical: doc.critical || [],
+    plies: doc.plies || [],
+    error: doc.error || null,
+    completedAt: doc.completedAt || null,
+  };
+}
+
+async function findGame(gameOrId) {
+  if (gameOrId && typeof gameOrId === "object" && gameOrId.roomId)
+    return gameOrId;
+  const id = String(gameOrId || "");
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    const byId = await Game.findById(id).lean().exec();
+    if (byId) return byId;
+  }
+  return Game.findOne({ roomId: id }).lean().exec();
+}
+
+function playerIdsOf(game) {
+  const ids = new Set();
+  for (const p of (game && game.players) || []) {
+    const id = (p.user && p.user.id) || p.id;
+    if (id && mongoose.Types.ObjectId.isValid(String(id))) ids.add(String(id));
+  }
+  return Array.from(ids);
+}
+
+async function runAnalysis(job, { deadline } = {}) {
+  const game = await findGame(job.gameId);
+  if (!game) throw new Error("Game not found");
+  const gameId = String(game._id);
+  const depth = clampDepth(job.depth);
+
+  const settings = {
+    startFen: game.startFen || null,
+    chess960: !!game.chess960,
+    variant: game.variant || "standard",
+  };
+  const moves = game.moves || [];
+  const fens = positionsOf(settings, moves);
+  const evals = await evaluatePositions(fens, depth, TIMEOUT_PER_EVAL_MS, {
+    chess960: settings.chess960,
+    deadline,
+  });
+  if (!evals) throw new Error("No engine available");
+
+  const result = buildAnalysis({ settings, moves, evals });
+  await GameAnalysis.updateOne(
+    { gameId },
+    {
+      $set: {
+        ...result,
+        status: "done",
+        depth,
+        error: null,
+        completedAt: new Date(),
+      },
+    }
+  ).exec();
+}
+
+// mirror the job's state on the GameAnalysis doc and tell the players
+async function onJobStatus(job, status) {
+  const gameId = job.gameId;
+  try {
+    if (status === "running") {
+      await GameAnalysis.updateOne(
+        { gameId },
+        { $set: { status: "running", startedAt: new Date(), error: null } }
+      ).exec();
+    } else if (status === "failed") {
+      await GameAnalysis.updateOne(
+        { gameId },
+        { $set: { status: "failed", error: job.lastError || "Failed" } }
+      ).exec();
+    } else if (status === "retrying") {
+      await GameAnalysis.updateOne(
+        { gameId },
+        { $set: { status: "pending", error: job.lastError || null } }
+      ).exec();
+    } else if (status === "done") {
+      // look for missed wins to turn into puzzles
+      await puzzleService.queueMining(gameId, job.roomId);
+    }
+  } catch (e) {
+    console.error("analysis status update failed", e);
+  }
+
+  try {
+    const game = await findGame(gameId);
+    // required lazily: roomManager requires this module
+    const roomManager = require("../roomManager");
+    for (const userId of playerIdsOf(game)) {
+      roomManager.notifyUser(userId, "analysis-status", {
+        roomId: job.roomId,
+        gameId,
+        jobId: String(job._id),
+        status,
+        depth: job.depth,
+        attempts: job.attempts || 0,
+        error: status === "done" ? null : job.lastError || null,
+      });
+    }
+  } catch (e) {
+    console.error("analysis status notify failed", e);
+  }
+}
+
+analysisQueue.registerHandler(JOB_TYPE, {
+  run: runAnalysis,
+  onStatus: (job, status) => {
+    onJobStatus(job, status);
+  },
+});
+
+/**
+ * requestAnalysis(gameOrId, { depth, priority })
+ * Queue an analysis of a finished Game (doc, _id or roomId). A game that is
+ * already analysed (or queued) at `depth` or deeper is left alone; priority
+ * is an analysisQueue.PRIORITY value (post-game runs are "low").
+ * Returns { ok, analysis } or { ok: false, status, error }.
+ */
+async function requestAnalysis(
+  gameOrId,
+  { depth, priority = analysisQueue.PRIORITY.normal } = {}
+) {
+  const game = await findGame(gameOrId);
+  if (!game) return { ok: false, status: 404, error: "Game not found" };
+  const gameId = String(game._id);
+  const wanted = clampDepth(depth);
+
+  const existing = await GameAnalysis.findOne({ gameId }).lean().exec();
+  if (!isSupported(game)) {
+    const doc = await GameAnalysis.findOneAndUpdate(
+      { gameId },
+      {
+        $set: {
+          roomId: game.roomId,
+          variant: game.variant || "standard",
+          status: "unsupported",
+          error: `Analysis is not available for ${game.variant}`,
+        },
+      },
+      { upsert: true, new: true }
+    )
+      .lean()
+      .exec();
+    return { ok: true, analysis: summarize(doc) };
+  }
+  if (existing && existing.status === "done" && existing.depth >= wanted)
+    return { ok: true, analysis: summarize(existing) };
+
+  const job = await analysisQueue.enqueue({
+    type: JOB_TYPE,
+    gameId,
+    roomId: game.roomId,
+    depth: wanted,
+    priority,
+  });
+
+  // the previous result stays readable until the new one replaces it
+  const doc = await GameAnalysis.findOneAndUpdate(
+    { gameId },
+    {
+      $set: {
+        roomId: game.roomId,
+        variant: game.variant || "standard",
+        status:
+          existing && existing.status === "done"
+            ? "done"
+            : job.status === "running"
+            ? "running"
+            : "pending",
+        requestedDepth: Math.max(wanted, job.depth || 0),
+      },
+    },
+    { upsert: true, new: true }
+  )
+    .lean()
+    .exec();
+
+  return { ok: true, analysis: summarize(doc) };
+}
+
+/**
+ * getAnalysis(roomId)
+ * { ok, game, analysis } for a saved game (analysis null when never requested).
+ */
+async function getAnalysis(roomId) {
+  const game = await findGame(roomId);
+  if (!game) return { ok: false, status: 404, error: "Game not found" };
+  const doc = await GameAnalysis.findOne({ gameId: String(game._id) })
+    .lean()
+    .exec();
+  return { ok: true, game, analysis: summarize(doc) };
+}
+
+/**
+ * startAnalysisWorker()
+ * Start processing queued analysis jobs (called once on boot).
+ */
+function startAnalysisWorker() {
+  return analysisQueue.start();
+}
+
+module.exports = {
+  JOB_TYPE,
+  PRIORITY: analysisQueue.PRIORITY,
+  DEFAULT_DEPTH,
+  MAX_DEPTH,
+  clampDepth,
+  summarize,
+  requestAnalysis,
+  getAnalysis,
+  startAnalysisWorker,
+};
@@ -0,0 +1,498 @@
+// backend/services/correspondenceService.js
+// Correspondence (daily) games: N days per move, persisted in the
+// CorrespondenceGame collection rather than the in-memory rooms map.
+// Deadlines are stored on the documents and swept by a scheduler that also
+// runs once on boot, so games whose deadline passed while the server was
+// down are settled as soon as it comes back.
+
+const { Chess } = require("chess.js");
+const CorrespondenceGame = require("../models/CorrespondenceGame");
+const Game = require("../models/Game");
+const User = require("../models/User");
+const notificationService = require("./notificationService");
+const roomManager = require("../roomManager");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_DAYS_PER_MOVE = 1;
+const MAX_DAYS_PER_MOVE = 14;
+const DEADLINE_SWEEP_MS = 60 * 1000;
+
+let sweepTimer = null;
+
+function clampDays(v) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n)) return 3;
+  return Math.max(MIN_DAYS_PER_MOVE, Math.min(MAX_DAYS_PER_MOVE, n));
+}
+
+function playerFor(doc, userId) {
+  return (doc.players || []).find((p) => String(p.userId) === String(userId));
+}
+
+function opponentOf(doc, userId) {
+  return (doc.players || []).find((p) => String(p.userId) !== String(userId));
+}
+
+/**
+ * summarize(doc, meId)
+ * Client-facing view of a correspondence game (adds myColor / myTurn for meId).
+ */
+function summarize(doc, meId = null) {
+  if (!doc) return null;
+  const me = meId ? playerFor(doc, meId) : null;
+  return {
+    id: String(doc._id),
+    players: (doc.players || []).map((p) => ({
+      userId: p.userId,
+      username: p.username || null,
+      displayName: p.displayName || null,
+      color: p.color,
+    })),
+    createdBy: doc.createdBy,
+    daysPerMove: doc.daysPerMove,
+    status: doc.status,
+    fen: doc.fen,
+    moves: doc.moves || [],
+    lastIndex: doc.lastIndex,
+    turn: doc.turn,
+    deadlineAt: doc.deadlineAt || null,
+    finished: doc.finished || null,
+    myColor: me ? me.color : null,
+    myTurn: !!(me && doc.status === "active" && doc.turn === me.color),
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+function emitUpdate(doc) {
+  for (const p of doc.players || []) {
+    try {
+      roomManager.notifyUser(
+        String(p.userId),
+        "correspondence-update",
+        summarize(doc, p.userId)
+      );
+    } catch (e) {}
+  }
+}
+
+function daysLabel(days) {
+  return `${days} day${days === 1 ? "" : "s"}`;
+}
+
+/**
+ * notifyTurn(doc, lead)
+ * "Your turn" notification for the side to move; lead describes what just happened.
+ */
+async function notifyTurn(doc, lead) {
+  const next = (doc.players || []).find((p) => p.color === doc.turn);
+  if (!next) return;
+  try {
+    await notificationService.createNotification(
+      String(next.userId),
+      "correspondence_turn",
+      "Your turn",
+      `${lead} You have ${daysLabel(doc.daysPerMove)} to move.`,
+      {
+        gameId: String(doc._id),
+        deadlineAt: doc.deadlineAt,
+        fromUserId: (opponentOf(doc, next.userId) || {}).userId || null,
+      }
+    );
+  } catch (e) {
+    console.error("correspondence notifyTurn failed (non-fatal)", e);
+  }
+}
+
+/**
+ * chessOf(doc)
+ * The game's position rebuilt from its moves, so repetitions are known
+ * (falls back to the stored FEN if a stored move no longer applies).
+ */
+function chessOf(doc) {
+  const chess = new Chess();
+  try {
+    for (const m of doc.moves || []) {
+      if (!chess.move(m.move)) throw new Error("bad move");
+    }
+    return chess;
+  } catch (e) {
+    return new Chess(doc.fen || undefined);
+  }
+}
+
+/**
+ * saveGameRecord(doc)
+ * Store the finished game alongside live games so history/listings pick it up.
+ * Correspondence games are unrated.
+ */
+async function saveGameRecord(doc) {
+  try {
+    const rec = new Game({
+      roomId: `corr-${String(doc._id)}`,
+      fen: doc.fen,
+      finished: doc.finished || null,
+      rated: false,
+      cupsProcessed: true,
+      createdAt: doc.createdAt || new Date(),
+      moves: (doc.moves || []).map((m) => ({ index: m.index, move: m.move })),
+      players: (doc.players || []).map((p) => ({
+        id: p.userId,
+        user: { id: p.userId, username: p.username || null },
+        color: p.color,
+        online: false,
+      })),
+      clocks: null,
+      messages: [],
+    });
+    await rec.save();
+    return String(rec._id);
+  } catch (e) {
+    console.error("correspondence saveGameRecord failed", e);
+    return null;
+  }
+}
+
+/**
+ * finishGame(doc, finishedObj, guard = {})
+ * Mark the game finished (only if still active and matching `guard`), save a
+ * Game record and notify both players. Returns null when nothing matched.
+ */
+async function finishGame(doc, finishedObj, guard = {}) {
+  const finished = { ...finishedObj, finishedAt: Date.now() };
+  const updated = await CorrespondenceGame.findOneAndUpdate(
+    { ...guard, _id: doc._id, status: "active" },
+    { $set: { status: "finished", finished, deadlineAt: null } },
+    { new: true }
+  ).exec();
+  if (!updated) return null;
+
+  const recordId = await saveGameRecord(updated);
+  if (recordId) {
+    updated.gameRecordId = recordId;
+    await updated.save().catch(() => {});
+  }
+
+  for (const p of updated.players || []) {
+    try {
+      await notificationService.createNotification(
+        String(p.userId),
+        "correspondence_finished",
+        "Game over",
+        finished.message || "Your correspondence game has finished.",
+        { gameId: String(updated._id) }
+      );
+    } catch (e) {
+      console.error("correspondence finish notification failed", e);
+    }
+  }
+  emitUpdate(updated);
+  return updated;
+}
+
+/**
+ * createChallenge({ fromUserId, toUserId, daysPerMove, colorPreference })
+ * Creates a pending game; it becomes active once the opponent accepts.
+ */
+async function createChallenge({
+  fromUserId,
+  toUserId,
+  daysPerMove = 3,
+  colorPreference = "random",
+}) {
+  if (!fromUserId) return { ok: false, status: 401, error: "Missing auth" };
+  if (!toUserId) return { ok: false, status: 400, error: "Missing toUserId" };
+  if (String(toUserId) === String(fromUserId))
+    return { ok: false, status: 400, error: "Cannot challenge yourself" };
+
+  const [me, target] = await Promise.all([
+    User.findById(fromUserId).lean().exec(),
+    User.findById(toUserId).lean().exec(),
+  ]);
+  if (!me) return { ok: false, status: 404, error: "User not found" };
+  if (!target)
+    return { ok: false, status: 404, error: "Target user not found" };
+
+  let myColor = Math.random() < 0.5 ? "w" : "b";
+  if (colorPreference === "white") myColor = "w";
+  else if (colorPreference === "black") myColor = "b";
+  const theirColor = myColor === "w" ? "b" : "w";
+
+  const doc = new CorrespondenceGame({
+    players: [
+      {
+        userId: String(me._id),
+        username: me.username,
+        displayName: me.displayName || null,
+        color: myColor,
+      },
+      {
+        userId: String(target._id),
+        username: target.username,
+        displayName: target.displayName || null,
+        color: theirColor,
+      },
+    ],
+    createdBy: String(me._id),
+    daysPerMove: clampDays(daysPerMove),
+    colorPreference: colorPreference || "random",
+    status: "pending",
+    fen: new Chess().fen(),
+    turn: "w",
+  });
+  await doc.save();
+
+  try {
+    await notificationService.createNotification(
+      String(target._id),
+      "correspondence_challenge",
+      "Correspondence challenge",
+      `${
+        me.username || "A player"
+      } challenged you to a correspondence game (${daysLabel(
+        doc.daysPerMove
+      )} per move).`,
+      {
+        gameId: String(doc._id),
+        daysPerMove: doc.daysPerMove,
+        fromUserId: String(me._id),
+      }
+    );
+  } catch (e) {
+    console.error("correspondence challenge notification failed", e);
+  }
+  emitUpdate(doc);
+  return { ok: true, game: doc };
+}
+
+async function respondToChallenge(gameId, userId, accept) {
+  const doc = await CorrespondenceGame.findById(gameId).exec();
+  if (!doc) return { ok: false, status: 404, error: "Game not found" };
+  if (doc.status !== "pending")
+    return { ok: false, status: 400, error: "Challenge is no longer pending" };
+  if (String(doc.createdBy) === String(userId) || !playerFor(doc, userId))
+    return { ok: false, status: 403, error: "Not your challenge" };
+
+  if (accept) {
+    doc.status = "active";
+    doc.deadlineAt = new Date(Date.now() + doc.daysPerMove * DAY_MS);
+  } else {
+    doc.status = "declined";
+  }
+  await doc.save();
+
+  if (accept) {
+    const white = (doc.players || []).find((p) => p.color === "w");
+    if (white && String(white.userId) !== String(userId)) {
+      const accepter = playerFor(doc, userId);
+      await notifyTurn(
+        doc,
+        `${accepter.username || "Your opponent"} accepted your challenge.`
+      );
+    }
+  }
+  emitUpdate(doc);
+  return { ok: true, game: doc };
+}
+
+function acceptChallenge(gameId, userId) {
+  return respondToChallenge(gameId, userId, true);
+}
+
+function declineChallenge(gameId, userId) {
+  return respondToChallenge(gameId, userId, false);
+}
+
+/**
+ * makeMove(gameId, userId, move)
+ * move: { from, to, promotion? } or SAN string.
+ */
+async function makeMove(gameId, userId, move) {
+  const doc = await CorrespondenceGame.findById(gameId).exec();
+  if (!doc) return { ok: false, status: 404, error: "Game not found" };
+  if (doc.status !== "active")
+    return { ok: false, status: 400, error: "Game is not active" };
+  const me = playerFor(doc, userId);
+  if (!me) return { ok: false, status: 403, error: "Not your game" };
+  if (me.color !== doc.turn)
+    return { ok: false, status: 400, error: "It is not your turn" };
+  if (doc.deadlineAt && new Date(doc.deadlineAt).getTime() <= Date.now()) {
+    await expireGame(doc);
+    return { ok: false, status: 400, error: "Your time to move has run out" };
+  }
+
+  const chess = chessOf(doc);
+  let result = null;
+  try {
+    result = chess.move(move);
+  } catch (e) {
+    result = null;
+  }
+  if (!result) return { ok: false, status: 400, error: "Illegal move" };
+
+  const now = Date.now();
+  const record = {
+    index: doc.lastIndex + 1,
+    move: {
+      from: result.from,
+      to: result.to,
+      promotion: result.promotion || undefined,
+    },
+    san: result.san,
+    ts: now,
+  };
+
+  // guard on lastIndex so two concurrent submissions cannot both land
+  const updated = await CorrespondenceGame.findOneAndUpdate(
+    { _id: doc._id, status: "active", lastIndex: doc.lastIndex },
+    {
+      $push: { moves: record },
+      $set: {
+        fen: chess.fen(),
+        lastIndex: record.index,
+        turn: chess.turn(),
+        deadlineAt: new Date(now + doc.daysPerMove * DAY_MS),
+      },
+    },
+    { new: true }
+  ).exec();
+  if (!updated)
+    return { ok: false, status: 409, error: "Game changed, please reload" };
+
+  const finishedObj = roomManager.detectGameFinishedForRoom(chess, result);
+  if (finishedObj) {
+    const done = await finishGame(updated, finishedObj);
+    return { ok: true, game: done || updated };
+  }
+
+  await notifyTurn(
+    updated,
+    `${me.username || "Your opponent"} played ${result.san}.`
+  );
+  emitUpdate(updated);
+  return { ok: true, game: updated };
+}
+
+async function resign(gameId, userId) {
+  const doc = await CorrespondenceGame.findById(gameId).exec();
+  if (!doc) return { ok: false, status: 404, error: "Game not found" };
+  if (doc.status !== "active")
+    return { ok: false, status: 400, error: "Game is not active" };
+  const me = playerFor(doc, userId);
+  if (!me) return { ok: false, status: 403, error: "Not your game" };
+  const winner = me.color === "w" ? "b" : "w";
+  const done = await finishGame(doc, {
+    reason: "resign",
+    winner,
+    loser: me.color,
+    message: `${winner.toUpperCase()} wins by resignation`,
+  });
+  return { ok: true, game: done || doc };
+}
+
+/**
+ * expireGame(doc, now = Date.now())
+ * The side to move ran out of days: loses, or draws if the opponent cannot mate.
+ * Skipped (null) when a move landed after `doc` was read.
+ */
+async function expireGame(doc, now = Date.now()) {
+  const chess = chessOf(doc);
+  const finishedObj = roomManager.timeoutFinishFor({ chess }, doc.turn);
+  return finishGame(doc, finishedObj, {
+    lastIndex: doc.lastIndex,
+    deadlineAt: { $ne: null, $lte: new Date(now) },
+  });
+}
+
+/**
+ * expireOverdueGames(now = Date.now())
+ * Settles every active game whose deadline has passed. Returns how many were finished.
+ */
+async function expireOverdueGames(now = Date.now()) {
+  let count = 0;
+  try {
+    const overdue = await CorrespondenceGame.find({
+      status: "active",
+      deadlineAt: { $ne: null, $lte: new Date(now) },
+    })
+      .limit(200)
+      .exec();
+    for (const doc of overdue) {
+      try {
+        if (await expireGame(doc, now)) count++;
+      } catch (e) {
+        console.error("correspondence expireGame error", e);
+      }
+    }
+  } catch (e) {
+    console.error("expireOverdueGames error", e);
+  }
+  return count;
+}
+
+function startDeadlineScheduler(intervalMs = DEADLINE_SWEEP_MS) {
+  if (sweepTimer) return;
+  // catch up on deadlines that passed while the server was down
+  expireOverdueGames();
+  sweepTimer = setInterval(() => {
+    expireOverdueGames();
+  }, intervalMs);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+function stopDeadlineScheduler() {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+/**
+ * listAwaitingMove(userId)
+ * Active games where it is userId's turn, most urgent deadline first.
+ */
+async function listAwaitingMove(userId) {
+  const docs = await CorrespondenceGame.find({
+    status: "active",
+    players: { $elemMatch: { userId: String(userId) } },
+  })
+    .sort({ deadlineAt: 1 })
+    .lean()
+    .exec();
+  return docs
+    .filter((d) => {
+      const me = playerFor(d, userId);
+      return me && me.color === d.turn;
+    })
+    .map((d) => summarize(d, userId));
+}
+
+async function listGames(userId, status = null) {
+  const filter = { "players.userId": String(userId) };
+  if (status) filter.status = String(status);
+  const docs = await CorrespondenceGame.find(filter)
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .lean()
+    .exec();
+  return docs.map((d) => summarize(d, userId));
+}
+
+async function getGame(gameId, userId) {
+  const doc = await CorrespondenceGame.findById(gameId).lean().exec();
+  if (!doc || !playerFor(doc, userId)) return null;
+  return summarize(doc, userId);
+}
+
+module.exports = {
+  DAY_MS,
+  summarize,
+  createChallenge,
+  acceptChallenge,
+  declineChallenge,
+  makeMove,
+  resign,
+  expireOverdueGames,
+  startDeadlineScheduler,
+  stopDeadlineScheduler,
+  listAwaitingMove,
+  listGames,
+  getGame,
+};
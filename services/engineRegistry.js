@@ -0,0 +1,349 @@
+// backend/services/engineRegistry.js
+// Single registry of the chess engines the server can use. Each engine has a
+// name, a type — "uci" (native binary), "wasm" (npm 'stockfish') or "js"
+// (built-in: js-chess-engine, negamax) — UCI options (Threads, Hash,
+// Skill Level, ...) and the roles it serves: "bot", "analysis" and/or "hint".
+// For a role, engines are tried in configuration order and an engine that
+// fails to start is skipped for DOWN_RETRY_MS.
+//
+// Configuration: ENGINES_CONFIG (path to a JSON file) or ENGINES_JSON (inline
+// JSON), either `[{ name, type, command, args, options, roles, poolSize }]`
+// or `{ engines: [...] }`. Without either, a native Stockfish (STOCKFISH_CMD),
+// the WASM build and the two JS engines are registered: Stockfish serves every
+// role when it starts, the JS engines are the bot fallback.
+
+const fs = require("fs");
+const path = require("path");
+const { createEnginePool } = require("../lib/enginePool");
+const {
+  spawnUciEngine,
+  createWasmEngine,
+  applyOptions,
+  parseInfo,
+  parseBestMove,
+} = require("../lib/uciEngine");
+const jsChessAdapter = require("../lib/jsChessEngineAdapter");
+const negamaxEngine = require("../lib/negamaxEngine");
+
+const ROLES = ["bot", "analysis", "hint"];
+const TYPES = ["uci", "wasm", "js"];
+const DOWN_RETRY_MS = 60 * 1000;
+const HEALTH_TIMEOUT_MS = 5000;
+const START_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+// built-in JS engines by name: bestMove(fen, level 0..4) -> { from, to, promotion? }
+const JS_ENGINES = {
+  "js-chess-engine": (fen, level) => jsChessAdapter.aiMoveFromFen(fen, level),
+  negamax: async (fen, level) => negamaxEngine.bestMove(fen, level),
+};
+
+// engine defaults for options callers may override per search (bot strength)
+const UCI_DEFAULTS = { "Skill Level": 20, UCI_LimitStrength: false };
+
+// the configured (or engine default) values of the options a search changed
+function resetOptions(def, changed) {
+  const out = {};
+  for (const name of Object.keys(changed || {})) {
+    const value =
+      def.options[name] !== undefined ? def.options[name] : UCI_DEFAULTS[name];
+    if (value !== undefined) out[name] = value;
+  }
+  return out;
+}
+
+function defaultConfig() {
+  const poolSize = Number(process.env.ENGINE_POOL_SIZE || 2);
+  return [
+    {
+      name: "stockfish",
+      type: "uci",
+      command: process.env.STOCKFISH_CMD || "stockfish",
+      options: { Threads: 1, Hash: 16 },
+      roles: ["analysis", "hint", "bot"],
+      poolSize,
+    },
+    {
+      name: "stockfish-wasm",
+      type: "wasm",
+      options: { Hash: 16 },
+      roles: ["analysis", "hint", "bot"],
+      poolSize: 1,
+    },
+    { name: "js-chess-engine", type: "js", roles: ["bot", "hint"] },
+    { name: "negamax", type: "js", roles: ["bot"] },
+  ];
+}
+
+/**
+ * loadConfig()
+ * Engine definitions from ENGINES_CONFIG / ENGINES_JSON, or the defaults.
+ */
+function loadConfig() {
+  let raw = null;
+  if (process.env.ENGINES_CONFIG) {
+    const file = path.resolve(process.cwd(), process.env.ENGINES_CONFIG);
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else if (process.env.ENGINES_JSON) {
+    raw = JSON.parse(process.env.ENGINES_JSON);
+  }
+  if (!raw) return defaultConfig();
+  const list = Array.isArray(raw) ? raw : raw.engines;
+  if (!Array.isArray(list) || !list.length)
+    throw new Error("engine config: expected a non-empty engines array");
+  return list;
+}
+
+function validate(def) {
+  if (!def || !def.name) throw new Error("engine config: engine without name");
+  if (!TYPES.includes(def.type))
+    throw new Error(`engine config: ${def.name}: unknown type ${def.type}`);
+  if (def.type === "uci" && !def.command)
+    throw new Error(`engine config: ${def.name}: uci engines need a command`);
+  if (def.type === "js" && !JS_ENGINES[def.name])
+    throw new Error(`engine config: ${def.name}: no built-in JS engine`);
+  const roles = (def.roles || []).filter((r) => ROLES.includes(r));
+  if (!roles.length)
+    throw new Error(`engine config: ${def.name}: no valid roles`);
+  return { ...def, roles, options: def.options || {} };
+}
+
+/**
+ * createEngine(def)
+ * Engine object: { name, type, roles, options, withEngine(fn), bestMove(fen, opts),
+ * healthCheck(), describe(), shutdown() }. UCI/WASM engines keep a pool of
+ * sessions with their options applied once at start.
+ */
+function createEngine(def) {
+  const engine = {
+    name: def.name,
+    type: def.type,
+    roles: def.roles,
+    options: def.options,
+    command: def.command || null,
+    downUntil: 0,
+    lastError: null,
+    pool: null,
+  };
+
+  if (def.type !== "js") {
+    engine.pool = createEnginePool({
+      create: () =>
+        def.type === "uci"
+          ? spawnUciEngine(def.command, def.args || [])
+          : createWasmEngine(),
+      init: (session) => applyOptions(session, def.options),
+      size: def.poolSize || 1,
+    });
+  }
+
+  engine.isDown = () => Date.now() < engine.downUntil;
+  engine.markDown = (err) => {
+    engine.downUntil = Date.now() + DOWN_RETRY_MS;
+    engine.lastError = err ? String(err.message || err) : "unavailable";
+  };
+
+  /**
+   * withEngine(fn)
+   * Runs fn(session) on a pooled session; { ok: false } when the engine can't start.
+   */
+  engine.withEngine = async (fn) => {
+    if (!engine.pool) return { ok: false };
+    const session = await engine.pool.acquire();
+    if (!session) {
+      engine.markDown("engine did not start");
+      return { ok: false };
+    }
+    try {
+      const value = await fn(session);
+      engine.pool.release(session);
+      return { ok: true, value };
+    } catch (err) {
+      engine.pool.release(session, { broken: true });
+      throw err;
+    }
+  };
+
+  /**
+   * bestMove(fen, { level, depth, movetime, options })
+   * { from, to, promotion? } or null. JS engines use `level` (0..4); UCI
+   * engines search to `depth` and/or for `movetime` ms (whichever ends first)
+   * with per-call options, which are reset before the session goes back to
+   * the pool.
+   */
+  engine.bestMove = async (fen, opts = {}) => {
+    if (def.type === "js") return JS_ENGINES[def.name](fen, opts.level ?? 2);
+    const res = await engine.withEngine(async (session) => {
+      const { send, readUntil } = session;
+      applyOptions(session, opts.options);
+      send(`position fen ${fen}`);
+      const limits = [];
+      if (opts.depth || !opts.movetime)
+        limits.push(`depth ${opts.depth || 10}`);
+      if (opts.movetime) limits.push(`movetime ${opts.movetime}`);
+      send(`go ${limits.join(" ")}`);
+      const raw = await readUntil("bestmove", opts.timeoutMs || 10000);
+      if (!/\bbestmove\b/.test(raw)) throw new Error("Engine timed out");
+      applyOptions(session, resetOptions(def, opts.options));
+      const info = parseInfo(raw, String(fen).split(" ")[1] !== "b");
+      return info ? parseBestMove(info.bestMove) : null;
+    });
+    return res.ok ? res.value : null;
+  };
+
+  /**
+   * healthCheck()
+   * Starts (or reuses) a session and searches the start position briefly.
+   * { name, ok, latencyMs, error, move }
+   */
+  engine.healthCheck = async () => {
+    const started = Date.now();
+    const out = { name: engine.name, ok: false, latencyMs: null, error: null };
+    engine.lastError = null;
+    try {
+      const timer = new Promise((_, reject) =>
+        setTimeout(
+          () => reject(new Error("health check timed out")),
+          HEALTH_TIMEOUT_MS
+        )
+      );
+      const move = await Promise.race([
+        engine.bestMove(START_FEN, { level: 0, depth: 4, timeoutMs: 4000 }),
+        timer,
+      ]);
+      if (!move || !move.from)
+        throw new Error(engine.lastError || "no move returned");
+      out.ok = true;
+      out.move = `${move.from}${move.to}${move.promotion || ""}`;
+      engine.downUntil = 0;
+      engine.lastError = null;
+    } catch (err) {
+      out.error = String(err.message || err);
+      engine.markDown(err);
+    }
+    out.latencyMs = Date.now() - started;
+    return out;
+  };
+
+  engine.describe = () => ({
+    name: engine.name,
+    type: engine.type,
+    command: engine.command,
+    roles: engine.roles,
+    options: engine.options,
+    down: engine.isDown(),
+    lastError: engine.lastError,
+    pool: engine.pool ? engine.pool.stats() : null,
+  });
+
+  engine.shutdown = () => {
+    if (engine.pool) engine.pool.shutdown();
+  };
+
+  return engine;
+}
+
+let engines = [];
+
+/**
+ * load()
+ * (Re)build the registry from configuration; replaced engines are shut down.
+ */
+function load() {
+  const defs = loadConfig().map(validate);
+  const names = new Set();
+  for (const d of defs) {
+    if (names.has(d.name))
+      throw new Error(`engine config: duplicate engine ${d.name}`);
+    names.add(d.name);
+  }
+  for (const e of engines) e.shutdown();
+  engines = defs.map(createEngine);
+  return engines;
+}
+
+function list() {
+  return engines.map((e) => e.describe());
+}
+
+function get(name) {
+  return engines.find((e) => e.name === name) || null;
+}
+
+/**
+ * enginesFor(role)
+ * Engines serving `role`, in configuration order, skipping ones marked down.
+ */
+function enginesFor(role) {
+  return engines.filter((e) => e.roles.includes(role) && !e.isDown());
+}
+
+/**
+ * withEngine(role, fn)
+ * Runs fn(session, engine) on the first UCI/WASM engine for `role` that
+ * starts; null when none does.
+ */
+async function withEngine(role, fn) {
+  for (const engine of enginesFor(role)) {
+    if (!engine.pool) continue;
+    const res = await engine.withEngine((session) => fn(session, engine));
+    if (res.ok) return res.value;
+  }
+  return null;
+}
+
+/**
+ * bestMove(role, fen, opts)
+ * A move from the first engine for `role` that returns one, or null.
+ */
+async function bestMove(role, fen, opts = {}) {
+  for (const engine of enginesFor(role)) {
+    try {
+      const move = await engine.bestMove(fen, opts);
+      if (move && move.from && move.to) return { ...move, engine: engine.name };
+    } catch (err) {
+      console.error(`engine ${engine.name} bestMove error:`, err.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * poolSize(role)
+ * Sessions available to `role` on its first session-based engine (queue concurrency).
+ */
+function poolSize(role) {
+  const engine = engines.find((e) => e.roles.includes(role) && e.pool);
+  return engine ? engine.pool.stats().size : 1;
+}
+
+async function healthCheck(name) {
+  const engine = get(name);
+  return engine ? engine.healthCheck() : null;
+}
+
+async function healthCheckAll() {
+  const out = [];
+  for (const engine of engines) out.push(await engine.healthCheck());
+  return out;
+}
+
+try {
+  load();
+} catch (err) {
+  console.error("engine registry config error, using defaults:", err.message);
+  engines = defaultConfig().map(validate).map(createEngine);
+}
+
+module.exports = {
+  ROLES,
+  TYPES,
+  load,
+  list,
+  get,
+  enginesFor,
+  withEngine,
+  bestMove,
+  poolSize,
+  healthCheck,
+  healthCheckAll,
+};
@@ -0,0 +1,148 @@
+// backend/services/openingBook.js
+// Polyglot opening books for the bots (format: lib/polyglot.js). While the
+// game is within a level's book depth (in plies), the bot plays a weighted
+// book move instead of searching.
+//
+// Configuration: BOT_BOOK is the book file used by every level. For per-level
+// books or settings use BOT_BOOKS_CONFIG (path to a JSON file) or
+// BOT_BOOKS_JSON (inline JSON):
+//
+//   { "file": "books/main.bin", "plies": 12, "variety": 0.8,
+//     "levels": { "0": { "plies": 2 }, "8": { "file": "books/gm.bin", "variety": 0.3 } } }
+//
+// Top-level values apply to every level, `levels` entries override them per
+// level (0..8, see lib/botLevels.js); anything unset falls back to
+// LEVEL_DEFAULTS. Without a book file the bots simply search from move one.
+
+const fs = require("fs");
+const path = require("path");
+const { Chess } = require("chess.js");
+const polyglot = require("../lib/polyglot");
+const { strengthFor } = require("../lib/botLevels");
+const { normalizeVariant } = require("../lib/variants");
+
+// weak bots leave the book early and play anything in it; strong ones stay
+// in longer and keep to the main lines
+const LEVEL_DEFAULTS = [
+  { plies: 2, variety: 1 },
+  { plies: 4, variety: 1 },
+  { plies: 6, variety: 1 },
+  { plies: 8, variety: 0.9 },
+  { plies: 10, variety: 0.8 },
+  { plies: 12, variety: 0.7 },
+  { plies: 16, variety: 0.6 },
+  { plies: 20, variety: 0.5 },
+  { plies: 24, variety: 0.4 },
+];
+
+let config = null;
+const books = new Map(); // resolved path -> Promise<Buffer|null>
+
+function loadConfig() {
+  let raw = {};
+  try {
+    if (process.env.BOT_BOOKS_CONFIG) {
+      const file = path.resolve(process.cwd(), process.env.BOT_BOOKS_CONFIG);
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } else if (process.env.BOT_BOOKS_JSON) {
+      raw = JSON.parse(process.env.BOT_BOOKS_JSON);
+    }
+  } catch (err) {
+    console.error("opening book config error, ignoring it:", err.message);
+    raw = {};
+  }
+  if (!raw || typeof raw !== "object") raw = {};
+  if (!raw.file && process.env.BOT_BOOK) raw.file = process.env.BOT_BOOK;
+  return raw;
+}
+
+/**
+ * settingsFor(level)
+ * { file, plies, variety } for a bot level (0..8) or rating; file is null
+ * when no book is configured.
+ */
+function settingsFor(level) {
+  if (!config) config = loadConfig();
+  const lvl = strengthFor(level).level;
+  const own = (config.levels && config.levels[String(lvl)]) || {};
+  const pick = (key) =>
+    own[key] !== undefined
+      ? own[key]
+      : config[key] !== undefined
+      ? config[key]
+      : LEVEL_DEFAULTS[lvl][key];
+  const variety = Number(pick("variety"));
+  return {
+    file: own.file || config.file || null,
+    plies: Math.max(0, Number(pick("plies")) || 0),
+    variety: Number.isFinite(variety) ? Math.max(0, Math.min(1, variety)) : 1,
+  };
+}
+
+// the book's contents, read once; null (and one log line) if it can't be read
+function loadBook(file) {
+  const resolved = path.resolve(process.cwd(), file);
+  if (!books.has(resolved)) {
+    books.set(
+      resolved,
+      fs.promises.readFile(resolved).catch((err) => {
+        console.error(`opening book ${resolved} unavailable:`, err.message);
+        return null;
+      })
+    );
+  }
+  return books.get(resolved);
+}
+
+/**
+ * appliesTo(settings)
+ * Books hold standard chess only: no variants, no Chess960.
+ */
+function appliesTo(settings = {}) {
+  const s = settings || {};
+  return normalizeVariant(s.variant) === "standard" && !s.chess960;
+}
+
+/**
+ * bookMove({ level, fen, ply })
+ * A legal { from, to, promotion? } from the level's book for `fen`, or null
+ * when there is no book, the game is past the book depth, or the position
+ * isn't in it. `ply` is the number of half-moves already played.
+ */
+async function bookMove({ level, fen, ply = 0 }) {
+  try {
+    const settings = settingsFor(level);
+    if (!settings.file || ply >= settings.plies) return null;
+    const buffer = await loadBook(settings.file);
+    if (!buffer) return null;
+
+    const entries = polyglot.findEntries(buffer, polyglot.polyglotKey(fen));
+    // drop entries that don't decode to a legal move (hash collisions)
+    const legal = entries.filter((e) => {
+      try {
+        return !!new Chess(fen).move(polyglot.decodeMove(e.move, fen));
+      } catch (err) {
+        return false;
+      }
+    });
+    const chosen = polyglot.pickWeighted(legal, settings.variety);
+    return chosen ? polyglot.decodeMove(chosen.move, fen) : null;
+  } catch (err) {
+    console.error("bookMove error:", err);
+    return null;
+  }
+}
+
+// forget cached config and books (e.g. after replacing a book file)
+function reload() {
+  config = null;
+  books.clear();
+}
+
+module.exports = {
+  LEVEL_DEFAULTS,
+  settingsFor,
+  appliesTo,
+  bookMove,
+  reload,
+};
@@ -0,0 +1,220 @@
+// backend/services/pgnImport.js
+// PGN import (POST /api/game/import). Every game in the text is replayed
+// with chess.js from its start position (FEN tag, standard or Chess960) and
+// the import is refused at the first illegal move. Games are stored as
+// unrated Game documents owned by the importing user, keeping the tags,
+// comments and NAGs, and each one is opened as a replay room
+// (roomManager.openReplayRoom) to step through with setReplayIndex.
+
+const { Chess } = require("chess.js");
+const Game = require("../models/Game");
+const roomManager = require("../roomManager");
+const { parsePgn } = require("../lib/pgn");
+const {
+  resolveStartPosition,
+  startSettings,
+  createChess,
+  applyMove,
+} = require("../lib/startPosition");
+
+const MAX_GAMES = Number(process.env.PGN_IMPORT_MAX_GAMES || 50);
+const MAX_PGN_BYTES = 1024 * 1024;
+
+const RESULTS = {
+  "1-0": { winner: "w", loser: "b", message: "White won" },
+  "0-1": { winner: "b", loser: "w", message: "Black won" },
+};
+
+/**
+ * startFor(headers)
+ * Room settings for the game's start position, or { error }. Only standard
+ * chess and Chess960 can be imported.
+ */
+function startFor(headers) {
+  const variant = String(headers.Variant || "standard")
+    .toLowerCase()
+    .replace(/[\s_-]/g, "");
+  const fen = headers.FEN ? String(headers.FEN).trim() : null;
+  if (["chess960", "fischerandom", "fischerrandom"].includes(variant)) {
+    if (!fen) return { error: "Chess960 games need a FEN tag" };
+    // castling rights come from the rook placement (see createChess), and
+    // chess.js doesn't read Shredder/X-FEN castling fields
+    const startFen = fen.replace(/^(\S+ \S+) \S+/, "$1 -");
+    try {
+      new Chess(startFen);
+    } catch (e) {
+      return { error: "Invalid FEN" };
+    }
+    return { settings: { startFen, chess960: true, variant: "chess960" } };
+  }
+  if (!["standard", "fromposition", "normal"].includes(variant))
+    return { error: `Unsupported variant: ${headers.Variant}` };
+  const pos = resolveStartPosition({ startFen: fen });
+  if (pos.error) return { error: pos.error };
+  return { settings: startSettings(pos) };
+}
+
+// "12." / "12..." label of the n-th half-move from startFen
+function moveLabel(startFen, n) {
+  const [, turn = "w", , , , full = "1"] = String(startFen).split(" ");
+  const ply = n + (turn === "b" ? 1 : 0);
+  const number = (Number(full) || 1) + Math.floor(ply / 2);
+  return `${number}${ply % 2 ? "..." : "."}`;
+}
+
+/**
+ * replay(parsed, settings)
+ * { records, fen } with move records shaped like live games' ones, or
+ * { error } naming the first illegal move.
+ */
+function replay(parsed, settings) {
+  const chess = createChess(settings);
+  const records = [];
+  for (let i = 0; i < parsed.moves.length; i++) {
+    const m = parsed.moves[i];
+    const result = applyMove(chess, m.san);
+    if (!result)
+      return {
+        error: `Illegal move ${moveLabel(settings.startFen, i)} ${m.san}`,
+      };
+    const move = result.castle
+      ? { from: result.from, to: result.to, castle: result.castle }
+      : { from: result.from, to: result.to };
+    if (result.promotion) move.promotion = result.promotion;
+    move.san = result.san;
+    const record = { index: i, move };
+    if (m.comment) record.comment = m.comment;
+    if (m.nags && m.nags.length) record.nags = m.nags;
+    records.push(record);
+  }
+  return { records, fen: chess.fen() };
+}
+
+function finishedFor(result) {
+  const base = { reason: "imported", finishedAt: Date.now() };
+  if (RESULTS[result])
+    return {
+      ...base,
+      result,
+      ...RESULTS[result],
+      winnerColor: RESULTS[result].winner,
+    };
+  if (result === "1/2-1/2")
+    return { ...base, result: "draw", winner: null, message: "Draw" };
+  return { ...base, result: "*", winner: null, message: "Unfinished game" };
+}
+
+async function freeRoomId() {
+  for (let i = 0; i < 10; i++) {
+    const id = roomManager.generateRoomCode(6);
+    if (!roomManager.rooms[id] && !(await Game.exists({ roomId: id })))
+      return id;
+  }
+  throw new Error("Could not allocate a room id");
+}
+
+/**
+ * importPgn(text, user)
+ * Validate and store every game in `text` for `user` ({ id, username }).
+ * Returns { ok, games: [{ roomId, gameId, white, black, result, moves }] }
+ * or { ok: false, status, error } — nothing is stored when any game fails.
+ */
+async function importPgn(text, user) {
+  if (!user || !user.id)
+    return { ok: false, status: 401, error: "Missing auth" };
+  const raw = String(text || "");
+  if (!raw.trim()) return { ok: false, status: 400, error: "No PGN given" };
+  if (Buffer.byteLength(raw) > MAX_PGN_BYTES)
+    return { ok: false, status: 413, error: "PGN is too large" };
+
+  const parsed = parsePgn(raw).filter((g) => g.moves.length);
+  if (!parsed.length)
+    return { ok: false, status: 400, error: "No moves found in the PGN" };
+  if (parsed.length > MAX_GAMES)
+    return {
+      ok: false,
+      status: 400,
+      error: `At most ${MAX_GAMES} games per import`,
+    };
+
+  // validate everything before storing anything
+  const prepared = [];
+  for (let g = 0; g < parsed.length; g++) {
+    const game = parsed[g];
+    const where = parsed.length > 1 ? `Game ${g + 1}: ` : "";
+    const start = startFor(game.headers);
+    if (start.error)
+      return { ok: false, status: 400, error: `${where}${start.error}` };
+    const replayed = replay(game, start.settings);
+    if (replayed.error)
+      return { ok: false, status: 400, error: `${where}${replayed.error}` };
+    prepared.push({ game, settings: start.settings, ...replayed });
+  }
+
+  const me = String(user.id);
+  const myName = user.username ? String(user.username).toLowerCase() : null;
+  const out = [];
+  for (const { game, settings, records, fen } of prepared) {
+    const result = game.headers.Result || game.result || "*";
+    // the importer's own side (by name) links the game to their history
+    const players = ["w", "b"].map((color) => {
+      const name = game.headers[color === "w" ? "White" : "Black"] || null;
+      const mine = !!(myName && name && name.toLowerCase() === myName);
+      return {
+        id: mine ? me : null,
+        user: { id: mine ? me : null, username: mine ? user.username : null },
+        color,
+        online: false,
+      };
+    });
+    const doc = await Game.create({
+      roomId: await freeRoomId(),
+      fen,
+      moves: records,
+      players,
+      clocks: null,
+      timeControl: null,
+      startFen: settings.startFen,
+      chess960: !!settings.chess960,
+      variant: settings.variant,
+      rated: false,
+      cupsProcessed: true,
+      finished: finishedFor(result),
+      imported: {
+        userId: me,
+        username: user.username || null,
+        headers: game.headers,
+        comment: game.comment || null,
+        importedAt: new Date(),
+      },
+      messages: [],
+    });
+    roomManager.openReplayRoom(doc.toObject());
+    out.push({
+      roomId: doc.roomId,
+      gameId: String(doc._id),
+      white: game.headers.White || null,
+      black: game.headers.Black || null,
+      result,
+      moves: records.length,
+    });
+  }
+  return { ok: true, games: out };
+}
+
+/**
+ * openImported(roomId)
+ * (Re)open the replay room of an imported game, e.g. after a restart.
+ */
+async function openImported(roomId) {
+  const doc = await Game.findOne({ roomId }).lean().exec();
+  if (!doc || !doc.imported)
+    return { ok: false, status: 404, error: "Imported game not found" };
+  roomManager.openReplayRoom(doc);
+  return { ok: true, roomId: doc.roomId };
+}
+
+module.exports = {
+  importPgn,
+  openImported,
+};
@@ -0,0 +1,493 @@
+// backend/services/puzzleService.js
+// Puzzles mined from our own games. When a game's analysis is done
+// (services/analysisService.js) a "puzzle-mining" job goes on the analysis
+// queue; it picks the missed winning moves out of the GameAnalysis plies
+// (lib/puzzles.js findCandidates) and asks the engine for the rest of the
+// line — the solution goes on while the solver keeps forcing (checks,
+// captures, promotions) or mating, up to MAX_SOLVER_MOVES moves.
+//
+// Users and puzzles both carry Glicko-2 ratings (lib/glicko2.js); every rated
+// attempt is a game between the two. Only the first attempt at a puzzle is
+// rated, and nobody gets puzzles from their own games. The solution stays on
+// the server until the user has finished the puzzle: attempts are checked one
+// solver move at a time and answered with the opponent's reply.
+
+const mongoose = require("mongoose");
+const Game = require("../models/Game");
+const GameAnalysis = require("../models/GameAnalysis");
+const Puzzle = require("../models/Puzzle");
+const PuzzleAttempt = require("../models/PuzzleAttempt");
+const User = require("../models/User");
+const glicko2 = require("../lib/glicko2");
+const puzzles = require("../lib/puzzles");
+const analysisQueue = require("./analysisQueue");
+const { evaluatePositions } = require("../ratingUtils");
+const { createChess, applyMove } = require("../lib/startPosition");
+const { parseBestMove } = require("../lib/uciEngine");
+const { winChance, uciOf } = require("../lib/analysis");
+
+const JOB_TYPE = "puzzle-mining";
+const DEPTH = Number(process.env.PUZZLE_DEPTH || 16);
+const TIMEOUT_PER_EVAL_MS = Number(
+  process.env.ANALYSIS_EVAL_TIMEOUT_MS || 8000
+);
+const PUZZLE_RD = 250; // new puzzles settle quickly
+// rating windows tried in turn when looking for the next puzzle
+const WINDOWS = [100, 250, 500, null];
+const RATE_RETRIES = 5;
+
+function ratingOf(user) {
+  return user && user.puzzleRating
+    ? { ...glicko2.defaultEntry(), ...user.puzzleRating }
+    : glicko2.defaultEntry();
+}
+
+/**
+ * summarize(doc, { withSolution })
+ * Client-facing view of a Puzzle. The solution (UCI and SAN) is only
+ * included with `withSolution`, for users who already attempted it.
+ */
+function summarize(doc, { withSolution = false } = {}) {
+  if (!doc) return null;
+  const out = {
+    puzzleId: doc.puzzleId,
+    fen: doc.fen,
+    lastMove: doc.lastMove || null,
+    color: doc.color,
+    solverMoves: Math.ceil((doc.solution || []).length / 2),
+    themes: doc.themes || [],
+    rating: glicko2.displayCups(doc.rating),
+    plays: doc.plays || 0,
+    solved: doc.solved || 0,
+    game: { roomId: doc.roomId || null, ply: doc.ply },
+  };
+  if (withSolution) {
+    out.solution = doc.solution || [];
+    out.solutionSan = doc.solutionSan || [];
+  }
+  return out;
+}
+
+async function evalOne(fen, deadline) {
+  const evals = await evaluatePositions([fen], DEPTH, TIMEOUT_PER_EVAL_MS, {
+    deadline,
+  });
+  if (!evals) throw new Error("No engine available");
+  return evals[0] || null;
+}
+
+/**
+ * solutionFor(candidate, { deadline })
+ * The solution line from a candidate's first move: { solution, solutionSan }
+ * (ending on a solver move), or null when the first move doesn't apply.
+ */
+async function solutionFor(candidate, { deadline } = {}) {
+  const chess = createChess({ startFen: candidate.fen });
+  const solver = chess.turn();
+  const solution = [];
+  const solutionSan = [];
+  let next = candidate.firstMove;
+  for (let n = 0; n < puzzles.MAX_SOLVER_MOVES && next; n++) {
+    const move = applyMove(chess, parseBestMove(next));
+    if (!move) break;
+    solution.push(uciOf(move));
+    solutionSan.push(move.san);
+    if (chess.isGameOver() || n + 1 >= puzzles.MAX_SOLVER_MOVES) break;
+
+    const reply = await evalOne(chess.fen(), deadline);
+    if (!reply || !reply.bestMove) break;
+    const mating =
+      reply.score &&
+      typeof reply.score.mate === "number" &&
+      reply.score.mate > 0 === (solver === "w");
+    if (!mating && !puzzles.isForcing(chess, move)) break;
+
+    const probe = createChess({ startFen: chess.fen() });
+    const answer = applyMove(probe, parseBestMove(reply.bestMove));
+    if (!answer) break;
+    const after = await evalOne(probe.fen(), deadline);
+    if (!after || !after.bestMove || !after.score) break;
+    const white = winChance(after.score);
+    // the line only goes on while the solver stays clearly winning
+    if ((solver === "w" ? white : 100 - white) < puzzles.WINNING) break;
+
+    applyMove(chess, parseBestMove(reply.bestMove));
+    solution.push(uciOf(answer));
+    solutionSan.push(answer.san);
+    next = after.bestMove;
+  }
+  return solution.length ? { solution, solutionSan } : null;
+}
+
+function playerIdsOf(game) {
+  const ids = new Set();
+  for (const p of (game && game.players) || []) {
+    const id = (p.user && p.user.id) || p.id;
+    if (id && mongoose.Types.ObjectId.isValid(String(id))) ids.add(String(id));
+  }
+  return Array.from(ids);
+}
+
+async function freePuzzleId() {
+  // required lazily: roomManager requires analysisService, which requires this module
+  const { generateRoomCode } = require("../roomManager");
+  for (let i = 0; i < 10; i++) {
+    const id = generateRoomCode(6);
+    if (!(await Puzzle.exists({ puzzleId: id }))) return id;
+  }
+  throw new Error("No free puzzle id");
+}
+
+// the analysis queue handler: mine one analysed game
+async function runMining(job, { deadline } = {}) {
+  const gameId = String(job.gameId || "");
+  if (!mongoose.Types.ObjectId.isValid(gameId)) return;
+  const [game, analysis] = await Promise.all([
+    Game.findById(gameId).lean().exec(),
+    GameAnalysis.findOne({ gameId }).lean().exec(),
+  ]);
+  if (!game || !analysis || analysis.status !== "done") return;
+  // puzzles are orthodox chess from positions any board can set up
+  if ((game.variant || "standard") !== "standard" || game.chess960) return;
+
+  for (const candidate of puzzles.findCandidates(analysis.plies || [])) {
+    if (await Puzzle.exists({ gameId, ply: candidate.ply })) continue;
+    const line = await solutionFor(candidate, { deadline });
+    if (!line) continue;
+    const change = game.ratingChanges && game.ratingChanges[candidate.color];
+    const missedBy = change && change.before ? change.before.rating : null;
+    const rating = {
+      ...glicko2.defaultEntry(),
+      rating: puzzles.initialRating(
+        missedBy,
+        Math.ceil(line.solution.length / 2)
+      ),
+      rd: PUZZLE_RD,
+    };
+    try {
+      await Puzzle.create({
+        puzzleId: await freePuzzleId(),
+        gameId,
+        roomId: game.roomId || null,
+        ply: candidate.ply,
+        fen: candidate.fen,
+        lastMove: candidate.lastMove,
+        color: candidate.color,
+        solution: line.solution,
+        solutionSan: line.solutionSan,
+        themes: puzzles.themesOf(candidate.fen, line.solution, {
+          winChance: candidate.winChance,
+        }),
+        rating,
+        playerIds: playerIdsOf(game),
+      });
+    } catch (e) {
+      // a retried job may race itself to the same (gameId, ply)
+      if (!(e && e.code === 11000)) throw e;
+    }
+  }
+}
+
+analysisQueue.registerHandler(JOB_TYPE, { run: runMining });
+
+/**
+ * queueMining(gameId, roomId)
+ * Queue puzzle mining for a game whose analysis is done (low priority).
+ */
+async function queueMining(gameId, roomId = null) {
+  return analysisQueue.enqueue({
+    type: JOB_TYPE,
+    gameId: String(gameId),
+    roomId,
+    depth: DEPTH,
+    priority: analysisQueue.PRIORITY.low,
+  });
+}
+
+/**
+ * getPuzzle(puzzleId, userId)
+ * The solution comes along only when `userId` has attempted the puzzle.
+ */
+async function getPuzzle(puzzleId, userId = null) {
+  const doc = await Puzzle.findOne({ puzzleId: String(puzzleId || "") })
+    .lean()
+    .exec();
+  if (!doc) return { ok: false, status: 404, error: "Puzzle not found" };
+  const attempted = userId
+    ? await PuzzleAttempt.exists({
+        userId: String(userId),
+        puzzleId: doc.puzzleId,
+      })
+    : null;
+  return { ok: true, puzzle: summarize(doc, { withSolution: !!attempted }) };
+}
+
+/**
+ * nextPuzzle(userId, { theme })
+ * A puzzle the user hasn't tried, as close to their puzzle rating as
+ * possible (optionally with `theme`). Returns { ok, puzzle, rating }.
+ */
+async function nextPuzzle(userId, { theme = null } = {}) {
+  const id = String(userId);
+  const user = await User.findById(id).select("puzzleRating").lean().exec();
+  if (!user) return { ok: false, status: 404, error: "User not found" };
+  const entry = ratingOf(user);
+  const seen = await PuzzleAttempt.distinct("puzzleId", { userId: id });
+
+  const base = { puzzleId: { $nin: seen }, playerIds: { $ne: id } };
+  if (theme) base.themes = String(theme);
+  for (const window of WINDOWS) {
+    const match =
+      window === null
+        ? base
+        : {
+            ...base,
+            "rating.rating": {
+              $gte: entry.rating - window,
+              $lte: entry.rating + window,
+            },
+          };
+    const [doc] = await Puzzle.aggregate([
+      { $match: match },
+      { $sample: { size: 1 } },
+    ]).exec();
+    if (doc)
+      return {
+        ok: true,
+        puzzle: summarize(doc),
+        rating: glicko2.displayCups(entry),
+      };
+  }
+  return { ok: false, status: 404, error: "No new puzzles right now" };
+}
+
+// read-modify-write of one rating entry (`field` of the doc matching
+// `filter`), conditional on the games count that was read so concurrent
+// attempts can't overwrite each other's result; re-read and retried on
+// conflict. `rate(before)` returns the new entry. Returns { before, after }.
+async function updateRating(Model, filter, field, rate, extra = {}) {
+  for (let i = 0; i < RATE_RETRIES; i++) {
+    const doc = await Model.findOne(filter).select(field).lean().exec();
+    if (!doc) return null;
+    const stored = doc[field] || null;
+    const before = { ...glicko2.defaultEntry(), ...(stored || {}) };
+    const after = rate(before);
+    const guard = stored
+      ? { [`${field}.games`]: stored.games ?? null }
+      : { [field]: null };
+    const res = await Model.updateOne(
+      { ...filter, ...guard },
+      { $set: { [field]: after }, ...extra }
+    ).exec();
+    if (res.matchedCount) return { before, after };
+  }
+  throw new Error(`Rating update kept conflicting (${Model.modelName})`);
+}
+
+/**
+ * submitAttempt(puzzleId, userId, moves, { timeMs, resign })
+ * Check the solver's moves so far (UCI or SAN, their side only). While they
+ * are right and the line goes on, nothing is recorded and the answer is
+ * { ok, done: false, correct, reply, replySan } — the opponent's reply to
+ * play before the next move. A wrong move, the end of the line or `resign`
+ * finishes the attempt and, on the first one, rates user and puzzle against
+ * each other. Returns
+ * { ok, done: true, win, rated, correct, solution, rating, puzzleRating }.
+ */
+async function submitAttempt(
+  puzzleId,
+  userId,
+  moves,
+  { timeMs = null, resign = false } = {}
+) {
+  if (!Array.isArray(moves))
+    return { ok: false, status: 400, error: "moves must be an array" };
+  const id = String(userId);
+  const puzzle = await Puzzle.findOne({ puzzleId: String(puzzleId || "") })
+    .lean()
+    .exec();
+  if (!puzzle) return { ok: false, status: 404, error: "Puzzle not found" };
+  const user = await User.findById(id).select("puzzleRating").lean().exec();
+  if (!user) return { ok: false, status: 404, error: "User not found" };
+
+  const check = puzzles.checkAttempt(
+    puzzle.fen,
+    puzzle.solution,
+    moves.slice(0, puzzles.MAX_SOLVER_MOVES)
+  );
+  if (check.pending && !resign) {
+    const san = check.reply
+      ? (puzzle.solutionSan || [])[2 * check.correct - 1]
+      : null;
+    return {
+      ok: true,
+      done: false,
+      correct: check.correct,
+      reply: check.reply,
+      replySan: san || null,
+    };
+  }
+  const win = check.win;
+  const submitted = moves
+    .slice(0, puzzles.MAX_SOLVER_MOVES)
+    .map((m) => (typeof m === "string" ? m : JSON.stringify(m)).slice(0, 32));
+
+  const before = ratingOf(user);
+  const puzzleBefore = { ...glicko2.defaultEntry(), ...puzzle.rating };
+  const row = {
+    userId: id,
+    puzzleId: puzzle.puzzleId,
+    win,
+    rated: !(puzzle.playerIds || []).includes(id),
+    moves: submitted,
+    timeMs: Number.isFinite(Number(timeMs)) ? Number(timeMs) : null,
+    ratingBefore: glicko2.displayCups(before),
+    ratingAfter: glicko2.displayCups(before),
+    puzzleRatingBefore: glicko2.displayCups(puzzleBefore),
+    puzzleRatingAfter: glicko2.displayCups(puzzleBefore),
+  };
+  // claim the rated attempt first: the unique index lets only one through
+  let claimed = null;
+  if (row.rated) {
+    try {
+      claimed = await PuzzleAttempt.create(row);
+    } catch (e) {
+      // tried before: kept in history, ratings stay as they are
+      if (!(e && e.code === 11000)) throw e;
+    }
+  }
+  if (!claimed) {
+    await PuzzleAttempt.create({ ...row, rated: false });
+    return {
+      ok: true,
+      done: true,
+      win,
+      rated: false,
+      correct: check.correct,
+      solution: puzzle.solution,
+      solutionSan: puzzle.solutionSan,
+      rating: {
+        before: glicko2.displayCups(before),
+        after: glicko2.displayCups(before),
+        delta: 0,
+        provisional: glicko2.isProvisional(before),
+      },
+      puzzleRating: glicko2.displayCups(puzzleBefore),
+    };
+  }
+
+  // each side is rated against the other's rating as it was before the attempt
+  const mine = await updateRating(User, { _id: id }, "puzzleRating", (r) =>
+    glicko2.applyResult(r, puzzleBefore, win ? 1 : 0)
+  );
+  const theirs = await updateRating(
+    Puzzle,
+    { puzzleId: puzzle.puzzleId },
+    "rating",
+    (r) => glicko2.applyResult(r, before, win ? 0 : 1),
+    { $inc: { plays: 1, solved: win ? 1 : 0 } }
+  );
+  const userBefore = mine ? mine.before : before;
+  const userAfter = mine ? mine.after : before;
+  const puzzleAfter = theirs ? theirs.after : puzzleBefore;
+  await PuzzleAttempt.updateOne(
+    { _id: claimed._id },
+    {
+      $set: {
+        ratingBefore: glicko2.displayCups(userBefore),
+        ratingAfter: glicko2.displayCups(userAfter),
+        puzzleRatingBefore: glicko2.displayCups(
+          theirs ? theirs.before : puzzleBefore
+        ),
+        puzzleRatingAfter: glicko2.displayCups(puzzleAfter),
+      },
+    }
+  ).exec();
+
+  return {
+    ok: true,
+    done: true,
+    win,
+    rated: true,
+    correct: check.correct,
+    solution: puzzle.solution,
+    solutionSan: puzzle.solutionSan,
+    rating: {
+      before: glicko2.displayCups(userBefore),
+      after: glicko2.displayCups(userAfter),
+      delta: glicko2.displayCups(userAfter) - glicko2.displayCups(userBefore),
+      provisional: glicko2.isProvisional(userAfter),
+    },
+    puzzleRating: glicko2.displayCups(puzzleAfter),
+  };
+}
+
+/**
+ * history(userId, { limit, skip })
+ * The user's attempts, newest first, with each puzzle's themes and current
+ * rating, plus their puzzle rating and totals.
+ */
+async function history(userId, { limit = 50, skip = 0 } = {}) {
+  const id = String(userId);
+  const user = await User.findById(id).select("puzzleRating").lean().exec();
+  if (!user) return { ok: false, status: 404, error: "User not found" };
+
+  const [rows, total, solved] = await Promise.all([
+    PuzzleAttempt.find({ userId: id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec(),
+    PuzzleAttempt.countDocuments({ userId: id }).exec(),
+    PuzzleAttempt.countDocuments({ userId: id, win: true }).exec(),
+  ]);
+  const docs = await Puzzle.find({
+    puzzleId: { $in: Array.from(new Set(rows.map((r) => r.puzzleId))) },
+  })
+    .select("puzzleId fen color themes rating")
+    .lean()
+    .exec();
+  const byId = new Map(docs.map((d) => [d.puzzleId, d]));
+
+  const entry = ratingOf(user);
+  return {
+    ok: true,
+    rating: glicko2.displayCups(entry),
+    provisional: glicko2.isProvisional(entry),
+    total,
+    solved,
+    attempts: rows.map((r) => {
+      const p = byId.get(r.puzzleId);
+      return {
+        puzzleId: r.puzzleId,
+        win: r.win,
+        rated: r.rated,
+        ratingBefore: r.ratingBefore,
+        ratingAfter: r.ratingAfter,
+        delta: (r.ratingAfter || 0) - (r.ratingBefore || 0),
+        timeMs: r.timeMs,
+        createdAt: r.createdAt,
+        puzzle: p
+          ? {
+              fen: p.fen,
+              color: p.color,
+              themes: p.themes || [],
+              rating: glicko2.displayCups(p.rating),
+            }
+          : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  JOB_TYPE,
+  summarize,
+  solutionFor,
+  queueMining,
+  getPuzzle,
+  nextPuzzle,
+  submitAttempt,
+  history,
+};
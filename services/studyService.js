@@ -0,0 +1,594 @@
+// backend/services/studyService.js
+// Studies (models/Study.js): named collections of chapters, each with its own
+// start FEN and annotated move tree. The owner invites friends as viewers or
+// contributors; owner and contributors edit, everyone in the study watches live.
+//
+// Edits are ordered by the server alone: a study being worked on is kept in
+// memory and every change goes through commit(), which applies it, bumps the
+// study's `version` and broadcasts it to `study:<studyId>` as "study-update".
+// Clients apply updates in version order; an op aimed at a node someone else
+// just deleted is refused rather than merged, and a client that missed
+// versions catches up with "study-sync" (recent updates, or the whole study).
+// The document is written back shortly after each change.
+//
+// ops (applyOp): chapter-add { name, startFen, pgn }, chapter-rename
+// { chapterId, name }, chapter-delete { chapterId }, and the move tree ops of
+// lib/moveTree.js applyOp with a chapterId.
+
+const Study = require("../models/Study");
+const User = require("../models/User");
+const moveTree = require("../lib/moveTree");
+const notificationService = require("./notificationService");
+const { treeToPgn, parsePgn } = require("../lib/pgn");
+const { generateRoomCode } = require("../roomManager");
+const { resolveStartPosition } = require("../lib/startPosition");
+
+const ROLES = ["viewer", "contributor"];
+const MAX_CHAPTERS = 64;
+const MAX_MEMBERS = 50;
+const LOG_SIZE = 200; // recent updates kept for catching up
+const PERSIST_DELAY_MS = 500;
+const IDLE_EVICT_MS = 30 * 60 * 1000;
+
+const studies = new Map(); // studyId -> { study, log, lastUsed, timer, saving }
+let io = null;
+let sweepTimer = null;
+
+function init(_io) {
+  io = _io;
+}
+
+function studyRoom(studyId) {
+  return `study:${studyId}`;
+}
+
+/**
+ * roleOf(study, userId)
+ * "owner" | "contributor" | "viewer" | null
+ */
+function roleOf(study, userId) {
+  if (!userId) return null;
+  const id = String(userId);
+  if (study.ownerId === id) return "owner";
+  const m = (study.members || []).find((mm) => mm.userId === id);
+  return m ? m.role : null;
+}
+
+function canEdit(study, userId) {
+  const role = roleOf(study, userId);
+  return role === "owner" || role === "contributor";
+}
+
+function chapterView(ch) {
+  return {
+    chapterId: ch.chapterId,
+    name: ch.name,
+    startFen: ch.startFen,
+    tree: ch.tree,
+    currentNodeId: ch.currentNodeId,
+    createdAt: ch.createdAt,
+  };
+}
+
+/**
+ * summarize(study, meId)
+ * The whole study as members see it (with `role` for meId).
+ */
+function summarize(study, meId = null) {
+  return {
+    studyId: study.studyId,
+    name: study.name,
+    description: study.description || "",
+    owner: { id: study.ownerId, username: study.ownerUsername || null },
+    members: (study.members || []).map((m) => ({
+      userId: m.userId,
+      username: m.username || null,
+      role: m.role,
+    })),
+    chapters: (study.chapters || []).map(chapterView),
+    version: study.version || 0,
+    role: roleOf(study, meId),
+    createdAt: study.createdAt,
+    updatedAt: study.updatedAt,
+  };
+}
+
+function startSweep() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [studyId, entry] of studies) {
+      if (!entry.timer && now - entry.lastUsed > IDLE_EVICT_MS)
+        studies.delete(studyId);
+    }
+  }, IDLE_EVICT_MS);
+  if (sweepTimer.unref) sweepTimer.unref();
+}
+
+/**
+ * loadStudy(studyId)
+ * The in-memory entry for a study, loading it if needed; null if unknown.
+ */
+async function loadStudy(studyId) {
+  const id = String(studyId || "");
+  let entry = studies.get(id);
+  if (!entry) {
+    const doc = await Study.findOne({ studyId: id }).lean().exec();
+    if (!doc) return null;
+    // another request may have loaded it meanwhile
+    entry = studies.get(id) || {
+      study: doc,
+      log: [],
+      lastUsed: Date.now(),
+      timer: null,
+      saving: Promise.resolve(),
+    };
+    studies.set(id, entry);
+    startSweep();
+  }
+  entry.lastUsed = Date.now();
+  return entry;
+}
+
+function schedulePersist(entry) {
+  if (entry.timer) return;
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    const s = entry.study;
+    entry.saving = entry.saving
+      .then(() =>
+        Study.updateOne(
+          { studyId: s.studyId },
+          {
+            $set: {
+              name: s.name,
+              description: s.description,
+              members: s.members,
+              chapters: s.chapters,
+              nextChapterId: s.nextChapterId,
+              version: s.version,
+            },
+          }
+        ).exec()
+      )
+      .catch((err) => console.error("study save error", err));
+  }, PERSIST_DELAY_MS);
+}
+
+// apply-and-publish step shared by every change: next version, log, save, broadcast
+function commit(entry, userId, update) {
+  const study = entry.study;
+  study.version = (study.version || 0) + 1;
+  study.updatedAt = new Date();
+  const full = {
+    studyId: study.studyId,
+    version: study.version,
+    by: userId ? String(userId) : null,
+    ...update,
+  };
+  entry.log.push(full);
+  if (entry.log.length > LOG_SIZE) entry.log.shift();
+  schedulePersist(entry);
+  if (io) io.to(studyRoom(study.studyId)).emit("study-update", full);
+  return full;
+}
+
+async function ownedEntry(studyId, ownerId) {
+  const entry = await loadStudy(studyId);
+  if (!entry) return { ok: false, status: 404, error: "Study not found" };
+  if (entry.study.ownerId !== String(ownerId))
+    return { ok: false, status: 403, error: "Only the owner can do that" };
+  return { ok: true, entry };
+}
+
+function findChapter(study, chapterId) {
+  return (
+    (study.chapters || []).find((c) => c.chapterId === String(chapterId)) ||
+    null
+  );
+}
+
+/**
+ * buildChapter(study, { name, startFen, pgn })
+ * A new chapter: empty from startFen (default the start position), or the
+ * main line, comments and NAGs of the first game in `pgn`.
+ */
+function buildChapter(study, { name, startFen = null, pgn = null } = {}) {
+  let tree = null;
+  if (pgn) {
+    const game = parsePgn(pgn)[0];
+    if (!game) return { error: "No game found in the PGN" };
+    const pos = resolveStartPosition({ startFen: game.headers.FEN || null });
+    if (pos.error) return { error: pos.error };
+    tree = moveTree.fromMoves(
+      pos.startFen,
+      game.moves.map((m) => ({ move: m.san, comment: m.comment, nags: m.nags }))
+    );
+    // fromMoves stops at the first move that doesn't apply
+    const played = moveTree.mainlineOf(tree).length - 1;
+    if (played < game.moves.length)
+      return { error: `Illegal move: ${game.moves[played].san}` };
+    if (game.comment) tree.nodes[tree.rootId].comment = game.comment;
+    if (!name)
+      name = [game.headers.White, game.headers.Black]
+        .filter((n) => n && n !== "?")
+        .join(" - ");
+  } else {
+    const pos = resolveStartPosition({ startFen });
+    if (pos.error) return { error: pos.error };
+    tree = moveTree.createTree(pos.startFen);
+  }
+  const number = study.nextChapterId || 1;
+  study.nextChapterId = number + 1;
+  return {
+    chapter: {
+      chapterId: String(number),
+      name: String(name || `Chapter ${number}`).slice(0, 120),
+      startFen: tree.nodes[tree.rootId].fen,
+      tree,
+      currentNodeId: tree.rootId,
+      createdAt: new Date(),
+    },
+  };
+}
+
+/**
+ * createStudy({ user, name, description })
+ * New study owned by `user`, with one empty chapter.
+ */
+async function createStudy({ user, name = "", description = "" }) {
+  if (!user || !user.id)
+    return { ok: false, status: 401, error: "Missing auth" };
+  let studyId = null;
+  for (let i = 0; i < 10 && !studyId; i++) {
+    const id = generateRoomCode(8);
+    if (!(await Study.exists({ studyId: id }))) studyId = id;
+  }
+  if (!studyId) return { ok: false, status: 500, error: "Server error" };
+
+  const study = {
+    studyId,
+    ownerId: String(user.id),
+    ownerUsername: user.username || null,
+    name:
+      String(name || "")
+        .trim()
+        .slice(0, 120) || "Untitled study",
+    description: String(description || "").slice(0, 2000),
+    members: [],
+    chapters: [],
+    nextChapterId: 1,
+    version: 0,
+  };
+  study.chapters.push(buildChapter(study, {}).chapter);
+  const doc = await Study.create(study);
+  return { ok: true, study: doc.toObject() };
+}
+
+/**
+ * applyOp(studyId, userId, op)
+ * Apply one edit for the owner or a contributor and broadcast it.
+ * Returns { ok, update } or { ok: false, status, error }.
+ */
+async function applyOp(studyId, userId, op = {}) {
+  const entry = await loadStudy(studyId);
+  if (!entry) return { ok: false, status: 404, error: "Study not found" };
+  const study = entry.study;
+  if (!canEdit(study, userId))
+    return { ok: false, status: 403, error: "You cannot edit this study" };
+  const type = op && op.type;
+
+  if (type === "chapter-add") {
+    if (study.chapters.length >= MAX_CHAPTERS)
+      return { ok: false, status: 400, error: "Too many chapters" };
+    const built = buildChapter(study, op);
+    if (built.error) return { ok: false, status: 400, error: built.error };
+    study.chapters.push(built.chapter);
+    const update = commit(entry, userId, {
+      type,
+      chapter: chapterView(built.chapter),
+    });
+    return { ok: true, update };
+  }
+
+  const chapter = findChapter(study, op.chapterId);
+  if (!chapter) return { ok: false, status: 404, error: "Chapter not found" };
+
+  if (type === "chapter-rename") {
+    chapter.name =
+      String(op.name || "")
+        .trim()
+        .slice(0, 120) || chapter.name;
+    const update = commit(entry, userId, {
+      type,
+      chapterId: chapter.chapterId,
+      name: chapter.name,
+    });
+    return { ok: true, update };
+  }
+  if (type === "chapter-delete") {
+    if (study.chapters.length <= 1)
+      return { ok: false, status: 400, error: "A study needs a chapter" };
+    study.chapters = study.chapters.filter((c) => c !== chapter);
+    const update = commit(entry, userId, {
+      type,
+      chapterId: chapter.chapterId,
+    });
+    return { ok: true, update };
+  }
+
+  const result = moveTree.applyOp(chapter.tree, op, chapter.currentNodeId);
+  if (!result.ok) return { ok: false, status: 400, error: result.error };
+  chapter.currentNodeId = result.currentNodeId;
+  const update = commit(entry, userId, {
+    ...result.update,
+    chapterId: chapter.chapterId,
+    currentNodeId: chapter.currentNodeId,
+  });
+  return { ok: true, update };
+}
+
+/**
+ * updatesSince(studyId, userId, version)
+ * { ok, updates } when the recent log still covers everything after
+ * `version`, otherwise { ok, study } (the whole study) to start over from.
+ */
+async function updatesSince(studyId, userId, version) {
+  const entry = await loadStudy(studyId);
+  if (!entry) return { ok: false, status: 404, error: "Study not found" };
+  if (!roleOf(entry.study, userId))
+    return { ok: false, status: 403, error: "Not a member of this study" };
+  const v = Number(version);
+  const log = entry.log;
+  const covered =
+    Number.isInteger(v) &&
+    v <= entry.study.version &&
+    (v === entry.study.version || (log.length && log[0].version <= v + 1));
+  if (covered) return { ok: true, updates: log.filter((u) => u.version > v) };
+  return { ok: true, study: summarize(entry.study, userId) };
+}
+
+/**
+ * listStudies(userId)
+ * Studies the user owns or is a member of, most recently changed first.
+ */
+async function listStudies(userId) {
+  const id = String(userId);
+  const docs = await Study.find({
+    $or: [{ ownerId: id }, { "members.userId": id }],
+  })
+    .select(
+      "studyId name description ownerId ownerUsername members chapters.chapterId chapters.name createdAt updatedAt"
+    )
+    .sort({ updatedAt: -1 })
+    .limit(200)
+    .lean()
+    .exec();
+  return docs.map((d) => ({
+    studyId: d.studyId,
+    name: d.name,
+    description: d.description || "",
+    owner: { id: d.ownerId, username: d.ownerUsername || null },
+    role: roleOf(d, id),
+    chapters: (d.chapters || []).map((c) => ({
+      chapterId: c.chapterId,
+      name: c.name,
+    })),
+    createdAt: d.createdAt,
+    updatedAt: d.updatedAt,
+  }));
+}
+
+/**
+ * updateInfo(studyId, ownerId, { name, description })
+ */
+async function updateInfo(studyId, ownerId, { name, description } = {}) {
+  const owned = await ownedEntry(studyId, ownerId);
+  if (!owned.ok) return owned;
+  const study = owned.entry.study;
+  if (name !== undefined)
+    study.name =
+      String(name || "")
+        .trim()
+        .slice(0, 120) || study.name;
+  if (description !== undefined)
+    study.description = String(description || "").slice(0, 2000);
+  const update = commit(owned.entry, ownerId, {
+    type: "info",
+    name: study.name,
+    description: study.description,
+  });
+  return { ok: true, update };
+}
+
+/**
+ * inviteMember(studyId, ownerId, who, role)
+ * Add one of the owner's friends (`who`: user id or username) as a viewer
+ * or contributor, or change the role of an existing member.
+ */
+async function inviteMember(studyId, ownerId, who, role = "viewer") {
+  if (!ROLES.includes(role))
+    return {
+      ok: false,
+      status: 400,
+      error: "Role must be viewer or contributor",
+    };
+  const owned = await ownedEntry(studyId, ownerId);
+  if (!owned.ok) return owned;
+  const study = owned.entry.study;
+
+  const owner = await User.findById(ownerId)
+    .select("friends username")
+    .lean()
+    .exec();
+  const raw = String(who || "").trim();
+  if (!raw) return { ok: false, status: 400, error: "Missing user" };
+  const friend = ((owner && owner.friends) || []).find(
+    (f) =>
+      String(f.id) === raw ||
+      (f.username && f.username.toLowerCase() === raw.toLowerCase())
+  );
+  if (!friend)
+    return {
+      ok: false,
+      status: 400,
+      error: "You can only invite your friends",
+    };
+  const friendId = String(friend.id);
+
+  let member = study.members.find((m) => m.userId === friendId);
+  const isNew = !member;
+  if (isNew) {
+    if (study.members.length >= MAX_MEMBERS)
+      return { ok: false, status: 400, error: "Too many members" };
+    member = {
+      userId: friendId,
+      username: friend.username || null,
+      role,
+      addedAt: new Date(),
+    };
+    study.members.push(member);
+  } else {
+    member.role = role;
+  }
+  const update = commit(owned.entry, ownerId, {
+    type: "member",
+    member: { userId: member.userId, username: member.username, role },
+  });
+
+  if (isNew) {
+    try {
+      await notificationService.createNotification(
+        friendId,
+        "study_invite",
+        "Study invitation",
+        `${(owner && owner.username) || "A friend"} invited you to the study "${
+          study.name
+        }" as a ${role}.`,
+        { studyId: study.studyId, role, fromUserId: String(ownerId) }
+      );
+    } catch (e) {
+      console.error("study invite notification failed", e);
+    }
+  }
+  return { ok: true, update };
+}
+
+/**
+ * removeMember(studyId, actorId, userId)
+ * The owner removes a member, or a member leaves. Their sockets stop
+ * receiving the study's updates.
+ */
+async function removeMember(studyId, actorId, userId) {
+  const entry = await loadStudy(studyId);
+  if (!entry) return { ok: false, status: 404, error: "Study not found" };
+  const study = entry.study;
+  const target = String(userId);
+  if (study.ownerId !== String(actorId) && target !== String(actorId))
+    return { ok: false, status: 403, error: "Only the owner can do that" };
+  if (!study.members.some((m) => m.userId === target))
+    return { ok: false, status: 404, error: "Not a member of this study" };
+  study.members = study.members.filter((m) => m.userId !== target);
+  const update = commit(entry, actorId, {
+    type: "member-removed",
+    userId: target,
+  });
+  try {
+    if (io) io.in(`user:${target}`).socketsLeave(studyRoom(study.studyId));
+  } catch (e) {}
+  return { ok: true, update };
+}
+
+/**
+ * deleteStudy(studyId, ownerId)
+ */
+async function deleteStudy(studyId, ownerId) {
+  const owned = await ownedEntry(studyId, ownerId);
+  if (!owned.ok) return owned;
+  const entry = owned.entry;
+  const id = entry.study.studyId;
+  if (entry.timer) clearTimeout(entry.timer);
+  entry.timer = null;
+  studies.delete(id);
+  await entry.saving;
+  await Study.deleteOne({ studyId: id }).exec();
+  try {
+    if (io) {
+      io.to(studyRoom(id)).emit("study-deleted", { studyId: id });
+      io.in(studyRoom(id)).socketsLeave(studyRoom(id));
+    }
+  } catch (e) {}
+  return { ok: true };
+}
+
+/**
+ * chapterPgn(study, chapter, { site })
+ * PGN of one chapter with its variations, comments and NAGs.
+ */
+function chapterPgn(study, chapter, { site = "?" } = {}) {
+  const date = new Date(chapter.createdAt || study.createdAt || Date.now());
+  const pad = (n) => String(n).padStart(2, "0");
+  return treeToPgn(chapter.tree, {
+    tags: [
+      ["Event", `${study.name}: ${chapter.name}`],
+      ["Site", site],
+      [
+        "Date",
+        isNaN(date.getTime())
+          ? "????.??.??"
+          : `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(
+              date.getUTCDate()
+            )}`,
+      ],
+      ["Annotator", study.ownerUsername || "?"],
+      ["StudyName", study.name],
+      ["ChapterName", chapter.name],
+    ],
+  });
+}
+
+/**
+ * exportPgn(studyId, userId, { chapterId, site })
+ * One chapter, or every chapter (games separated by blank lines), for members.
+ */
+async function exportPgn(
+  studyId,
+  userId,
+  { chapterId = null, site = "?" } = {}
+) {
+  const entry = await loadStudy(studyId);
+  if (!entry) return { ok: false, status: 404, error: "Study not found" };
+  const study = entry.study;
+  if (!roleOf(study, userId))
+    return { ok: false, status: 403, error: "Not a member of this study" };
+  let chapters = study.chapters;
+  if (chapterId !== null) {
+    const chapter = findChapter(study, chapterId);
+    if (!chapter) return { ok: false, status: 404, error: "Chapter not found" };
+    chapters = [chapter];
+  }
+  return {
+    ok: true,
+    study,
+    pgn: chapters.map((ch) => chapterPgn(study, ch, { site })).join("\n"),
+  };
+}
+
+module.exports = {
+  ROLES,
+  init,
+  studyRoom,
+  roleOf,
+  canEdit,
+  summarize,
+  loadStudy,
+  createStudy,
+  applyOp,
+  updatesSince,
+  listStudies,
+  updateInfo,
+  inviteMember,
+  removeMember,
+  deleteStudy,
+  exportPgn,
+};
@@ -30,6 +30,8 @@ const Game = require("./models/Game");
 const Room = require("./models/Room");
 
 const notificationService = require("./services/notificationService");
+const correspondenceService = require("./services/correspondenceService");
+const analysisService = require("./services/analysisService");
 const Notification = require("./models/Notification");
 
 const mongoose = require("mongoose");
@@ -55,6 +57,9 @@ const friendHandlers = require("./socket/handlers/friendHandlers");
 const webrtcHandlers = require("./socket/handlers/webrtcHandlers");
 // NEW: invite handler
 const inviteHandlers = require("./socket/handlers/inviteHandlers");
+const analysisBoardHandlers = require("./socket/handlers/analysisBoardHandlers");
+const studyHandlers = require("./socket/handlers/studyHandlers");
+const studyService = require("./services/studyService");
 
 /* === Extract helpers / functions so they're available by name in context === */
 const {
@@ -106,6 +111,8 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
 
   // initialize roomManager with io
   roomManager.init(io);
+  // studies broadcast their updates themselves
+  studyService.init(io);
 
   // context object passed to modules/handlers so they have access to constants and DB models
   const context = {
@@ -170,6 +177,11 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
         "[applyCups] wrapper called without roomId — attempting fallback"
       );
     }
+    // casual rooms (settings.rated === false) and bot rooms never move cups
+    const liveRoom = roomId ? rooms[roomId] : null;
+    if (liveRoom && !roomManager.isRatedRoom(liveRoom)) {
+      return { ok: true, reason: "casual" };
+    }
     try {
       // Prefer module export that accepts (context, roomId)
       if (
@@ -254,14 +266,28 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
         }
       }
     } catch (e) {}
+    matchmaking
+      .attemptBughouseMatchmaking(context)
+      .catch((err) => console.error("bughouse matchmaking error:", err));
   }, MATCHMAKING_INTERVAL_MS);
 
-  // global tick for clocks (kept same logic)
-  let lastGlobalTick = Date.now();
+  // correspondence deadlines are persisted; the sweep also settles any that
+  // expired while the server was down
+  try {
+    correspondenceService.startDeadlineScheduler();
+  } catch (e) {
+    console.error("startDeadlineScheduler failed:", e);
+  }
+
+  // persisted analysis jobs; ones left running by a previous process are requeued
+  analysisService
+    .startAnalysisWorker()
+    .catch((e) => console.error("startAnalysisWorker failed:", e));
+
+  // global tick for clocks: each room is charged from its own clocks.lastTick and
+  // the server decides flag falls (clients no longer need to report timeouts)
   setInterval(() => {
     const now = Date.now();
-    const delta = now - lastGlobalTick;
-    lastGlobalTick = now;
 
     Object.keys(rooms).forEach((roomId) => {
       const room = rooms[roomId];
@@ -277,50 +303,16 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
 
       if (!room.clocks || !room.clocks.running || room.paused) return;
 
-      const running = room.clocks.running;
-      room.clocks[running] = Math.max(0, room.clocks[running] - delta);
-      room.clocks.lastTick = now;
+      // settles the running clock synchronously; finishes the game if a flag fell
+      roomManager.checkClockFlag(roomId, now).catch((err) => {
+        console.error("checkClockFlag error (tick):", err);
+      });
 
       io.to(roomId).emit("clock-update", {
         w: room.clocks.w,
         b: room.clocks.b,
         running: room.clocks.running,
       });
-
-      if (room.clocks[running] <= 0 && !room.finished) {
-        const winner = running === "w" ? "b" : "w";
-        room.paused = true;
-        room.clocks.running = null;
-        room.clocks.lastTick = null;
-        room.finished = {
-          reason: "timeout",
-          winner,
-          loser: running,
-          message: `${winner.toUpperCase()} wins by timeout`,
-          finishedAt: Date.now(),
-        };
-        io.to(roomId).emit("game-over", { ...room.finished });
-        clearFirstMoveTimer(room);
-        Object.keys(room.disconnectTimers || {}).forEach((sid) =>
-          clearDisconnectTimer(room, sid)
-        );
-        broadcastRoomState(roomId);
-
-        // save finished game and then apply cups
-        (async () => {
-          try {
-            await saveFinishedGame(roomId);
-          } catch (err) {
-            console.error("saveFinishedGame error (timeout):", err);
-          }
-          try {
-            // Use the consistent wrapper that will handle either signature and fallbacks.
-            await context.applyCupsForFinishedRoom(roomId);
-          } catch (e) {
-            console.error("applyCupsForFinishedRoom error (timeout):", e);
-          }
-        })();
-      }
     });
   }, 500);
 
@@ -361,7 +353,7 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const userDoc = await User.findById(decoded.id)
-        .select("_id username displayName avatarUrl country cups")
+        .select("_id username displayName avatarUrl country cups variantCups")
         .lean();
 
       if (userDoc) {
@@ -383,6 +375,7 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
           country: userDoc.country || null,
           cups:
             typeof userDoc.cups !== "undefined" ? Number(userDoc.cups) : null,
+          variantCups: userDoc.variantCups || null,
         };
 
         // track online socket for this user
@@ -462,6 +455,13 @@ function initSockets(server, CLIENT_ORIGIN = "https://chess-alyas.vercel.app") {
         webrtcHandlers.registerAll(socket, context);
       if (inviteHandlers && typeof inviteHandlers.registerAll === "function")
         inviteHandlers.registerAll(socket, context);
+      if (
+        analysisBoardHandlers &&
+        typeof analysisBoardHandlers.registerAll === "function"
+      )
+        analysisBoardHandlers.registerAll(socket, context);
+      if (studyHandlers && typeof studyHandlers.registerAll === "function")
+        studyHandlers.registerAll(socket, context);
     } catch (e) {
       console.error("Error registering socket handlers:", e);
     }
@@ -1,13 +1,26 @@
 // backend/socket/applyCups.js
-// Robust, idempotent cups application for finished games.
+// Robust, idempotent rating/cups application for finished games.
+// Both players get a Glicko-2 update (lib/glicko2.js) in the game's rating
+// category (bullet/blitz/rapid/classical or the variant) for wins, losses and
+// draws (a draw scores 0.5 against each player's expected score); their cups
+// on the variant's ladder are derived from the new ratings. A game is claimed
+// atomically through `cupsProcessed`, so it is rated at most once.
 // Exports an async function: applyCups(context, gameIdOrDoc)
 
 const mongoose = require("mongoose");
+const glicko2 = require("../lib/glicko2");
+const { ladderField, ladderCups } = require("../lib/variants");
+const {
+  categoryFor,
+  entryFor,
+  displayCups,
+} = require("../lib/ratingCategories");
 
 module.exports = async function applyCups(context, gameIdOrDoc) {
   const Game = context.Game;
   const User = context.User;
-  const ratingUtils = context.ratingUtils || null;
+  const RatingHistory =
+    context.RatingHistory || require("../models/RatingHistory");
   const notifyUser = context.notifyUser || (() => {});
   const log = context.log || console;
 
@@ -16,7 +29,9 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
   }
 
   try {
-    // Resolve game doc
+    // Resolve game doc (an ObjectId is looked up like its string form)
+    if (gameIdOrDoc instanceof mongoose.Types.ObjectId)
+      gameIdOrDoc = String(gameIdOrDoc);
     let gameDoc = null;
     if (gameIdOrDoc && typeof gameIdOrDoc === "object" && gameIdOrDoc._id) {
       gameDoc = gameIdOrDoc;
@@ -59,19 +74,59 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
       return { ok: false, reason: "already-processed" };
     }
 
+    // Casual games never move cups
+    if (gameDoc.rated === false) {
+      try {
+        await Game.updateOne(
+          { _id: gameDoc._id },
+          { $set: { cupsProcessed: true } }
+        ).exec();
+      } catch (e) {}
+      log.info(
+        "[applyCups] casual game — marked processed",
+        String(gameDoc._id)
+      );
+      return { ok: true, reason: "casual" };
+    }
+
     const finished = gameDoc.finished || {};
     const players = Array.isArray(gameDoc.players) ? gameDoc.players : [];
+    // each variant has its own ladder ("cups" or "variantCups.<variant>")
+    const variant = gameDoc.variant || "standard";
+    const field = ladderField(variant);
+    const key = categoryFor(variant, gameDoc.timeControl);
+    const cupsOf = (u, fallback) => ladderCups(u, variant) ?? fallback;
+
+    // Bughouse: the board that decided the match credits both teams; the
+    // partner board's Game only mirrors that result
+    if (gameDoc.bughouse && finished.reason === "partner-board") {
+      try {
+        await Game.updateOne(
+          { _id: gameDoc._id },
+          { $set: { cupsProcessed: true } }
+        ).exec();
+      } catch (e) {}
+      return { ok: true, reason: "partner-board" };
+    }
 
-    // If draw-like, mark processed and return
+    // Draws are rated like any other result (score 0.5 each); abandoned
+    // games, games that ended before a move was played (first-move-timeout)
+    // and drawn bughouse matches are not rated at all
     const resLower = String(finished.result || "").toLowerCase();
     const reasonLower = String(finished.reason || "").toLowerCase();
-    if (
+    const isDraw =
       resLower === "draw" ||
       reasonLower.includes("draw") ||
       reasonLower.includes("stalemate") ||
       reasonLower.includes("threefold") ||
-      reasonLower.includes("insufficient") ||
-      reasonLower.includes("abandoned")
+      reasonLower.includes("insufficient");
+    const noMoves =
+      reasonLower === "first-move-timeout" ||
+      (Array.isArray(gameDoc.moves) && gameDoc.moves.length === 0);
+    if (
+      reasonLower.includes("abandoned") ||
+      noMoves ||
+      (isDraw && gameDoc.bughouse)
     ) {
       try {
         await Game.updateOne(
@@ -80,10 +135,13 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
         ).exec();
       } catch (e) {}
       log.info(
-        "[applyCups] draw/abandoned — marked processed",
+        "[applyCups] abandoned/unrated — marked processed",
         String(gameDoc._id)
       );
-      return { ok: true, reason: "draw" };
+      return {
+        ok: true,
+        reason: noMoves ? "no-moves" : isDraw ? "draw" : "abandoned",
+      };
     }
 
     // helper: is ObjectId-like
@@ -113,7 +171,7 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
       if (looksLikeObjectId(candidate)) {
         try {
           const found = await User.findById(candidate)
-            .select("cups username")
+            .select("cups variantCups ratings username")
             .exec();
           if (found) return found;
         } catch (e) {}
@@ -123,25 +181,50 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
         const found = await User.findOne({
           $or: [{ username: candidate }, { displayName: candidate }],
         })
-          .select("cups username")
+          .select("cups variantCups ratings username")
           .exec();
         if (found) return found;
       } catch (e) {}
       return null;
     };
 
+    if (
+      gameDoc.bughouse &&
+      Array.isArray(gameDoc.bughouse.teams) &&
+      (gameDoc.bughouse.winnerTeam === 0 || gameDoc.bughouse.winnerTeam === 1)
+    ) {
+      return applyTeamCups({
+        Game,
+        User,
+        notifyUser,
+        log,
+        gameDoc,
+        field,
+        key,
+        cupsOf,
+        findUser: findUserByIdOrCandidate,
+        RatingHistory,
+      });
+    }
+
     // Determine winner/loser player entries (prefer ids then color then username)
+    // (a draw has no winner: "winner" is White and "loser" is Black there)
     let winnerEntry = null,
       loserEntry = null;
 
+    if (isDraw) {
+      winnerEntry = players.find((p) => p.color === "w") || null;
+      loserEntry = players.find((p) => p.color === "b") || null;
+    }
+
     // 1) if finished contains winnerId/loserId use those to find player entries
-    if (finished.winnerId) {
+    if (!winnerEntry && finished.winnerId) {
       winnerEntry = players.find((p) => {
         const ids = getCandidateIds(p);
         return ids.includes(String(finished.winnerId));
       });
     }
-    if (finished.loserId) {
+    if (!loserEntry && finished.loserId) {
       loserEntry = players.find((p) => {
         const ids = getCandidateIds(p);
         return ids.includes(String(finished.loserId));
@@ -283,196 +366,184 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
       return { ok: false, reason: "same-user", userId: String(winnerUser._id) };
     }
 
-    // Build moves array for analysis
-    const movesRaw = Array.isArray(gameDoc.moves) ? gameDoc.moves : [];
-    const toUci = (m) => {
-      if (!m) return null;
-      if (typeof m === "string") return m;
-      if (m.move && typeof m.move === "string") return m.move;
-      if (m.move && m.move.from && m.move.to)
-        return `${m.move.from}${m.move.to}${m.move.promotion || ""}`;
-      if (m.from && m.to) return `${m.from}${m.to}${m.promotion || ""}`;
-      return null;
-    };
-    const movesUci = movesRaw.map(toUci).filter(Boolean);
-
-    // Compute delta, prefer stockfish/ratingUtils
-    let delta = 12;
-    try {
-      if (
-        ratingUtils &&
-        typeof ratingUtils.runStockfishAnalysis === "function" &&
-        typeof ratingUtils.computeDeltaForWinner === "function"
-      ) {
-        let analysis = null;
-        try {
-          analysis = await ratingUtils.runStockfishAnalysis(
-            movesUci,
-            parseInt(process.env.STOCKFISH_DEPTH || "12", 10),
-            parseInt(process.env.STOCKFISH_TIMEOUT || "4000", 10)
-          );
-        } catch (e) {
-          analysis = null;
-        }
-
-        // determine winner color, prefer finished.winnerColor or winnerEntry.color
-        let winnerColor =
-          finished.winnerColor || (winnerEntry && winnerEntry.color) || null;
-        const winnerACPL = analysis
-          ? winnerColor === "w"
-            ? analysis.acplWhite || 200
-            : analysis.acplBlack || 200
-          : 200;
-        const loserACPL = analysis
-          ? winnerColor === "w"
-            ? analysis.acplBlack || 200
-            : analysis.acplWhite || 200
-          : 200;
-        const maxSwingCp = analysis ? analysis.maxSwingCp || 0 : 0;
-
-        delta = ratingUtils.computeDeltaForWinner(
-          Number(winnerUser.cups ?? 1200),
-          Number(loserUser.cups ?? 1200),
-          winnerACPL,
-          loserACPL,
-          maxSwingCp,
-          /*gamesplayed*/ 50
-        );
-        delta = Math.max(1, Math.round(delta || 12));
-      } else {
-        // fallback elo-like
-        const w = Number(winnerUser.cups ?? 1200);
-        const l = Number(loserUser.cups ?? 1200);
-        const expected = 1 / (1 + Math.pow(10, (l - w) / 400));
-        const K = 20;
-        delta = Math.max(1, Math.round(K * (1 - expected)));
-        if (delta < 10) delta = 10;
-      }
-    } catch (e) {
-      delta = 12;
+    // Claim the game atomically: whoever flips cupsProcessed first rates it, so
+    // concurrent callers (saveFinishedGame + the socket wrapper) can't double-apply
+    const claimed = await Game.findOneAndUpdate(
+      { _id: gameDoc._id, cupsProcessed: { $ne: true } },
+      { $set: { cupsProcessed: true } }
+    )
+      .lean()
+      .exec();
+    if (!claimed) {
+      log.info("[applyCups] game already processed:", String(gameDoc._id));
+      return { ok: false, reason: "already-processed" };
     }
 
-    // perform atomic updates
+    // Glicko-2 update for both players (score from the "winner" side); a draw
+    // moves each player by how far 0.5 is from their expected score
+    const score = isDraw ? 0.5 : 1;
     try {
-      const winnerBefore = Number(winnerUser.cups ?? 0);
-      const loserBefore = Number(loserUser.cups ?? 0);
-
-      // Increment winner normally
-      await User.findByIdAndUpdate(winnerUser._id, {
-        $inc: { cups: Number(delta) },
-      }).exec();
-
-      // Decrement loser but ensure cups never go below 0.
-      // First attempt: aggregation-pipeline update (Mongo 4.2+; atomic).
-      // Fallback: do a $inc then immediately clamp negative values to 0.
-      let pipelineWorked = false;
-      try {
-        await User.updateOne({ _id: loserUser._id }, [
-          {
-            $set: {
-              cups: {
-                $max: [0, { $subtract: ["$cups", Number(delta)] }],
-              },
-            },
-          },
-        ]).exec();
-        pipelineWorked = true;
-      } catch (e) {
-        pipelineWorked = false;
-      }
-
-      if (!pipelineWorked) {
-        // Fallback: decrement, then ensure non-negative by clamping any negative cups to 0.
-        try {
-          await User.findByIdAndUpdate(loserUser._id, {
-            $inc: { cups: -Number(delta) },
-          }).exec();
-        } catch (e) {
-          // ignore
-        }
-        try {
-          // Atomic conditional clamp: only sets cups to 0 if it's currently < 0
-          await User.updateOne(
-            { _id: loserUser._id, cups: { $lt: 0 } },
-            { $set: { cups: 0 } }
-          ).exec();
-        } catch (e) {
-          // ignore
-        }
+      const winnerBefore = entryFor(winnerUser, key);
+      const loserBefore = entryFor(loserUser, key);
+      const winnerAfter = glicko2.applyResult(winnerBefore, loserBefore, score);
+      const loserAfter = glicko2.applyResult(
+        loserBefore,
+        winnerBefore,
+        1 - score
+      );
+      const winnerExpected = glicko2.expectedFor(winnerBefore, loserBefore);
+      const loserExpected = glicko2.expectedFor(loserBefore, winnerBefore);
+      const winnerCupsBefore = cupsOf(winnerUser, 0);
+      const loserCupsBefore = cupsOf(loserUser, 0);
+      const cupsWith = (user, after) =>
+        displayCups({ ...(user.ratings || {}), [key]: after }, key);
+      const winnerCups = cupsWith(winnerUser, winnerAfter);
+      const loserCups = cupsWith(loserUser, loserAfter);
+
+      await User.updateOne(
+        { _id: winnerUser._id },
+        { $set: { [`ratings.${key}`]: winnerAfter, [field]: winnerCups } }
+      ).exec();
+      await User.updateOne(
+        { _id: loserUser._id },
+        { $set: { [`ratings.${key}`]: loserAfter, [field]: loserCups } }
+      ).exec();
+
+      // before/after per color on the Game (cupsDelta: the winner's rating change)
+      const ratingDelta = (before, after) =>
+        glicko2.displayCups(after) - glicko2.displayCups(before);
+      const delta = ratingDelta(winnerBefore, winnerAfter);
+      const change = (user, entry, before, after, cupsBefore, cups, exp) => ({
+        userId: String(user._id),
+        username: user.username,
+        color: entry && entry.color,
+        category: key,
+        expected: Math.round(exp * 1000) / 1000,
+        before: glicko2.snapshot(before),
+        after: glicko2.snapshot(after),
+        cupsBefore,
+        cupsAfter: cups,
+      });
+      const ratingChanges = {};
+      for (const c of [
+        change(
+          winnerUser,
+          winnerEntry,
+          winnerBefore,
+          winnerAfter,
+          winnerCupsBefore,
+          winnerCups,
+          winnerExpected
+        ),
+        change(
+          loserUser,
+          loserEntry,
+          loserBefore,
+          loserAfter,
+          loserCupsBefore,
+          loserCups,
+          loserExpected
+        ),
+      ]) {
+        ratingChanges[c.color || c.userId] = c;
       }
-
-      // mark Game as processed
       try {
         await Game.updateOne(
           { _id: gameDoc._id },
-          { $set: { cupsProcessed: true, cupsDelta: Number(delta) } }
+          {
+            $set: {
+              cupsProcessed: true,
+              cupsDelta: Number(delta),
+              ratingChanges,
+            },
+          }
         ).exec();
       } catch (e) {}
 
-      // fetch actual new values for accurate notifications/logging
-      let winnerAfterVal = null,
-        loserAfterVal = null;
-      try {
-        const wDoc = await User.findById(winnerUser._id)
-          .select("cups")
-          .lean()
-          .exec();
-        winnerAfterVal = Number(
-          wDoc?.cups ?? Math.max(0, winnerBefore + delta)
-        );
-      } catch (e) {
-        winnerAfterVal = Math.max(0, winnerBefore + delta);
-      }
-      try {
-        const lDoc = await User.findById(loserUser._id)
-          .select("cups")
-          .lean()
-          .exec();
-        loserAfterVal = Number(lDoc?.cups ?? Math.max(0, loserBefore - delta));
-      } catch (e) {
-        loserAfterVal = Math.max(0, loserBefore - delta);
-      }
+      await recordHistory(
+        RatingHistory,
+        [
+          historyRow(gameDoc, key, winnerUser, loserUser, {
+            before: winnerBefore,
+            after: winnerAfter,
+            result: isDraw ? "draw" : "win",
+          }),
+          historyRow(gameDoc, key, loserUser, winnerUser, {
+            before: loserBefore,
+            after: loserAfter,
+            result: isDraw ? "draw" : "loss",
+          }),
+        ],
+        log
+      );
 
-      // notify users (best-effort)
-      try {
-        notifyUser(String(winnerUser._id), "cups-changed", {
-          cups: Number(winnerAfterVal),
-          delta: Number(delta),
-        });
-      } catch (e) {}
-      try {
-        notifyUser(String(loserUser._id), "cups-changed", {
-          cups: Number(Math.max(0, loserAfterVal)),
-          delta: -Number(delta),
-        });
-      } catch (e) {}
+      // notify both players with their signed delta (best-effort)
+      for (const [user, cups, before, after, result, expected] of [
+        [
+          winnerUser,
+          winnerCups,
+          winnerBefore,
+          winnerAfter,
+          isDraw ? "draw" : "win",
+          winnerExpected,
+        ],
+        [
+          loserUser,
+          loserCups,
+          loserBefore,
+          loserAfter,
+          isDraw ? "draw" : "loss",
+          loserExpected,
+        ],
+      ]) {
+        try {
+          notifyUser(String(user._id), "cups-changed", {
+            cups,
+            delta: ratingDelta(before, after),
+            result,
+            expected: Math.round(expected * 1000) / 1000,
+            variant,
+            category: key,
+            rating: glicko2.snapshot(after),
+          });
+        } catch (e) {}
+      }
 
-      log.info("[applyCups] applied cups:", {
+      log.info("[applyCups] applied Glicko-2 ratings:", {
         gameId: String(gameDoc._id),
-        delta: Number(delta),
+        ladder: field,
+        category: key,
+        draw: isDraw,
         winner: {
           id: winnerUser._id,
           username: winnerUser.username,
-          before: winnerBefore,
-          after: Number(winnerAfterVal),
+          before: winnerBefore.rating,
+          after: winnerAfter.rating,
         },
         loser: {
           id: loserUser._id,
           username: loserUser.username,
-          before: loserBefore,
-          after: Number(Math.max(0, loserAfterVal)),
+          before: loserBefore.rating,
+          after: loserAfter.rating,
         },
       });
 
       return {
         ok: true,
         delta: Number(delta),
+        draw: isDraw,
         winner: winnerUser._id,
         loser: loserUser._id,
       };
     } catch (e) {
-      log.error("[applyCups] error applying cups:", e);
-      // Do not mark processed so retries are possible
+      log.error("[applyCups] error applying ratings:", e);
+      // Release the claim so retries are possible
+      try {
+        await Game.updateOne(
+          { _id: gameDoc._id },
+          { $set: { cupsProcessed: false } }
+        ).exec();
+      } catch (err) {}
       throw e;
     }
   } catch (err) {
@@ -480,3 +551,153 @@ module.exports = async function applyCups(context, gameIdOrDoc) {
     throw err;
   }
 };
+
+// one RatingHistory row for `user` (display ratings, as on the cups ladder)
+function historyRow(gameDoc, key, user, opponent, { before, after, result }) {
+  return {
+    userId: String(user._id),
+    gameId: String(gameDoc._id),
+    roomId: gameDoc.roomId || null,
+    opponentId: opponent ? String(opponent._id) : null,
+    opponentUsername: opponent ? opponent.username || null : null,
+    category: key,
+    result,
+    before: glicko2.displayCups(before),
+    after: glicko2.displayCups(after),
+    delta: glicko2.displayCups(after) - glicko2.displayCups(before),
+    rd: Math.round(after.rd),
+    source: "game",
+    createdAt: new Date(),
+  };
+}
+
+// append rows to the history; an existing (userId, gameId) row is kept as is
+async function recordHistory(RatingHistory, rows, log) {
+  try {
+    await RatingHistory.insertMany(rows, { ordered: false });
+  } catch (e) {
+    if (e && e.code !== 11000)
+      log.warn("[applyCups] rating history insert failed:", e.message || e);
+  }
+}
+
+/**
+ * applyTeamCups({ Game, User, notifyUser, log, gameDoc, field, key, cupsOf, findUser, RatingHistory })
+ * Bughouse: every member of the winning team scores a win and every member
+ * of the losing team a loss, each rated against the other team's average
+ * (rating and deviation) in rating category `key`.
+ */
+async function applyTeamCups({
+  Game,
+  User,
+  notifyUser,
+  log,
+  gameDoc,
+  field,
+  key,
+  cupsOf,
+  findUser,
+  RatingHistory,
+}) {
+  const { teams, winnerTeam } = gameDoc.bughouse;
+  const resolveTeam = async (team) => {
+    const out = [];
+    for (const member of team || []) {
+      const u =
+        (await findUser(member.userId).catch(() => null)) ||
+        (await findUser(member.username).catch(() => null));
+      out.push(u);
+    }
+    return out;
+  };
+  const winners = await resolveTeam(teams[winnerTeam]);
+  const losers = await resolveTeam(teams[1 - winnerTeam]);
+  if (winners.some((u) => !u) || losers.some((u) => !u)) {
+    log.warn(
+      "[applyCups] could not resolve all bughouse players — leaving unprocessed for retry",
+      { gameId: String(gameDoc._id) }
+    );
+    return { ok: false, reason: "could-not-resolve-users" };
+  }
+
+  const claimed = await Game.findOneAndUpdate(
+    { _id: gameDoc._id, cupsProcessed: { $ne: true } },
+    { $set: { cupsProcessed: true } }
+  )
+    .lean()
+    .exec();
+  if (!claimed) return { ok: false, reason: "already-processed" };
+
+  const teamEntry = (us) => {
+    const entries = us.map((u) => entryFor(u, key));
+    const avg = (k) => entries.reduce((sum, e) => sum + e[k], 0) / us.length;
+    return { rating: avg("rating"), rd: avg("rd"), vol: avg("vol") };
+  };
+  const opponentOf = [teamEntry(losers), teamEntry(winners)];
+
+  const ratingChanges = {};
+  const historyRows = [];
+  let delta = 0;
+  for (const [list, score, opponent] of [
+    [winners, 1, opponentOf[0]],
+    [losers, 0, opponentOf[1]],
+  ]) {
+    for (const u of list) {
+      const before = entryFor(u, key);
+      const after = glicko2.applyResult(before, opponent, score);
+      const cupsBefore = cupsOf(u, 0);
+      const cups = displayCups({ ...(u.ratings || {}), [key]: after }, key);
+      const change = glicko2.displayCups(after) - glicko2.displayCups(before);
+      await User.updateOne(
+        { _id: u._id },
+        { $set: { [`ratings.${key}`]: after, [field]: cups } }
+      ).exec();
+      if (score === 1 && u === winners[0]) delta = change;
+      ratingChanges[String(u._id)] = {
+        userId: String(u._id),
+        username: u.username,
+        category: key,
+        before: glicko2.snapshot(before),
+        after: glicko2.snapshot(after),
+        cupsBefore,
+        cupsAfter: cups,
+      };
+      historyRows.push(
+        historyRow(gameDoc, key, u, null, {
+          before,
+          after,
+          result: score === 1 ? "win" : "loss",
+        })
+      );
+      try {
+        notifyUser(String(u._id), "cups-changed", {
+          cups,
+          delta: change,
+          variant: gameDoc.variant || "bughouse",
+          category: key,
+          rating: glicko2.snapshot(after),
+        });
+      } catch (e) {}
+    }
+  }
+
+  try {
+    await Game.updateOne(
+      { _id: gameDoc._id },
+      { $set: { cupsProcessed: true, cupsDelta: delta, ratingChanges } }
+    ).exec();
+  } catch (e) {}
+  await recordHistory(RatingHistory, historyRows, log);
+
+  log.info("[applyCups] applied bughouse team ratings:", {
+    gameId: String(gameDoc._id),
+    winners: winners.map((u) => u.username),
+    losers: losers.map((u) => u.username),
+  });
+  return {
+    ok: true,
+    delta,
+    winners: winners.map((u) => u._id),
+    losers: losers.map((u) => u._id),
+  };
+}
@@ -0,0 +1,64 @@
+// backend/socket/handlers/analysisBoardHandlers.js
+// Live analysis boards (services/analysisBoardService.js). Viewers join the
+// socket room `analysis:<boardId>` and get the whole board once; after that
+// every op an editor makes is broadcast as "analysis-update". A client whose
+// `version` skips a number asks for the board again with "analysis-sync".
+
+const analysisBoards = require("../../services/analysisBoardService");
+
+function boardRoom(boardId) {
+  return `analysis:${boardId}`;
+}
+
+module.exports = {
+  registerAll(socket) {
+    function reply(cb, payload) {
+      if (typeof cb === "function") cb(payload);
+    }
+
+    function meId() {
+      return socket.user && socket.user.id ? String(socket.user.id) : null;
+    }
+
+    // { boardId } -> cb({ ok, board })
+    async function sendBoard({ boardId } = {}, cb) {
+      try {
+        const entry = await analysisBoards.loadBoard(boardId);
+        if (!entry) return reply(cb, { ok: false, error: "Board not found" });
+        socket.join(boardRoom(entry.board.boardId));
+        reply(cb, { ok: true, board: analysisBoards.summarize(entry, meId()) });
+      } catch (e) {
+        console.error("analysis-join error:", e);
+        reply(cb, { ok: false, error: "Server error" });
+      }
+    }
+
+    socket.on("analysis-join", sendBoard);
+    socket.on("analysis-sync", sendBoard);
+
+    socket.on("analysis-leave", ({ boardId } = {}) => {
+      try {
+        if (boardId) socket.leave(boardRoom(boardId));
+      } catch (e) {}
+    });
+
+    // { boardId, op } -> cb({ ok, update }); everyone else gets "analysis-update"
+    socket.on("analysis-op", async ({ boardId, op } = {}, cb) => {
+      try {
+        if (!meId())
+          return reply(cb, { ok: false, error: "Not authenticated" });
+        const result = await analysisBoards.applyOp(boardId, meId(), op);
+        if (!result.ok) return reply(cb, { ok: false, error: result.error });
+        socket
+          .to(boardRoom(result.update.boardId))
+          .emit("analysis-update", result.update);
+        reply(cb, { ok: true, update: result.update });
+      } catch (e) {
+        console.error("analysis-op error:", e);
+        reply(cb, { ok: false, error: "Server error" });
+      }
+    });
+  },
+
+  boardRoom,
+};
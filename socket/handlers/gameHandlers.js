@@ -1,4 +1,28 @@
-const { Chess } = require("chess.js");
+const { validateFen } = require("chess.js");
+const {
+  readTimeControl,
+  timeControlFromSettings,
+  settingsForTimeControl,
+  botClockRequested,
+  initialClocks,
+  startTurn,
+  settleClock,
+  applyMoveToClocks,
+} = require("../../lib/timeControl");
+const {
+  resolveStartPosition,
+  startSettings,
+  createChess,
+  applyMove,
+  replayMoves,
+} = require("../../lib/startPosition");
+const crazyhouse = require("../../lib/crazyhouse");
+const fogOfWar = require("../../lib/fogOfWar");
+const antichess = require("../../lib/antichess");
+const variants = require("../../lib/variants");
+const botLevels = require("../../lib/botLevels");
+const openingBook = require("../../services/openingBook");
+const ratingCategories = require("../../lib/ratingCategories");
 
 module.exports = {
   registerAll(socket, context) {
@@ -41,13 +65,13 @@ module.exports = {
       dequeueFn,
     } = context || {};
 
-    // === Bot adapter (optional) ===
-    let jsChessEngineAdapter = null;
+    // === Bot engines (services/engineRegistry.js, role "bot") ===
+    let engineRegistry = null;
     try {
-      jsChessEngineAdapter = require("../../lib/jsChessEngineAdapter");
-      // expected exported method: aiMoveFromFen(fen, engineLevel) -> { from: 'e2', to: 'e4', promotion?: 'q' }
+      engineRegistry = require("../../services/engineRegistry");
+      // bestMove("bot", fen, { level }) -> { from: 'e2', to: 'e4', promotion?: 'q', engine }
     } catch (e) {
-      jsChessEngineAdapter = null;
+      engineRegistry = null;
     }
 
     // --- Add these helpers near the top of registerAll or module scope ---
@@ -67,29 +91,57 @@ module.exports = {
       });
     }
 
+    // human games always have clocks; bot games only when created timed
+    function usesClocks(room) {
+      if (!containsBotPlayer(room)) return true;
+      return !!(room.settings && room.settings.bot && room.settings.bot.timed);
+    }
+
+    // Delay before the bot's next move. Timed games start right away: the bot
+    // spends its think time (budgeted from its own clock) on the running clock.
+    function botMoveDelay(room) {
+      if (usesClocks(room)) return 100;
+      const engineLevel = mapRequestedBotLevelToEngine(
+        room.settings?.bot?.level
+      );
+      return (
+        300 +
+        Math.max(0, 4 - engineLevel) * 300 +
+        Math.floor(Math.random() * 500)
+      );
+    }
+
     /**
-     * finishLooksDecisive(room)
-     * Return true when the finished object represents a decisive finish that should affect cups.
-     * Returns false on draws (draw-agreed, stalemate, threefold, insufficient material, etc).
+     * finishAffectsCups(room)
+     * Return true when the finished object is a result that should affect cups:
+     * decisive finishes and draws (draw-agreed, stalemate, threefold,
+     * insufficient material, etc) — draws are rated by expected score.
+     * Abandoned games, games without a move and unknown finishes are not
+     * rated.
      */
-    function finishLooksDecisive(room) {
+    function finishAffectsCups(room) {
       try {
         if (!room || !room.finished) return false;
         const f = room.finished;
+        if (String(f.reason || "") === "abandoned") return false;
+        if (!(room.moves || []).length) return false;
         // If explicit winner/loser ids/fields exist -> decisive
         if (f.winnerId || f.loserId) return true;
         if (f.winner || f.loser) return true;
-        // If result explicitly set to draw -> do NOT apply cups
-        if (String(f.result || "").toLowerCase() === "draw") return false;
-        // Known decisive reasons
-        const decisiveReasons = new Set([
+        if (String(f.result || "").toLowerCase() === "draw") return true;
+        // Known rated reasons
+        const ratedReasons = new Set([
           "checkmate",
           "resign",
           "timeout",
           "opponent-disconnected",
+          "draw-agreed",
+          "stalemate",
+          "threefold-repetition",
+          "insufficient-material",
         ]);
-        if (f.reason && decisiveReasons.has(String(f.reason))) return true;
-        // Conservative default: not decisive
+        if (f.reason && ratedReasons.has(String(f.reason))) return true;
+        // Conservative default: not rated
         return false;
       } catch (e) {
         return false;
@@ -128,6 +180,14 @@ module.exports = {
     function detectGameFinished(chess, lastMoveResult = null) {
       try {
         if (!chess) return null;
+        if (chess.crazyhouse)
+          return crazyhouse.detectFinished(chess, lastMoveResult);
+        if (chess.fogOfWar)
+          return fogOfWar.detectFinished(chess, lastMoveResult);
+        if (chess.antichess) return antichess.detectFinished(chess);
+        // three-check / King of the Hill wins come before mate and draws
+        const variantWin = variants.detectFinished(chess);
+        if (variantWin) return variantWin;
         const now = Date.now();
 
         // Prefer direct "is checkmate" if available
@@ -177,7 +237,7 @@ module.exports = {
           chess,
           "in_threefold_repetition",
           "inThreefoldRepetition",
-          "isThreefold"
+          "isThreefoldRepetition"
         );
         if (threefold) {
           return {
@@ -268,6 +328,17 @@ module.exports = {
       }
     }
 
+    // this socket's seat color in `room` (null for spectators)
+    function requesterColor(room) {
+      const uid = socket.user && socket.user.id;
+      const p = (room.players || []).find(
+        (pp) =>
+          pp.id === socket.id ||
+          (uid && pp.user && String(pp.user.id || pp.user._id) === String(uid))
+      );
+      return p && (p.color === "w" || p.color === "b") ? p.color : null;
+    }
+
     // Helper: clear any bot timer on room
     function clearBotTimeout(room) {
       try {
@@ -305,8 +376,7 @@ module.exports = {
         if (!(room.settings && room.settings.bot && room.settings.bot.enabled))
           return;
 
-        if (!room.chess)
-          room.chess = room.fen ? new Chess(room.fen) : new Chess();
+        if (!room.chess) room.chess = replayMoves(room.settings, room.moves);
         const chess = room.chess;
 
         const botPlayer = (room.players || []).find((p) =>
@@ -323,32 +393,97 @@ module.exports = {
         const currentTurn = chess.turn();
         if (!currentTurn || currentTurn !== botColor) return;
 
-        // engine level
-        const engineLevel = mapRequestedBotLevelToEngine(
-          room.settings.bot.level
+        // calibrated strength and a think time that follows the position (and
+        // the bot's own clock in timed games)
+        const clock = usesClocks(room)
+          ? botLevels.clockFor(
+              room.clocks,
+              botColor,
+              timeControlFromSettings(room.settings)
+            )
+          : null;
+        const plan = botLevels.planBotMove(
+          room.settings.bot.level,
+          chess,
+          clock
         );
+        const fenBefore = chess.fen();
 
-        // compute AI move via adapter, fallback to random
+        // compute AI move via the bot engines, fallback to random
         let aiMove = null;
+        const startedAt = Date.now();
         try {
-          if (
-            jsChessEngineAdapter &&
-            typeof jsChessEngineAdapter.aiMoveFromFen === "function"
-          ) {
-            aiMove = await jsChessEngineAdapter.aiMoveFromFen(
-              room.fen || chess.fen(),
-              engineLevel
+          // book move while in the level's book depth (standard chess only)
+          if (openingBook.appliesTo(room.settings))
+            aiMove = await openingBook.bookMove({
+              level: room.settings.bot.level,
+              fen: fenBefore,
+              ply: (room.moves || []).length,
+            });
+          // fog of war: take a king in sight, otherwise search only what
+          // the bot can see (its own view with the enemy king where it was
+          // last seen)
+          let searchFen = fenBefore;
+          if (chess.fogOfWar) {
+            const kill = fogOfWar
+              .pseudoMoves(chess)
+              .find((m) => m.captured === "k");
+            if (kill)
+              aiMove = {
+                from: kill.from,
+                to: kill.to,
+                promotion: kill.promotion || undefined,
+              };
+            const view = fogOfWar.botViewFen(chess, botColor);
+            searchFen = view && validateFen(view).ok ? view : null;
+          }
+          // antichess: the engine doesn't know forced captures, pick below
+          if (!aiMove && !chess.antichess && engineRegistry && searchFen) {
+            const best = await engineRegistry.bestMove(
+              "bot",
+              searchFen,
+              plan.search
             );
+            if (best)
+              aiMove = {
+                from: best.from,
+                to: best.to,
+                promotion: best.promotion || undefined,
+              };
           }
         } catch (e) {
           aiMove = null;
         }
+        // a move planned on the fogged board may run into a hidden piece
+        if (
+          aiMove &&
+          chess.fogOfWar &&
+          !fogOfWar
+            .pseudoMoves(chess)
+            .some((m) => m.from === aiMove.from && m.to === aiMove.to)
+        )
+          aiMove = null;
+        await botLevels.waitForThinkTime(startedAt, plan.thinkMs);
+        // the game may have ended or moved on while the bot was thinking
+        if (room.finished || room.chess !== chess || chess.fen() !== fenBefore)
+          return;
+        // timed games: the bot's flag may have fallen while it was thinking
+        if (
+          context.roomManager &&
+          typeof context.roomManager.checkClockFlag === "function" &&
+          (await context.roomManager.checkClockFlag(roomId))
+        )
+          return;
 
         // fallback: random legal verbose move (so we can know promotion)
         if (!aiMove || !aiMove.from || !aiMove.to) {
           let movesList = [];
           try {
-            movesList = chess.moves({ verbose: true }) || [];
+            movesList = chess.fogOfWar
+              ? fogOfWar.pseudoMoves(chess)
+              : chess.antichess
+              ? antichess.legalMoves(chess)
+              : chess.moves({ verbose: true }) || [];
           } catch (e) {
             try {
               movesList = chess.moves() || [];
@@ -356,16 +491,24 @@ module.exports = {
               movesList = [];
             }
           }
-          if (!Array.isArray(movesList) || movesList.length === 0) return;
-          const pick = movesList[Math.floor(Math.random() * movesList.length)];
-          aiMove = {
-            from: pick.from,
-            to: pick.to,
-            promotion: pick.promotion || undefined,
-          };
+          if (!Array.isArray(movesList) || movesList.length === 0) {
+            // crazyhouse: a drop may be the only answer to a check
+            const drops = crazyhouse.legalDrops(chess);
+            if (!drops.length) return;
+            const d = drops[Math.floor(Math.random() * drops.length)];
+            aiMove = { drop: d.piece, to: d.to };
+          } else {
+            const pick =
+              movesList[Math.floor(Math.random() * movesList.length)];
+            aiMove = {
+              from: pick.from,
+              to: pick.to,
+              promotion: pick.promotion || undefined,
+            };
+          }
         }
 
-        if (!aiMove || !aiMove.from || !aiMove.to) return;
+        if (!aiMove || !(aiMove.from || aiMove.drop) || !aiMove.to) return;
 
         // normalize promotion
         if (aiMove.promotion) {
@@ -377,7 +520,7 @@ module.exports = {
         }
 
         // attempt move
-        const result = chess.move(aiMove);
+        const result = applyMove(chess, aiMove);
         if (!result) {
           // illegal: request sync and abort
           try {
@@ -392,30 +535,27 @@ module.exports = {
         room.fen = chess.fen();
 
         // clocks: update similar to human move handling
-        // Do NOT create/update clocks for bot rooms — bot games are unlimited time.
+        // Untimed bot games never get clocks; timed ones charge the bot's thinking.
         try {
-          const containsBot = (room.players || []).some((p) =>
-            String(p.id || "")
-              .toLowerCase()
-              .startsWith("bot:")
-          );
-          if (containsBot) {
+          if (!usesClocks(room)) {
             room.clocks = null;
           } else {
             if (!room.clocks) {
-              const minutes =
-                room.settings?.minutes || Math.floor(DEFAULT_MS / 60000);
-              const ms = room.settings?.minutesMs || minutes * 60 * 1000;
-              room.clocks = {
-                w: ms,
-                b: ms,
-                running: chess.turn(),
-                lastTick: Date.now(),
-              };
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                chess.turn()
+              );
             } else {
-              room.clocks.running = chess.turn();
-              room.clocks.lastTick = Date.now();
+              settleClock(room.clocks);
+              applyMoveToClocks(
+                room.clocks,
+                botPlayer.color,
+                timeControlFromSettings(room.settings)
+              );
+              startTurn(room.clocks, chess.turn());
             }
+            // remaining times after this move, restored when it is taken back
+            record.clocks = { w: room.clocks.w, b: room.clocks.b };
           }
         } catch (e) {}
 
@@ -438,11 +578,15 @@ module.exports = {
           }
         }
 
-        // emit opponent-move to clients
+        // emit opponent-move to clients (fog of war: only the index, per-seat board)
         try {
-          io.to(roomId).emit("opponent-move", {
-            ...record,
+          context.roomManager.emitRoomView(roomId, "opponent-move", {
+            ...(fogOfWar.viewFor(room, null)
+              ? { index: record.index }
+              : record),
             fen: room.fen,
+            pockets: crazyhouse.pocketsOf(chess),
+            checks: variants.checksOf(chess),
             clocks: room.clocks
               ? {
                   w: room.clocks.w,
@@ -504,14 +648,7 @@ module.exports = {
                   .startsWith("bot:") && p.color === nowTurn
             );
             if (botIsNowToMove) {
-              const nextEngine = mapRequestedBotLevelToEngine(
-                room.settings.bot.level
-              );
-              const delay =
-                300 +
-                Math.max(0, 4 - nextEngine) * 300 +
-                Math.floor(Math.random() * 300);
-              scheduleBotMove(roomId, delay);
+              scheduleBotMove(roomId, botMoveDelay(room));
             }
           } catch (e) {}
         }
@@ -544,18 +681,29 @@ module.exports = {
         try {
           const {
             roomId: requestedRoomId,
-            minutes,
             colorPreference,
             user,
             bot,
             botLevel,
           } = params || {};
 
-          let minutesNum =
-            typeof minutes === "number"
-              ? Math.max(1, Math.floor(minutes))
-              : Math.floor(DEFAULT_MS / 60000);
-          const minutesMs = minutesNum * 60 * 1000;
+          // accepts timeControl ("3+2", "5|3 delay", ...) or legacy minutes
+          const tcRead = readTimeControl(
+            params,
+            Math.floor(DEFAULT_MS / 60000)
+          );
+          if (tcRead.error) {
+            socket.emit("room-created", { ok: false, error: tcRead.error });
+            return;
+          }
+          const timeControl = tcRead.timeControl;
+
+          // { chess960: true } / { variant: "chess960" } / { fen: "<start FEN>" }
+          const startPos = resolveStartPosition(params);
+          if (startPos.error) {
+            socket.emit("room-created", { ok: false, error: startPos.error });
+            return;
+          }
 
           // determine roomId
           let roomId = null;
@@ -600,7 +748,7 @@ module.exports = {
           rooms[roomId] = rooms[roomId] || {
             players: [],
             moves: [],
-            chess: new Chess(),
+            chess: createChess(startSettings(startPos)),
             fen: null,
             lastIndex: -1,
             clocks: null,
@@ -610,10 +758,12 @@ module.exports = {
             pendingDrawOffer: null,
             finished: null,
             settings: {
-              minutes: minutesNum,
-              minutesMs,
+              ...settingsForTimeControl(timeControl),
+              ...startSettings(startPos),
               creatorId: socket.user?.id || socket.id,
               colorPreference: colorPreference || "random",
+              takebacks: params.takebacks !== false,
+              rated: params.rated !== false,
             },
             messages: [],
             rematch: null,
@@ -722,7 +872,11 @@ module.exports = {
 
               room.players.push(botPlayerObj);
 
-              room.settings.bot = { enabled: true, level: lvl };
+              room.settings.bot = {
+                enabled: true,
+                level: lvl,
+                timed: botClockRequested(params),
+              };
 
               // ensure two colored players exist
               const coloredNow = room.players.filter(
@@ -734,18 +888,16 @@ module.exports = {
                   .startsWith("bot:")
               );
 
-              // For bot games: do NOT initialize clocks (we want unlimited time).
+              // For bot games clocks start below, and only when timed.
               if (!containsBot && coloredNow.length === 2) {
-                room.clocks = {
-                  w: room.settings.minutesMs || minutesMs,
-                  b: room.settings.minutesMs || minutesMs,
-                  running: room.chess.turn(),
-                  lastTick: Date.now(),
-                };
+                room.clocks = initialClocks(
+                  timeControlFromSettings(room.settings),
+                  room.chess.turn()
+                );
                 scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
               } else {
-                // keep clocks null for bot rooms (ultimate time)
-                if (containsBot) room.clocks = null;
+                // keep clocks null for untimed bot rooms (ultimate time)
+                if (!usesClocks(room)) room.clocks = null;
 
                 // if human was spectator, assign them the other color (unchanged)
                 // if human was spectator, assign them the other color
@@ -781,27 +933,22 @@ module.exports = {
             const colored = room.players.filter(
               (p) => p.color === "w" || p.color === "b"
             );
-            const containsBot = (room.players || []).some((p) =>
-              String(p.id || "")
-                .toLowerCase()
-                .startsWith("bot:")
-            );
+            const timed = usesClocks(room);
 
             if (
-              !containsBot &&
+              timed &&
               colored.length === 2 &&
               !room.clocks &&
               !room.finished
             ) {
-              room.clocks = {
-                w: room.settings.minutesMs || minutesMs,
-                b: room.settings.minutesMs || minutesMs,
-                running: room.chess.turn(),
-                lastTick: Date.now(),
-              };
-              scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
-            } else if (containsBot) {
-              // ensure clocks remain null for bot games
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                room.chess.turn()
+              );
+              if (!containsBotPlayer(room))
+                scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
+            } else if (!timed) {
+              // ensure clocks remain null for untimed bot games
               room.clocks = null;
             }
           } catch (e) {}
@@ -832,14 +979,7 @@ module.exports = {
               !room.finished &&
               room.chess.turn() === botPl.color
             ) {
-              const engineLevel = mapRequestedBotLevelToEngine(
-                room.settings.bot.level
-              );
-              const delay =
-                300 +
-                Math.max(0, 4 - engineLevel) * 300 +
-                Math.floor(Math.random() * 500);
-              scheduleBotMove(roomId, delay);
+              scheduleBotMove(roomId, botMoveDelay(room));
             }
           } catch (e) {}
         } catch (err) {
@@ -862,6 +1002,8 @@ module.exports = {
             if (doc) {
               // send room snapshot to the new socket and return
               socket.join(roomId);
+              const fogHidden =
+                fogOfWar.isFogOfWar(doc.settings) && !doc.finished;
               socket.emit("room-update", {
                 players: (doc.players || []).map((p) => ({
                   id: p.id,
@@ -870,14 +1012,17 @@ module.exports = {
                   online: !!p.online,
                   disconnectedAt: p.disconnectedAt || null,
                 })),
-                moves: doc.moves || [],
-                fen: doc.fen || null,
+                moves: fogHidden ? [] : doc.moves || [],
+                fen: fogHidden ? null : doc.fen || null,
                 lastIndex:
                   typeof doc.lastIndex !== "undefined" ? doc.lastIndex : -1,
                 clocks: doc.clocks || null,
                 finished: doc.finished || null,
                 pendingDrawOffer: doc.pendingDrawOffer || null,
                 settings: doc.settings || null,
+                timeControl:
+                  doc.timeControl ||
+                  (doc.clocks ? timeControlFromSettings(doc.settings) : null),
                 messages: (doc.messages || []).slice(
                   -Math.min(MAX_CHAT_MESSAGES, doc.messages.length || 0)
                 ),
@@ -917,8 +1062,7 @@ module.exports = {
           return;
         }
 
-        if (!room.chess)
-          room.chess = room.fen ? new Chess(room.fen) : new Chess();
+        if (!room.chess) room.chess = replayMoves(room.settings, room.moves);
         const chess = room.chess;
 
         const candidateUserId =
@@ -1038,33 +1182,28 @@ module.exports = {
         const coloredPlayers = room.players.filter(
           (p) => p.color === "w" || p.color === "b"
         );
-        const containsBot = (room.players || []).some((p) =>
-          String(p.id || "")
-            .toLowerCase()
-            .startsWith("bot:")
-        );
+        const containsBot = containsBotPlayer(room);
 
-        if (!containsBot) {
+        if (usesClocks(room)) {
           if (!room.clocks && coloredPlayers.length === 2 && !room.finished) {
-            room.clocks = {
-              w: room.settings?.minutesMs || room.settings.minutes * 60 * 1000,
-              b: room.settings?.minutesMs || room.settings.minutes * 60 * 1000,
-              running: room.chess.turn(),
-              lastTick: Date.now(),
-            };
-            scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
+            room.clocks = initialClocks(
+              timeControlFromSettings(room.settings),
+              room.chess.turn()
+            );
+            if (!containsBot)
+              scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
           } else if (
             coloredPlayers.length === 2 &&
             !room.clocks?.running &&
             !room.finished
           ) {
-            room.clocks.running = room.chess.turn();
-            room.clocks.lastTick = Date.now();
+            startTurn(room.clocks, room.chess.turn());
             room.paused = false;
-            scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
+            if (!containsBot)
+              scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
           }
         } else {
-          // ensure bot rooms never get clocks
+          // ensure untimed bot rooms never get clocks
           room.clocks = null;
         }
 
@@ -1098,14 +1237,7 @@ module.exports = {
             !room.finished &&
             room.chess.turn() === botPl.color
           ) {
-            const engineLevel = mapRequestedBotLevelToEngine(
-              room.settings?.bot?.level
-            );
-            const delay =
-              300 +
-              Math.max(0, 4 - engineLevel) * 300 +
-              Math.floor(Math.random() * 500);
-            scheduleBotMove(roomId, delay);
+            scheduleBotMove(roomId, botMoveDelay(room));
           }
         } catch (e) {}
       } catch (err) {
@@ -1149,8 +1281,7 @@ module.exports = {
           return;
         }
 
-        if (!room.chess)
-          room.chess = room.fen ? new Chess(room.fen) : new Chess();
+        if (!room.chess) room.chess = replayMoves(room.settings, room.moves);
         const chess = room.chess;
 
         const currentTurn = chess.turn();
@@ -1166,6 +1297,27 @@ module.exports = {
           return;
         }
 
+        // a move that arrives after the mover's flag fell does not count
+        if (
+          context.roomManager &&
+          typeof context.roomManager.checkClockFlag === "function" &&
+          (await context.roomManager.checkClockFlag(roomId))
+        ) {
+          return;
+        }
+        // another move of this player may have been applied while we waited
+        if (
+          room.finished ||
+          room.chess !== chess ||
+          chess.turn() !== player.color
+        ) {
+          socket.emit("not-your-turn", {
+            error: "It is not your turn",
+            currentTurn: room.chess ? room.chess.turn() : null,
+          });
+          return;
+        }
+
         // normalize promotion if provided
         try {
           if (move && move.promotion) {
@@ -1175,7 +1327,8 @@ module.exports = {
           }
         } catch (e) {}
 
-        const result = chess.move(move);
+        // move: { from, to, promotion? }, SAN, or a crazyhouse drop { drop: "n", to: "e4" } / "N@e4"
+        const result = applyMove(chess, move);
         if (!result) {
           socket.emit("invalid-move", {
             reason: "illegal move on server",
@@ -1185,6 +1338,9 @@ module.exports = {
             players: (room.players || []).map(mapPlayerForEmit),
             moves: room.moves,
             fen: chess.fen(),
+            pockets: crazyhouse.pocketsOf(chess),
+            checks: variants.checksOf(chess),
+            ...fogOfWar.viewFor(room, player.color),
             lastIndex: room.lastIndex,
             clocks: room.clocks
               ? {
@@ -1202,36 +1358,37 @@ module.exports = {
         }
 
         room.lastIndex = (room.lastIndex ?? -1) + 1;
-        const record = { index: room.lastIndex, move };
+        // Chess960 castles are stored as king-takes-rook with the side spelled out,
+        // crazyhouse drops as { drop, to }
+        let stored = move;
+        if (result.castle)
+          stored = { from: result.from, to: result.to, castle: result.castle };
+        else if (result.drop) stored = { drop: result.drop, to: result.to };
+        const record = { index: room.lastIndex, move: stored };
         room.moves.push(record);
         room.fen = chess.fen();
+        // a move withdraws any takeback request
+        room.pendingTakeback = null;
+
+        // bughouse: the captured piece goes to the partner on the other board
+        if (result.transfer && room.settings && room.settings.bughouse)
+          context.roomManager.transferBughouseCapture(roomId, result);
 
         clearFirstMoveTimer && clearFirstMoveTimer(room);
 
         // detect finished using unified helper
         const finishedObj = detectGameFinished(chess, result);
 
-        const containsBot = (room.players || []).some((p) =>
-          String(p.id || "")
-            .toLowerCase()
-            .startsWith("bot:")
-        );
-
-        if (containsBot) {
-          // Bot games have unlimited time: never create or update clocks
+        if (!usesClocks(room)) {
+          // Untimed bot games: never create or update clocks
           room.clocks = null;
         } else {
           if (!room.clocks) {
             if (!finishedObj) {
-              const minutes =
-                room.settings?.minutes || Math.floor(DEFAULT_MS / 60000);
-              const ms = room.settings?.minutesMs || minutes * 60 * 1000;
-              room.clocks = {
-                w: ms,
-                b: ms,
-                running: chess.turn(),
-                lastTick: Date.now(),
-              };
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                chess.turn()
+              );
             } else {
               room.clocks = {
                 w: room.clocks?.w ?? DEFAULT_MS,
@@ -1241,15 +1398,22 @@ module.exports = {
               };
             }
           } else {
+            // charge the mover up to now, then credit increment / delay
+            settleClock(room.clocks);
+            applyMoveToClocks(
+              room.clocks,
+              player.color,
+              timeControlFromSettings(room.settings)
+            );
             if (finishedObj) {
               room.paused = true;
-              room.clocks.running = null;
-              room.clocks.lastTick = null;
+              startTurn(room.clocks, null);
             } else {
-              room.clocks.running = chess.turn();
-              room.clocks.lastTick = Date.now();
+              startTurn(room.clocks, chess.turn());
             }
           }
+          // remaining times after this move, restored when it is taken back
+          record.clocks = { w: room.clocks.w, b: room.clocks.b };
         }
 
         // clear pending draw if from this player
@@ -1262,18 +1426,28 @@ module.exports = {
           }
         }
 
-        // emit to other players
-        socket.to(roomId).emit("opponent-move", {
-          ...record,
-          fen: room.fen,
-          clocks: room.clocks
-            ? {
-                w: room.clocks.w,
-                b: room.clocks.b,
-                running: room.clocks.running,
-              }
-            : null,
-        });
+        // emit to other players (fog of war: only the index, and each seat's own view)
+        const fogged = !finishedObj && !!fogOfWar.viewFor(room, null);
+        context.roomManager.emitRoomView(
+          roomId,
+          "opponent-move",
+          {
+            ...(fogged ? { index: record.index, hidden: true } : record),
+            fen: room.fen,
+            pockets: crazyhouse.pocketsOf(chess),
+            checks: variants.checksOf(chess),
+            clocks: room.clocks
+              ? {
+                  w: room.clocks.w,
+                  b: room.clocks.b,
+                  running: room.clocks.running,
+                }
+              : null,
+          },
+          { except: socket.id }
+        );
+        // the mover's own sight changed too
+        if (fogged) broadcastRoomState && broadcastRoomState(roomId);
 
         if (finishedObj) {
           room.finished = finishedObj;
@@ -1303,9 +1477,9 @@ module.exports = {
           }
 
           try {
-            // apply cups ONLY when not a bot game AND the finished state is decisive.
+            // apply cups ONLY when not a bot game AND the finish is rated (wins and draws).
             const hasBot = containsBotPlayer(room);
-            if (!hasBot && finishLooksDecisive(room)) {
+            if (!hasBot && finishAffectsCups(room)) {
               if (typeof applyCupsForFinishedRoom === "function") {
                 await applyCupsForFinishedRoom(roomId);
               }
@@ -1329,14 +1503,7 @@ module.exports = {
               !room.finished &&
               room.chess.turn() === botPl.color
             ) {
-              const engineLevel = mapRequestedBotLevelToEngine(
-                room.settings?.bot?.level
-              );
-              const delay =
-                300 +
-                Math.max(0, 4 - engineLevel) * 300 +
-                Math.floor(Math.random() * 500);
-              scheduleBotMove(roomId, delay);
+              scheduleBotMove(roomId, botMoveDelay(room));
             }
           } catch (e) {}
         }
@@ -1357,6 +1524,7 @@ module.exports = {
         room.pendingDrawOffer = {
           fromSocketId: socket.id,
           fromUserId: player.user?.id || null,
+          fromColor: player.color,
         };
 
         const opponent = room.players.find(
@@ -1397,6 +1565,33 @@ module.exports = {
         if (!roomId) return;
         const room = rooms[roomId];
         if (!room || room.finished) return;
+        // only the seated opponent of whoever offered may accept (draws are rated)
+        const player = (room.players || []).find((p) => p.id === socket.id);
+        const offer = room.pendingDrawOffer;
+        const offeredBy = offer
+          ? offer.fromColor ||
+            (
+              (room.players || []).find(
+                (p) =>
+                  p.id === offer.fromSocketId ||
+                  (offer.fromUserId &&
+                    p.user &&
+                    String(p.user.id) === String(offer.fromUserId))
+              ) || {}
+            ).color
+          : null;
+        if (
+          !player ||
+          !(player.color === "w" || player.color === "b") ||
+          !(offeredBy === "w" || offeredBy === "b") ||
+          offeredBy === player.color
+        ) {
+          socket.emit("draw-error", {
+            roomId,
+            error: "There is no draw offer to accept",
+          });
+          return;
+        }
         // mark finished as draw by agreement
         room.finished = {
           reason: "draw-agreed",
@@ -1422,8 +1617,16 @@ module.exports = {
           } catch (e) {
             console.error("saveFinishedGame error (accept-draw)", e);
           }
-          // IMPORTANT: do NOT call applyCupsForFinishedRoom for draws (draw-agreed).
-          // Cups should not change on draws by agreement.
+          // draws are rated too (by expected score, see socket/applyCups.js)
+          try {
+            if (!containsBotPlayer(room) && finishAffectsCups(room)) {
+              if (typeof applyCupsForFinishedRoom === "function") {
+                await applyCupsForFinishedRoom(roomId);
+              }
+            }
+          } catch (e) {
+            console.error("applyCupsForFinishedRoom error (accept-draw)", e);
+          }
         })();
       } catch (e) {
         console.error("accept-draw error:", e);
@@ -1442,6 +1645,88 @@ module.exports = {
       }
     });
 
+    // Takebacks (human games): the opponent accepts or declines; see
+    // roomManager.requestTakeback for the limits
+    socket.on("request-takeback", async ({ roomId } = {}) => {
+      try {
+        if (!roomId) return;
+        const room = rooms[roomId];
+        if (!room) return;
+        const player = room.players.find((p) => p.id === socket.id);
+        if (!player) return;
+        const res = context.roomManager.requestTakeback(roomId, player.color);
+        if (!res.ok) {
+          socket.emit("takeback-error", { roomId, error: res.error });
+          return;
+        }
+
+        const opponent = room.players.find(
+          (p) =>
+            p.color !== player.color && (p.color === "w" || p.color === "b")
+        );
+        if (opponent) {
+          io.to(opponent.id).emit("takeback-requested", {
+            roomId,
+            from: player.user,
+          });
+          // persist a notification for opponent (best-effort)
+          try {
+            if (
+              notificationService &&
+              typeof notificationService.createNotification === "function"
+            ) {
+              const targetUserId = opponent.user?.id || null;
+              if (targetUserId) {
+                await notificationService.createNotification(
+                  String(targetUserId),
+                  "takeback_request",
+                  "Takeback requested",
+                  `${
+                    player.user?.username || "Opponent"
+                  } asked to take back a move.`,
+                  { fromUserId: player.user?.id || null, roomId }
+                );
+              }
+            }
+          } catch (e) {
+            console.error("createNotification takeback-request error", e);
+          }
+        }
+      } catch (e) {
+        console.error("request-takeback error:", e);
+      }
+    });
+
+    socket.on("accept-takeback", ({ roomId } = {}) => {
+      try {
+        if (!roomId) return;
+        const room = rooms[roomId];
+        if (!room) return;
+        const player = room.players.find((p) => p.id === socket.id);
+        if (!player) return;
+        const res = context.roomManager.acceptTakeback(roomId, player.color);
+        if (!res.ok)
+          socket.emit("takeback-error", { roomId, error: res.error });
+      } catch (e) {
+        console.error("accept-takeback error:", e);
+      }
+    });
+
+    socket.on("decline-takeback", ({ roomId } = {}) => {
+      try {
+        if (!roomId) return;
+        const room = rooms[roomId];
+        if (!room) return;
+        const player = room.players.find((p) => p.id === socket.id);
+        if (!player) return;
+        const res = context.roomManager.declineTakeback(roomId, player.color);
+        if (!res.ok)
+          socket.emit("takeback-error", { roomId, error: res.error });
+      } catch (e) {
+        console.error("decline-takeback error:", e);
+      }
+    });
+
     socket.on("resign", async ({ roomId }) => {
       try {
         if (!roomId) return;
@@ -1484,7 +1769,7 @@ module.exports = {
 
           try {
             const hasBot = containsBotPlayer(room);
-            if (!hasBot && finishLooksDecisive(room)) {
+            if (!hasBot && finishAffectsCups(room)) {
               if (typeof applyCupsForFinishedRoom === "function") {
                 await applyCupsForFinishedRoom(roomId);
               }
@@ -1543,6 +1828,16 @@ module.exports = {
           finished: room.finished || null,
           pendingDrawOffer: room.pendingDrawOffer || null,
           settings: room.settings || null,
+          timeControl: room.clocks
+            ? timeControlFromSettings(room.settings)
+            : null,
+          startFen: room.settings?.startFen || null,
+          chess960: !!room.settings?.chess960,
+          variant: room.settings?.variant || "standard",
+          pockets: room.chess ? crazyhouse.pocketsOf(room.chess) : null,
+          checks: variants.checksOf(room.chess),
+          // fog of war in play: only what this socket's seat can see
+          ...fogOfWar.viewFor(room, requesterColor(room)),
           messages: (room.messages || []).slice(
             -Math.min(MAX_CHAT_MESSAGES, room.messages.length || 0)
           ),
@@ -1561,6 +1856,27 @@ module.exports = {
       }
     });
 
+    // step through the moves of a replay room (imported games) or a bot game
+    // without touching them; index null returns to the live position
+    socket.on("set-replay-index", ({ roomId, index } = {}, cb) => {
+      const reply = (payload) => {
+        if (typeof cb === "function") cb(payload);
+      };
+      try {
+        const room = rooms[roomId];
+        if (!room) return reply({ ok: false, error: "No such room" });
+        const replayable =
+          (room.settings && room.settings.replayOnly) ||
+          containsBotPlayer(room);
+        if (!replayable || !context.roomManager)
+          return reply({ ok: false, error: "Replay is not available here" });
+        reply(context.roomManager.setReplayIndex(roomId, index));
+      } catch (e) {
+        console.error("set-replay-index error:", e);
+        reply({ ok: false, error: "Server error" });
+      }
+    });
+
     socket.on("leave-room", ({ roomId }) => {
       try {
         if (!roomId) return;
@@ -1606,7 +1922,7 @@ module.exports = {
                 }
                 try {
                   const hasBot = containsBotPlayer(room);
-                  if (!hasBot && finishLooksDecisive(room)) {
+                  if (!hasBot && finishAffectsCups(room)) {
                     if (typeof applyCupsForFinishedRoom === "function") {
                       await applyCupsForFinishedRoom(roomId);
                     }
@@ -1738,7 +2054,7 @@ module.exports = {
         if (allAccepted) {
           // start rematch: reset board in-place
           try {
-            room.chess = new Chess();
+            room.chess = createChess(room.settings);
             room.fen = room.chess.fen();
             room.moves = [];
             room.lastIndex = -1;
@@ -1746,21 +2062,12 @@ module.exports = {
             room.pendingDrawOffer = null;
             room.paused = false;
 
-            // reset clocks to settings only for non-bot rematch
-            const containsBot = (room.players || []).some((p) =>
-              String(p.id || "")
-                .toLowerCase()
-                .startsWith("bot:")
-            );
-            if (!containsBot) {
-              room.clocks = {
-                w:
-                  room.settings?.minutesMs || room.settings.minutes * 60 * 1000,
-                b:
-                  room.settings?.minutesMs || room.settings.minutes * 60 * 1000,
-                running: room.chess.turn(),
-                lastTick: Date.now(),
-              };
+            // reset clocks to settings unless this is an untimed bot rematch
+            if (usesClocks(room)) {
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                room.chess.turn()
+              );
             } else {
               room.clocks = null;
             }
@@ -1779,14 +2086,7 @@ module.exports = {
                 .startsWith("bot:")
             );
             if (botPl) {
-              const engineLevel = mapRequestedBotLevelToEngine(
-                room.settings?.bot?.level
-              );
-              const delay =
-                300 +
-                Math.max(0, 4 - engineLevel) * 300 +
-                Math.floor(Math.random() * 500);
-              scheduleBotMove(roomId, delay);
+              scheduleBotMove(roomId, botMoveDelay(room));
             }
           } catch (e) {
             console.error("start rematch error:", e);
@@ -1821,57 +2121,18 @@ module.exports = {
       }
     });
 
-    socket.on("player-timeout", async ({ roomId, loser }) => {
+    // Clients may still report a timeout, but it is only a hint: the server
+    // settles the clocks itself and decides whether a flag really fell.
+    socket.on("player-timeout", async ({ roomId } = {}) => {
       try {
-        if (!roomId || !loser) return;
+        if (!roomId) return;
         const room = rooms[roomId];
         if (!room || room.finished) return;
         if (
-          room.clocks &&
-          typeof room.clocks[loser] === "number" &&
-          room.clocks[loser] <= 0
+          context.roomManager &&
+          typeof context.roomManager.checkClockFlag === "function"
         ) {
-          room.paused = true;
-          if (room.clocks) {
-            room.clocks.running = null;
-            room.clocks.lastTick = null;
-          }
-          const winner = loser === "w" ? "b" : "w";
-          room.finished = {
-            reason: "timeout",
-            winner,
-            loser,
-            message: `${winner.toUpperCase()} wins by timeout`,
-            finishedAt: Date.now(),
-          };
-          io.to(roomId).emit("game-over", { ...room.finished });
-          clearFirstMoveTimer && clearFirstMoveTimer(room);
-          Object.keys(room.disconnectTimers || {}).forEach((sid) => {
-            try {
-              clearDisconnectTimer(room, sid);
-            } catch (e) {}
-          });
-          clearBotTimeout(room);
-          broadcastRoomState && broadcastRoomState(roomId);
-          // new
-          try {
-            if (typeof saveFinishedGame === "function") {
-              await saveFinishedGame(roomId);
-            }
-          } catch (e) {
-            console.error("saveFinishedGame error (player-timeout)", e);
-          }
-
-          try {
-            const hasBot = containsBotPlayer(room);
-            if (!hasBot && finishLooksDecisive(room)) {
-              if (typeof applyCupsForFinishedRoom === "function") {
-                await applyCupsForFinishedRoom(roomId);
-              }
-            }
-          } catch (e) {
-            console.error("applyCupsForFinishedRoom error (player-timeout)", e);
-          }
+          await context.roomManager.checkClockFlag(roomId);
         }
       } catch (e) {
         console.error("player-timeout error:", e);
@@ -1880,8 +2141,17 @@ module.exports = {
 
     // ENQUEUE-MATCH I HAVE IT
     // replace existing "enqueue-match" handler with this (robust multi-fallback enqueue)
-    socket.on("enqueue-match", ({ cups, minutes } = {}) => {
+    socket.on("enqueue-match", async (payload = {}) => {
       try {
+        const { cups, minutes, timeControl, variant } = payload || {};
+        const queuedVariant = variants.normalizeVariant(variant);
+        if (!queuedVariant || queuedVariant === "bughouse") {
+          socket.emit("match-queue-error", {
+            ok: false,
+            error: "Unknown variant",
+          });
+          return;
+        }
         // capture best user info available
         const candidateUserId = socket.user?.id ? String(socket.user.id) : null;
         const candidateUsername =
@@ -1891,8 +2161,26 @@ module.exports = {
             socket.handshake.query.username) ||
           "Guest";
 
-        const cupsNum = Number(cups || 1200);
         const minutesNum = Number(minutes || 5);
+        const tcRead = readTimeControl({ timeControl, minutes: minutesNum });
+        if (tcRead.error) {
+          socket.emit("match-queue-error", { ok: false, error: tcRead.error });
+          return;
+        }
+        const queuedTc = tcRead.timeControl;
+        // logged-in players are paired on their rating in the game's
+        // category (lib/ratingCategories.js); guests on payload.cups
+        let cupsNum = Number(cups || 1200);
+        if (candidateUserId) {
+          const me = await User.findById(candidateUserId)
+            .select("ratings cups variantCups")
+            .lean()
+            .catch(() => null);
+          cupsNum = ratingCategories.categoryRating(
+            me,
+            ratingCategories.categoryFor(queuedVariant, queuedTc)
+          );
+        }
 
         // prefer a standardized enqueueMatch API (roomManager.enqueueMatch)
         const enqueueFn =
@@ -1912,6 +2200,10 @@ module.exports = {
               username: candidateUsername,
               cups: cupsNum,
               minutes: minutesNum,
+              timeControl: queuedTc,
+              variant: queuedVariant,
+              // { rated: false } queues for a casual game
+              rated: payload.rated !== false,
               socket, // some implementations expect the socket object
             });
 
@@ -2072,6 +2364,8 @@ module.exports = {
         try {
           if (removeFromPlayQueueBySocket)
             removeFromPlayQueueBySocket(socket.id);
+          if (context.matchmaking)
+            context.matchmaking.removeFromBughouseQueueBySocket(socket.id);
         } catch (e) {}
       } catch (e) {}
 
@@ -2138,7 +2432,7 @@ module.exports = {
                     }
                     try {
                       const hasBot = containsBotPlayer(room);
-                      if (!hasBot && finishLooksDecisive(room)) {
+                      if (!hasBot && finishAffectsCups(room)) {
                         if (typeof applyCupsForFinishedRoom === "function") {
                           await applyCupsForFinishedRoom(rId);
                         }
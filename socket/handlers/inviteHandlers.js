@@ -5,6 +5,17 @@
 // when available. It is defensive: works whether client sends inviteId or just user ids.
 
 const Invite = require("../../models/Invite"); // adjust path if your model lives elsewhere
+const {
+  readTimeControl,
+  settingsForTimeControl,
+  initialClocks,
+} = require("../../lib/timeControl");
+const {
+  resolveStartPosition,
+  startSettings,
+  createChess,
+} = require("../../lib/startPosition");
+const { normalizeVariant } = require("../../lib/variants");
 
 module.exports = {
   registerAll(socket, context) {
@@ -19,16 +30,30 @@ module.exports = {
     } = context;
 
     // Lightweight emit for an outgoing invite (inviter -> target user)
-    // Payload: { toUserId, roomId?, minutes?, colorPreference?, meta? }
+    // Payload: { toUserId, roomId?, minutes?, timeControl?, colorPreference?, variant?, rated?, meta? }
     socket.on("invite-friend", async (payload = {}, cb) => {
       try {
         const {
           toUserId,
           roomId = null,
           minutes = 5,
+          timeControl = null,
           colorPreference = "random",
+          rated = true,
           meta = null,
         } = payload;
+        const tcRead = readTimeControl({ timeControl, minutes });
+        if (tcRead.error) {
+          if (typeof cb === "function") cb({ ok: false, error: tcRead.error });
+          return;
+        }
+        const tc = tcRead.timeControl;
+        const variant = normalizeVariant(payload.variant);
+        if (!variant || variant === "bughouse") {
+          if (typeof cb === "function")
+            cb({ ok: false, error: "unknown-variant" });
+          return;
+        }
         const fromUser = socket.user || {
           id: socket.id,
           username: socket.user?.username || "guest",
@@ -39,8 +64,11 @@ module.exports = {
           io.to(`user:${String(toUserId)}`).emit("friend-invite", {
             fromUser,
             roomId,
-            minutes,
+            minutes: Math.round(tc.baseMs / 60000),
+            timeControl: tc.label,
             colorPreference,
+            variant,
+            rated: rated !== false,
             meta,
           });
         } catch (e) {
@@ -56,8 +84,11 @@ module.exports = {
                 fromUser.username || fromUser.displayName || "Guest",
               toUserId: String(toUserId || ""),
               toUsername: null,
-              minutes: Number(minutes) || 5,
+              minutes: Math.round(tc.baseMs / 60000),
+              timeControl: tc,
               colorPreference: colorPreference || "random",
+              variant,
+              rated: rated !== false,
               status: "pending",
               roomId: roomId || null,
               meta: meta || null,
@@ -77,9 +108,9 @@ module.exports = {
     });
 
     // Accept an invite (socket flow). Payload options:
-    // { inviteId, fromUserId, minutes, colorPreference }
+    // { inviteId, fromUserId, minutes, timeControl, colorPreference }
     // Behavior:
-    //  - If inviteId present -> load invite doc and prefer its data (from/to/minutes/colorPref)
+    //  - If inviteId present -> load invite doc and prefer its data (from/to/time control/colorPref)
     //  - Create a room (via roomManager.createRoom) for both players (userA=inviter, userB=acceptor)
     //  - Persist roomId into invite doc (if loaded)
     //  - Join sockets into the room and emit invite-accepted/match-found events with roomId
@@ -89,6 +120,7 @@ module.exports = {
           inviteId = null,
           fromUserId = null,
           minutes = 5,
+          timeControl = null,
           colorPreference = "random",
         } = payload;
         const acceptor = socket.user || {
@@ -98,7 +130,10 @@ module.exports = {
         let inviterId = fromUserId;
         let inviteDoc = null;
         let inviteMinutes = Number(minutes) || 5;
+        let inviteTimeControl = timeControl;
         let inviteColorPref = colorPreference || "random";
+        let inviteVariant = normalizeVariant(payload.variant) || "standard";
+        let inviteRated = payload.rated !== false;
 
         // If inviteId provided, load it and prefer its data
         if (inviteId && Invite) {
@@ -107,7 +142,10 @@ module.exports = {
             if (inviteDoc) {
               inviterId = String(inviteDoc.fromUserId || inviterId || "");
               inviteMinutes = Number(inviteDoc.minutes || inviteMinutes);
+              inviteTimeControl = inviteDoc.timeControl || inviteTimeControl;
               inviteColorPref = inviteDoc.colorPreference || inviteColorPref;
+              inviteVariant = inviteDoc.variant || inviteVariant;
+              inviteRated = inviteDoc.rated !== false;
             }
           } catch (e) {
             console.warn("accept-invite: failed to load inviteId", e);
@@ -117,12 +155,24 @@ module.exports = {
         // If still no inviterId, and fromUserId provided, use it
         if (!inviterId && fromUserId) inviterId = String(fromUserId);
 
+        const tcRead = readTimeControl({
+          timeControl: inviteTimeControl,
+          minutes: inviteMinutes || minutes,
+        });
+        if (tcRead.error) {
+          if (typeof cb === "function") cb({ ok: false, error: tcRead.error });
+          return;
+        }
+        const tc = tcRead.timeControl;
+
         // Create a room for inviter <-> acceptor
         let createdRoomId = null;
         try {
           const res = await roomManager.createRoom({
-            minutes: Math.max(1, Math.floor(Number(inviteMinutes || minutes))),
+            timeControl: tc,
             colorPreference: inviteColorPref || "random",
+            variant: inviteVariant,
+            rated: inviteRated,
             userA: inviterId ? { id: inviterId } : null,
             userB: acceptor && acceptor.id ? { id: acceptor.id } : null,
           });
@@ -168,6 +218,10 @@ module.exports = {
                     .catch(() => null)
                 : null;
 
+            const startPos = resolveStartPosition({ variant: inviteVariant });
+            const variantSettings = startPos.error
+              ? {}
+              : startSettings(startPos);
             const r = {
               players: [
                 {
@@ -196,37 +250,21 @@ module.exports = {
                 },
               ],
               moves: [],
-              chess: new (require("chess.js").Chess)(),
+              chess: createChess(variantSettings),
               fen: null,
               lastIndex: -1,
-              clocks: {
-                w:
-                  Math.max(1, Math.floor(Number(inviteMinutes || minutes))) *
-                  60 *
-                  1000,
-                b:
-                  Math.max(1, Math.floor(Number(inviteMinutes || minutes))) *
-                  60 *
-                  1000,
-                running: "w",
-                lastTick: Date.now(),
-              },
+              clocks: initialClocks(tc, "w"),
               paused: false,
               disconnectTimers: {},
               firstMoveTimer: null,
               pendingDrawOffer: null,
               finished: null,
               settings: {
-                minutes: Math.max(
-                  1,
-                  Math.floor(Number(inviteMinutes || minutes))
-                ),
-                minutesMs:
-                  Math.max(1, Math.floor(Number(inviteMinutes || minutes))) *
-                  60 *
-                  1000,
+                ...settingsForTimeControl(tc),
+                ...variantSettings,
                 creatorId: inviterId || null,
                 colorPreference: inviteColorPref || "random",
+                rated: inviteRated,
                 createdAt: Date.now(),
               },
               messages: [],
@@ -298,7 +336,10 @@ module.exports = {
                 roomId: createdRoomId,
                 byUser: acceptor,
                 minutes: inviteMinutes,
+                timeControl: tc.label,
                 colorPreference: inviteColorPref,
+                variant: inviteVariant,
+                rated: inviteRated,
               });
             } catch (e) {}
             try {
@@ -318,7 +359,10 @@ module.exports = {
               roomId: createdRoomId,
               byUser: acceptor,
               minutes: inviteMinutes,
+              timeControl: tc.label,
               colorPreference: inviteColorPref,
+              variant: inviteVariant,
+              rated: inviteRated,
             });
           } catch (e) {}
         } catch (e) {
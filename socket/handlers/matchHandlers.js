@@ -1,4 +1,20 @@
 // backend/socket/handlers/matchHandlers.js
+const {
+  resolveTimeControl,
+  readTimeControl,
+  timeControlFromSettings,
+  settingsForTimeControl,
+  botClockRequested,
+  initialClocks,
+} = require("../../lib/timeControl");
+const {
+  resolveStartPosition,
+  startSettings,
+  createChess,
+} = require("../../lib/startPosition");
+const { normalizeVariant } = require("../../lib/variants");
+const { categoryFor, categoryRating } = require("../../lib/ratingCategories");
+
 module.exports = {
   registerAll(socket, context) {
     const {
@@ -24,19 +40,44 @@ module.exports = {
       applyCupsForFinishedRoom,
     } = context;
 
+    // queued variant from { variant } (bughouse has its own queue below)
+    const queueVariant = (payload) => {
+      const variant = normalizeVariant(payload && payload.variant);
+      return variant && variant !== "bughouse" ? variant : null;
+    };
+
+    // a queued player's rating in the game's category (payload.cups for guests)
+    const queueRating = async (userId, variant, timeControl, payload) => {
+      if (!userId) {
+        return Number.isFinite(Number(payload?.cups))
+          ? Number(payload.cups)
+          : null;
+      }
+      const me = await User.findById(userId)
+        .select("ratings cups variantCups")
+        .lean()
+        .catch(() => null);
+      return categoryRating(me, categoryFor(variant, timeControl));
+    };
+
     // === enqueue / dequeue handlers ===
     socket.on("enqueue-match", async (payload = {}) => {
       try {
         const userId = socket.user?.id || null;
-        const cups =
-          socket.user?.cups ??
-          (Number.isFinite(Number(payload?.cups))
-            ? Number(payload.cups)
-            : null);
-        const minutes = Math.max(
-          1,
-          Math.floor(Number(payload?.minutes || payload?.m || 5))
-        );
+        const variant = queueVariant(payload);
+        if (!variant) {
+          socket.emit("match-queued", { ok: false, error: "Unknown variant" });
+          return;
+        }
+        const tcRead = readTimeControl(payload);
+        if (tcRead.error) {
+          socket.emit("match-queued", { ok: false, error: tcRead.error });
+          return;
+        }
+        const timeControl = tcRead.timeControl;
+        const minutes = Math.round(timeControl.baseMs / 60000);
+        // pair on the rating of the requested category (speed or variant)
+        const cups = await queueRating(userId, variant, timeControl, payload);
         const colorPreference =
           payload?.colorPreference || payload?.cp || "random";
 
@@ -45,7 +86,11 @@ module.exports = {
           userId,
           cups,
           minutes,
+          timeControl,
           colorPreference,
+          variant,
+          // { rated: false } joins the casual queue
+          rated: payload.rated !== false,
         });
         if (added)
           socket.emit("match-queued", {
@@ -70,19 +115,96 @@ module.exports = {
       }
     });
 
+    // Bughouse: queue alone, or with { partnerId } to team up with a friend
+    // (both must queue naming each other). Payload also takes timeControl.
+    socket.on("enqueue-bughouse", async (payload = {}) => {
+      try {
+        const userId = socket.user?.id || null;
+        if (!userId) {
+          socket.emit("match-queued", {
+            ok: false,
+            error: "Login required for bughouse",
+          });
+          return;
+        }
+        const partnerId = payload.partnerId ? String(payload.partnerId) : null;
+        if (partnerId && partnerId === String(userId)) {
+          socket.emit("match-queued", {
+            ok: false,
+            error: "You cannot partner yourself",
+          });
+          return;
+        }
+        const tcRead = readTimeControl(payload);
+        if (tcRead.error) {
+          socket.emit("match-queued", { ok: false, error: tcRead.error });
+          return;
+        }
+        const timeControl = tcRead.timeControl;
+        const added = context.matchmaking.addToBughouseQueue({
+          socketId: socket.id,
+          userId,
+          partnerId,
+          timeControl,
+        });
+        if (!added) {
+          socket.emit("match-queued", { ok: false, error: "Already in queue" });
+          return;
+        }
+        socket.emit("match-queued", {
+          ok: true,
+          variant: "bughouse",
+          message: partnerId
+            ? "Queued for bughouse — waiting for your partner"
+            : "Queued for bughouse",
+        });
+        if (partnerId) {
+          context.roomManager.notifyUser(
+            partnerId,
+            "bughouse-partner-request",
+            {
+              fromUserId: String(userId),
+              fromUsername: socket.user?.username || null,
+              timeControl: timeControl.label,
+            }
+          );
+        }
+      } catch (err) {
+        console.error("enqueue-bughouse error", err);
+        socket.emit("match-queue-error", { ok: false, error: "Server error" });
+      }
+    });
+
+    socket.on("dequeue-bughouse", () => {
+      try {
+        const removed = context.matchmaking.removeFromBughouseQueueBySocket(
+          socket.id
+        );
+        socket.emit("match-dequeued", { ok: true, removed });
+      } catch (e) {
+        console.error("dequeue-bughouse error", e);
+        socket.emit("match-queue-error", { ok: false, error: "Server error" });
+      }
+    });
+
     // Legacy play-online (kept identical)
     socket.on("play-online", async (payload = {}) => {
       try {
         const userId = socket.user?.id || null;
-        const cups =
-          socket.user?.cups ??
-          (Number.isFinite(Number(payload?.cups))
-            ? Number(payload.cups)
-            : null);
-        const minutes = Math.max(
-          1,
-          Math.floor(Number(payload?.minutes || payload?.m || 5))
-        );
+        const variant = queueVariant(payload);
+        if (!variant) {
+          socket.emit("match-queued", { ok: false, error: "Unknown variant" });
+          return;
+        }
+        const tcRead = readTimeControl(payload);
+        if (tcRead.error) {
+          socket.emit("match-queued", { ok: false, error: tcRead.error });
+          return;
+        }
+        const timeControl = tcRead.timeControl;
+        const minutes = Math.round(timeControl.baseMs / 60000);
+        // pair on the rating of the requested category (speed or variant)
+        const cups = await queueRating(userId, variant, timeControl, payload);
         const colorPreference =
           payload?.colorPreference || payload?.cp || "random";
 
@@ -91,7 +213,11 @@ module.exports = {
           userId,
           cups,
           minutes,
+          timeControl,
           colorPreference,
+          variant,
+          // { rated: false } joins the casual queue
+          rated: payload.rated !== false,
         });
         if (added)
           socket.emit("match-queued", {
@@ -119,9 +245,22 @@ module.exports = {
     // NEW: create-room handler (supports bot opponent)
     socket.on("create-room", async (payload = {}) => {
       try {
-        const minutes = Math.max(1, Math.floor(Number(payload.minutes || 5)));
-        const minutesMs = minutes * 60 * 1000;
+        const tcRead = readTimeControl(payload);
+        if (tcRead.error) {
+          socket.emit("create-room-result", { ok: false, error: tcRead.error });
+          return;
+        }
+        const timeControl = tcRead.timeControl;
         const colorPreference = payload.colorPreference || "random";
+        // { chess960: true } / { variant: "chess960" } / { fen: "<start FEN>" }
+        const startPos = resolveStartPosition(payload);
+        if (startPos.error) {
+          socket.emit("create-room-result", {
+            ok: false,
+            error: startPos.error,
+          });
+          return;
+        }
 
         // generate unique roomId
         let roomId = generateRoomCode(8);
@@ -166,7 +305,7 @@ module.exports = {
         const room = {
           players: [],
           moves: [],
-          chess: new Chess(),
+          chess: createChess(startSettings(startPos)),
           fen: null,
           lastIndex: -1,
           clocks: null, // defer initializing clocks until two colored players are present AND online
@@ -176,10 +315,14 @@ module.exports = {
           pendingDrawOffer: null,
           finished: null,
           settings: {
-            minutes,
-            minutesMs,
+            ...settingsForTimeControl(timeControl),
+            ...startSettings(startPos),
             creatorId: socket.user?.id || null,
             colorPreference,
+            // { takebacks: false } turns takeback requests off for this game
+            takebacks: payload.takebacks !== false,
+            // { rated: false } makes a casual game (no cups)
+            rated: payload.rated !== false,
             createdAt: Date.now(),
           },
           messages: [],
@@ -272,6 +415,7 @@ module.exports = {
             enabled: true,
             level: Number(payload.botLevel) || 2,
             id: botPlayer.id,
+            timed: botClockRequested(payload),
           };
         }
 
@@ -298,18 +442,22 @@ module.exports = {
               .startsWith("bot:")
           );
 
-          if (
+          const timedBot = !!(
+            containsBot &&
+            room.settings.bot &&
+            room.settings.bot.timed
+          );
+
+          if (timedBot && coloredPlayers.length === 2 && !room.finished) {
+            // timed bot game: clocks start now (no first-move timer vs the bot)
+            room.clocks = initialClocks(timeControl, room.chess.turn());
+          } else if (
             !containsBot &&
             coloredPlayers.length === 2 &&
             activeCount === 2 &&
             !room.finished
           ) {
-            room.clocks = {
-              w: minutesMs,
-              b: minutesMs,
-              running: room.chess.turn(),
-              lastTick: Date.now(),
-            };
+            room.clocks = initialClocks(timeControl, room.chess.turn());
             try {
               scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
             } catch (e) {}
@@ -334,7 +482,13 @@ module.exports = {
     // === challenge / accept / decline handlers (unchanged) ===
     socket.on(
       "challenge",
-      async ({ toUserId, minutes = 5, colorPreference = "random" }) => {
+      async ({
+        toUserId,
+        minutes = 5,
+        timeControl = null,
+        colorPreference = "random",
+        variant = null,
+      }) => {
         try {
           if (!toUserId) {
             socket.emit("challenge-response", {
@@ -343,6 +497,14 @@ module.exports = {
             });
             return;
           }
+          const challengeVariant = queueVariant({ variant });
+          if (!challengeVariant) {
+            socket.emit("challenge-response", {
+              ok: false,
+              error: "Unknown variant",
+            });
+            return;
+          }
           if (!socket.user || !socket.user.id) {
             socket.emit("challenge-response", {
               ok: false,
@@ -354,12 +516,23 @@ module.exports = {
           const challengeId = `${Date.now()}-${Math.floor(
             Math.random() * 1000000
           )}`;
+          const tcRead = readTimeControl({ timeControl, minutes });
+          if (tcRead.error) {
+            socket.emit("challenge-response", {
+              ok: false,
+              error: tcRead.error,
+            });
+            return;
+          }
+          const tc = tcRead.timeControl;
           pendingChallenges[challengeId] = {
             fromSocketId: socket.id,
             fromUserId: socket.user.id,
             toUserId,
-            minutes: Math.max(1, Math.floor(Number(minutes) || 5)),
+            minutes: Math.round(tc.baseMs / 60000),
+            timeControl: tc,
             colorPreference: colorPreference || "random",
+            variant: challengeVariant,
             createdAt: Date.now(),
           };
 
@@ -376,7 +549,9 @@ module.exports = {
             challengeId,
             from: { id: socket.user.id, username: socket.user.username },
             minutes: pendingChallenges[challengeId].minutes,
+            timeControl: tc.label,
             colorPreference: pendingChallenges[challengeId].colorPreference,
+            variant: challengeVariant,
           };
           targetSockets.forEach((sid) =>
             io.to(sid).emit("challenge-received", challengePayload)
@@ -389,11 +564,13 @@ module.exports = {
               "challenge",
               "New challenge",
               `${socket.user?.username || "A player"} challenged you (${
-                pendingChallenges[challengeId].minutes
-              }m).`,
+                tc.label
+              }).`,
               {
                 challengeId,
                 minutes: pendingChallenges[challengeId].minutes,
+                timeControl: tc.label,
+                variant: challengeVariant,
                 fromUserId: socket.user?.id || null,
               }
             );
@@ -501,10 +678,12 @@ module.exports = {
           }
 
           // create room object now that reservations are present
+          const startPos = resolveStartPosition({ variant: pending.variant });
+          const variantSettings = startPos.error ? {} : startSettings(startPos);
           const room = {
             players: [],
             moves: [],
-            chess: new Chess(),
+            chess: createChess(variantSettings),
             fen: null,
             lastIndex: -1,
             clocks: null, // defer clock init until both players online
@@ -514,8 +693,13 @@ module.exports = {
             pendingDrawOffer: null,
             finished: null,
             settings: {
-              minutes: pending.minutes,
-              minutesMs: pending.minutes * 60 * 1000,
+              ...settingsForTimeControl(
+                resolveTimeControl({
+                  timeControl: pending.timeControl,
+                  minutes: pending.minutes,
+                })
+              ),
+              ...variantSettings,
               creatorId: pending.fromUserId,
               colorPreference: pending.colorPreference || "random",
             },
@@ -599,12 +783,10 @@ module.exports = {
               activeCount === 2 &&
               !room.finished
             ) {
-              room.clocks = {
-                w: room.settings.minutesMs,
-                b: room.settings.minutesMs,
-                running: room.chess.turn(),
-                lastTick: Date.now(),
-              };
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                room.chess.turn()
+              );
               try {
                 scheduleFirstMoveTimer && scheduleFirstMoveTimer(roomId);
               } catch (e) {}
@@ -0,0 +1,66 @@
+// backend/socket/handlers/studyHandlers.js
+// Live studies (services/studyService.js). Members join the socket room
+// `study:<studyId>` and get the whole study once; every change after that,
+// their own included, arrives as "study-update" with the next `version`.
+// A client that sees a gap asks "study-sync" with the last version it has.
+
+const studies = require("../../services/studyService");
+
+module.exports = {
+  registerAll(socket) {
+    function reply(cb, payload) {
+      if (typeof cb === "function") cb(payload);
+    }
+
+    function meId() {
+      return socket.user && socket.user.id ? String(socket.user.id) : null;
+    }
+
+    // { studyId } -> cb({ ok, study })
+    socket.on("study-join", async ({ studyId } = {}, cb) => {
+      try {
+        const entry = await studies.loadStudy(studyId);
+        if (!entry) return reply(cb, { ok: false, error: "Study not found" });
+        if (!studies.roleOf(entry.study, meId()))
+          return reply(cb, { ok: false, error: "Not a member of this study" });
+        socket.join(studies.studyRoom(entry.study.studyId));
+        reply(cb, { ok: true, study: studies.summarize(entry.study, meId()) });
+      } catch (e) {
+        console.error("study-join error:", e);
+        reply(cb, { ok: false, error: "Server error" });
+      }
+    });
+
+    // { studyId, version } -> cb({ ok, updates }) or cb({ ok, study })
+    socket.on("study-sync", async ({ studyId, version } = {}, cb) => {
+      try {
+        const result = await studies.updatesSince(studyId, meId(), version);
+        if (!result.ok) return reply(cb, { ok: false, error: result.error });
+        reply(cb, result);
+      } catch (e) {
+        console.error("study-sync error:", e);
+        reply(cb, { ok: false, error: "Server error" });
+      }
+    });
+
+    socket.on("study-leave", ({ studyId } = {}) => {
+      try {
+        if (studyId) socket.leave(studies.studyRoom(studyId));
+      } catch (e) {}
+    });
+
+    // { studyId, op } -> cb({ ok, update }); the room gets "study-update"
+    socket.on("study-op", async ({ studyId, op } = {}, cb) => {
+      try {
+        if (!meId())
+          return reply(cb, { ok: false, error: "Not authenticated" });
+        const result = await studies.applyOp(studyId, meId(), op);
+        if (!result.ok) return reply(cb, { ok: false, error: result.error });
+        reply(cb, { ok: true, update: result.update });
+      } catch (e) {
+        console.error("study-op error:", e);
+        reply(cb, { ok: false, error: "Server error" });
+      }
+    });
+  },
+};
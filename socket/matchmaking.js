@@ -3,8 +3,36 @@
 // This module expects a context object { io, rooms, generateRoomCode, User, tryReserveActiveRoom, releaseActiveRoom, ... }
 // and provides addToPlayQueue/removeFromPlayQueue/attemptMatchmaking functions.
 
-const playQueue = new Map(); // key => entry { id, socketId, cups, ts, minutes, colorPreference }
-const playQueueByCups = new Map(); // cups -> Set of keys
+const {
+  resolveTimeControl,
+  timeControlFromSettings,
+  settingsForTimeControl,
+  initialClocks,
+} = require("../lib/timeControl");
+const {
+  resolveStartPosition,
+  startSettings,
+  createChess,
+} = require("../lib/startPosition");
+
+// rated and casual games are matched from separate queues; an entry's cups is
+// the player's rating in the requested category (lib/ratingCategories.js)
+function createQueue() {
+  return {
+    playQueue: new Map(), // key => entry { id, socketId, cups, ts, minutes, timeControl, colorPreference, variant, rated }
+    playQueueByCups: new Map(), // cups -> Set of keys
+  };
+}
+const queues = { rated: createQueue(), casual: createQueue() };
+
+function queueFor(rated) {
+  return rated === false ? queues.casual : queues.rated;
+}
+
+// the queue currently holding `key` (null when queued nowhere)
+function queueOf(key) {
+  return Object.values(queues).find((q) => q.playQueue.has(key)) || null;
+}
 
 function queueKeyFor(entry) {
   return entry.id ? `u:${entry.id}` : `s:${entry.socketId}`;
@@ -15,18 +43,26 @@ async function addToPlayQueue({
   userId,
   cups = null,
   minutes = 5,
+  timeControl = null,
   colorPreference = "random",
+  variant = "standard",
+  rated = true,
 }) {
   const key = queueKeyFor({ id: userId, socketId });
-  if (playQueue.has(key)) return false;
+  if (queueOf(key)) return false;
+  const { playQueue, playQueueByCups } = queueFor(rated);
   const ts = Date.now();
+  const tc = resolveTimeControl({ timeControl, minutes });
   const entry = {
     id: userId || null,
     socketId,
     cups: Number.isFinite(Number(cups)) ? Number(cups) : null,
     ts,
-    minutes: Number(minutes) || 5,
+    minutes: Math.round(tc.baseMs / 60000),
+    timeControl: tc,
     colorPreference: colorPreference || "random",
+    variant: variant || "standard",
+    rated: rated !== false,
   };
   playQueue.set(key, entry);
   const cupKey = entry.cups !== null ? String(entry.cups) : "__unknown__";
@@ -35,9 +71,23 @@ async function addToPlayQueue({
   return true;
 }
 
+// only pair players who asked for the same time control ("3+2" never meets "5+0")
+function sameTimeControl(e1, e2) {
+  const a = e1 && e1.timeControl ? e1.timeControl.label : null;
+  const b = e2 && e2.timeControl ? e2.timeControl.label : null;
+  return a === b;
+}
+
+// each variant is its own pool (cups are per-variant ladders too)
+function sameVariant(e1, e2) {
+  return (e1.variant || "standard") === (e2.variant || "standard");
+}
+
 function removeFromPlayQueueByKey(key) {
+  const queue = queueOf(key);
+  if (!queue) return false;
+  const { playQueue, playQueueByCups } = queue;
   const ent = playQueue.get(key);
-  if (!ent) return false;
   const cupKey = ent.cups !== null ? String(ent.cups) : "__unknown__";
   if (playQueueByCups.has(cupKey)) {
     playQueueByCups.get(cupKey).delete(key);
@@ -49,10 +99,12 @@ function removeFromPlayQueueByKey(key) {
 
 function removeFromPlayQueueBySocket(socketId) {
   let removed = false;
-  for (const [k, v] of playQueue) {
-    if (v.socketId === socketId) {
-      removeFromPlayQueueByKey(k);
-      removed = true;
+  for (const { playQueue } of Object.values(queues)) {
+    for (const [k, v] of playQueue) {
+      if (v.socketId === socketId) {
+        removeFromPlayQueueByKey(k);
+        removed = true;
+      }
     }
   }
   return removed;
@@ -62,7 +114,8 @@ function findSocketsForKeys(keys, context) {
   const out = [];
   try {
     for (const k of keys) {
-      const ent = playQueue.get(k);
+      const queue = queueOf(k);
+      const ent = queue && queue.playQueue.get(k);
       if (!ent) continue;
       const sock =
         context.io &&
@@ -113,6 +166,13 @@ function detectIsBotRoomFromPlayers(players = [], settings = {}) {
 
 async function attemptMatchmaking(context) {
   // context must provide: io, rooms, generateRoomCode, User, tryReserveActiveRoom, releaseActiveRoom
+  for (const queue of Object.values(queues)) {
+    await matchWithinQueue(context, queue);
+  }
+}
+
+// pairs the entries of one queue (rated or casual)
+async function matchWithinQueue(context, { playQueue, playQueueByCups }) {
   if (!playQueue.size) return;
   const now = Date.now();
   const entries = Array.from(playQueue.entries())
@@ -142,6 +202,7 @@ async function attemptMatchmaking(context) {
       const e2 = playQueue.get(k2);
       if (!e2) continue;
       if (e1.id && e2.id && String(e1.id) === String(e2.id)) continue;
+      if (!sameTimeControl(e1, e2) || !sameVariant(e1, e2)) continue;
       const s1 = context.io.sockets.sockets.get(e1.socketId);
       const s2 = context.io.sockets.sockets.get(e2.socketId);
       if (!s1 || !s2) continue;
@@ -166,6 +227,7 @@ async function attemptMatchmaking(context) {
               const e2 = playQueue.get(k2);
               if (!e2) continue;
               if (e1.id && e2.id && String(e1.id) === String(e2.id)) continue;
+              if (!sameTimeControl(e1, e2) || !sameVariant(e1, e2)) continue;
               const s1 = context.io.sockets.sockets.get(e1.socketId);
               const s2 = context.io.sockets.sockets.get(e2.socketId);
               if (!s1 || !s2) continue;
@@ -187,6 +249,7 @@ async function attemptMatchmaking(context) {
           const e2 = playQueue.get(k2);
           if (!e2) continue;
           if (e1.id && e2.id && String(e1.id) === String(e2.id)) continue;
+          if (!sameTimeControl(e1, e2) || !sameVariant(e1, e2)) continue;
           const s1 = context.io.sockets.sockets.get(e1.socketId);
           const s2 = context.io.sockets.sockets.get(e2.socketId);
           if (!s1 || !s2) continue;
@@ -216,12 +279,11 @@ async function attemptMatchmaking(context) {
           const userB = e2.id ? { id: String(e2.id) } : null;
 
           const res = await context.roomManager.createRoom({
-            minutes: Math.max(
-              1,
-              Math.floor(Number(e1.minutes || e2.minutes || 5))
-            ),
+            timeControl: e1.timeControl || e2.timeControl,
             colorPreference:
               e1.colorPreference || e2.colorPreference || "random",
+            variant: e1.variant,
+            rated: e1.rated,
             userA,
             userB,
           });
@@ -300,10 +362,12 @@ async function attemptMatchmaking(context) {
           }
 
           // Build fallback room object (kept original)
+          const startPos = resolveStartPosition({ variant: e1.variant });
+          const variantSettings = startPos.error ? {} : startSettings(startPos);
           const room = {
             players: [],
             moves: [],
-            chess: new context.Chess(),
+            chess: createChess(variantSettings),
             fen: null,
             lastIndex: -1,
             clocks: null,
@@ -313,17 +377,17 @@ async function attemptMatchmaking(context) {
             pendingDrawOffer: null,
             finished: null,
             settings: {
-              minutes: Math.max(
-                1,
-                Math.floor(Number(e1.minutes || e2.minutes || 5))
+              ...settingsForTimeControl(
+                resolveTimeControl({
+                  timeControl: e1.timeControl || e2.timeControl,
+                  minutes: e1.minutes || e2.minutes,
+                })
               ),
-              minutesMs:
-                Math.max(1, Math.floor(Number(e1.minutes || e2.minutes || 5))) *
-                60 *
-                1000,
+              ...variantSettings,
               creatorId: e1.id || e2.id || null,
               colorPreference:
                 e1.colorPreference || e2.colorPreference || "random",
+              rated: e1.rated !== false,
             },
             messages: [],
             rematch: null,
@@ -396,12 +460,10 @@ async function attemptMatchmaking(context) {
             );
 
             if (!isBot && colored.length === 2 && activeCount === 2) {
-              room.clocks = {
-                w: room.settings.minutesMs,
-                b: room.settings.minutesMs,
-                running: room.chess.turn(),
-                lastTick: Date.now(),
-              };
+              room.clocks = initialClocks(
+                timeControlFromSettings(room.settings),
+                room.chess.turn()
+              );
               try {
                 context.scheduleFirstMoveTimer &&
                   context.scheduleFirstMoveTimer(fallbackRoomId);
@@ -549,6 +611,7 @@ async function attemptMatchmaking(context) {
                 finished: room.finished || null,
                 pendingDrawOffer: room.pendingDrawOffer || null,
                 settings: room.settings || null,
+                timeControl: timeControlFromSettings(room.settings),
                 messages: (room.messages || []).slice(
                   -Math.min(
                     context.MAX_CHAT_MESSAGES,
@@ -590,13 +653,153 @@ async function attemptMatchmaking(context) {
   }
 }
 
+/* ------------------------------------------------------------------
+   Bughouse queue: players queue alone or name a partner; two solo players
+   are teamed up, a named partnership forms once both have queued naming each
+   other. Two teams on the same time control make a match
+   (roomManager.createBughouseMatch).
+   ------------------------------------------------------------------ */
+
+const bughouseQueue = new Map(); // userId => { id, socketId, partnerId, timeControl, ts }
+
+function addToBughouseQueue({
+  socketId,
+  userId,
+  partnerId = null,
+  timeControl = null,
+}) {
+  if (!userId) return false;
+  const key = String(userId);
+  if (bughouseQueue.has(key)) return false;
+  bughouseQueue.set(key, {
+    id: key,
+    socketId,
+    partnerId: partnerId ? String(partnerId) : null,
+    timeControl: resolveTimeControl({ timeControl }),
+    ts: Date.now(),
+  });
+  return true;
+}
+
+function removeFromBughouseQueueBySocket(socketId) {
+  let removed = false;
+  for (const [k, v] of bughouseQueue) {
+    if (v.socketId === socketId) {
+      bughouseQueue.delete(k);
+      removed = true;
+    }
+  }
+  return removed;
+}
+
+// teams (pairs of entries) available in `entries`, oldest first
+function formBughouseTeams(entries) {
+  const teams = [];
+  const taken = new Set();
+  for (const e of entries) {
+    if (taken.has(e.id) || !e.partnerId) continue;
+    const partner = bughouseQueue.get(e.partnerId);
+    if (!partner || taken.has(partner.id) || partner.partnerId !== e.id)
+      continue;
+    if (!sameTimeControl(e, partner)) continue;
+    taken.add(e.id);
+    taken.add(partner.id);
+    teams.push([e, partner]);
+  }
+  let solo = null;
+  for (const e of entries) {
+    if (taken.has(e.id) || e.partnerId) continue;
+    if (!solo) {
+      solo = e;
+      continue;
+    }
+    taken.add(solo.id);
+    taken.add(e.id);
+    teams.push([solo, e]);
+    solo = null;
+  }
+  return teams;
+}
+
+async function attemptBughouseMatchmaking(context) {
+  if (bughouseQueue.size < 4) return;
+  const live = Array.from(bughouseQueue.values())
+    .filter((e) => context.io.sockets.sockets.get(e.socketId))
+    .sort((a, b) => a.ts - b.ts);
+
+  const byControl = new Map();
+  for (const e of live) {
+    const label = e.timeControl ? e.timeControl.label : "";
+    if (!byControl.has(label)) byControl.set(label, []);
+    byControl.get(label).push(e);
+  }
+
+  for (const group of byControl.values()) {
+    const teams = formBughouseTeams(group);
+    while (teams.length >= 2) {
+      const [t0, t1] = teams.splice(0, 2);
+      const members = [...t0, ...t1];
+      members.forEach((e) => bughouseQueue.delete(e.id));
+
+      const res = await context.roomManager.createBughouseMatch({
+        teams: [t0, t1].map((t) => t.map((e) => ({ id: e.id }))),
+        timeControl: t0[0].timeControl,
+      });
+
+      if (!res || !res.ok) {
+        for (const e of members) {
+          const sock = context.io.sockets.sockets.get(e.socketId);
+          if (sock)
+            sock.emit("match-queue-error", {
+              ok: false,
+              error: (res && res.error) || "Bughouse match could not start",
+            });
+        }
+        continue;
+      }
+
+      for (const e of members) {
+        const sock = context.io.sockets.sockets.get(e.socketId);
+        if (!sock) continue;
+        const room = Object.values(res.boards)
+          .map((rid) => ({ rid, room: context.rooms[rid] }))
+          .find(
+            ({ room }) =>
+              room &&
+              room.players.some(
+                (p) => String(p.user?.id || p.user?._id || p.id) === e.id
+              )
+          );
+        if (!room) continue;
+        sock.join(room.rid);
+        const me = room.room.players.find(
+          (p) => String(p.user?.id || p.user?._id || p.id) === e.id
+        );
+        sock.emit("bughouse-match-found", {
+          ok: true,
+          matchId: res.matchId,
+          roomId: room.rid,
+          board: room.room.settings.bughouse.board,
+          partnerRoomId: room.room.settings.bughouse.partnerRoomId,
+          color: me ? me.color : null,
+        });
+      }
+    }
+  }
+}
+
 module.exports = {
   addToPlayQueue,
   removeFromPlayQueueByKey,
   removeFromPlayQueueBySocket,
   findSocketsForKeys,
   attemptMatchmaking,
+  addToBughouseQueue,
+  removeFromBughouseQueueBySocket,
+  attemptBughouseMatchmaking,
   // expose playQueue structures for debugging if needed
-  _playQueue: playQueue,
-  _playQueueByCups: playQueueByCups,
+  _queues: queues,
+  _playQueue: queues.rated.playQueue,
+  _playQueueByCups: queues.rated.playQueueByCups,
+  _bughouseQueue: bughouseQueue,
 };
@@ -4,6 +4,9 @@
 const mongoose = require("mongoose");
 const User = require("../models/User");
 
+// activeRoom is the single *live* game a user is playing. Correspondence games
+// (services/correspondenceService.js) never reserve it, so a player can have any
+// number of daily games open and still start a live one.
 async function tryReserveActiveRoom(userId, roomId) {
   try {
     if (!userId) return { ok: true, set: false };
@@ -0,0 +1,63 @@
+// backend/test/applyCups.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const applyCups = require("../socket/applyCups");
+
+// a Game model that records its updates, and a User model nobody should need
+function models() {
+  const updates = [];
+  const exec = (value) => ({
+    exec: async () => value,
+    lean: () => exec(value),
+  });
+  const Game = {
+    updateOne: (filter, update) => {
+      updates.push(update);
+      return exec({ modifiedCount: 1 });
+    },
+    findOneAndUpdate: (filter, update) => {
+      updates.push(update);
+      return exec(null);
+    },
+  };
+  const User = {
+    findById: () => {
+      throw new Error("no user lookup expected");
+    },
+    findOne: () => {
+      throw new Error("no user lookup expected");
+    },
+  };
+  const log = { info() {}, warn() {}, error() {} };
+  return { updates, context: { Game, User, log, RatingHistory: {} } };
+}
+
+const players = [
+  { id: "u1", color: "w" },
+  { id: "u2", color: "b" },
+];
+
+test("a game that ended before the first move is not rated", async () => {
+  const { updates, context } = models();
+  const res = await applyCups(context, {
+    _id: "g1",
+    rated: true,
+    players,
+    moves: [],
+    finished: { reason: "first-move-timeout", result: "draw" },
+  });
+  assert.deepEqual(res, { ok: true, reason: "no-moves" });
+  assert.deepEqual(updates, [{ $set: { cupsProcessed: true } }]);
+});
+
+test("abandoned games stay unrated", async () => {
+  const { context } = models();
+  const res = await applyCups(context, {
+    _id: "g2",
+    rated: true,
+    players,
+    moves: [{ index: 0, move: { from: "e2", to: "e4" } }],
+    finished: { reason: "abandoned", result: "abandoned" },
+  });
+  assert.deepEqual(res, { ok: true, reason: "abandoned" });
+});
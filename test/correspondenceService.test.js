@@ -0,0 +1,34 @@
+// backend/test/correspondenceService.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const CorrespondenceGame = require("../models/CorrespondenceGame");
+const correspondenceService = require("../services/correspondenceService");
+
+const query = (value) => ({
+  limit: () => query(value),
+  exec: async () => value,
+});
+
+test("expiry only finishes a game still past its deadline", async (t) => {
+  const now = Date.now();
+  const overdue = {
+    _id: "g1",
+    status: "active",
+    turn: "w",
+    lastIndex: 3,
+    moves: [],
+    deadlineAt: new Date(now - 1000),
+  };
+  const filters = [];
+  t.mock.method(CorrespondenceGame, "find", () => query([overdue]));
+  // the player moved between the sweep's read and its update
+  t.mock.method(CorrespondenceGame, "findOneAndUpdate", (filter) => {
+    filters.push(filter);
+    return query(null);
+  });
+
+  assert.equal(await correspondenceService.expireOverdueGames(now), 0);
+  assert.equal(filters[0].lastIndex, 3);
+  assert.equal(filters[0].status, "active");
+  assert.equal(filters[0].deadlineAt.$lte.getTime(), now);
+});
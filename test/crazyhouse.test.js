@@ -0,0 +1,100 @@
+// backend/test/crazyhouse.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Chess } = require("chess.js");
+const crazyhouse = require("../lib/crazyhouse");
+const { createChess, applyMove } = require("../lib/startPosition");
+
+const SETTINGS = { variant: "crazyhouse" };
+
+function play(chess, moves) {
+  return moves.map((m) => {
+    const result = applyMove(chess, m);
+    assert.ok(result, `illegal: ${m}`);
+    return result;
+  });
+}
+
+test("parseDrop reads strings and objects", () => {
+  assert.deepEqual(crazyhouse.parseDrop("N@e4"), { piece: "n", to: "e4" });
+  assert.deepEqual(crazyhouse.parseDrop("@e4+"), { piece: "p", to: "e4" });
+  assert.deepEqual(crazyhouse.parseDrop({ drop: "Q", to: "d1" }), {
+    piece: "q",
+    to: "d1",
+  });
+  assert.equal(crazyhouse.parseDrop("e4"), null);
+  assert.equal(crazyhouse.parseDrop({ from: "e2", to: "e4" }), null);
+});
+
+test("captures go to the capturer's pocket and can be dropped", () => {
+  const chess = createChess(SETTINGS);
+  play(chess, ["e4", "d5", "exd5", "Qxd5", "Nc3", "Qa5"]);
+  assert.deepEqual(crazyhouse.pocketsOf(chess), {
+    w: { p: 1, n: 0, b: 0, r: 0, q: 0 },
+    b: { p: 1, n: 0, b: 0, r: 0, q: 0 },
+  });
+
+  const [dropped] = play(chess, ["P@d4"]);
+  assert.equal(dropped.san, "P@d4");
+  assert.equal(dropped.flags, "d");
+  assert.equal(chess.get("d4").type, "p");
+  assert.equal(crazyhouse.pocketsOf(chess).w.p, 0);
+  assert.equal(chess.turn(), "b");
+
+  // pocket empty, square taken, pawn on the back rank
+  assert.equal(applyMove(chess, "N@f6"), null);
+  assert.equal(applyMove(chess, "P@d4"), null);
+  assert.equal(applyMove(chess, "P@a1"), null);
+  assert.ok(applyMove(chess, "P@e6"));
+});
+
+test("a promoted piece goes back to the pocket as a pawn", () => {
+  const chess = createChess({
+    ...SETTINGS,
+    startFen: "4k3/1P6/8/8/8/8/7r/4K3 w - - 0 1",
+  });
+  play(chess, ["b8=Q+", "Kd7", "Qb2", "Rxb2"]);
+  assert.equal(crazyhouse.pocketsOf(chess).b.p, 1);
+  assert.equal(crazyhouse.pocketsOf(chess).b.q, 0);
+});
+
+test("in check only blocking drops are legal, and they stop a mate", () => {
+  const fen = "6k1/8/8/8/8/8/6PP/r6K w - - 0 1";
+  const chess = createChess({ ...SETTINGS, startFen: fen });
+  assert.equal(crazyhouse.isMate(chess), true);
+
+  chess.crazyhouse.pockets.w.n = 1;
+  assert.equal(crazyhouse.isMate(chess), false);
+  const drops = crazyhouse.legalDrops(chess);
+  assert.deepEqual(drops.map((d) => d.to).sort(), [
+    "b1",
+    "c1",
+    "d1",
+    "e1",
+    "f1",
+    "g1",
+  ]);
+  assert.equal(crazyhouse.detectFinished(chess), null);
+});
+
+test("checkmate and repetition include the pockets", () => {
+  const mated = createChess({
+    ...SETTINGS,
+    startFen: "6k1/8/8/8/8/8/6PP/r6K w - - 0 1",
+  });
+  assert.equal(crazyhouse.detectFinished(mated).winner, "b");
+
+  const chess = createChess(SETTINGS);
+  const shuffle = ["Nf3", "Nf6", "Ng1", "Ng8"];
+  play(chess, shuffle);
+  play(chess, shuffle);
+  assert.equal(crazyhouse.detectFinished(chess).reason, "threefold-repetition");
+});
+
+test("bughouse captures are passed on instead of pocketed", () => {
+  const chess = new Chess();
+  crazyhouse.attachState(chess, { linked: true });
+  const [, , capture] = play(chess, ["e4", "d5", "exd5"]);
+  assert.equal(capture.transfer, "p");
+  assert.equal(crazyhouse.pocketsOf(chess).w.p, 0);
+});
@@ -0,0 +1,60 @@
+// backend/test/fogOfWar.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateFen } = require("chess.js");
+const { createChess, applyMove } = require("../lib/startPosition");
+const fogOfWar = require("../lib/fogOfWar");
+
+const SETTINGS = { variant: "fogofwar" };
+
+function game(moves, settings = SETTINGS) {
+  const chess = createChess(settings);
+  for (const m of moves) assert.ok(applyMove(chess, m), `illegal: ${m}`);
+  return chess;
+}
+
+test("viewFen hides enemy pieces out of sight", () => {
+  const chess = game(["e4", "e5", "Nf3"]);
+  const view = fogOfWar.viewFen(chess, "b");
+  assert.equal(view.split(" ")[0], "rnbqkbnr/pppp1ppp/8/4p3/8/8/8/8");
+  assert.equal(fogOfWar.viewFen(chess, null).split(" ")[0], "8/8/8/8/8/8/8/8");
+});
+
+test("viewFor only applies to fog rooms in play", () => {
+  const chess = game(["e4"]);
+  const room = { settings: SETTINGS, chess, moves: [{ index: 0, san: "e4" }] };
+  const view = fogOfWar.viewFor(room, "b");
+  assert.deepEqual(view.moves, [{ index: 0, hidden: true }]);
+  assert.ok(view.visible.includes("e6"));
+  assert.equal(fogOfWar.viewFor({ ...room, finished: {} }, "b"), null);
+  assert.equal(
+    fogOfWar.viewFor({ ...room, settings: {}, chess: createChess() }, "b"),
+    null
+  );
+});
+
+test("botViewFen puts an unseen king where it was last seen", () => {
+  const chess = game(["e4", "e5", "Nf3"]);
+  const fen = fogOfWar.botViewFen(chess, "b");
+  assert.equal(fen.split(" ")[0], "rnbqkbnr/pppp1ppp/8/4p3/8/8/8/4K3");
+  assert.ok(validateFen(fen).ok);
+  // the plain view has no white king for an engine to search
+  assert.equal(validateFen(fogOfWar.viewFen(chess, "b")).ok, false);
+});
+
+test("botViewFen gives up when the remembered square shows a piece", () => {
+  const chess = game(["e4", "e5", "Ke2"]);
+  // black still thinks the white king is on e1
+  assert.ok(fogOfWar.botViewFen(chess, "b").split(" ")[0].endsWith("/4K3"));
+  chess.fogOfWar.seenKing.b = "d8"; // black's own queen stands there
+  assert.equal(fogOfWar.botViewFen(chess, "b"), null);
+});
+
+test("a king within reach can be captured", () => {
+  // 1. e4 f5 2. Qh5 g6 3. Qxg6 a6: fog has no check, the king was left en prise
+  const chess = game(["e4", "f5", "Qh5", "g6", "Qxg6", "a6"]);
+  const kill = fogOfWar.pseudoMoves(chess).find((m) => m.captured === "k");
+  assert.equal(kill && kill.to, "e8");
+  const result = applyMove(chess, { from: kill.from, to: kill.to });
+  assert.equal(fogOfWar.detectFinished(chess, result).winner, "w");
+});
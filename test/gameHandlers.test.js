@@ -0,0 +1,139 @@
+// backend/test/gameHandlers.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const gameHandlers = require("../socket/handlers/gameHandlers");
+const { createChess } = require("../lib/startPosition");
+
+// a socket that records its handlers and what it emits, and an io whose
+// room emits are recorded too
+function harness(rooms, extra = {}) {
+  const emitted = [];
+  const io = {
+    to: (target) => ({
+      emit: (event, payload) => emitted.push({ target, event, payload }),
+    }),
+  };
+  const context = {
+    io,
+    rooms,
+    broadcastRoomState: () => {},
+    saveFinishedGame: async () => {},
+    applyCupsForFinishedRoom: async () => {},
+    ...extra,
+  };
+  const connect = (id) => {
+    const handlers = {};
+    const socket = {
+      id,
+      user: null,
+      handshake: { query: {} },
+      on: (event, fn) => (handlers[event] = fn),
+      emit: (event, payload) => emitted.push({ target: id, event, payload }),
+      join: () => {},
+      leave: () => {},
+    };
+    gameHandlers.registerAll(socket, context);
+    return (event, payload) => handlers[event](payload);
+  };
+  return { emitted, connect };
+}
+
+function humanRoom() {
+  return {
+    roomId: "ROOM1",
+    players: [
+      { id: "sw", color: "w", user: { id: "u1", username: "alice" } },
+      { id: "sb", color: "b", user: { id: "u2", username: "bob" } },
+      { id: "ss", color: "spectator", user: { id: "u3", username: "carol" } },
+    ],
+    chess: createChess(),
+    moves: [],
+    settings: {},
+    finished: null,
+    pendingDrawOffer: null,
+  };
+}
+
+test("accept-draw needs an open offer from the other player", async () => {
+  const rooms = { ROOM1: humanRoom() };
+  const { emitted, connect } = harness(rooms);
+  const white = connect("sw");
+  const black = connect("sb");
+  const spectator = connect("ss");
+
+  // no offer yet
+  black("accept-draw", { roomId: "ROOM1" });
+  assert.equal(rooms.ROOM1.finished, null);
+
+  await white("offer-draw", { roomId: "ROOM1" });
+  assert.equal(rooms.ROOM1.pendingDrawOffer.fromColor, "w");
+
+  // the offerer and a spectator can't accept it
+  white("accept-draw", { roomId: "ROOM1" });
+  spectator("accept-draw", { roomId: "ROOM1" });
+  assert.equal(rooms.ROOM1.finished, null);
+  assert.equal(
+    emitted
+      .filter((e) => e.event === "draw-error")
+      .map((e) => e.target)
+      .join(),
+    "sb,sw,ss"
+  );
+
+  black("accept-draw", { roomId: "ROOM1" });
+  assert.equal(rooms.ROOM1.finished.reason, "draw-agreed");
+});
+
+test("accept-draw works for offers stored without a color", () => {
+  const rooms = { ROOM1: humanRoom() };
+  rooms.ROOM1.pendingDrawOffer = { fromSocketId: "old", fromUserId: "u2" };
+  const { connect } = harness(rooms);
+  connect("sb")("accept-draw", { roomId: "ROOM1" });
+  assert.equal(rooms.ROOM1.finished, null);
+  connect("sw")("accept-draw", { roomId: "ROOM1" });
+  assert.equal(rooms.ROOM1.finished.reason, "draw-agreed");
+});
+
+test("the bot searches its fogged view, not the full board", async (t) => {
+  const engineRegistry = require("../services/engineRegistry");
+  const botLevels = require("../lib/botLevels");
+  const fens = [];
+  t.mock.method(engineRegistry, "bestMove", async (role, fen) => {
+    fens.push(fen);
+    return { from: "e7", to: "e5" };
+  });
+  t.mock.method(botLevels, "waitForThinkTime", async () => {});
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+
+  const settings = { variant: "fogofwar", bot: { enabled: true, level: 1 } };
+  const rooms = {
+    ROOM1: {
+      roomId: "ROOM1",
+      players: [
+        { id: "sw", color: "w", user: { id: "u1", username: "alice" } },
+        { id: "bot:1", color: "b", user: null },
+      ],
+      chess: createChess(settings),
+      moves: [],
+      settings,
+      finished: null,
+      pendingDrawOffer: null,
+    },
+  };
+  const roomManager = {
+    emitRoomView: () => {},
+    checkClockFlag: async () => false,
+  };
+  const { connect } = harness(rooms, { roomManager });
+  await connect("sw")("make-move", {
+    roomId: "ROOM1",
+    move: { from: "e2", to: "e4" },
+  });
+  t.mock.timers.tick(5000);
+  for (let i = 0; i < 20 && rooms.ROOM1.moves.length < 2; i++)
+    await new Promise((resolve) => setImmediate(resolve));
+
+  // black sees none of the white pieces, and the white king stays on e1
+  assert.equal(fens[0].split(" ")[0], "rnbqkbnr/pppppppp/8/8/8/8/8/4K3");
+  assert.equal(rooms.ROOM1.moves[1].move.to, "e5");
+});
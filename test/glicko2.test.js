@@ -0,0 +1,107 @@
+// backend/test/glicko2.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const glicko2 = require("../lib/glicko2");
+const { entryFor } = require("../lib/ratingCategories");
+
+function near(actual, expected, tolerance = 0.01) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`
+  );
+}
+
+test("two new players: a win and a draw", () => {
+  const fresh = glicko2.defaultEntry();
+  const win = glicko2.rate(fresh, fresh, 1);
+  near(win.rating, 1662.31);
+  near(win.rd, 290.32);
+  near(win.vol, 0.06, 1e-5);
+
+  const draw = glicko2.rate(fresh, fresh, 0.5);
+  near(draw.rating, 1500);
+  near(draw.rd, 290.32);
+
+  const loss = glicko2.rate(fresh, fresh, 0);
+  near(loss.rating, 1500 - (win.rating - 1500));
+});
+
+test("an upset moves ratings more than the expected result", () => {
+  const strong = { ...glicko2.defaultEntry(), rating: 1900, rd: 60 };
+  const weak = { ...glicko2.defaultEntry(), rating: 1500, rd: 60 };
+  assert.ok(glicko2.expectedFor(strong, weak) > 0.9);
+  const expected = glicko2.rate(strong, weak, 1).rating - 1900;
+  const upset = 1900 - glicko2.rate(strong, weak, 0).rating;
+  assert.ok(expected > 0);
+  assert.ok(upset > 5 * expected);
+});
+
+test("deviation shrinks with games but stays above the floor", () => {
+  let entry = glicko2.defaultEntry();
+  const opponent = { ...glicko2.defaultEntry(), rd: 50 };
+  for (let i = 0; i < 200; i++)
+    entry = glicko2.applyResult(entry, opponent, i % 2 ? 1 : 0);
+  assert.ok(entry.rd < 70);
+  assert.equal(entry.provisional, false);
+
+  const settled = { ...glicko2.defaultEntry(), rd: 10 };
+  assert.equal(glicko2.rate(settled, opponent, 1).rd, 45);
+});
+
+test("applyResult counts the game", () => {
+  const fresh = glicko2.defaultEntry();
+  let entry = glicko2.applyResult(fresh, fresh, 1);
+  entry = glicko2.applyResult(entry, fresh, 0.5);
+  entry = glicko2.applyResult(entry, fresh, 0);
+  assert.deepEqual(
+    [entry.games, entry.wins, entry.draws, entry.losses],
+    [3, 1, 1, 1]
+  );
+  assert.ok(entry.updatedAt instanceof Date);
+  assert.equal(entry.provisional, true);
+  assert.equal(glicko2.displayCups(entry), Math.round(entry.rating));
+  assert.deepEqual(Object.keys(glicko2.snapshot(entry)).sort(), [
+    "provisional",
+    "rating",
+    "rd",
+    "vol",
+  ]);
+});
+
+test("entryOf falls back to a default entry", () => {
+  assert.deepEqual(glicko2.entryOf(null, "blitz"), glicko2.defaultEntry());
+  assert.deepEqual(
+    glicko2.entryOf({ ratings: { blitz: { rating: "x" } } }, "blitz"),
+    glicko2.defaultEntry()
+  );
+  const stored = glicko2.entryOf(
+    { ratings: { blitz: { rating: 1800 } } },
+    "blitz"
+  );
+  assert.equal(stored.rating, 1800);
+  assert.equal(stored.rd, glicko2.DEFAULT_RD);
+});
+
+test("first entries are seeded from pre-Glicko cups", () => {
+  assert.deepEqual(glicko2.seededEntry(0), glicko2.defaultEntry());
+  assert.deepEqual(glicko2.seededEntry(null), glicko2.defaultEntry());
+  const seeded = glicko2.seededEntry(300);
+  assert.equal(seeded.rating, 1800);
+  assert.equal(seeded.rd, 250);
+
+  // every speed seeds from the standard ladder, variants from their own
+  assert.equal(entryFor({ cups: 300 }, "blitz").rating, 1800);
+  assert.equal(entryFor({ cups: 300 }, "classical").rating, 1800);
+  assert.equal(
+    entryFor({ cups: 300, variantCups: { crazyhouse: 100 } }, "crazyhouse")
+      .rating,
+    1600
+  );
+  // once any speed has a Glicko-2 entry the cups are no longer used
+  const migrated = {
+    cups: 300,
+    ratings: { rapid: { rating: 1700, rd: 80 } },
+  };
+  assert.equal(entryFor(migrated, "rapid").rating, 1700);
+  assert.equal(entryFor(migrated, "blitz").rating, 1500);
+});
@@ -0,0 +1,59 @@
+// backend/test/inviteHandlers.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const inviteHandlers = require("../socket/handlers/inviteHandlers");
+
+function connect(context) {
+  const handlers = {};
+  const emitted = [];
+  const socket = {
+    id: "s1",
+    user: { id: "u1", username: "alice" },
+    on: (event, fn) => (handlers[event] = fn),
+    emit: (event, payload) => emitted.push({ event, payload }),
+    join: () => {},
+  };
+  inviteHandlers.registerAll(socket, context);
+  return { handlers, emitted };
+}
+
+test("invite-friend rejects an out-of-range time control", async () => {
+  const sent = [];
+  const io = { to: () => ({ emit: (event) => sent.push(event) }) };
+  const { handlers } = connect({ io });
+  const acks = [];
+  await handlers["invite-friend"](
+    { toUserId: "u2", timeControl: "999+0" },
+    (ack) => acks.push(ack)
+  );
+  assert.equal(acks[0].ok, false);
+  assert.match(acks[0].error, /Base time/);
+  assert.deepEqual(sent, []);
+
+  await handlers["invite-friend"](
+    { toUserId: "u2", timeControl: "3+2" },
+    (ack) => acks.push(ack)
+  );
+  assert.equal(acks[1].ok, true);
+});
+
+test("accept-invite rejects an out-of-range time control", async () => {
+  let created = 0;
+  const roomManager = {
+    createRoom: async () => {
+      created++;
+      return { roomId: "R1" };
+    },
+    rooms: {},
+  };
+  const { handlers } = connect({
+    io: { to: () => ({ emit() {} }) },
+    roomManager,
+  });
+  const acks = [];
+  await handlers["accept-invite"]({ fromUserId: "u2", minutes: 0.1 }, (ack) =>
+    acks.push(ack)
+  );
+  assert.equal(acks[0].ok, false);
+  assert.equal(created, 0);
+});
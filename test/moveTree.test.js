@@ -0,0 +1,123 @@
+// backend/test/moveTree.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const moveTree = require("../lib/moveTree");
+
+function sans(nodes) {
+  return nodes.slice(1).map((n) => n.move.san);
+}
+
+// 1. e4 e5 (1... c5) 2. Nf3
+function sample() {
+  const tree = moveTree.createTree();
+  const e4 = moveTree.addMove(tree, tree.rootId, "e4").node;
+  const e5 = moveTree.addMove(tree, e4.id, "e5").node;
+  const c5 = moveTree.addMove(tree, e4.id, "c5").node;
+  const nf3 = moveTree.addMove(tree, e5.id, { from: "g1", to: "f3" }).node;
+  return { tree, e4, e5, c5, nf3 };
+}
+
+test("addMove builds lines and reuses a move already there", () => {
+  const { tree, e4, e5, nf3 } = sample();
+  assert.deepEqual(sans(moveTree.mainlineOf(tree)), ["e4", "e5", "Nf3"]);
+  assert.equal(nf3.ply, 3);
+  assert.equal(e4.children.length, 2);
+
+  const again = moveTree.addMove(tree, e4.id, { from: "e7", to: "e5" });
+  assert.equal(again.created, false);
+  assert.equal(again.node.id, e5.id);
+
+  assert.equal(moveTree.addMove(tree, e4.id, "e4").ok, false);
+  assert.equal(moveTree.addMove(tree, "99", "e5").error, "Unknown node");
+});
+
+test("promoteNode raises a variation, or its whole line", () => {
+  const { tree, c5 } = sample();
+  const nc3 = moveTree.addMove(tree, c5.id, "Nc3").node;
+  const nf3 = moveTree.addMove(tree, c5.id, "Nf3").node;
+
+  moveTree.promoteNode(tree, nf3.id);
+  assert.deepEqual(tree.nodes[c5.id].children, [nf3.id, nc3.id]);
+  assert.deepEqual(sans(moveTree.mainlineOf(tree)), ["e4", "e5", "Nf3"]);
+
+  moveTree.promoteNode(tree, nf3.id, true);
+  assert.deepEqual(sans(moveTree.mainlineOf(tree)), ["e4", "c5", "Nf3"]);
+  assert.equal(moveTree.promoteNode(tree, tree.rootId).ok, false);
+});
+
+test("deleteNode drops the subtree", () => {
+  const { tree, e4, e5, nf3 } = sample();
+  const result = moveTree.deleteNode(tree, e5.id);
+  assert.equal(result.parentId, e4.id);
+  assert.deepEqual(result.removed.sort(), [e5.id, nf3.id].sort());
+  assert.equal(moveTree.getNode(tree, nf3.id), null);
+  assert.deepEqual(sans(moveTree.mainlineOf(tree)), ["e4", "c5"]);
+  assert.equal(moveTree.deleteNode(tree, tree.rootId).ok, false);
+});
+
+test("comments and NAGs are validated", () => {
+  const { tree, e5 } = sample();
+  assert.equal(moveTree.setComment(tree, e5.id, "  solid ").comment, "solid");
+  assert.equal(moveTree.setComment(tree, e5.id, "").comment, null);
+  assert.equal(moveTree.setComment(tree, e5.id, "x".repeat(2001)).ok, false);
+  assert.deepEqual(moveTree.setNags(tree, e5.id, [1, "1", 14]).nags, [1, 14]);
+  assert.equal(moveTree.setNags(tree, e5.id, [256]).ok, false);
+  assert.equal(moveTree.setNags(tree, tree.rootId, [1]).ok, false);
+});
+
+test("getNode ignores inherited keys", () => {
+  const { tree } = sample();
+  assert.equal(moveTree.getNode(tree, "__proto__"), null);
+  assert.equal(moveTree.getNode(tree, "constructor"), null);
+});
+
+test("pathTo runs from the root", () => {
+  const { tree, nf3 } = sample();
+  assert.deepEqual(
+    moveTree.pathTo(tree, nf3.id).map((n) => n.id),
+    ["0", "1", "2", nf3.id]
+  );
+  assert.deepEqual(moveTree.pathTo(tree, "99"), []);
+});
+
+test("applyOp moves the cursor and describes the update", () => {
+  const { tree, e4, e5, nf3 } = sample();
+  let r = moveTree.applyOp(
+    tree,
+    { type: "move", parentId: nf3.id, move: "Nc6" },
+    nf3.id
+  );
+  assert.equal(r.ok, true);
+  assert.equal(r.update.type, "move");
+  assert.equal(r.update.created, true);
+  assert.equal(r.currentNodeId, r.update.node.id);
+
+  // deleting the line under the cursor moves it to the parent
+  r = moveTree.applyOp(
+    tree,
+    { type: "delete", nodeId: e5.id },
+    r.currentNodeId
+  );
+  assert.equal(r.currentNodeId, e4.id);
+
+  r = moveTree.applyOp(tree, { type: "select", nodeId: "0" }, e4.id);
+  assert.equal(r.currentNodeId, "0");
+  assert.equal(
+    moveTree.applyOp(tree, { type: "select", nodeId: e5.id }).ok,
+    false
+  );
+  assert.equal(moveTree.applyOp(tree, { type: "bogus" }).error, "Unknown op");
+});
+
+test("fromMoves keeps comments and NAGs and stops at a bad record", () => {
+  const tree = moveTree.fromMoves(undefined, [
+    { from: "d2", to: "d4", san: "d4", comment: "queen's pawn" },
+    { from: "d7", to: "d5", san: "d5", nags: [1] },
+    { from: "e1", to: "e3", san: "Ke3" },
+    { from: "c2", to: "c4", san: "c4" },
+  ]);
+  const line = moveTree.mainlineOf(tree);
+  assert.deepEqual(sans(line), ["d4", "d5"]);
+  assert.equal(line[1].comment, "queen's pawn");
+  assert.deepEqual(line[2].nags, [1]);
+});
@@ -0,0 +1,129 @@
+// backend/test/pgn.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const pgn = require("../lib/pgn");
+const moveTree = require("../lib/moveTree");
+const { chess960Fen } = require("../lib/startPosition");
+
+const MOVES = [
+  { from: "e2", to: "e4", clocks: { w: 178000, b: 180000 } },
+  { from: "e7", to: "e5", clocks: { w: 178000, b: 175500 } },
+  { from: "g1", to: "f3", comment: "the main line" },
+  { from: "b8", to: "c6", nags: [2] },
+  { from: "f1", to: "b5" },
+];
+
+function sample(extra = {}) {
+  return {
+    players: [
+      { color: "w", user: { username: "alice" } },
+      { color: "b", user: { username: 'bob "the rook"' } },
+    ],
+    moves: MOVES,
+    finished: { winner: "w", reason: "resign" },
+    timeControl: { baseMs: 180000, incrementMs: 2000, delayMs: 0 },
+    ratingChanges: { w: { before: 1612.4 }, b: { before: 1580 } },
+    createdAt: new Date("2024-03-09T12:00:00Z"),
+    ...extra,
+  };
+}
+
+test("formatClock, resultOf and terminationOf", () => {
+  assert.equal(pgn.formatClock(3723000), "1:02:03");
+  assert.equal(pgn.formatClock(9500), "0:00:09.5");
+  assert.equal(pgn.resultOf(null), "*");
+  assert.equal(pgn.resultOf({ winnerColor: "black" }), "0-1");
+  assert.equal(pgn.resultOf({ reason: "stalemate" }), "1/2-1/2");
+  assert.equal(pgn.terminationOf({ reason: "timeout" }), "time forfeit");
+  assert.equal(pgn.terminationOf(null), "unterminated");
+});
+
+test("gameToPgn writes the roster, optional tags and movetext", () => {
+  const text = pgn.gameToPgn(sample(), { site: "https://example.org" });
+  assert.match(
+    text,
+    /^\[Event "Rated blitz game"\]\n\[Site "https:\/\/example.org"\]/
+  );
+  assert.match(text, /\[Date "2024\.03\.09"\]/);
+  assert.match(text, /\[Black "bob \\"the rook\\""\]/);
+  assert.match(text, /\[WhiteElo "1612"\]/);
+  assert.match(text, /\[TimeControl "180\+2"\]/);
+  assert.equal(
+    text.split("\n\n")[1].trim().replace(/\n/g, " "),
+    "1. e4 { [%clk 0:02:58] } 1... e5 { [%clk 0:02:55] } 2. Nf3 { the main line } 2... Nc6 $2 3. Bb5 1-0"
+  );
+});
+
+test("gameToPgn output parses back to the same game", () => {
+  const [game] = pgn.parsePgn(pgn.gameToPgn(sample()));
+  assert.equal(game.headers.White, "alice");
+  assert.equal(game.headers.Black, 'bob "the rook"');
+  assert.equal(game.result, "1-0");
+  assert.deepEqual(
+    game.moves.map((m) => m.san),
+    ["e4", "e5", "Nf3", "Nc6", "Bb5"]
+  );
+  assert.equal(game.moves[0].comment, "[%clk 0:02:58]");
+  assert.equal(game.moves[2].comment, "the main line");
+  assert.deepEqual(game.moves[3].nags, [2]);
+});
+
+test("Chess960 games carry SetUp and FEN", () => {
+  const fen = chess960Fen(0);
+  const text = pgn.gameToPgn(
+    sample({ chess960: true, startFen: fen, moves: [], finished: null })
+  );
+  const [game] = pgn.parsePgn(text);
+  assert.equal(game.headers.Variant, "Chess960");
+  assert.equal(game.headers.SetUp, "1");
+  assert.equal(game.headers.FEN, fen);
+  assert.equal(game.result, "*");
+});
+
+test("treeToPgn writes variations that parsePgn skips", () => {
+  const tree = moveTree.createTree();
+  const e4 = moveTree.addMove(tree, tree.rootId, "e4").node;
+  const e5 = moveTree.addMove(tree, e4.id, "e5").node;
+  const c5 = moveTree.addMove(tree, e4.id, "c5").node;
+  moveTree.setComment(tree, c5.id, "Sicilian");
+  moveTree.addMove(tree, c5.id, "Nf3");
+  moveTree.addMove(tree, e5.id, "Nf3");
+  moveTree.setNags(tree, e5.id, [1]);
+
+  const text = pgn.treeToPgn(tree, { tags: [["White", "study"]] });
+  assert.match(text, /\[White "study"\]/);
+  assert.match(
+    text,
+    /1\. e4 e5 \$1 \(1\.\.\. c5 \{ Sicilian \} 2\. Nf3\) 2\. Nf3 \*/
+  );
+
+  const [game] = pgn.parsePgn(text);
+  assert.deepEqual(
+    game.moves.map((m) => m.san),
+    ["e4", "e5", "Nf3"]
+  );
+  assert.deepEqual(game.moves[1].nags, [1]);
+});
+
+test("parsePgn reads several games, suffix annotations and castling zeros", () => {
+  const games = pgn.parsePgn(
+    [
+      '[Event "one"]',
+      "",
+      "1. e4!? e5 2. Nf3 Nc6 3. Bc4 Bc5 4. 0-0 ; rest of line",
+      "1/2-1/2",
+      "",
+      '[Event "two"]',
+      "",
+      "{ opening note } 1. d4 d5?? 0-1",
+    ].join("\n")
+  );
+  assert.equal(games.length, 2);
+  assert.equal(games[0].result, "1/2-1/2");
+  assert.deepEqual(games[0].moves[0].nags, [5]);
+  assert.equal(games[0].moves[6].san, "O-O");
+  assert.equal(games[0].moves[6].comment, "rest of line");
+  assert.equal(games[1].headers.Event, "two");
+  assert.equal(games[1].comment, "opening note");
+  assert.deepEqual(games[1].moves[1].nags, [4]);
+});
@@ -0,0 +1,126 @@
+// backend/test/polyglot.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const polyglot = require("../lib/polyglot");
+
+// the reference keys from the Polyglot book format description
+const KEYS = [
+  [
+    "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+    "463b96181691fc9c",
+  ],
+  [
+    "rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1",
+    "823c9b50fd114196",
+  ],
+  [
+    "rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2",
+    "0756b94461c50fb0",
+  ],
+  [
+    "rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2",
+    "662fafb965db29d4",
+  ],
+  [
+    "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3",
+    "22a48b5a8e47ff78",
+  ],
+  [
+    "rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b kq - 0 3",
+    "652a607ca3f242c1",
+  ],
+  [
+    "rnbq1bnr/ppp1pkpp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR w - - 0 4",
+    "00fdd303c946bdd9",
+  ],
+  [
+    "rnbqkbnr/p1pppppp/8/8/PpP4P/8/1P1PPPP1/RNBQKBNR b KQkq c3 0 3",
+    "3c8123ea7b067637",
+  ],
+  [
+    "rnbqkbnr/p1pppppp/8/8/P6P/R1p5/1P1PPPP1/1NBQKBNR b Kkq - 0 4",
+    "5c3f9b829b279560",
+  ],
+];
+
+test("polyglotKey matches the reference keys", () => {
+  for (const [fen, hex] of KEYS)
+    assert.equal(
+      polyglot.polyglotKey(fen).toString(16).padStart(16, "0"),
+      hex,
+      fen
+    );
+});
+
+function raw(from, to, promo = 0) {
+  const sq = (s) => "abcdefgh".indexOf(s[0]) | ((Number(s[1]) - 1) << 3);
+  return (promo << 12) | (sq(from) << 6) | sq(to);
+}
+
+test("decodeMove reads squares, promotions and castling", () => {
+  assert.deepEqual(polyglot.decodeMove(raw("e2", "e4")), {
+    from: "e2",
+    to: "e4",
+  });
+  assert.deepEqual(polyglot.decodeMove(raw("b7", "b8", 4)), {
+    from: "b7",
+    to: "b8",
+    promotion: "q",
+  });
+  const castles = "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1";
+  assert.deepEqual(polyglot.decodeMove(raw("e1", "h1"), castles), {
+    from: "e1",
+    to: "g1",
+  });
+  assert.deepEqual(polyglot.decodeMove(raw("e8", "a8"), castles), {
+    from: "e8",
+    to: "c8",
+  });
+  // a rook on e1 taking on h1 is just a rook move
+  const rook = "4k3/8/8/8/8/8/8/4R2n w - - 0 1";
+  assert.equal(polyglot.decodeMove(raw("e1", "h1"), rook).to, "h1");
+});
+
+function book(entries) {
+  const sorted = entries.slice().sort((a, b) => (a.key < b.key ? -1 : 1));
+  const buffer = Buffer.alloc(sorted.length * polyglot.ENTRY_SIZE);
+  sorted.forEach((e, i) => {
+    const off = i * polyglot.ENTRY_SIZE;
+    buffer.writeBigUInt64BE(e.key, off);
+    buffer.writeUInt16BE(e.move, off + 8);
+    buffer.writeUInt16BE(e.weight, off + 10);
+    buffer.writeUInt32BE(0, off + 12);
+  });
+  return buffer;
+}
+
+test("findEntries returns every entry for a key", () => {
+  const start = polyglot.polyglotKey(KEYS[0][0]);
+  const buffer = book([
+    { key: 1n, move: 1, weight: 1 },
+    { key: start, move: raw("e2", "e4"), weight: 10 },
+    { key: start, move: raw("d2", "d4"), weight: 7 },
+    { key: start + 1n, move: 3, weight: 1 },
+    { key: 0xffffffffffffffffn, move: 4, weight: 1 },
+  ]);
+  const found = polyglot.findEntries(buffer, start);
+  assert.deepEqual(found.map((e) => e.weight).sort(), [10, 7].sort());
+  assert.deepEqual(polyglot.findEntries(buffer, 2n), []);
+  assert.deepEqual(polyglot.findEntries(Buffer.alloc(0), start), []);
+});
+
+test("pickWeighted follows weights and variety", () => {
+  const entries = [
+    { move: 1, weight: 30 },
+    { move: 2, weight: 10 },
+    { move: 3, weight: 0 },
+  ];
+  assert.equal(polyglot.pickWeighted(entries, 0).move, 1);
+  assert.equal(polyglot.pickWeighted(entries, 1, () => 0).move, 1);
+  assert.equal(polyglot.pickWeighted(entries, 1, () => 0.8).move, 2);
+  // lower variety favours the top move: 0.8 now lands on it
+  assert.equal(polyglot.pickWeighted(entries, 0.5, () => 0.8).move, 1);
+  assert.equal(polyglot.pickWeighted(entries, 1, () => 0.9999).move, 2);
+  assert.equal(polyglot.pickWeighted([{ move: 3, weight: 0 }]), null);
+  assert.equal(polyglot.pickWeighted([]), null);
+});
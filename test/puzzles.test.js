@@ -0,0 +1,171 @@
+// backend/test/puzzles.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findCandidates,
+  themesOf,
+  initialRating,
+  checkAttempt,
+} = require("../lib/puzzles");
+
+// Rb7 Kg8 Ra8#
+const LADDER = "7k/8/8/8/8/8/1R6/R5K1 w - - 0 1";
+const LADDER_LINE = ["b2b7", "h8g8", "a1a8"];
+
+test("checkAttempt solves the full line", () => {
+  assert.deepEqual(checkAttempt(LADDER, LADDER_LINE, ["b2b7", "a1a8"]), {
+    win: true,
+    correct: 2,
+    pending: false,
+    reply: null,
+  });
+  // SAN and { from, to } are accepted too
+  assert.equal(checkAttempt(LADDER, LADDER_LINE, ["Rb7", "Ra8#"]).win, true);
+  assert.equal(
+    checkAttempt(LADDER, LADDER_LINE, [
+      { from: "b2", to: "b7" },
+      { from: "a1", to: "a8" },
+    ]).win,
+    true
+  );
+});
+
+test("checkAttempt answers a correct partial line with the reply", () => {
+  assert.deepEqual(checkAttempt(LADDER, LADDER_LINE, ["b2b7"]), {
+    win: false,
+    correct: 1,
+    pending: true,
+    reply: "h8g8",
+  });
+  assert.deepEqual(checkAttempt(LADDER, LADDER_LINE, []), {
+    win: false,
+    correct: 0,
+    pending: true,
+    reply: null,
+  });
+});
+
+test("checkAttempt fails wrong and illegal moves", () => {
+  const wrong = checkAttempt(LADDER, LADDER_LINE, ["a1a7", "a7a8"]);
+  assert.equal(wrong.win, false);
+  assert.equal(wrong.pending, false);
+  assert.equal(wrong.correct, 0);
+  assert.equal(checkAttempt(LADDER, LADDER_LINE, ["b2b7", "a1a2"]).correct, 1);
+  assert.equal(checkAttempt(LADDER, LADDER_LINE, ["e1e8"]).win, false);
+  assert.equal(checkAttempt(LADDER, LADDER_LINE, ["nonsense"]).win, false);
+});
+
+test("checkAttempt accepts a different mate", () => {
+  // Ra8# and Rb8# both mate
+  const fen = "6k1/5ppp/8/8/8/8/8/RR4K1 w - - 0 1";
+  const result = checkAttempt(fen, ["a1a8"], ["b1b8"]);
+  assert.equal(result.win, true);
+  assert.equal(result.correct, 0);
+});
+
+test("themesOf tags mates, forks and hanging pieces", () => {
+  const mate = themesOf(LADDER, LADDER_LINE);
+  for (const t of ["mate", "mateIn2", "short", "endgame"])
+    assert.ok(mate.includes(t), t);
+
+  const fork = themesOf("r3k3/8/8/3N4/8/8/8/4K3 w - - 0 1", ["d5c7"], {
+    winChance: 95,
+  });
+  for (const t of ["fork", "crushing", "oneMove"])
+    assert.ok(fork.includes(t), t);
+
+  const hanging = themesOf("4k3/8/8/3q4/8/8/8/3RK3 w - - 0 1", ["d1d5"], {
+    winChance: 80,
+  });
+  assert.ok(hanging.includes("hangingPiece"));
+  assert.ok(hanging.includes("advantage"));
+  assert.ok(!hanging.includes("mate"));
+});
+
+test("initialRating starts at the rating that missed it, within bounds", () => {
+  assert.equal(initialRating(1600, 1), 1600);
+  assert.equal(initialRating(1600, 3), 1900);
+  assert.equal(initialRating(null), 1500);
+  assert.equal(initialRating(300), 600);
+  assert.equal(initialRating(2700, 4), 2800);
+});
+
+test("findCandidates picks missed wins right after an opponent error", () => {
+  const plies = [
+    { ply: 1, color: "w", san: "e4", uci: "e2e4", classification: "good" },
+    {
+      ply: 2,
+      color: "b",
+      san: "Qh4",
+      uci: "d8h4",
+      fen: "fen-after-2",
+      eval: { cp: 600 },
+      classification: "blunder",
+    },
+    {
+      ply: 3,
+      color: "w",
+      san: "a3",
+      uci: "a2a3",
+      bestMove: "g3h4",
+      winChance: 50,
+      classification: "blunder",
+    },
+    // missed, but the opponent hadn't just erred
+    {
+      ply: 4,
+      color: "b",
+      san: "a6",
+      uci: "a7a6",
+      fen: "fen-after-4",
+      eval: { cp: -600 },
+      classification: "good",
+    },
+    {
+      ply: 5,
+      color: "w",
+      san: "h3",
+      uci: "h2h3",
+      bestMove: "b1c3",
+      winChance: 40,
+      classification: "mistake",
+    },
+  ];
+  const found = findCandidates(plies);
+  assert.equal(found.length, 1);
+  assert.equal(found[0].ply, 3);
+  assert.equal(found[0].fen, "fen-after-2");
+  assert.equal(found[0].lastMove, "d8h4");
+  assert.equal(found[0].firstMove, "g3h4");
+  assert.equal(found[0].played, "a3");
+  assert.ok(found[0].winChance >= 70);
+  assert.ok(found[0].drop > 0);
+});
+
+test("findCandidates keeps the biggest misses, in game order", () => {
+  const miss = (ply, drop) => [
+    {
+      ply: ply - 1,
+      color: "b",
+      uci: "a7a6",
+      fen: `fen-${ply}`,
+      eval: { cp: 800 },
+      classification: "blunder",
+    },
+    {
+      ply,
+      color: "w",
+      san: "h3",
+      uci: "h2h3",
+      bestMove: "b1c3",
+      winChance: 95 - drop,
+      classification: "blunder",
+    },
+  ];
+  const plies = [...miss(2, 20), ...miss(4, 60), ...miss(6, 40)];
+  const found = findCandidates(plies, { max: 2 });
+  assert.deepEqual(
+    found.map((c) => c.ply),
+    [4, 6]
+  );
+});
@@ -0,0 +1,33 @@
+// backend/test/roomManager.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { timeoutFinishFor } = require("../roomManager");
+const { createChess } = require("../lib/startPosition");
+const crazyhouse = require("../lib/crazyhouse");
+
+// white king and knight against a bare black king
+const KNIGHT_ONLY = "4k3/8/8/8/8/8/8/4KN2 b - - 0 1";
+
+test("a flag against a lone minor piece is a draw", () => {
+  const room = { chess: createChess({ startFen: KNIGHT_ONLY }) };
+  assert.equal(timeoutFinishFor(room, "b").result, "draw");
+  const pawn = {
+    chess: createChess({ startFen: "4k3/8/8/8/8/8/4P3/4K3 b - - 0 1" }),
+  };
+  assert.equal(timeoutFinishFor(pawn, "b").winner, "w");
+});
+
+test("crazyhouse pocket pieces count as mating material", () => {
+  const chess = createChess({ startFen: KNIGHT_ONLY });
+  crazyhouse.attachState(chess);
+  assert.equal(timeoutFinishFor({ chess }, "b").result, "draw");
+  chess.crazyhouse.pockets.w.n = 1;
+  assert.equal(timeoutFinishFor({ chess }, "b").winner, "w");
+});
+
+test("variants won without mate never draw on material", () => {
+  for (const variant of ["kingofthehill", "threecheck", "antichess"]) {
+    const chess = createChess({ variant, startFen: KNIGHT_ONLY });
+    assert.equal(timeoutFinishFor({ chess }, "b").winner, "w", variant);
+  }
+});
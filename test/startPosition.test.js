@@ -0,0 +1,67 @@
+// backend/test/startPosition.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  chess960Fen,
+  initialCastlingRights,
+  resolveStartPosition,
+  createChess,
+  applyMove,
+  replayMoves,
+} = require("../lib/startPosition");
+
+// position 518 is the standard setup
+const SETTINGS = { chess960: true, startFen: chess960Fen(518) };
+
+function play(chess, moves) {
+  return moves.map((m) => {
+    const result = applyMove(chess, m);
+    assert.ok(result, `illegal: ${m}`);
+    return result;
+  });
+}
+
+test("Chess960 start positions", () => {
+  assert.equal(
+    chess960Fen(518),
+    "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1"
+  );
+  assert.deepEqual(initialCastlingRights(chess960Fen(518)), {
+    w: { k: "h", q: "a" },
+    b: { k: "h", q: "a" },
+  });
+  assert.ok(resolveStartPosition({ fen: "not a fen" }).error);
+});
+
+test("Chess960 castling in all three notations", () => {
+  for (const castle of ["O-O", "e1h1", "e1g1"]) {
+    const chess = createChess(SETTINGS);
+    play(chess, ["e4", "e5", "Nf3", "Nc6", "Bc4", "Bc5"]);
+    const move = applyMove(chess, castle);
+    assert.ok(move, castle);
+    assert.equal(move.san, "O-O");
+    assert.equal(chess.get("g1").type, "k");
+    assert.equal(chess.get("f1").type, "r");
+    assert.equal(chess.turn(), "b");
+    assert.deepEqual(chess.castling960.w, { k: null, q: null });
+  }
+});
+
+test("after a Chess960 castle the room's moves are the record", () => {
+  const chess = createChess(SETTINGS);
+  const moves = play(chess, ["e4", "e5", "Nf3", "Nc6", "Bc4", "Bc5", "O-O"]);
+  // chess.js history restarts at the castle
+  assert.equal(chess.history().length, 0);
+  assert.equal(replayMoves(SETTINGS, moves).fen(), chess.fen());
+  assert.equal(
+    replayMoves(SETTINGS, moves, 3).fen(),
+    "r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w - - 2 3"
+  );
+});
+
+test("repetitions after a Chess960 castle still count", () => {
+  const chess = createChess(SETTINGS);
+  play(chess, ["e4", "e5", "Nf3", "Nc6", "Bc4", "Bc5", "O-O"]);
+  play(chess, ["Nf6", "Re1", "Ng8", "Rf1", "Nf6", "Re1", "Ng8", "Rf1"]);
+  assert.equal(chess.isThreefoldRepetition(), true);
+});
@@ -0,0 +1,104 @@
+// backend/test/timeControl.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseTimeControl,
+  resolveTimeControl,
+  timeControlError,
+  readTimeControl,
+  initialClocks,
+  startTurn,
+  settleClock,
+  applyMoveToClocks,
+} = require("../lib/timeControl");
+
+test("parseTimeControl reads increment, delay and plain minutes", () => {
+  assert.equal(parseTimeControl("3+2").label, "3+2");
+  assert.equal(parseTimeControl("3|2").incrementMs, 2000);
+  const delay = parseTimeControl("5|3 delay");
+  assert.equal(delay.mode, "delay");
+  assert.equal(delay.delayMs, 3000);
+  assert.equal(delay.incrementMs, 0);
+  assert.equal(parseTimeControl("5+3d").mode, "delay");
+  assert.equal(parseTimeControl("5 d3").label, "5|3 delay");
+  assert.equal(parseTimeControl("10").label, "10+0");
+  assert.equal(parseTimeControl(15).baseMs, 15 * 60000);
+  assert.equal(parseTimeControl({ minutes: 3, increment: 2 }).label, "3+2");
+  assert.equal(parseTimeControl("abc"), null);
+});
+
+test("resolveTimeControl prefers timeControl over legacy minutes", () => {
+  assert.equal(
+    resolveTimeControl({ timeControl: "1+0", minutes: 10 }).label,
+    "1+0"
+  );
+  assert.equal(resolveTimeControl({ minutes: 10 }).label, "10+0");
+  assert.equal(resolveTimeControl({}).label, "5+0");
+});
+
+test("timeControlError rejects malformed and out-of-range input", () => {
+  assert.equal(timeControlError("3+2"), null);
+  assert.equal(timeControlError(null), null);
+  assert.match(timeControlError("abc"), /Invalid time control/);
+  assert.match(timeControlError("0+1"), /Base time/);
+  assert.match(timeControlError("181+0"), /Base time/);
+  assert.match(timeControlError("3+500"), /Increment or delay/);
+  assert.match(timeControlError(0), /Base time/);
+  assert.match(timeControlError({ baseMs: 0 }), /Base time/);
+});
+
+test("readTimeControl returns an error instead of falling back", () => {
+  assert.deepEqual(Object.keys(readTimeControl({ timeControl: "0+1" })), [
+    "error",
+  ]);
+  assert.ok(readTimeControl({ minutes: 0 }).error);
+  assert.ok(readTimeControl({ tc: "3 + x" }).error);
+  assert.equal(
+    readTimeControl({ timeControl: "3+2" }).timeControl.label,
+    "3+2"
+  );
+  assert.equal(readTimeControl({}, 7).timeControl.label, "7+0");
+});
+
+test("settleClock charges the running side", () => {
+  const clocks = initialClocks(parseTimeControl("1+0"), "w", 1000);
+  settleClock(clocks, 4000);
+  assert.equal(clocks.w, 57000);
+  assert.equal(clocks.b, 60000);
+  assert.equal(clocks.lastTick, 4000);
+  settleClock(clocks, 200000);
+  assert.equal(clocks.w, 0);
+});
+
+test("increment is added after the move", () => {
+  const tc = parseTimeControl("1+2");
+  const clocks = initialClocks(tc, "w", 0);
+  settleClock(clocks, 5000);
+  applyMoveToClocks(clocks, "w", tc);
+  startTurn(clocks, "b", 5000);
+  assert.equal(clocks.w, 57000);
+  assert.equal(clocks.running, "b");
+  assert.equal(clocks.turnStartMs, 60000);
+});
+
+test("Bronstein delay refunds the time spent, up to the delay", () => {
+  const tc = parseTimeControl("1|3 delay");
+  const clocks = initialClocks(tc, "w", 0);
+  settleClock(clocks, 2000);
+  applyMoveToClocks(clocks, "w", tc);
+  assert.equal(clocks.w, 60000);
+
+  startTurn(clocks, "b", 2000);
+  settleClock(clocks, 12000);
+  applyMoveToClocks(clocks, "b", tc);
+  assert.equal(clocks.b, 53000);
+});
+
+test("startTurn with no color stops the clocks", () => {
+  const clocks = initialClocks(parseTimeControl("3+0"), "w", 0);
+  startTurn(clocks, null, 1000);
+  assert.equal(clocks.running, null);
+  assert.equal(clocks.lastTick, null);
+  settleClock(clocks, 5000);
+  assert.equal(clocks.w, 180000);
+});